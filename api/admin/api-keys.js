@@ -0,0 +1,183 @@
+/**
+ * Admin API Keys endpoint
+ * Handles listing, adding, removing and activating Amboss API keys
+ */
+
+import { setSecurityHeaders } from '../../lib/security.js';
+import { getApiKeys, getActiveKey, saveApiKey, removeApiKey, activateApiKey, KEY_NAME_PATTERN } from '../../lib/apiKeyConfig.js';
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+export default async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Validate admin token
+    const adminToken = req.headers['x-api-key'];
+    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`StrichBot v${versionInfo.fullVersion}: Admin API keys access (IP: ${req.headers['x-forwarded-for'] || req.connection?.remoteAddress})`);
+
+    if (req.method === 'GET') {
+      const keys = await getApiKeys();
+      const activeKey = await getActiveKey();
+
+      // Key values never leave the server, only their variable names
+      return res.status(200).json({
+        success: true,
+        data: {
+          keys,
+          activeKey: activeKey ? activeKey.keyName : null
+        },
+        version: versionInfo.fullVersion,
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, key, keyName } = req.body;
+
+      switch (action) {
+        case 'save':
+          return await handleSave(req, res, key);
+
+        case 'remove':
+          return await handleRemove(req, res, keyName);
+
+        case 'activate':
+          return await handleActivate(req, res, keyName);
+
+        default:
+          return res.status(400).json({
+            success: false,
+            error: action ? `Unknown action: ${action}` : 'Action parameter is required',
+            supportedActions: ['save', 'remove', 'activate'],
+            timestamp: new Date().toISOString()
+          });
+      }
+
+    } else {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed',
+        allowed: ['GET', 'POST'],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in admin API keys endpoint:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle adding or updating a key
+ */
+async function handleSave(req, res, key) {
+  if (!key || !KEY_NAME_PATTERN.test(key.keyName || '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'key.keyName must be AMBOSS_API_KEY or start with AMBOSS_API_KEY_',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const saved = await saveApiKey({
+    keyName: key.keyName,
+    expiryDate: key.expiryDate || null,
+    warningDays: key.warningDays || '7,3,1',
+    priority: parseInt(key.priority, 10) || 0
+  });
+
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save API key to database',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`API key ${key.keyName} saved`);
+
+  return res.status(200).json({
+    success: true,
+    message: process.env[key.keyName]
+      ? `API key ${key.keyName} saved`
+      : `API key ${key.keyName} saved - set ${key.keyName} in Vercel before it can be used`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle removing a key
+ */
+async function handleRemove(req, res, keyName) {
+  if (!keyName) {
+    return res.status(400).json({
+      success: false,
+      error: 'keyName is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const removed = await removeApiKey(keyName);
+
+  return res.status(removed ? 200 : 404).json({
+    success: removed,
+    message: removed ? `API key ${keyName} removed` : `API key ${keyName} not found`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle making a key the active key
+ */
+async function handleActivate(req, res, keyName) {
+  if (!keyName) {
+    return res.status(400).json({
+      success: false,
+      error: 'keyName is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!process.env[keyName]) {
+    return res.status(400).json({
+      success: false,
+      error: `${keyName} is not set in the environment`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const activated = await activateApiKey(keyName);
+
+  if (activated) {
+    console.log(`API key ${keyName} activated by admin`);
+  }
+
+  return res.status(activated ? 200 : 404).json({
+    success: activated,
+    message: activated ? `API key ${keyName} is now active` : `API key ${keyName} not found`,
+    timestamp: new Date().toISOString()
+  });
+}
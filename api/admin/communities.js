@@ -0,0 +1,139 @@
+/**
+ * Admin Community Registry API endpoint
+ * Handles listing, adding and removing the communities StrichBot posts for
+ */
+
+const { getCommunities, getDefaultCommunity, saveCommunity, removeCommunity } = require('../../lib/communities');
+const { setSecurityHeaders } = require('../../lib/security');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Validate admin token
+    const adminToken = req.headers['x-api-key'];
+    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`StrichBot v${versionInfo.fullVersion}: Admin communities access (IP: ${req.headers['x-forwarded-for'] || req.connection?.remoteAddress})`);
+
+    if (req.method === 'GET') {
+      const communities = await getCommunities();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          communities,
+          // When the registry is empty the posting endpoints use COMMUNITY_ID
+          fallback: communities.length === 0 ? getDefaultCommunity() : null
+        },
+        version: versionInfo.fullVersion,
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, community, communityId } = req.body;
+
+      switch (action) {
+        case 'save':
+          return await handleSave(req, res, community);
+
+        case 'remove':
+          return await handleRemove(req, res, communityId);
+
+        default:
+          return res.status(400).json({
+            success: false,
+            error: action ? `Unknown action: ${action}` : 'Action parameter is required',
+            supportedActions: ['save', 'remove'],
+            timestamp: new Date().toISOString()
+          });
+      }
+
+    } else {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed',
+        allowed: ['GET', 'POST'],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in admin communities endpoint:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle adding or updating a community
+ */
+async function handleSave(req, res, community) {
+  if (!community || !community.communityId || !community.name) {
+    return res.status(400).json({
+      success: false,
+      error: 'community.communityId and community.name are required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const saved = await saveCommunity(community);
+
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save community to database',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`Community ${community.communityId} saved`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Community "${community.name}" saved`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle removing a community
+ */
+async function handleRemove(req, res, communityId) {
+  if (!communityId) {
+    return res.status(400).json({
+      success: false,
+      error: 'communityId is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const removed = await removeCommunity(communityId);
+
+  return res.status(removed ? 200 : 404).json({
+    success: removed,
+    message: removed ? `Community ${communityId} removed` : `Community ${communityId} not found`,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -6,6 +6,7 @@
 import { loadScheduleConfig, saveScheduleConfig } from '../../lib/scheduler.js';
 import { securityMiddleware, setSecurityHeaders } from '../../lib/security.js';
 import { getApiKeyConfig, saveApiKeyConfig } from '../../lib/apiKeyConfig.js';
+import { getSignerSettings } from '../../lib/signer.js';
 
 const versionInfo = { fullVersion: '1.0.0' };
 
@@ -45,9 +46,11 @@ export default async function handler(req, res) {
 
         // Also include current environment status
         const envStatus = {
-          hasAmbossKey: !!process.env.AMBOSS_API_KEY,
+          hasAmbossKey: !!apiKeyConfig.keyName,
+          activeApiKey: apiKeyConfig.keyName,
           hasCommunityId: !!process.env.COMMUNITY_ID,
-          hasNostrKey: !!process.env.NOSTR_NSEC,
+          hasNostrKey: !!getSignerSettings().type,
+          nostrSigner: getSignerSettings().type,
           hasTelegramBot: !!process.env.TELEGRAM_BOT_TOKEN,
           hasTelegramChat: !!process.env.TELEGRAM_CHAT_ID,
           apiKeyExpiry: apiKeyConfig.expiryDate,
@@ -0,0 +1,179 @@
+/**
+ * Admin Block Milestones API endpoint
+ * Handles listing, adding and removing block-height milestones
+ */
+
+const { loadMilestones, saveMilestone, removeMilestone, getHalvingMilestone, DEFAULT_COUNTDOWN_BLOCKS } = require('../../lib/milestones');
+const { fetchBlockHeight } = require('../../lib/mempool');
+const { setSecurityHeaders } = require('../../lib/security');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Validate admin token
+    const adminToken = req.headers['x-api-key'];
+    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`StrichBot v${versionInfo.fullVersion}: Admin milestones access (IP: ${req.headers['x-forwarded-for'] || req.connection?.remoteAddress})`);
+
+    if (req.method === 'GET') {
+      const milestones = await loadMilestones();
+      const height = await fetchBlockHeight();
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          milestones: milestones.map(milestone => ({
+            ...milestone,
+            blocksLeft: height !== null && !milestone.reachedAt ? Math.max(0, milestone.height - height) : null
+          })),
+          height
+        },
+        version: versionInfo.fullVersion,
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, milestone, height } = req.body;
+
+      switch (action) {
+        case 'save':
+          return await handleSave(req, res, milestone);
+
+        case 'add-halving':
+          return await handleAddHalving(req, res);
+
+        case 'remove':
+          return await handleRemove(req, res, height);
+
+        default:
+          return res.status(400).json({
+            success: false,
+            error: action ? `Unknown action: ${action}` : 'Action parameter is required',
+            supportedActions: ['save', 'add-halving', 'remove'],
+            timestamp: new Date().toISOString()
+          });
+      }
+
+    } else {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed',
+        allowed: ['GET', 'POST'],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in admin milestones endpoint:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle adding or updating a milestone
+ */
+async function handleSave(req, res, milestone) {
+  const height = parseInt(milestone?.height, 10);
+
+  if (!(height > 0) || !milestone.name) {
+    return res.status(400).json({
+      success: false,
+      error: 'milestone.height and milestone.name are required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const currentHeight = await fetchBlockHeight();
+  if (currentHeight !== null && height <= currentHeight) {
+    return res.status(400).json({
+      success: false,
+      error: `Block ${height} has already been mined (current height ${currentHeight})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const saved = await saveMilestone({
+    height,
+    name: milestone.name,
+    description: milestone.description || null,
+    countdownBlocks: milestone.countdownBlocks || DEFAULT_COUNTDOWN_BLOCKS
+  });
+
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save milestone to database',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`Milestone ${milestone.name} at block ${height} saved`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Milestone "${milestone.name}" at block ${height} saved`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle registering the next halving as a milestone
+ */
+async function handleAddHalving(req, res) {
+  const currentHeight = await fetchBlockHeight();
+
+  if (currentHeight === null) {
+    return res.status(503).json({
+      success: false,
+      error: 'Block height unavailable - cannot work out the next halving',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return handleSave(req, res, getHalvingMilestone(currentHeight));
+}
+
+/**
+ * Handle removing a milestone
+ */
+async function handleRemove(req, res, height) {
+  if (!height) {
+    return res.status(400).json({
+      success: false,
+      error: 'height is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const removed = await removeMilestone(height);
+
+  return res.status(removed ? 200 : 404).json({
+    success: removed,
+    message: removed ? `Milestone at block ${height} removed` : `No milestone at block ${height}`,
+    timestamp: new Date().toISOString()
+  });
+}
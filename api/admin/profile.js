@@ -0,0 +1,142 @@
+/**
+ * Admin Profile API endpoint
+ * Handles the bot's Nostr profile (kind 0) and publishing it with the NIP-65 relay list
+ */
+
+const { getIdentityStatus, normalizeProfile, saveProfile, publishIdentity } = require('../../lib/identity');
+const { setSecurityHeaders } = require('../../lib/security');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Validate admin token
+    const adminToken = req.headers['x-api-key'];
+    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`StrichBot v${versionInfo.fullVersion}: Admin profile access (IP: ${req.headers['x-forwarded-for'] || req.connection?.remoteAddress})`);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        data: await getIdentityStatus(),
+        version: versionInfo.fullVersion,
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, profile } = req.body;
+
+      switch (action) {
+        case 'save':
+          return await handleSave(req, res, profile);
+
+        case 'publish':
+          return await handlePublish(req, res);
+
+        default:
+          return res.status(400).json({
+            success: false,
+            error: action ? `Unknown action: ${action}` : 'Action parameter is required',
+            supportedActions: ['save', 'publish'],
+            timestamp: new Date().toISOString()
+          });
+      }
+
+    } else {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed',
+        allowed: ['GET', 'POST'],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in admin profile endpoint:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Summarize a publish result for the response
+ * @param {Object|null} result - Result from signAndPublish
+ * @returns {Object|null} { eventId, publishedTo, totalRelays, confirmation }
+ */
+function summarizePublish(result) {
+  return result ? {
+    eventId: result.eventId,
+    publishedTo: result.publishedTo,
+    totalRelays: result.totalRelays,
+    confirmation: result.confirmation
+  } : null;
+}
+
+/**
+ * Handle saving the profile and publishing it
+ */
+async function handleSave(req, res, input) {
+  const { profile, errors } = normalizeProfile(input);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join(', '),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const saved = await saveProfile(profile);
+
+  if (!saved) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save profile to database',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log('Bot profile updated by admin');
+
+  return await handlePublish(req, res, 'Profile saved and published');
+}
+
+/**
+ * Handle publishing the profile and relay list
+ */
+async function handlePublish(req, res, message = 'Profile and relay list published') {
+  const published = await publishIdentity();
+
+  return res.status(200).json({
+    success: true,
+    message: published.profile ? message : 'Relay list published (no profile saved yet)',
+    data: {
+      relays: published.relays,
+      profile: summarizePublish(published.profile),
+      relayList: summarizePublish(published.relayList)
+    },
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,232 @@
+/**
+ * Admin Relays API endpoint
+ * Handles the relay health table, adding or removing Nostr relays and rebroadcasting past events
+ */
+
+const { getRelayHealth, getRelayHealthSettings, refreshRelayInfo, selectRelays, addRelay, removeRelay, isValidRelayUrl } = require('../../lib/relayHealth');
+const { parseRelays, broadcastEvent } = require('../../lib/nostr');
+const { loadEvent, loadRecentEvents, getQueueSummary, rememberPublishedEvent, getRebroadcastSettings } = require('../../lib/rebroadcast');
+const { getAnnouncementTargets } = require('../../lib/announcements');
+const { publishIdentity } = require('../../lib/identity');
+const { setSecurityHeaders } = require('../../lib/security');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Validate admin token
+    const adminToken = req.headers['x-api-key'];
+    if (!adminToken || adminToken !== process.env.ADMIN_TOKEN) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized: Invalid admin token',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`StrichBot v${versionInfo.fullVersion}: Admin relays access (IP: ${req.headers['x-forwarded-for'] || req.connection?.remoteAddress})`);
+
+    if (req.method === 'GET') {
+      const configuredRelays = parseRelays(process.env.NOSTR_RELAYS);
+
+      // NIP-11 documents are fetched here rather than on publish; at most once a day per relay
+      try {
+        await refreshRelayInfo();
+      } catch (error) {
+        console.error('Error refreshing relay info:', error.message);
+      }
+
+      const relays = await getRelayHealth(configuredRelays);
+      const selected = await selectRelays(configuredRelays);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          relays: relays.map(relay => ({ ...relay, selected: selected.includes(relay.url) })),
+          selected,
+          settings: getRelayHealthSettings(),
+          rebroadcast: {
+            queue: await getQueueSummary(),
+            recentEvents: await loadRecentEvents(10),
+            settings: getRebroadcastSettings()
+          }
+        },
+        version: versionInfo.fullVersion,
+        timestamp: new Date().toISOString()
+      });
+
+    } else if (req.method === 'POST') {
+      const { action, url, eventId } = req.body;
+
+      switch (action) {
+        case 'add':
+          return await handleAdd(req, res, url);
+
+        case 'remove':
+          return await handleRemove(req, res, url);
+
+        case 'rebroadcast':
+          return await handleRebroadcast(req, res, eventId);
+
+        default:
+          return res.status(400).json({
+            success: false,
+            error: action ? `Unknown action: ${action}` : 'Action parameter is required',
+            supportedActions: ['add', 'remove', 'rebroadcast'],
+            timestamp: new Date().toISOString()
+          });
+      }
+
+    } else {
+      return res.status(405).json({
+        success: false,
+        error: 'Method not allowed',
+        allowed: ['GET', 'POST'],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in admin relays endpoint:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Re-publish the bot's relay list and profile after the relays changed
+ * Skips confirming the events on the relays so the request stays within maxDuration
+ * @returns {Promise<Object>} { published, relays } or { published: false, error }
+ */
+async function republishIdentity() {
+  try {
+    const { relays } = await publishIdentity({ verify: false });
+    return { published: true, relays };
+  } catch (error) {
+    console.error('Error re-publishing relay list:', error);
+    return { published: false, error: error.message };
+  }
+}
+
+/**
+ * Handle adding a relay, or restoring a removed or demoted one
+ */
+async function handleAdd(req, res, url) {
+  const relayUrl = typeof url === 'string' ? url.trim() : url;
+
+  if (!isValidRelayUrl(relayUrl)) {
+    return res.status(400).json({
+      success: false,
+      error: 'url must be a wss:// or ws:// relay URL',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const added = await addRelay(relayUrl);
+
+  if (!added) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save relay to database',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`Relay ${relayUrl} added by admin`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Relay ${relayUrl} added`,
+    identity: await republishIdentity(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle removing a relay
+ */
+async function handleRemove(req, res, url) {
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      error: 'url is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const removed = await removeRelay(url);
+
+  if (!removed) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove relay',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`Relay ${url} removed by admin`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Relay ${url} removed`,
+    identity: await republishIdentity(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Handle sending a stored event to all current relays again
+ */
+async function handleRebroadcast(req, res, eventId) {
+  if (typeof eventId !== 'string' || !/^[0-9a-f]{64}$/.test(eventId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'eventId must be a 64 character hex event ID',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const event = await loadEvent(eventId);
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      error: `Event ${eventId} was not published by StrichBot or was published before events were stored`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Default relays plus community relays, so every relay StrichBot posts to gets the event
+  const { relays } = await getAnnouncementTargets();
+  const { results, confirmation } = await broadcastEvent(event, relays);
+  const queued = await rememberPublishedEvent(event, results);
+
+  console.log(`Event ${eventId} rebroadcast by admin to ${relays.length} relays (${queued} queued for retry)`);
+
+  return res.status(200).json({
+    success: true,
+    message: `Event rebroadcast to ${results.filter(r => r.success).length}/${relays.length} relays`,
+    data: {
+      eventId,
+      results,
+      confirmation,
+      queued
+    },
+    timestamp: new Date().toISOString()
+  });
+}
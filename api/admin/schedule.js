@@ -12,6 +12,8 @@ import {
   updateVercelConfig
 } from '../../lib/scheduler.js';
 import { securityMiddleware, setSecurityHeaders } from '../../lib/security.js';
+import { normalizeDisplaySettings } from '../../lib/prices.js';
+import { normalizeAlertSettings } from '../../lib/adminAlerts.js';
 
 const versionInfo = { fullVersion: '1.0.0' };
 
@@ -75,7 +77,58 @@ export default async function handler(req, res) {
     } else if (req.method === 'POST') {
       // Update schedule configuration
       try {
-        const { schedules, updateVercel = false } = req.body;
+        const { schedules, categories, announcements, display, alerts, updateVercel = false } = req.body;
+
+        // Category, announcement, display and alert settings from the admin panel are merged into the stored config
+        if (!schedules && (categories || announcements || display || alerts)) {
+          const alertSettings = alerts && normalizeAlertSettings(alerts);
+          if (alertSettings?.errors.length > 0) {
+            return res.status(400).json({
+              success: false,
+              error: 'Invalid alert settings',
+              details: alertSettings.errors,
+              timestamp: new Date().toISOString()
+            });
+          }
+
+          const current = await loadScheduleConfig();
+          const saved = await saveScheduleConfig({
+            ...current,
+            ...(categories && { categories }),
+            ...(announcements && { announcements }),
+            ...(display && {
+              display: {
+                nostr: normalizeDisplaySettings(display.nostr),
+                telegram: normalizeDisplaySettings(display.telegram)
+              }
+            }),
+            ...(alertSettings && { alerts: alertSettings.alerts })
+          });
+
+          if (!saved) {
+            return res.status(500).json({
+              success: false,
+              error: 'Failed to save schedule configuration to database',
+              timestamp: new Date().toISOString()
+            });
+          }
+
+          return res.status(200).json({
+            success: true,
+            message: 'Posting settings saved successfully',
+            data: {
+              saved: true,
+              updated: {
+                categories: !!categories,
+                announcements: !!announcements,
+                display: !!display,
+                alerts: !!alerts
+              }
+            },
+            version: versionInfo.fullVersion,
+            timestamp: new Date().toISOString()
+          });
+        }
 
         if (!schedules) {
           return res.status(400).json({
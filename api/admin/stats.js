@@ -9,8 +9,14 @@ const {
   exportToCSV,
   cleanupOldData,
   loadStatsRange,
+  loadMemberHistory,
+  diffMemberSnapshots,
   RETENTION_DAYS
 } = require('../../lib/dataStore');
+const { loadOpenRequests, getStuckThresholdDays, isStuck } = require('../../lib/pendingRequests');
+const { getSourceHealth } = require('../../lib/sourceHealth');
+const { getMempoolApiUrl } = require('../../lib/mempool');
+const { isRpcConfigured } = require('../../lib/bitcoinRpc');
 const { securityMiddleware, setSecurityHeaders } = require('../../lib/security');
 
 const versionInfo = { fullVersion: '1.0.0' };
@@ -83,7 +89,7 @@ module.exports = async function handler(req, res) {
     } else if (req.method === 'POST') {
       // Handle various data operations
       try {
-        const { action, startDate, endDate } = req.body;
+        const { action, startDate, endDate, pubkey, communityId } = req.body;
 
         if (!action) {
           return res.status(400).json({
@@ -103,11 +109,23 @@ module.exports = async function handler(req, res) {
           case 'range':
             return await handleRange(req, res, startDate, endDate);
 
+          case 'member-history':
+            return await handleMemberHistory(req, res, pubkey, communityId);
+
+          case 'member-diff':
+            return await handleMemberDiff(req, res, startDate, endDate, communityId);
+
+          case 'pending-requests':
+            return await handlePendingRequests(req, res, communityId);
+
+          case 'source-health':
+            return await handleSourceHealth(req, res);
+
           default:
             return res.status(400).json({
               success: false,
               error: `Unknown action: ${action}`,
-              supportedActions: ['export', 'cleanup', 'range'],
+              supportedActions: ['export', 'cleanup', 'range', 'member-history', 'member-diff', 'pending-requests', 'source-health'],
               timestamp: new Date().toISOString()
             });
         }
@@ -272,4 +290,147 @@ async function handleRange(req, res, startDate, endDate) {
       timestamp: new Date().toISOString()
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Handle loading the daily history of a single member node
+ * Without a communityId the community from COMMUNITY_ID is used
+ */
+async function handleMemberHistory(req, res, pubkey, communityId) {
+  if (!pubkey) {
+    return res.status(400).json({
+      success: false,
+      error: 'pubkey is required for member history',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const history = await loadMemberHistory(pubkey, communityId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Member history retrieved successfully',
+      data: {
+        pubkey,
+        history,
+        count: history.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Member history error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Member history query failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle diffing member snapshots between two dates
+ * Without a communityId the community from COMMUNITY_ID is used
+ */
+async function handleMemberDiff(req, res, startDate, endDate, communityId) {
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'Both startDate and endDate are required for member diff',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD format.');
+    }
+
+    const diff = await diffMemberSnapshots(start, end, communityId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Member diff retrieved successfully',
+      data: diff,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Member diff error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Member diff failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle listing open join requests with how long they have been waiting
+ */
+async function handlePendingRequests(req, res, communityId) {
+  try {
+    const stuckDays = getStuckThresholdDays();
+    const now = new Date();
+    const requests = await loadOpenRequests(communityId || process.env.COMMUNITY_ID);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Pending requests retrieved successfully',
+      data: {
+        requests: requests.map(request => ({
+          ...request,
+          openDays: Math.floor((now - request.firstSeen) / (24 * 60 * 60 * 1000)),
+          stuck: isStuck(request, stuckDays, now)
+        })),
+        count: requests.length,
+        stuckDays
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Pending requests error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Pending requests query failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Handle block data source health request
+ */
+async function handleSourceHealth(req, res) {
+  try {
+    const sources = await getSourceHealth();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Source health retrieved successfully',
+      data: {
+        sources,
+        mempoolApiUrl: getMempoolApiUrl(),
+        rpcFallbackConfigured: isRpcConfigured()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Source health error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Source health query failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
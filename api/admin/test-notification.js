@@ -6,7 +6,10 @@
 const { setSecurityHeaders } = require('../../lib/security');
 const { sendMessage, validateTelegramConfig } = require('../../lib/telegram');
 const { publishEvent, parseRelays } = require('../../lib/nostr');
-const { fetchCommunityStats } = require('../../lib/amboss');
+const { describeSigner } = require('../../lib/signer');
+const { fetchCommunityStats, getAmbossApiKey } = require('../../lib/amboss');
+const { checkSchemaDrift, sendSchemaDriftAlert } = require('../../lib/schemaDrift');
+const { ALERT_TYPES, checkAlertDelivery } = require('../../lib/adminAlerts');
 const { fetchBlockData } = require('../../lib/mempool');
 const { generateWeeklyReport, formatTrendReportForNostr, formatTrendReportForTelegram } = require('../../lib/trendAnalysis');
 
@@ -53,7 +56,7 @@ module.exports = async function handler(req, res) {
       return res.status(400).json({
         success: false,
         error: 'Test type is required',
-        supportedTypes: ['telegram', 'nostr', 'api-test', 'health-check'],
+        supportedTypes: ['telegram', 'nostr', 'nostr-dm', 'api-test', 'schema-check', 'health-check'],
         timestamp: new Date().toISOString()
       });
     }
@@ -65,9 +68,15 @@ module.exports = async function handler(req, res) {
       case 'nostr':
         return await handleNostrTest(req, res);
 
+      case 'nostr-dm':
+        return await handleNostrDmTest(req, res);
+
       case 'api-test':
         return await handleApiTest(req, res);
 
+      case 'schema-check':
+        return await handleSchemaCheck(req, res);
+
       case 'health-check':
         return await handleHealthCheck(req, res);
 
@@ -75,7 +84,7 @@ module.exports = async function handler(req, res) {
         return res.status(400).json({
           success: false,
           error: `Unknown test type: ${type}`,
-          supportedTypes: ['telegram', 'nostr', 'api-test', 'health-check'],
+          supportedTypes: ['telegram', 'nostr', 'nostr-dm', 'api-test', 'schema-check', 'health-check'],
           timestamp: new Date().toISOString()
         });
     }
@@ -154,26 +163,29 @@ If you received this message, Telegram integration is working correctly! ✅`;
 async function handleNostrTest(req, res) {
   try {
     const { publishEvent, parseRelays } = await import('../../lib/nostr.js');
+    const { selectRelays } = await import('../../lib/relayHealth.js');
+    const { getSigner, createLocalSigner, getSignerSettings } = await import('../../lib/signer.js');
     const { useTestProfile } = req.body;
-    const nsec = useTestProfile && process.env.NOSTR_TEST_NSEC
-      ? process.env.NOSTR_TEST_NSEC
-      : process.env.NOSTR_NSEC;
     const relayString = process.env.NOSTR_RELAYS;
 
-    if (!nsec) {
+    // The test profile always signs locally; production signs through the configured backend
+    if (useTestProfile ? !process.env.NOSTR_TEST_NSEC : !getSignerSettings().type) {
       return res.status(400).json({
         success: false,
         error: useTestProfile
           ? 'NOSTR_TEST_NSEC environment variable not configured'
-          : 'NOSTR_NSEC environment variable not configured',
+          : 'NOSTR_NSEC or NOSTR_BUNKER_URI environment variable not configured',
         timestamp: new Date().toISOString()
       });
     }
 
-    if (!nsec.startsWith('nsec1')) {
+    let signer;
+    try {
+      signer = useTestProfile ? createLocalSigner(process.env.NOSTR_TEST_NSEC) : await getSigner();
+    } catch (signerError) {
       return res.status(400).json({
         success: false,
-        error: 'Nostr private key must be in nsec1 format',
+        error: signerError.message,
         timestamp: new Date().toISOString()
       });
     }
@@ -187,17 +199,18 @@ This is a test note from the StrichBot admin interface.
 ⚡ Bot Status: Online
 🤖 Version: ${versionInfo.fullVersion}
 👤 Profile: ${profileType}
+🔑 Signer: ${signer.type}
 📅 Test Time: ${new Date().toISOString().replace('T', ' ').substring(0, 16)} UTC
 
 If you see this note, Nostr integration is working correctly! ✅
 
 #lightning #nostr #test`;
 
-    // Parse relays
-    const relays = parseRelays(relayString);
+    // Use the same relays as scheduled posts
+    const relays = await selectRelays(parseRelays(relayString));
 
     // Publish test event
-    const result = await publishEvent(nsec, testMessage, relays, [
+    const result = await publishEvent(signer, testMessage, relays, [
       ['t', 'lightning'],
       ['t', 'nostr'],
       ['t', 'test'],
@@ -209,9 +222,11 @@ If you see this note, Nostr integration is working correctly! ✅
       message: 'Test Nostr event published successfully',
       data: {
         eventId: result.eventId,
+        signer: signer.type,
         publishedTo: result.publishedTo,
         totalRelays: result.totalRelays,
         relayResults: result.results,
+        confirmation: result.confirmation,
         testTime: new Date().toISOString()
       },
       timestamp: new Date().toISOString()
@@ -228,12 +243,83 @@ If you see this note, Nostr integration is working correctly! ✅
   }
 }
 
+/**
+ * Send a NIP-17 test DM to every admin npub configured for alerts
+ */
+async function handleNostrDmTest(req, res) {
+  try {
+    const { parseRelays } = await import('../../lib/nostr.js');
+    const { selectRelays } = await import('../../lib/relayHealth.js');
+    const { getSigner, getSignerSettings } = await import('../../lib/signer.js');
+    const { loadAlertSettings } = await import('../../lib/adminAlerts.js');
+    const { decodeRecipient, sendDirectMessage } = await import('../../lib/nostrDm.js');
+
+    const { npubs } = await loadAlertSettings();
+
+    if (npubs.length === 0 || !getSignerSettings().type) {
+      return res.status(400).json({
+        success: false,
+        error: npubs.length === 0
+          ? 'No admin npubs configured for Nostr alerts'
+          : 'NOSTR_NSEC or NOSTR_BUNKER_URI environment variable not configured',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const signer = await getSigner();
+    const relays = await selectRelays(parseRelays(process.env.NOSTR_RELAYS));
+    const testMessage = `🧪 StrichBot Admin Test
+
+This is a test DM from the StrichBot admin interface.
+
+🤖 Version: ${versionInfo.fullVersion}
+🔑 Signer: ${signer.type}
+📅 Test Time: ${new Date().toISOString().replace('T', ' ').substring(0, 16)} UTC
+
+If you see this message, admin alerts over Nostr DM are working correctly! ✅`;
+
+    const results = [];
+    for (const npub of npubs) {
+      try {
+        results.push({ success: true, ...(await sendDirectMessage(signer, decodeRecipient(npub), testMessage, relays)) });
+      } catch (dmError) {
+        results.push({ success: false, recipient: npub, error: dmError.message });
+      }
+    }
+
+    const delivered = results.filter(result => result.success).length;
+    if (delivered === 0) {
+      throw new Error(results.map(result => result.error).join('; '));
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Test DM sent to ${delivered}/${npubs.length} admin npubs`,
+      data: {
+        signer: signer.type,
+        results,
+        testTime: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Nostr DM test error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Nostr DM test failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
 /**
  * Test API connectivity
  */
 async function handleApiTest(req, res) {
   try {
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
+    const ambossApiKey = await getAmbossApiKey();
     const communityId = process.env.COMMUNITY_ID;
 
     if (!ambossApiKey || !communityId) {
@@ -281,6 +367,55 @@ async function handleApiTest(req, res) {
   }
 }
 
+/**
+ * Check the Amboss schema for drift and alert admins if fields changed
+ */
+async function handleSchemaCheck(req, res) {
+  try {
+    const ambossApiKey = await getAmbossApiKey();
+
+    if (!ambossApiKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amboss API key not configured',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await checkSchemaDrift(ambossApiKey);
+
+    // Same alert as the scheduled check, so admins can see what it looks like
+    let alertSent = false;
+    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    const adminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+    if (!result.ok && (await checkAlertDelivery(ALERT_TYPES.SCHEMA_DRIFT, { botToken, chatId: adminChatId })).deliverable) {
+      await sendSchemaDriftAlert(botToken, adminChatId, result.drift);
+      alertSent = true;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: result.ok
+        ? `Amboss schema unchanged (${result.checkedFields} fields checked)`
+        : `Amboss schema drift detected in ${result.drift.length} fields`,
+      data: {
+        ...result,
+        alertSent
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Schema check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Schema check failed',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
 /**
  * Comprehensive health check
  */
@@ -293,7 +428,7 @@ async function handleHealthCheck(req, res) {
 
   // Test Amboss API
   try {
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
+    const ambossApiKey = await getAmbossApiKey();
     const communityId = process.env.COMMUNITY_ID;
 
     if (ambossApiKey && communityId) {
@@ -319,8 +454,8 @@ async function handleHealthCheck(req, res) {
   try {
     const blockData = await fetchBlockData();
     healthResults.checks.mempool = {
-      status: blockData ? 'healthy' : 'failed',
-      details: blockData ? `Block height: ${blockData.height}` : 'No block data returned'
+      status: blockData?.height ? 'healthy' : 'failed',
+      details: blockData?.height ? `Block height: ${blockData.height}` : 'No block height returned'
     };
   } catch (error) {
     healthResults.checks.mempool = {
@@ -348,12 +483,12 @@ async function handleHealthCheck(req, res) {
 
   // Check Nostr configuration
   try {
-    const nsec = process.env.NOSTR_NSEC;
     const relays = parseRelays(process.env.NOSTR_RELAYS);
+    const signer = describeSigner();
 
     healthResults.checks.nostr = {
-      status: nsec && nsec.startsWith('nsec1') ? 'configured' : 'invalid',
-      details: `${relays.length} relays configured, key format: ${nsec ? (nsec.startsWith('nsec1') ? 'valid' : 'invalid') : 'missing'}`
+      status: signer.valid ? 'configured' : 'invalid',
+      details: `${relays.length} relays configured, signer: ${signer.details}`
     };
   } catch (error) {
     healthResults.checks.nostr = {
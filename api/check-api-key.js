@@ -9,8 +9,8 @@ import { getApiKeyConfig } from '../lib/apiKeyConfig.js';
 const versionInfo = { fullVersion: '1.0.0' };
 
 export default async function handler(req, res) {
-  const { checkKeyExpiration, sendExpirationWarning, shouldSendNotification, loadNotificationState } = await import('../lib/keyMonitor.js');
-  const { validateTelegramConfig } = await import('../lib/telegram.js');
+  const { checkKeyExpiration, sendExpirationWarning, shouldSendNotification, loadNotificationState, rotateExpiringKey } = await import('../lib/keyMonitor.js');
+  const { ALERT_TYPES, checkAlertDelivery } = await import('../lib/adminAlerts.js');
   try {
     // Apply security headers
     setSecurityHeaders(res);
@@ -67,14 +67,14 @@ export default async function handler(req, res) {
       hasTelegramConfig: !!(telegramBotToken && telegramChatId)
     });
 
-    // Validate Telegram configuration
-    const telegramValidation = validateTelegramConfig(telegramBotToken, telegramChatId);
-    if (!telegramValidation.valid) {
-      console.error('Telegram configuration invalid:', telegramValidation.errors);
+    // Expiry warnings go to Telegram, Nostr DM or both, as chosen in the admin panel
+    const delivery = await checkAlertDelivery(ALERT_TYPES.KEY_EXPIRY, { botToken: telegramBotToken, chatId: telegramChatId });
+    if (!delivery.deliverable) {
+      console.error('No admin alert channel configured:', delivery.problems);
       return res.status(400).json({
         success: false,
-        error: 'Invalid Telegram configuration for admin notifications',
-        details: telegramValidation.errors
+        error: 'No admin alert channel configured for key expiry alerts',
+        details: delivery.problems
       });
     }
 
@@ -107,6 +107,35 @@ export default async function handler(req, res) {
       urgency: checkResult.urgency
     });
 
+    // Switch to the next valid key before the active one runs out
+    const rotation = await rotateExpiringKey(checkResult);
+
+    if (rotation.rotated) {
+      console.log(`API key rotated from ${rotation.previousKey} to ${rotation.activeKey.keyName}`);
+
+      return res.status(200).json({
+        success: true,
+        message: `API key rotated - ${rotation.activeKey.keyName} is now active`,
+        data: {
+          expiration: {
+            daysUntilExpiry: checkResult.daysUntilExpiry,
+            urgency: checkResult.urgency || 'none',
+            expired: checkResult.expired || false
+          },
+          rotation: {
+            previousKey: rotation.previousKey,
+            activeKey: rotation.activeKey.keyName
+          },
+          notification: {
+            sent: !!rotation.notice,
+            reason: rotation.notice ? 'Key rotation notice sent to admins' : 'Key rotation notice could not be sent'
+          },
+          version: versionInfo.fullVersion
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Load notification state to prevent duplicates
     const notificationState = loadNotificationState();
 
@@ -130,8 +159,10 @@ export default async function handler(req, res) {
             },
             notification: {
               sent: true,
+              route: warningResult.route,
               messageId: warningResult.messageId,
-              chatId: warningResult.chatId
+              chatId: warningResult.chatId,
+              nostrRecipients: warningResult.nostr.map(dm => dm.recipient)
             },
             version: versionInfo.fullVersion
           },
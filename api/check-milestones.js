@@ -0,0 +1,131 @@
+/**
+ * Vercel serverless function for block-height milestone posts
+ * Posts countdowns as registered milestones get close and a celebration once they are mined
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { fetchBlockHeight } = require('../lib/mempool');
+const { broadcastAnnouncement } = require('../lib/announcements');
+const {
+  loadMilestones,
+  markCountdownPosted,
+  markMilestoneReached,
+  getDueAnnouncement,
+  formatCountdownMessage,
+  formatCountdownMessageForTelegram,
+  formatMilestoneReachedMessage,
+  formatMilestoneReachedMessageForTelegram
+} = require('../lib/milestones');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Starting milestone check (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const height = await fetchBlockHeight();
+
+    if (height === null) {
+      return res.status(503).json({
+        success: false,
+        error: 'Block height unavailable from every configured source',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const milestones = await loadMilestones(true);
+    const posts = [];
+
+    for (const milestone of milestones) {
+      const due = getDueAnnouncement(milestone, height);
+      if (!due) continue;
+
+      const key = due.type === 'reached' ? `milestone:${milestone.id}:reached` : `milestone:${milestone.id}:countdown:${due.blocks}`;
+      const results = due.type === 'reached'
+        ? await broadcastAnnouncement(
+          formatMilestoneReachedMessage(milestone),
+          formatMilestoneReachedMessageForTelegram(milestone),
+          [['t', 'bitcoin'], ['t', 'blockheight']],
+          key
+        )
+        : await broadcastAnnouncement(
+          formatCountdownMessage(milestone, height),
+          formatCountdownMessageForTelegram(milestone, height),
+          [['t', 'bitcoin'], ['t', 'blockheight']],
+          key
+        );
+
+      // Leave the post due until every platform has it; the next run only retries the ones that missed it
+      if (results.complete) {
+        if (due.type === 'reached') {
+          await markMilestoneReached(milestone.id);
+        } else {
+          await markCountdownPosted(milestone.id, due.blocks);
+        }
+      }
+
+      const status = results.complete ? 'sent' : results.delivered ? 'partly sent' : 'failed';
+      console.log(`Milestone ${milestone.name} (${milestone.height}): ${due.type} post ${status}`);
+      posts.push({ milestone: milestone.name, height: milestone.height, ...due, delivered: results.complete, results });
+    }
+
+    return res.status(200).json({
+      success: posts.every(post => post.delivered),
+      message: posts.length > 0
+        ? `${posts.filter(post => post.delivered).length} of ${posts.length} milestone posts sent`
+        : `No milestone posts due at block ${height}`,
+      data: {
+        height,
+        pendingMilestones: milestones.length,
+        posts,
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in milestone check:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
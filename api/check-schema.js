@@ -0,0 +1,121 @@
+/**
+ * Vercel serverless function to check the Amboss GraphQL schema for drift
+ * This function is triggered by a daily cron job
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { getAmbossApiKey } = require('../lib/amboss');
+const { checkSchemaDrift, sendSchemaDriftAlert } = require('../lib/schemaDrift');
+const { ALERT_TYPES, checkAlertDelivery } = require('../lib/adminAlerts');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Starting Amboss schema check (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const ambossApiKey = await getAmbossApiKey();
+    const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
+    const telegramAdminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+
+    if (!ambossApiKey) {
+      console.error('AMBOSS_API_KEY environment variable is required');
+      return res.status(400).json({
+        success: false,
+        error: 'AMBOSS_API_KEY environment variable is required'
+      });
+    }
+
+    // Drift alerts go to Telegram, Nostr DM or both, as chosen in the admin panel
+    const delivery = await checkAlertDelivery(ALERT_TYPES.SCHEMA_DRIFT, { botToken: telegramBotToken, chatId: telegramAdminChatId });
+    if (!delivery.deliverable) {
+      console.error('No admin alert channel configured:', delivery.problems);
+      return res.status(400).json({
+        success: false,
+        error: 'No admin alert channel configured for schema drift alerts',
+        details: delivery.problems
+      });
+    }
+
+    const result = await checkSchemaDrift(ambossApiKey);
+
+    if (result.ok) {
+      return res.status(200).json({
+        success: true,
+        message: `Amboss schema unchanged (${result.checkedFields} fields checked)`,
+        data: {
+          ...result,
+          notification: { sent: false },
+          version: versionInfo.fullVersion
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log('Amboss schema drift detected:', result.drift);
+
+    const alertResult = await sendSchemaDriftAlert(telegramBotToken, telegramAdminChatId, result.drift);
+
+    return res.status(200).json({
+      success: true,
+      message: `Amboss schema drift detected in ${result.drift.length} fields - admins notified`,
+      data: {
+        ...result,
+        notification: {
+          sent: true,
+          route: alertResult.route,
+          messageId: alertResult.messageId,
+          chatId: alertResult.chatId,
+          nostrRecipients: alertResult.nostr.map(dm => dm.recipient)
+        },
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in Amboss schema check:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Vercel serverless function for low-fee "good time to open channels" alerts
+ * Checks the next-block fee rate and posts to Nostr and Telegram when it drops below LOW_FEE_THRESHOLD
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { fetchRecommendedFees } = require('../lib/mempool');
+const { broadcastAnnouncement, alertAnnouncementFailures } = require('../lib/announcements');
+const {
+  getFeeAlertSettings,
+  getLastFeeAlert,
+  recordFeeAlert,
+  checkFeeAlert,
+  formatLowFeeMessage,
+  formatLowFeeMessageForTelegram
+} = require('../lib/feeAlerts');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Starting low-fee check (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const settings = getFeeAlertSettings();
+    const fees = await fetchRecommendedFees();
+    const lastAlert = await getLastFeeAlert();
+    const decision = checkFeeAlert(fees, lastAlert, settings);
+
+    if (!decision.send) {
+      console.log(`No low-fee alert: ${decision.reason}`);
+
+      return res.status(200).json({
+        success: true,
+        message: decision.reason,
+        data: {
+          fees,
+          threshold: settings.threshold,
+          cooldownHours: settings.cooldownHours,
+          lastAlertAt: lastAlert ? lastAlert.sentAt.toISOString() : null,
+          sent: false,
+          version: versionInfo.fullVersion
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.log(`Sending low-fee alert: ${decision.reason}`);
+
+    // The key only changes once an alert is recorded, so a rerun before that never posts twice to the same place
+    const lastSentAt = lastAlert ? lastAlert.sentAt.getTime() : 0;
+    const results = await broadcastAnnouncement(
+      formatLowFeeMessage(fees),
+      formatLowFeeMessageForTelegram(fees),
+      [['t', 'fees']],
+      `low-fee:${lastSentAt}`
+    );
+
+    if (!results.delivered) {
+      return res.status(500).json({
+        success: false,
+        error: 'Low-fee alert could not be delivered to Nostr or Telegram',
+        data: { fees, results },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Start the cooldown once the alert reached someone; admins hear about the platforms it missed
+    const telegramChats = results.telegram.filter(result => result.success).length;
+    await recordFeeAlert(fees.fastest, settings.threshold, results.nostr?.eventId || null, telegramChats);
+    const failureAlert = await alertAnnouncementFailures('Low-fee alert', results);
+
+    return res.status(200).json({
+      success: true,
+      message: `Low-fee alert sent (${fees.fastest} sat/vB)`,
+      data: {
+        fees,
+        threshold: settings.threshold,
+        cooldownHours: settings.cooldownHours,
+        sent: true,
+        complete: results.complete,
+        results,
+        failureAlert,
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in low-fee check:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Vercel serverless function for answering Nostr commands
+ * Listens for mentions of the bot for a short while and answers the commands in them,
+ * catching up on mentions from the lookback window. It has no Vercel cron: call it from an
+ * external scheduler at least once per lookback window, or run scripts/command-bot.js instead
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { parseRelays } = require('../lib/nostr');
+const { selectRelays } = require('../lib/relayHealth');
+const { getSigner } = require('../lib/signer');
+const { listenForCommands, getCommandSettings, COMMAND_STATUSES } = require('../lib/commandBot');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+// Keep listening for new mentions well within the 60s function limit
+const LISTEN_MS = 30 * 1000;
+
+// No reply is started after this, so the one in progress (up to ~18s) finishes before maxDuration
+const REPLY_DEADLINE_MS = 38 * 1000;
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Listening for Nostr commands (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const deadline = Date.now() + REPLY_DEADLINE_MS;
+    const signer = await getSigner();
+    const relays = await selectRelays(parseRelays(process.env.NOSTR_RELAYS));
+
+    const listener = await listenForCommands({ signer, relays, deadline });
+    await new Promise(resolve => setTimeout(resolve, LISTEN_MS));
+    const handled = await listener.stop();
+
+    const replied = handled.filter(command => command.status === COMMAND_STATUSES.REPLIED).length;
+
+    return res.status(200).json({
+      success: true,
+      message: `Answered ${replied} of ${handled.length} commands`,
+      data: {
+        listening: listener.listening,
+        commands: handled,
+        settings: getCommandSettings(),
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error answering Nostr commands:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Vercel serverless function for long-form Nostr reports
+ * Publishes each community's weekly or monthly report as a NIP-23 article with a short teaser note
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { parseRelays } = require('../lib/nostr');
+const { selectRelays } = require('../lib/relayHealth');
+const { getSigner } = require('../lib/signer');
+const { getCommunitiesForPlatform } = require('../lib/communities');
+const { REPORT_TYPES, publishReport } = require('../lib/longform');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const type = req.query?.type || req.body?.type || 'weekly';
+    const dateParam = req.query?.date || req.body?.date;
+
+    if (!REPORT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${REPORT_TYPES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (dateParam && !/^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be in YYYY-MM-DD format',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Any day in the period to report on; the monthly cron runs on the 1st, so it reports on the month that just ended
+    const date = dateParam ? new Date(`${dateParam}T00:00:00`) : new Date();
+    if (!dateParam && type === 'monthly') {
+      date.setDate(date.getDate() - 1);
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Starting ${type} long-form report (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const signer = await getSigner();
+    const communities = await getCommunitiesForPlatform('nostr');
+    const defaultRelays = await selectRelays(parseRelays(process.env.NOSTR_RELAYS));
+    const results = [];
+
+    for (const community of communities) {
+      const relays = community.relays.length > 0 ? community.relays : defaultRelays;
+
+      try {
+        const result = await publishReport(type, { signer, community, relays, date });
+        results.push({ communityId: community.communityId, name: community.name, ...result });
+      } catch (reportError) {
+        console.error(`Error publishing ${type} report for ${community.name}:`, reportError);
+        results.push({ communityId: community.communityId, name: community.name, published: false, error: reportError.message });
+      }
+    }
+
+    const published = results.filter(result => result.published).length;
+
+    return res.status(200).json({
+      success: true,
+      message: `${type} report published for ${published}/${communities.length} communities`,
+      data: {
+        type,
+        results,
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in long-form report:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
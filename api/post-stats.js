@@ -1,13 +1,22 @@
 /**
  * Vercel serverless function to post Nodestrich statistics to Nostr
- * This function is called by Vercel cron jobs every 6 hours
+ * This function is called by Vercel cron jobs and posts once per registered community
  */
 
-const { fetchCommunityStats } = require('../lib/amboss');
+const { AMBOSS_ERRORS, getAmbossApiKey, getRunDeadline } = require('../lib/amboss');
+const { fetchStatsResult, getDataSource } = require('../lib/dataSource');
 const { publishEvent, formatStatsMessage, parseRelays } = require('../lib/nostr');
 const { securityMiddleware, setSecurityHeaders } = require('../lib/security');
 const { fetchBlockData } = require('../lib/mempool');
+const { fetchBtcPrices, getDisplaySettings } = require('../lib/prices');
+const { selectRelays } = require('../lib/relayHealth');
+const { getSigner } = require('../lib/signer');
+const { syncIdentity } = require('../lib/identity');
 const { storeStats, cleanupOldData } = require('../lib/dataStore');
+const { getCommunitiesForPlatform } = require('../lib/communities');
+const { ANNOUNCEMENT_CHANNELS, detectMemberChanges, markChangesAnnounced, isWelcomeEnabled, publishWelcome } = require('../lib/memberChanges');
+const { sendAmbossFailureAlert } = require('../lib/ambossAlerts');
+const { ALERT_TYPES, checkAlertDelivery, sendAdminAlert, formatPostFailureAlert } = require('../lib/adminAlerts');
 
 
 // Optional version info - fallback if file doesn't exist
@@ -62,116 +71,298 @@ module.exports = async function handler(req, res) {
   const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
   console.log(`StrichBot v${versionInfo.fullVersion}: Starting statistics posting job (${authStatus}, IP: ${securityCheck.clientIp})`);
 
+  // Amboss requests for all communities stop by this time, leaving room to post and alert before maxDuration
+  const ambossDeadline = getRunDeadline();
+
   try {
     // Get environment variables
-    const nsec = process.env.NOSTR_NSEC;
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
-    const communityId = process.env.COMMUNITY_ID;
+    const ambossApiKey = await getAmbossApiKey();
     const relayString = process.env.NOSTR_RELAYS;
 
-    // Validate required environment variables
-    if (!nsec) {
-      throw new Error('NOSTR_NSEC environment variable is required');
-    }
-
-    if (!nsec.startsWith('nsec1')) {
-      throw new Error('NOSTR_NSEC must be in nsec1 format');
-    }
+    // Sign with the local key or the NIP-46 bunker, whichever is configured
+    const signer = await getSigner();
 
     console.log('StrichBot: Environment variables validated');
 
+    // Load the communities that post to Nostr
+    const communities = await getCommunitiesForPlatform('nostr');
 
-    // Fetch statistics from Amboss
-    console.log('StrichBot: Fetching statistics from Amboss...');
-    const stats = await fetchCommunityStats(ambossApiKey, communityId);
-
-    // If no stats returned (API failed or no credentials), skip posting
-    if (!stats) {
-      console.log('StrichBot: No statistics available - skipping post');
+    if (communities.length === 0) {
+      console.log('StrichBot: No communities configured for Nostr - skipping post');
       return res.status(200).json({
         success: true,
-        message: 'No statistics available - post skipped',
-        reason: 'API unavailable or no credentials provided',
+        message: 'No communities configured - post skipped',
+        reason: 'Community registry is empty and COMMUNITY_ID is not set',
         timestamp: new Date().toISOString()
       });
     }
 
-    console.log('StrichBot: Statistics fetched:', stats);
+    console.log(`StrichBot: Posting for ${communities.length} communities`);
 
-    // Fetch Bitcoin block height
+    // Fetch Bitcoin block height once for all communities
     console.log('StrichBot: Fetching Bitcoin block height...');
     const blockData = await fetchBlockData();
 
-    if (blockData) {
+    if (blockData?.height) {
       console.log('StrichBot: Block data fetched:', { height: blockData.height });
     } else {
       console.log('StrichBot: Block height unavailable, continuing without it');
     }
 
+    // BTC prices for the fiat value of capacity, shown in the units chosen in the admin panel
+    const prices = await fetchBtcPrices();
+    const display = { ...await getDisplaySettings('nostr'), prices };
+
+    // Leave out relays that were removed in the admin panel or keep failing
+    const defaultRelays = await selectRelays(parseRelays(relayString));
+    const welcomeEnabled = await isWelcomeEnabled();
+    const results = [];
+
+    for (const community of communities) {
+      results.push(await postCommunityStats(community, { signer, ambossApiKey, ambossDeadline, blockData, display, defaultRelays, welcomeEnabled }));
+    }
+
+    // Re-publish the profile and relay list when NOSTR_RELAYS changed since the last relay list
+    try {
+      const identity = await syncIdentity();
+      if (identity) {
+        console.log(`StrichBot: Relay list changed, re-published to ${identity.relays.length} relays`);
+      }
+    } catch (identityError) {
+      console.error('StrichBot: Error syncing relay list:', identityError);
+    }
+
+    // Clean up old data (run occasionally)
+    if (Math.random() < 0.1) { // 10% chance to run cleanup
+      try {
+        console.log('StrichBot: Running data cleanup...');
+        const deletedCount = await cleanupOldData();
+        console.log(`StrichBot: Cleanup completed, ${deletedCount} files deleted`);
+      } catch (cleanupError) {
+        console.error('StrichBot: Error cleaning up old data:', cleanupError);
+      }
+    }
+
+    const ambossAlerts = await alertAmbossFailures(results);
+    const postFailureAlert = await alertPostFailures(results);
+
+    const postedCount = results.filter(r => r.posted).length;
+    const failedCount = results.filter(r => r.error).length;
+
+    // Return success response
+    res.status(failedCount === results.length ? 500 : 200).json({
+      success: failedCount < results.length,
+      message: `Statistics posted for ${postedCount} of ${results.length} communities`,
+      timestamp: new Date().toISOString(),
+      version: versionInfo.fullVersion,
+      communities: results,
+      ambossAlerts,
+      postFailureAlert
+    });
+
+  } catch (error) {
+    console.error('StrichBot: Error in posting job:', error);
+
+    // Return error response
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Fetch, store and publish statistics for a single community
+ * @param {Object} community - Community from the registry
+ * @param {Object} context - Shared posting context (signer, API key, Amboss deadline, block data, display settings, relays, welcome toggle)
+ * @returns {Promise<Object>} Per-community result
+ */
+async function postCommunityStats(community, { signer, ambossApiKey, ambossDeadline, blockData, display, defaultRelays, welcomeEnabled }) {
+  const { communityId, name } = community;
+
+  try {
+    // Fetch statistics from Amboss
+    console.log(`StrichBot: Fetching statistics for ${name} from ${getDataSource().name}...`);
+    const { stats, error: ambossError } = await fetchStatsResult(ambossApiKey, communityId, { deadline: ambossDeadline });
+
+    // If no stats returned (API failed or no credentials), skip posting
+    if (!stats) {
+      console.log(`StrichBot: No statistics available for ${name} (${ambossError.type}) - skipping post`);
+      return {
+        communityId,
+        name,
+        posted: false,
+        reason: ambossError.type === AMBOSS_ERRORS.UNAUTHORIZED
+          ? 'Amboss API credentials invalid'
+          : ambossError.type === AMBOSS_ERRORS.NOT_CONFIGURED
+            ? 'No credentials provided'
+            : 'API unavailable',
+        ambossError
+      };
+    }
+
+    console.log('StrichBot: Statistics fetched:', stats);
+
+    // Compare members with the previous run before today's snapshot is stored
+    let memberChanges = null;
+    if (stats.members.length > 0) {
+      try {
+        memberChanges = await detectMemberChanges(stats.members, communityId, ANNOUNCEMENT_CHANNELS.NOSTR);
+      } catch (changesError) {
+        console.error('StrichBot: Error detecting member changes:', changesError);
+      }
+    }
+
     // Store statistics for historical analysis
     try {
       console.log('StrichBot: Storing statistics for historical analysis...');
       const statsToStore = {
         ...stats,
-        blockHeight: blockData?.height || null
+        blockHeight: blockData?.height || null,
+        networkStats: blockData?.lightning || null,
+        prices: display.prices
       };
       await storeStats(statsToStore);
       console.log('StrichBot: Statistics stored successfully');
-
-      // Clean up old data (run occasionally)
-      if (Math.random() < 0.1) { // 10% chance to run cleanup
-        console.log('StrichBot: Running data cleanup...');
-        const deletedCount = await cleanupOldData();
-        console.log(`StrichBot: Cleanup completed, ${deletedCount} files deleted`);
-      }
     } catch (storeError) {
       console.error('StrichBot: Error storing statistics:', storeError);
       // Continue with posting even if storage fails
     }
 
     // Format the message
-    const message = formatStatsMessage(stats, blockData);
+    const message = formatStatsMessage({ ...stats, communityName: name }, blockData, display);
     console.log('StrichBot: Message formatted:', message.substring(0, 100) + '...');
 
-    // Parse relay URLs
-    const relays = parseRelays(relayString);
+    // Use the community's own relays when it has any
+    const relays = community.relays.length > 0 ? community.relays : defaultRelays;
     console.log('StrichBot: Using relays:', relays);
 
     // Publish to Nostr
-    console.log('StrichBot: Publishing to Nostr...');
-    const result = await publishEvent(nsec, message, relays);
+    console.log(`StrichBot: Publishing ${name} update to Nostr...`);
+    const result = await publishEvent(signer, message, relays);
 
     console.log('StrichBot: Published successfully:', {
       eventId: result.eventId,
       publishedTo: result.publishedTo,
-      totalRelays: result.totalRelays
+      totalRelays: result.totalRelays,
+      confirmed: result.confirmation.confirmed.length
     });
 
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: 'Statistics posted successfully',
+    // Welcome new members when enabled in the admin panel
+    let welcomeEventId = null;
+    if (welcomeEnabled && memberChanges?.joined.length > 0) {
+      try {
+        const welcomeResult = await publishWelcome(signer, relays, memberChanges.joined, name);
+        welcomeEventId = welcomeResult.eventId;
+        await markChangesAnnounced(memberChanges, 'joined', communityId, ANNOUNCEMENT_CHANNELS.NOSTR);
+      } catch (welcomeError) {
+        console.error('StrichBot: Error publishing welcome post:', welcomeError);
+      }
+    }
+
+    return {
+      communityId,
+      name,
+      posted: true,
       eventId: result.eventId,
       publishedTo: result.publishedTo,
       totalRelays: result.totalRelays,
-      timestamp: new Date().toISOString(),
-      version: versionInfo.fullVersion,
-      stats: stats,
+      stats: { ...stats, members: stats.members.length },
+      memberChanges: memberChanges ? {
+        baseline: memberChanges.baseline,
+        joined: memberChanges.joined.length,
+        left: memberChanges.left.length,
+        welcomeEventId
+      } : null,
+      confirmation: result.confirmation,
       relays: result.results.map(r => ({
         relay: r.relay,
-        success: r.success
+        success: r.success,
+        status: r.status
       }))
-    });
+    };
 
   } catch (error) {
-    console.error('StrichBot: Error in posting job:', error);
+    console.error(`StrichBot: Error posting statistics for ${name}:`, error);
+    return {
+      communityId,
+      name,
+      posted: false,
+      error: error.message
+    };
+  }
+}
 
-    // Return error response
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+/**
+ * Alert admins once per failure type about communities skipped because of Amboss
+ * Credential problems need someone to replace the key, outages only need awareness
+ * @param {Array} results - Per-community results from postCommunityStats
+ * @returns {Promise<Array>} Alerts that were sent
+ */
+async function alertAmbossFailures(results) {
+  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const adminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+
+  // Other data sources are local and have no API to alert about
+  if (getDataSource().name !== 'amboss') return [];
+
+  const failures = results.filter(r => r.ambossError && r.ambossError.type !== AMBOSS_ERRORS.NOT_CONFIGURED);
+  if (failures.length === 0) return [];
+
+  const delivery = await checkAlertDelivery(ALERT_TYPES.AMBOSS_FAILURE, { botToken, chatId: adminChatId });
+  if (!delivery.deliverable) {
+    console.log(`StrichBot: No channel for Amboss failure alerts (${delivery.problems.join(', ')}) - alert skipped`);
+    return [];
+  }
+
+  // An open circuit is the same outage as an unavailable API
+  const groupType = type => type === AMBOSS_ERRORS.CIRCUIT_OPEN ? AMBOSS_ERRORS.UNAVAILABLE : type;
+  const groups = new Map();
+  for (const failure of failures) {
+    const type = groupType(failure.ambossError.type);
+    if (!groups.has(type)) groups.set(type, { error: failure.ambossError, names: [] });
+    groups.get(type).names.push(failure.name);
+  }
+
+  const sent = [];
+  for (const [type, { error, names }] of groups) {
+    try {
+      await sendAmbossFailureAlert(botToken, adminChatId, error, names);
+      sent.push({ type, communities: names });
+    } catch (alertError) {
+      console.error('StrichBot: Error sending Amboss failure alert:', alertError);
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Alert admins about community posts that could not be published
+ * Covers posts that threw and posts that no relay accepted
+ * @param {Array} results - Per-community results from postCommunityStats
+ * @returns {Promise<Object|null>} { communities, route } if an alert was sent
+ */
+async function alertPostFailures(results) {
+  const failures = results.filter(r => r.error || (r.posted && r.publishedTo === 0));
+  if (failures.length === 0) return null;
+
+  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const adminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+
+  const delivery = await checkAlertDelivery(ALERT_TYPES.POST_FAILURE, { botToken, chatId: adminChatId });
+  if (!delivery.deliverable) {
+    console.log(`StrichBot: No channel for post failure alerts (${delivery.problems.join(', ')}) - alert skipped`);
+    return null;
+  }
+
+  try {
+    const alert = await sendAdminAlert(ALERT_TYPES.POST_FAILURE, formatPostFailureAlert(failures), { botToken, chatId: adminChatId });
+    return { communities: failures.map(failure => failure.name), route: alert.route };
+  } catch (alertError) {
+    console.error('StrichBot: Error sending post failure alert:', alertError);
+    return null;
   }
 }
 
@@ -0,0 +1,117 @@
+/**
+ * Vercel serverless function for retrying failed relay deliveries
+ * Sends queued events again to the relays that missed them, with backoff between attempts
+ */
+
+const { setSecurityHeaders, securityMiddleware } = require('../lib/security');
+const { broadcastEvent, PUBLISH_STATUSES } = require('../lib/nostr');
+const { loadDueDeliveries, recordDeliveryAttempt, getRebroadcastSettings, QUEUE_STATUSES } = require('../lib/rebroadcast');
+
+const versionInfo = { fullVersion: '1.0.0' };
+
+// Stop starting new events well before the 60s function limit
+const TIME_BUDGET_MS = 40 * 1000;
+
+module.exports = async function handler(req, res) {
+  try {
+    // Apply security headers
+    setSecurityHeaders(res);
+
+    // Handle OPTIONS request
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Origin', 'https://strichbot.vercel.app');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Cron-Secret, X-API-Key');
+      return res.status(200).end();
+    }
+
+    // Apply security middleware
+    const securityCheck = securityMiddleware(req, res, {
+      maxRequests: 3,           // 3 requests per hour for unauthenticated users
+      windowMs: 60 * 60 * 1000, // 1 hour window
+      allowedMethods: ['GET', 'POST'],
+      requireAuth: true         // Require cron secret or API key
+    });
+
+    if (!securityCheck.allowed) {
+      // Add any additional headers from security check
+      if (securityCheck.headers) {
+        Object.entries(securityCheck.headers).forEach(([key, value]) => {
+          res.setHeader(key, value);
+        });
+      }
+
+      return res.status(securityCheck.status).json({
+        success: false,
+        error: securityCheck.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Log security status
+    const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
+    console.log(`StrichBot v${versionInfo.fullVersion}: Starting rebroadcast run (${authStatus}, IP: ${securityCheck.clientIp})`);
+
+    const startedAt = Date.now();
+    const deliveries = await loadDueDeliveries();
+
+    // Group by event so each event is sent once to all of its pending relays
+    const byEvent = new Map();
+    deliveries.forEach(delivery => {
+      if (!byEvent.has(delivery.eventId)) byEvent.set(delivery.eventId, []);
+      byEvent.get(delivery.eventId).push(delivery);
+    });
+
+    const summary = { delivered: 0, retrying: 0, abandoned: 0, skipped: 0 };
+    const events = [];
+
+    for (const [eventId, eventDeliveries] of byEvent) {
+      if (Date.now() - startedAt > TIME_BUDGET_MS) {
+        summary.skipped += eventDeliveries.length;
+        continue;
+      }
+
+      const { results } = await broadcastEvent(eventDeliveries[0].event, eventDeliveries.map(delivery => delivery.relayUrl));
+
+      const outcomes = [];
+      for (const delivery of eventDeliveries) {
+        const result = results.find(r => r.relay === delivery.relayUrl);
+        const delivered = result?.status === PUBLISH_STATUSES.CONFIRMED || result?.status === PUBLISH_STATUSES.ACCEPTED;
+        const status = await recordDeliveryAttempt(delivery, delivered, result?.error || result?.status || 'no result');
+
+        if (status === QUEUE_STATUSES.DELIVERED) summary.delivered++;
+        else if (status === QUEUE_STATUSES.ABANDONED) summary.abandoned++;
+        else summary.retrying++;
+
+        outcomes.push({ relay: delivery.relayUrl, status, publishStatus: result?.status || null });
+      }
+
+      events.push({ eventId, relays: outcomes });
+    }
+
+    console.log(`Rebroadcast run: ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.abandoned} abandoned, ${summary.skipped} left for the next run`);
+
+    return res.status(200).json({
+      success: true,
+      message: deliveries.length > 0
+        ? `Retried ${deliveries.length - summary.skipped} deliveries for ${events.length} events`
+        : 'No deliveries due',
+      data: {
+        ...summary,
+        events,
+        settings: getRebroadcastSettings(),
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in rebroadcast run:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
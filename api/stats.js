@@ -2,7 +2,9 @@
  * API endpoint to fetch latest community statistics for the landing page
  */
 
-const { fetchCommunityStats } = require('../lib/amboss');
+const { getAmbossApiKey } = require('../lib/amboss');
+const { fetchStats } = require('../lib/dataSource');
+const { getStaleStats } = require('../lib/dataStore');
 
 module.exports = async function handler(req, res) {
   // Set CORS headers
@@ -19,24 +21,15 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
+    const ambossApiKey = await getAmbossApiKey();
     const communityId = process.env.COMMUNITY_ID;
 
     // Fetch latest statistics
-    const stats = await fetchCommunityStats(ambossApiKey, communityId);
+    const stats = await fetchStats(ambossApiKey, communityId);
 
     if (!stats) {
-      // Return default stats if API unavailable
-      return res.status(200).json({
-        success: true,
-        data: {
-          memberCount: 299,
-          totalChannels: 6180,
-          totalCapacity: 611.43,
-          timestamp: new Date().toISOString(),
-          source: 'Default values (API unavailable)'
-        }
-      });
+      // Fall back to the last stored stats if API unavailable
+      return await sendStaleStats(res, communityId, 'API unavailable');
     }
 
     return res.status(200).json({
@@ -47,23 +40,48 @@ module.exports = async function handler(req, res) {
         totalCapacity: stats.totalCapacity,
         pendingRequests: stats.pendingRequests || 0,
         timestamp: stats.timestamp,
-        source: stats.source
+        source: stats.source,
+        stale: !!stats.stale,
+        asOf: stats.stale ? stats.asOf : stats.timestamp,
+        ageHours: stats.stale ? stats.ageHours : 0
       }
     });
 
   } catch (error) {
     console.error('Error fetching stats for landing page:', error);
 
-    // Return default stats on error
-    return res.status(200).json({
-      success: true,
-      data: {
-        memberCount: 299,
-        totalChannels: 6180,
-        totalCapacity: 611.43,
-        timestamp: new Date().toISOString(),
-        source: 'Default values (API error)'
-      }
+    // Fall back to the last stored stats on error
+    return await sendStaleStats(res, process.env.COMMUNITY_ID, 'API error');
+  }
+};
+
+/**
+ * Respond with the most recent stored statistics, marked as stale
+ * @param {Object} res - Response object
+ * @param {string} communityId - Amboss community ID
+ * @param {string} reason - Why live data is unavailable
+ */
+async function sendStaleStats(res, communityId, reason) {
+  const stats = await getStaleStats(communityId);
+
+  if (!stats) {
+    return res.status(503).json({
+      success: false,
+      error: `Statistics unavailable (${reason}) and no stored statistics found`
     });
   }
-};
\ No newline at end of file
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      memberCount: stats.memberCount,
+      totalChannels: stats.totalChannels,
+      totalCapacity: Number(stats.totalCapacity),
+      timestamp: stats.timestamp,
+      source: `Stored statistics (${reason})`,
+      stale: true,
+      asOf: stats.asOf,
+      ageHours: stats.ageHours
+    }
+  });
+}
@@ -3,11 +3,25 @@
  * This function is triggered by a cron job defined in vercel.json
  */
 
-const { fetchCommunityStats } = require('../lib/amboss');
+const { getAmbossApiKey, getRunDeadline } = require('../lib/amboss');
+const { fetchStats, requiresApiKey } = require('../lib/dataSource');
 const { sendMessage, formatStatsMessageForTelegram, validateTelegramConfig } = require('../lib/telegram');
 const { securityMiddleware, setSecurityHeaders } = require('../lib/security');
 const { fetchBlockData } = require('../lib/mempool');
+const { fetchBtcPrices, getDisplaySettings } = require('../lib/prices');
 const { storeStats, cleanupOldData } = require('../lib/dataStore');
+const { getCommunitiesForPlatform } = require('../lib/communities');
+const {
+  ANNOUNCEMENT_CHANNELS,
+  detectMemberChanges,
+  markChangesAnnounced,
+  isWelcomeEnabled,
+  sendWelcomeToTelegram,
+  sendDepartureAlert
+} = require('../lib/memberChanges');
+const { trackPendingRequests, sendRequestDigest } = require('../lib/pendingRequests');
+const { sendApplicantCard } = require('../lib/applicants');
+const { ALERT_TYPES, checkAlertDelivery } = require('../lib/adminAlerts');
 
 
 // Optional version info - fallback if file doesn't exist
@@ -58,52 +72,141 @@ export default async function handler(req, res) {
     const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
     console.log(`StrichBot v${versionInfo.fullVersion}: Starting Telegram stats posting (${authStatus}, IP: ${securityCheck.clientIp})`);
 
+    // Amboss requests for all communities stop by this time, leaving room to post and alert before maxDuration
+    const ambossDeadline = getRunDeadline();
+
     // Get environment variables
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
-    const communityId = process.env.COMMUNITY_ID;
+    const ambossApiKey = await getAmbossApiKey();
     const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
     const telegramChatId = process.env.TELEGRAM_CHAT_ID;
+    const telegramAdminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
 
-    // Validate Telegram configuration
-    const telegramValidation = validateTelegramConfig(telegramBotToken, telegramChatId);
-    if (!telegramValidation.valid) {
-      console.error('Telegram configuration invalid:', telegramValidation.errors);
+    // Validate Amboss configuration
+    if (!ambossApiKey && requiresApiKey()) {
+      console.error('AMBOSS_API_KEY environment variable is required');
       return res.status(400).json({
         success: false,
-        error: 'Invalid Telegram configuration',
-        details: telegramValidation.errors
+        error: 'AMBOSS_API_KEY environment variable is required'
       });
     }
 
-    // Validate Amboss configuration
-    if (!ambossApiKey) {
-      console.error('AMBOSS_API_KEY environment variable is required');
+    // Load the communities that post to Telegram
+    const communities = await getCommunitiesForPlatform('telegram');
+
+    if (communities.length === 0) {
+      console.error('No communities configured for Telegram');
       return res.status(400).json({
         success: false,
-        error: 'AMBOSS_API_KEY environment variable is required'
+        error: 'No communities configured - add one to the registry or set COMMUNITY_ID'
       });
     }
 
-    if (!communityId) {
-      console.error('COMMUNITY_ID environment variable is required');
+    // Validate Telegram configuration against the first chat we will post to
+    const firstChatId = communities.flatMap(c => c.telegramChats)[0] || telegramChatId;
+    const telegramValidation = validateTelegramConfig(telegramBotToken, firstChatId);
+    if (!telegramValidation.valid) {
+      console.error('Telegram configuration invalid:', telegramValidation.errors);
       return res.status(400).json({
         success: false,
-        error: 'COMMUNITY_ID environment variable is required'
+        error: 'Invalid Telegram configuration',
+        details: telegramValidation.errors
       });
     }
 
+    // Fetch Bitcoin block height once for all communities
+    console.log('Fetching Bitcoin block height...');
+    const blockData = await fetchBlockData();
+
+    if (blockData?.height) {
+      console.log('Block data fetched:', { height: blockData.height });
+    } else {
+      console.log('Block height unavailable, continuing without it');
+    }
+
+    // BTC prices for the fiat value of capacity, shown in the units chosen in the admin panel
+    const prices = await fetchBtcPrices();
+    const display = { ...await getDisplaySettings('telegram'), prices };
+
+    const welcomeEnabled = await isWelcomeEnabled();
+    const results = [];
+
+    for (const community of communities) {
+      results.push(await postCommunityStats(community, {
+        ambossApiKey,
+        ambossDeadline,
+        telegramBotToken,
+        telegramChatId,
+        telegramAdminChatId,
+        blockData,
+        display,
+        welcomeEnabled
+      }));
+    }
+
+    // Clean up old data (run occasionally)
+    if (Math.random() < 0.1) { // 10% chance to run cleanup
+      try {
+        console.log('Running data cleanup...');
+        const deletedCount = await cleanupOldData();
+        console.log(`Cleanup completed, ${deletedCount} files deleted`);
+      } catch (cleanupError) {
+        console.error('Error cleaning up old data:', cleanupError);
+      }
+    }
+
+    const postedCount = results.filter(r => r.posted).length;
+
+    return res.status(200).json({
+      success: postedCount > 0,
+      message: `Stats posted to Telegram for ${postedCount} of ${results.length} communities`,
+      data: {
+        communities: results,
+        version: versionInfo.fullVersion
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error in Telegram stats posting:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Fetch, store and send statistics for a single community to its Telegram chats
+ * @param {Object} community - Community from the registry
+ * @param {Object} context - Shared posting context (API key, Amboss deadline, bot token, default and admin chats, block data, display settings, welcome toggle)
+ * @returns {Promise<Object>} Per-community result
+ */
+async function postCommunityStats(community, { ambossApiKey, ambossDeadline, telegramBotToken, telegramChatId, telegramAdminChatId, blockData, display, welcomeEnabled }) {
+  const { communityId, name } = community;
+  const chatIds = community.telegramChats.length > 0
+    ? community.telegramChats
+    : [telegramChatId].filter(Boolean);
+
+  try {
+    if (chatIds.length === 0) {
+      console.log(`No Telegram chats configured for ${name} - skipped`);
+      return { communityId, name, posted: false, reason: 'No Telegram chats configured' };
+    }
 
     // Fetch community statistics from Amboss
-    console.log('Fetching community stats from Amboss...');
-    const stats = await fetchCommunityStats(ambossApiKey, communityId);
+    console.log(`Fetching community stats for ${name} from Amboss...`);
+    const stats = await fetchStats(ambossApiKey, communityId, { deadline: ambossDeadline });
 
     if (!stats) {
-      console.log('No statistics available - Telegram post skipped');
-      return res.status(200).json({
-        success: false,
-        message: 'No statistics available from Amboss API - Telegram post skipped',
-        timestamp: new Date().toISOString()
-      });
+      console.log(`No statistics available for ${name} - Telegram post skipped`);
+      return {
+        communityId,
+        name,
+        posted: false,
+        reason: 'No statistics available from Amboss API'
+      };
     }
 
     console.log('Stats fetched:', {
@@ -112,14 +215,14 @@ export default async function handler(req, res) {
       totalCapacity: stats.totalCapacity
     });
 
-    // Fetch Bitcoin block height
-    console.log('Fetching Bitcoin block height...');
-    const blockData = await fetchBlockData();
-
-    if (blockData) {
-      console.log('Block data fetched:', { height: blockData.height });
-    } else {
-      console.log('Block height unavailable, continuing without it');
+    // Compare members with the previous run before today's snapshot is stored
+    let memberChanges = null;
+    if (stats.members.length > 0) {
+      try {
+        memberChanges = await detectMemberChanges(stats.members, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+      } catch (changesError) {
+        console.error('Error detecting member changes:', changesError);
+      }
     }
 
     // Store statistics for historical analysis
@@ -127,54 +230,145 @@ export default async function handler(req, res) {
       console.log('Storing statistics for historical analysis...');
       const statsToStore = {
         ...stats,
-        blockHeight: blockData?.height || null
+        blockHeight: blockData?.height || null,
+        networkStats: blockData?.lightning || null,
+        prices: display.prices
       };
       await storeStats(statsToStore);
       console.log('Statistics stored successfully');
-
-      // Clean up old data (run occasionally)
-      if (Math.random() < 0.1) { // 10% chance to run cleanup
-        console.log('Running data cleanup...');
-        const deletedCount = await cleanupOldData();
-        console.log(`Cleanup completed, ${deletedCount} files deleted`);
-      }
     } catch (storeError) {
       console.error('Error storing statistics:', storeError);
       // Continue with posting even if storage fails
     }
 
     // Format message for Telegram
-    const message = formatStatsMessageForTelegram(stats, blockData);
+    const message = formatStatsMessageForTelegram({ ...stats, communityName: name }, blockData, display);
     console.log('Formatted Telegram message:', message);
 
-    // Send to Telegram
-    console.log('Sending message to Telegram...');
-    const telegramResult = await sendMessage(telegramBotToken, telegramChatId, message);
-
-    console.log('Telegram message sent successfully');
-
-    return res.status(200).json({
-      success: true,
-      message: 'Stats posted to Telegram successfully',
-      data: {
-        stats,
-        telegram: {
+    // Send to every chat registered for the community
+    const telegram = [];
+    for (const chatId of chatIds) {
+      try {
+        console.log(`Sending message to Telegram chat ${chatId}...`);
+        const telegramResult = await sendMessage(telegramBotToken, chatId, message);
+        telegram.push({
           messageId: telegramResult.messageId,
           chatId: telegramResult.chatId,
           sent: true
-        },
-        version: versionInfo.fullVersion
-      },
-      timestamp: new Date().toISOString()
-    });
+        });
+      } catch (sendError) {
+        console.error(`Error sending to Telegram chat ${chatId}:`, sendError);
+        telegram.push({ chatId, sent: false, error: sendError.message });
+      }
+    }
 
-  } catch (error) {
-    console.error('Error in Telegram stats posting:', error);
+    // Welcome new members in the community chats when enabled
+    if (welcomeEnabled && memberChanges?.joined.length > 0) {
+      let welcomed = false;
+      for (const chatId of chatIds) {
+        try {
+          await sendWelcomeToTelegram(telegramBotToken, chatId, memberChanges.joined, name);
+          welcomed = true;
+        } catch (welcomeError) {
+          console.error(`Error sending welcome to Telegram chat ${chatId}:`, welcomeError);
+        }
+      }
 
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+      if (welcomed) {
+        try {
+          await markChangesAnnounced(memberChanges, 'joined', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+        } catch (markError) {
+          console.error('Error recording welcomed members:', markError);
+        }
+      }
+    }
+
+    // Departures are only reported to admins, never to the community chats
+    let departureAlertSent = false;
+    if (memberChanges?.left.length > 0) {
+      const delivery = await checkAlertDelivery(ALERT_TYPES.MEMBER_DEPARTURE, { botToken: telegramBotToken, chatId: telegramAdminChatId });
+      if (delivery.deliverable) {
+        try {
+          await sendDepartureAlert(telegramBotToken, telegramAdminChatId, memberChanges.left, name, memberChanges.previousDate);
+          departureAlertSent = true;
+          await markChangesAnnounced(memberChanges, 'left', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+        } catch (alertError) {
+          console.error('Error sending departure alert:', alertError);
+        }
+      } else {
+        console.log(`No channel for departure alerts (${delivery.problems.join(', ')}) - departure alert skipped`);
+      }
+    }
+
+    // Track pending join requests, introduce new applicants and send admins the open request digest
+    let pendingRequests = null;
+    let requestDigestSent = false;
+    let applicantCardsSent = 0;
+
+    // Sources other than Amboss cannot see join requests; an empty list would resolve every tracked request
+    if (!stats.pendingRequestList) {
+      console.log(`${stats.source} does not list join requests - request tracking skipped`);
+    } else {
+      try {
+        pendingRequests = await trackPendingRequests(stats.pendingRequestList, communityId);
+
+        // Requests introduced with a card in this run are left out of the digest
+        const carded = new Set();
+        if (telegramAdminChatId) {
+          for (const request of pendingRequests.newRequests) {
+            try {
+              await sendApplicantCard(telegramBotToken, telegramAdminChatId, ambossApiKey, request, name, { deadline: ambossDeadline });
+              carded.add(request.pubId);
+              applicantCardsSent++;
+            } catch (cardError) {
+              console.error(`Error sending applicant card for ${request.pubkey}:`, cardError);
+            }
+          }
+        }
+
+        const digestRequests = pendingRequests.open.filter(request => !carded.has(request.pubId));
+        if (digestRequests.length > 0) {
+          if (telegramAdminChatId) {
+            await sendRequestDigest(telegramBotToken, telegramAdminChatId, digestRequests, name);
+            requestDigestSent = true;
+          } else {
+            console.log('TELEGRAM_ADMIN_CHAT_ID not set - pending request digest skipped');
+          }
+        }
+      } catch (requestsError) {
+        console.error('Error processing pending requests:', requestsError);
+      }
+    }
+
+    return {
+      communityId,
+      name,
+      posted: telegram.some(t => t.sent),
+      stats: { ...stats, members: stats.members.length },
+      memberChanges: memberChanges ? {
+        baseline: memberChanges.baseline,
+        joined: memberChanges.joined.length,
+        left: memberChanges.left.length,
+        departureAlertSent
+      } : null,
+      pendingRequests: pendingRequests ? {
+        baseline: pendingRequests.baseline,
+        open: pendingRequests.open.length,
+        new: pendingRequests.newRequests.length,
+        resolved: pendingRequests.resolved.length,
+        applicantCardsSent,
+        digestSent: requestDigestSent
+      } : null,
+      telegram
+    };
+
+  } catch (error) {
+    console.error(`Error posting Telegram stats for ${name}:`, error);
+    return {
+      communityId,
+      name,
+      posted: false,
+      error: error.message
+    };
   }
-}
\ No newline at end of file
+}
@@ -1,13 +1,18 @@
 /**
  * Vercel serverless function to post Nodestrich weekly statistics to Nostr
- * This function is called by Vercel cron jobs weekly on Sundays
+ * This function is called by Vercel cron jobs weekly on Sundays and posts once per registered community
  */
 
-const { fetchCommunityStats } = require('../lib/amboss');
+const { getAmbossApiKey, getRunDeadline } = require('../lib/amboss');
+const { fetchStats } = require('../lib/dataSource');
 const { publishEvent, formatWeeklyStatsMessage, parseRelays } = require('../lib/nostr');
 const { securityMiddleware, setSecurityHeaders } = require('../lib/security');
 const { fetchBlockData } = require('../lib/mempool');
+const { fetchBtcPrices, getDisplaySettings } = require('../lib/prices');
+const { selectRelays } = require('../lib/relayHealth');
+const { getSigner } = require('../lib/signer');
 const { storeStats, cleanupOldData } = require('../lib/dataStore');
+const { getCommunitiesForPlatform } = require('../lib/communities');
 
 
 // Optional version info - fallback if file doesn't exist
@@ -63,115 +68,176 @@ module.exports = async function handler(req, res) {
   console.log(`StrichBot v${versionInfo.fullVersion}: Starting weekly statistics posting job (${authStatus}, IP: ${securityCheck.clientIp})`);
 
   try {
+    // Amboss requests for all communities stop by this time, leaving room to post and alert before maxDuration
+    const ambossDeadline = getRunDeadline();
+
     // Get environment variables
-    const nsec = process.env.NOSTR_NSEC;
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
-    const communityId = process.env.COMMUNITY_ID;
+    const ambossApiKey = await getAmbossApiKey();
     const relayString = process.env.NOSTR_RELAYS;
 
-    // Validate required environment variables
-    if (!nsec) {
-      throw new Error('NOSTR_NSEC environment variable is required');
-    }
-
-    if (!nsec.startsWith('nsec1')) {
-      throw new Error('NOSTR_NSEC must be in nsec1 format');
-    }
+    // Sign with the local key or the NIP-46 bunker, whichever is configured
+    const signer = await getSigner();
 
     console.log('StrichBot: Environment variables validated');
 
+    // Load the communities that post to Nostr
+    const communities = await getCommunitiesForPlatform('nostr');
 
-    // Fetch statistics from Amboss
-    console.log('StrichBot: Fetching statistics from Amboss...');
-    const stats = await fetchCommunityStats(ambossApiKey, communityId);
-
-    // If no stats returned (API failed or no credentials), skip posting
-    if (!stats) {
-      console.log('StrichBot: No statistics available - skipping post');
+    if (communities.length === 0) {
+      console.log('StrichBot: No communities configured for Nostr - skipping weekly post');
       return res.status(200).json({
         success: true,
-        message: 'No statistics available - post skipped',
-        reason: 'API unavailable or no credentials provided',
+        message: 'No communities configured - post skipped',
+        reason: 'Community registry is empty and COMMUNITY_ID is not set',
         timestamp: new Date().toISOString()
       });
     }
 
-    console.log('StrichBot: Statistics fetched:', stats);
+    console.log(`StrichBot: Posting weekly statistics for ${communities.length} communities`);
 
-    // Fetch Bitcoin block height
+    // Fetch Bitcoin block height once for all communities
     console.log('StrichBot: Fetching Bitcoin block height...');
     const blockData = await fetchBlockData();
 
-    if (blockData) {
+    if (blockData?.height) {
       console.log('StrichBot: Block data fetched:', { height: blockData.height });
     } else {
       console.log('StrichBot: Block height unavailable, continuing without it');
     }
 
+    // BTC prices for the fiat value of capacity, shown in the units chosen in the admin panel
+    const prices = await fetchBtcPrices();
+    const display = { ...await getDisplaySettings('nostr'), prices };
+
+    // Leave out relays that were removed in the admin panel or keep failing
+    const defaultRelays = await selectRelays(parseRelays(relayString));
+    const results = [];
+
+    for (const community of communities) {
+      results.push(await postWeeklyStats(community, { signer, ambossApiKey, ambossDeadline, blockData, display, defaultRelays }));
+    }
+
+    // Clean up old data (run occasionally)
+    if (Math.random() < 0.1) { // 10% chance to run cleanup
+      try {
+        console.log('StrichBot: Running data cleanup...');
+        const deletedCount = await cleanupOldData();
+        console.log(`StrichBot: Cleanup completed, ${deletedCount} files deleted`);
+      } catch (cleanupError) {
+        console.error('StrichBot: Error cleaning up old data:', cleanupError);
+      }
+    }
+
+    const postedCount = results.filter(r => r.posted).length;
+    const failedCount = results.filter(r => r.error).length;
+
+    // Return success response
+    res.status(failedCount === results.length ? 500 : 200).json({
+      success: failedCount < results.length,
+      message: `Weekly statistics posted for ${postedCount} of ${results.length} communities`,
+      timestamp: new Date().toISOString(),
+      version: versionInfo.fullVersion,
+      communities: results
+    });
+
+  } catch (error) {
+    console.error('StrichBot: Error in weekly posting job:', error);
+
+    // Return error response
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Fetch, store and publish weekly statistics for a single community
+ * @param {Object} community - Community from the registry
+ * @param {Object} context - Shared posting context (signer, API key, Amboss deadline, block data, display settings, relays)
+ * @returns {Promise<Object>} Per-community result
+ */
+async function postWeeklyStats(community, { signer, ambossApiKey, ambossDeadline, blockData, display, defaultRelays }) {
+  const { communityId, name } = community;
+
+  try {
+    // Fetch statistics from Amboss
+    console.log(`StrichBot: Fetching statistics for ${name} from Amboss...`);
+    const stats = await fetchStats(ambossApiKey, communityId, { deadline: ambossDeadline });
+
+    // If no stats returned (API failed or no credentials), skip posting
+    if (!stats) {
+      console.log(`StrichBot: No statistics available for ${name} - skipping weekly post`);
+      return {
+        communityId,
+        name,
+        posted: false,
+        reason: 'API unavailable or no credentials provided'
+      };
+    }
+
+    console.log('StrichBot: Statistics fetched:', stats);
+
     // Store statistics for historical analysis
     try {
       console.log('StrichBot: Storing statistics for historical analysis...');
       const statsToStore = {
         ...stats,
-        blockHeight: blockData?.height || null
+        blockHeight: blockData?.height || null,
+        networkStats: blockData?.lightning || null,
+        prices: display.prices
       };
       await storeStats(statsToStore);
       console.log('StrichBot: Statistics stored successfully');
-
-      // Clean up old data (run occasionally)
-      if (Math.random() < 0.1) { // 10% chance to run cleanup
-        console.log('StrichBot: Running data cleanup...');
-        const deletedCount = await cleanupOldData();
-        console.log(`StrichBot: Cleanup completed, ${deletedCount} files deleted`);
-      }
     } catch (storeError) {
       console.error('StrichBot: Error storing statistics:', storeError);
       // Continue with posting even if storage fails
     }
 
     // Format the message with weekly trends
-    const message = await formatWeeklyStatsMessage(stats, blockData);
+    const message = await formatWeeklyStatsMessage({ ...stats, communityName: name }, blockData, display);
     console.log('StrichBot: Weekly message formatted:', message.substring(0, 100) + '...');
 
-    // Parse relay URLs
-    const relays = parseRelays(relayString);
+    // Use the community's own relays when it has any
+    const relays = community.relays.length > 0 ? community.relays : defaultRelays;
     console.log('StrichBot: Using relays:', relays);
 
     // Publish to Nostr
-    console.log('StrichBot: Publishing weekly update to Nostr...');
-    const result = await publishEvent(nsec, message, relays);
+    console.log(`StrichBot: Publishing ${name} weekly update to Nostr...`);
+    const result = await publishEvent(signer, message, relays);
 
     console.log('StrichBot: Published successfully:', {
       eventId: result.eventId,
       publishedTo: result.publishedTo,
-      totalRelays: result.totalRelays
+      totalRelays: result.totalRelays,
+      confirmed: result.confirmation.confirmed.length
     });
 
-    // Return success response
-    res.status(200).json({
-      success: true,
-      message: 'Weekly statistics posted successfully',
+    return {
+      communityId,
+      name,
+      posted: true,
       eventId: result.eventId,
       publishedTo: result.publishedTo,
       totalRelays: result.totalRelays,
-      timestamp: new Date().toISOString(),
-      version: versionInfo.fullVersion,
-      stats: stats,
+      stats: { ...stats, members: stats.members.length },
+      confirmation: result.confirmation,
       relays: result.results.map(r => ({
         relay: r.relay,
-        success: r.success
+        success: r.success,
+        status: r.status
       }))
-    });
+    };
 
   } catch (error) {
-    console.error('StrichBot: Error in weekly posting job:', error);
-
-    // Return error response
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    console.error(`StrichBot: Error posting weekly statistics for ${name}:`, error);
+    return {
+      communityId,
+      name,
+      posted: false,
+      error: error.message
+    };
   }
 }
 
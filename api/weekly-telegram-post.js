@@ -1,13 +1,16 @@
 /**
  * Vercel serverless function to post weekly Lightning Network statistics to Telegram
- * This function is triggered by a cron job defined in vercel.json
+ * This function is triggered by a cron job defined in vercel.json and posts once per registered community
  */
 
-const { fetchCommunityStats } = require('../lib/amboss');
+const { getAmbossApiKey, getRunDeadline } = require('../lib/amboss');
+const { fetchStats, requiresApiKey } = require('../lib/dataSource');
 const { sendMessage, formatWeeklyStatsMessageForTelegram, validateTelegramConfig } = require('../lib/telegram');
 const { securityMiddleware, setSecurityHeaders } = require('../lib/security');
 const { fetchBlockData } = require('../lib/mempool');
+const { fetchBtcPrices, getDisplaySettings } = require('../lib/prices');
 const { storeStats, cleanupOldData } = require('../lib/dataStore');
+const { getCommunitiesForPlatform } = require('../lib/communities');
 
 
 // Optional version info - fallback if file doesn't exist
@@ -58,25 +61,16 @@ export default async function handler(req, res) {
     const authStatus = securityCheck.authenticated ? 'authenticated' : 'rate-limited';
     console.log(`StrichBot v${versionInfo.fullVersion}: Starting weekly Telegram stats posting (${authStatus}, IP: ${securityCheck.clientIp})`);
 
+    // Amboss requests for all communities stop by this time, leaving room to post and alert before maxDuration
+    const ambossDeadline = getRunDeadline();
+
     // Get environment variables
-    const ambossApiKey = process.env.AMBOSS_API_KEY;
-    const communityId = process.env.COMMUNITY_ID;
+    const ambossApiKey = await getAmbossApiKey();
     const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
     const telegramChatId = process.env.TELEGRAM_CHAT_ID;
 
-    // Validate Telegram configuration
-    const telegramValidation = validateTelegramConfig(telegramBotToken, telegramChatId);
-    if (!telegramValidation.valid) {
-      console.error('Telegram configuration invalid:', telegramValidation.errors);
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Telegram configuration',
-        details: telegramValidation.errors
-      });
-    }
-
     // Validate Amboss configuration
-    if (!ambossApiKey) {
+    if (!ambossApiKey && requiresApiKey()) {
       console.error('AMBOSS_API_KEY environment variable is required');
       return res.status(400).json({
         success: false,
@@ -84,85 +78,67 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!communityId) {
-      console.error('COMMUNITY_ID environment variable is required');
+    // Load the communities that post to Telegram
+    const communities = await getCommunitiesForPlatform('telegram');
+
+    if (communities.length === 0) {
+      console.error('No communities configured for Telegram');
       return res.status(400).json({
         success: false,
-        error: 'COMMUNITY_ID environment variable is required'
+        error: 'No communities configured - add one to the registry or set COMMUNITY_ID'
       });
     }
 
-
-    // Fetch community statistics from Amboss
-    console.log('Fetching community stats from Amboss...');
-    const stats = await fetchCommunityStats(ambossApiKey, communityId);
-
-    if (!stats) {
-      console.log('No statistics available - Telegram post skipped');
-      return res.status(200).json({
+    // Validate Telegram configuration against the first chat we will post to
+    const firstChatId = communities.flatMap(c => c.telegramChats)[0] || telegramChatId;
+    const telegramValidation = validateTelegramConfig(telegramBotToken, firstChatId);
+    if (!telegramValidation.valid) {
+      console.error('Telegram configuration invalid:', telegramValidation.errors);
+      return res.status(400).json({
         success: false,
-        message: 'No statistics available from Amboss API - Telegram post skipped',
-        timestamp: new Date().toISOString()
+        error: 'Invalid Telegram configuration',
+        details: telegramValidation.errors
       });
     }
 
-    console.log('Stats fetched:', {
-      memberCount: stats.memberCount,
-      totalChannels: stats.totalChannels,
-      totalCapacity: stats.totalCapacity
-    });
-
-    // Fetch Bitcoin block height
+    // Fetch Bitcoin block height once for all communities
     console.log('Fetching Bitcoin block height...');
     const blockData = await fetchBlockData();
 
-    if (blockData) {
+    if (blockData?.height) {
       console.log('Block data fetched:', { height: blockData.height });
     } else {
       console.log('Block height unavailable, continuing without it');
     }
 
-    // Store statistics for historical analysis
-    try {
-      console.log('Storing statistics for historical analysis...');
-      const statsToStore = {
-        ...stats,
-        blockHeight: blockData?.height || null
-      };
-      await storeStats(statsToStore);
-      console.log('Statistics stored successfully');
+    // BTC prices for the fiat value of capacity, shown in the units chosen in the admin panel
+    const prices = await fetchBtcPrices();
+    const display = { ...await getDisplaySettings('telegram'), prices };
+
+    const results = [];
 
-      // Clean up old data (run occasionally)
-      if (Math.random() < 0.1) { // 10% chance to run cleanup
+    for (const community of communities) {
+      results.push(await postWeeklyStats(community, { ambossApiKey, ambossDeadline, telegramBotToken, telegramChatId, blockData, display }));
+    }
+
+    // Clean up old data (run occasionally)
+    if (Math.random() < 0.1) { // 10% chance to run cleanup
+      try {
         console.log('Running data cleanup...');
         const deletedCount = await cleanupOldData();
         console.log(`Cleanup completed, ${deletedCount} files deleted`);
+      } catch (cleanupError) {
+        console.error('Error cleaning up old data:', cleanupError);
       }
-    } catch (storeError) {
-      console.error('Error storing statistics:', storeError);
-      // Continue with posting even if storage fails
     }
 
-    // Format message for Telegram with weekly trends
-    const message = await formatWeeklyStatsMessageForTelegram(stats, blockData);
-    console.log('Formatted weekly Telegram message:', message);
-
-    // Send to Telegram
-    console.log('Sending weekly message to Telegram...');
-    const telegramResult = await sendMessage(telegramBotToken, telegramChatId, message);
-
-    console.log('Weekly Telegram message sent successfully');
+    const postedCount = results.filter(r => r.posted).length;
 
     return res.status(200).json({
-      success: true,
-      message: 'Weekly stats posted to Telegram successfully',
+      success: postedCount > 0,
+      message: `Weekly stats posted to Telegram for ${postedCount} of ${results.length} communities`,
       data: {
-        stats,
-        telegram: {
-          messageId: telegramResult.messageId,
-          chatId: telegramResult.chatId,
-          sent: true
-        },
+        communities: results,
         version: versionInfo.fullVersion
       },
       timestamp: new Date().toISOString()
@@ -178,3 +154,97 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Fetch, store and send weekly statistics for a single community to its Telegram chats
+ * @param {Object} community - Community from the registry
+ * @param {Object} context - Shared posting context (API key, Amboss deadline, bot token, default chat, block data, display settings)
+ * @returns {Promise<Object>} Per-community result
+ */
+async function postWeeklyStats(community, { ambossApiKey, ambossDeadline, telegramBotToken, telegramChatId, blockData, display }) {
+  const { communityId, name } = community;
+  const chatIds = community.telegramChats.length > 0
+    ? community.telegramChats
+    : [telegramChatId].filter(Boolean);
+
+  try {
+    if (chatIds.length === 0) {
+      console.log(`No Telegram chats configured for ${name} - skipped`);
+      return { communityId, name, posted: false, reason: 'No Telegram chats configured' };
+    }
+
+    // Fetch community statistics from Amboss
+    console.log(`Fetching community stats for ${name} from Amboss...`);
+    const stats = await fetchStats(ambossApiKey, communityId, { deadline: ambossDeadline });
+
+    if (!stats) {
+      console.log(`No statistics available for ${name} - Telegram post skipped`);
+      return {
+        communityId,
+        name,
+        posted: false,
+        reason: 'No statistics available from Amboss API'
+      };
+    }
+
+    console.log('Stats fetched:', {
+      memberCount: stats.memberCount,
+      totalChannels: stats.totalChannels,
+      totalCapacity: stats.totalCapacity
+    });
+
+    // Store statistics for historical analysis
+    try {
+      console.log('Storing statistics for historical analysis...');
+      const statsToStore = {
+        ...stats,
+        blockHeight: blockData?.height || null,
+        networkStats: blockData?.lightning || null,
+        prices: display.prices
+      };
+      await storeStats(statsToStore);
+      console.log('Statistics stored successfully');
+    } catch (storeError) {
+      console.error('Error storing statistics:', storeError);
+      // Continue with posting even if storage fails
+    }
+
+    // Format message for Telegram with weekly trends
+    const message = await formatWeeklyStatsMessageForTelegram({ ...stats, communityName: name }, blockData, display);
+    console.log('Formatted weekly Telegram message:', message);
+
+    // Send to every chat registered for the community
+    const telegram = [];
+    for (const chatId of chatIds) {
+      try {
+        console.log(`Sending weekly message to Telegram chat ${chatId}...`);
+        const telegramResult = await sendMessage(telegramBotToken, chatId, message);
+        telegram.push({
+          messageId: telegramResult.messageId,
+          chatId: telegramResult.chatId,
+          sent: true
+        });
+      } catch (sendError) {
+        console.error(`Error sending to Telegram chat ${chatId}:`, sendError);
+        telegram.push({ chatId, sent: false, error: sendError.message });
+      }
+    }
+
+    return {
+      communityId,
+      name,
+      posted: telegram.some(t => t.sent),
+      stats: { ...stats, members: stats.members.length },
+      telegram
+    };
+
+  } catch (error) {
+    console.error(`Error posting weekly Telegram stats for ${name}:`, error);
+    return {
+      communityId,
+      name,
+      posted: false,
+      error: error.message
+    };
+  }
+}
@@ -0,0 +1,39 @@
+-- Community registry and per-community historical statistics
+
+CREATE TABLE IF NOT EXISTS communities (
+  community_id VARCHAR(64) NOT NULL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  platforms JSON NULL,
+  relays JSON NULL,
+  telegram_chats JSON NULL,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+ALTER TABLE historical_stats
+  ADD COLUMN community_id VARCHAR(64) NOT NULL DEFAULT '' AFTER date;
+
+-- Existing rows keep an empty community_id until the registry assigns them
+-- to the COMMUNITY_ID community on the next cron run (lib/communities.js)
+
+-- One row per community per day instead of one row per day
+-- historical_stats predates these migrations, so the name of its unique key on
+-- date is looked up rather than assumed (MySQL names it `date` by default)
+SET @date_key = (
+  SELECT INDEX_NAME FROM information_schema.STATISTICS
+  WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'historical_stats'
+    AND NON_UNIQUE = 0 AND INDEX_NAME <> 'PRIMARY'
+  GROUP BY INDEX_NAME
+  HAVING COUNT(*) = 1 AND MAX(COLUMN_NAME) = 'date'
+  LIMIT 1
+);
+
+SET @drop_date_key = IF(@date_key IS NULL, 'DO 0',
+  CONCAT('ALTER TABLE historical_stats DROP INDEX `', @date_key, '`'));
+PREPARE drop_date_key FROM @drop_date_key;
+EXECUTE drop_date_key;
+DEALLOCATE PREPARE drop_date_key;
+
+ALTER TABLE historical_stats
+  ADD UNIQUE KEY community_date (community_id, date);
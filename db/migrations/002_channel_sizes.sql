@@ -0,0 +1,10 @@
+-- Channel size distribution stored next to the daily totals (values in BTC)
+-- The largest value is the largest per-node average channel size, since Amboss
+-- only reports channel count and capacity per node
+
+ALTER TABLE historical_stats
+  ADD COLUMN avg_channel_size DECIMAL(16, 8) NULL AFTER block_height,
+  ADD COLUMN median_channel_size DECIMAL(16, 8) NULL AFTER avg_channel_size,
+  ADD COLUMN p10_channel_size DECIMAL(16, 8) NULL AFTER median_channel_size,
+  ADD COLUMN p90_channel_size DECIMAL(16, 8) NULL AFTER p10_channel_size,
+  ADD COLUMN max_node_avg_channel_size DECIMAL(16, 8) NULL AFTER p90_channel_size;
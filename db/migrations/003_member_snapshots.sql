@@ -0,0 +1,12 @@
+-- One row per member node per day (capacity in sats)
+
+CREATE TABLE IF NOT EXISTS member_snapshots (
+  date DATE NOT NULL,
+  community_id VARCHAR(64) NOT NULL,
+  pubkey CHAR(66) NOT NULL,
+  alias VARCHAR(255) NULL,
+  channels INT NOT NULL DEFAULT 0,
+  capacity BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (community_id, date, pubkey),
+  KEY member_history (community_id, pubkey, date)
+);
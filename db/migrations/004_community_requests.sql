@@ -0,0 +1,14 @@
+-- Pending community join requests as seen on each run
+
+CREATE TABLE IF NOT EXISTS community_requests (
+  community_id VARCHAR(64) NOT NULL,
+  pub_id VARCHAR(64) NOT NULL,
+  pubkey CHAR(66) NOT NULL,
+  approvals INT NOT NULL DEFAULT 0,
+  required_approvals INT NOT NULL DEFAULT 0,
+  first_seen DATETIME NOT NULL,
+  last_seen DATETIME NOT NULL,
+  resolved_at DATETIME NULL,
+  PRIMARY KEY (community_id, pub_id),
+  KEY open_requests (community_id, resolved_at)
+);
@@ -0,0 +1,10 @@
+-- Circuit breaker state for external APIs, shared across serverless invocations
+
+CREATE TABLE IF NOT EXISTS circuit_breakers (
+  name VARCHAR(64) NOT NULL PRIMARY KEY,
+  state VARCHAR(16) NOT NULL DEFAULT 'closed',
+  failure_count INT NOT NULL DEFAULT 0,
+  last_error TEXT NULL,
+  opened_at DATETIME NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
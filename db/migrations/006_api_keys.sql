@@ -0,0 +1,15 @@
+-- Several Amboss API keys, each with its own expiry date
+-- Key values stay in environment variables; key_name is the variable holding the key
+
+ALTER TABLE api_key_config
+  MODIFY id INT NOT NULL AUTO_INCREMENT,
+  ADD COLUMN priority INT NOT NULL DEFAULT 0,
+  ADD COLUMN status VARCHAR(16) NOT NULL DEFAULT 'standby',
+  ADD COLUMN last_error TEXT NULL,
+  ADD COLUMN failed_at DATETIME NULL;
+
+-- The existing single key becomes the active AMBOSS_API_KEY entry
+UPDATE api_key_config SET key_name = 'AMBOSS_API_KEY', status = 'active' WHERE id = 1;
+
+ALTER TABLE api_key_config
+  ADD UNIQUE KEY key_name (key_name);
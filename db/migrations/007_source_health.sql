@@ -0,0 +1,12 @@
+-- Health of the block data sources (mempool/Esplora HTTP API and bitcoind RPC)
+
+CREATE TABLE IF NOT EXISTS source_health (
+  name VARCHAR(64) NOT NULL PRIMARY KEY,
+  last_success_at DATETIME NULL,
+  last_failure_at DATETIME NULL,
+  last_error TEXT NULL,
+  consecutive_failures INT NOT NULL DEFAULT 0,
+  total_successes INT NOT NULL DEFAULT 0,
+  total_failures INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
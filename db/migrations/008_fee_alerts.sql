@@ -0,0 +1,11 @@
+-- Low-fee "good time to open channels" alerts, used for the cooldown and as a history
+
+CREATE TABLE IF NOT EXISTS fee_alerts (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  fee_rate DECIMAL(10,2) NOT NULL,
+  threshold DECIMAL(10,2) NOT NULL,
+  nostr_event_id VARCHAR(64) NULL,
+  telegram_chats INT NOT NULL DEFAULT 0,
+  sent_at DATETIME NOT NULL,
+  INDEX sent_at (sent_at)
+);
@@ -0,0 +1,13 @@
+-- Block-height milestones with countdown posts and a celebration once reached
+
+CREATE TABLE IF NOT EXISTS block_milestones (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  height INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  countdown_blocks VARCHAR(64) NOT NULL DEFAULT '1008,144,6',
+  last_countdown INT NULL,
+  reached_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY height (height)
+);
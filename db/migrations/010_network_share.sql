@@ -0,0 +1,6 @@
+-- Lightning Network totals from mempool.space stored next to the daily totals (capacity in BTC)
+
+ALTER TABLE historical_stats
+  ADD COLUMN network_node_count INT NULL AFTER max_node_avg_channel_size,
+  ADD COLUMN network_channel_count INT NULL AFTER network_node_count,
+  ADD COLUMN network_capacity DECIMAL(16, 8) NULL AFTER network_channel_count;
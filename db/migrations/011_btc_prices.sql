@@ -0,0 +1,5 @@
+-- BTC fiat prices at the time of each daily snapshot, for valuing community capacity
+
+ALTER TABLE historical_stats
+  ADD COLUMN btc_price_usd DECIMAL(16, 2) NULL AFTER network_capacity,
+  ADD COLUMN btc_price_eur DECIMAL(16, 2) NULL AFTER btc_price_usd;
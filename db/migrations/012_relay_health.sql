@@ -0,0 +1,32 @@
+-- Nostr relays managed from the admin panel, with their health and NIP-11 info,
+-- and the outcome of every publish attempt used for success rates
+
+CREATE TABLE IF NOT EXISTS relays (
+  url VARCHAR(255) NOT NULL PRIMARY KEY,
+  status VARCHAR(16) NOT NULL DEFAULT 'active',
+  added_by VARCHAR(16) NOT NULL DEFAULT 'env',
+  consecutive_failures INT NOT NULL DEFAULT 0,
+  last_success_at DATETIME NULL,
+  last_failure_at DATETIME NULL,
+  last_error TEXT NULL,
+  demoted_at DATETIME NULL,
+  nip11_name VARCHAR(255) NULL,
+  nip11_software VARCHAR(255) NULL,
+  nip11_version VARCHAR(64) NULL,
+  nip11_supported_nips TEXT NULL,
+  nip11_fetched_at DATETIME NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS relay_publish_results (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  relay_url VARCHAR(255) NOT NULL,
+  event_id VARCHAR(64) NOT NULL,
+  success BOOLEAN NOT NULL,
+  latency_ms INT NULL,
+  error TEXT NULL,
+  published_at DATETIME NOT NULL,
+  INDEX relay_published (relay_url, published_at),
+  INDEX published_at (published_at)
+);
@@ -0,0 +1,25 @@
+-- Signed events StrichBot published, kept so they can be rebroadcast,
+-- and relay deliveries that failed and are retried with backoff
+
+CREATE TABLE IF NOT EXISTS nostr_events (
+  event_id VARCHAR(64) NOT NULL PRIMARY KEY,
+  kind INT NOT NULL,
+  event_json MEDIUMTEXT NOT NULL,
+  event_created_at DATETIME NOT NULL,
+  stored_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX event_created_at (event_created_at)
+);
+
+CREATE TABLE IF NOT EXISTS rebroadcast_queue (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  event_id VARCHAR(64) NOT NULL,
+  relay_url VARCHAR(255) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME NOT NULL,
+  last_error TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY event_relay (event_id, relay_url),
+  INDEX status_next_attempt (status, next_attempt_at)
+);
@@ -0,0 +1,14 @@
+-- Commands received as Nostr mentions, so each is answered once
+-- and replies can be rate limited per author
+
+CREATE TABLE IF NOT EXISTS nostr_commands (
+  event_id VARCHAR(64) NOT NULL PRIMARY KEY,
+  author_pubkey VARCHAR(64) NOT NULL,
+  command VARCHAR(16) NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'pending',
+  reply_event_id VARCHAR(64) NULL,
+  error TEXT NULL,
+  event_created_at DATETIME NOT NULL,
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX author_received (author_pubkey, received_at)
+);
@@ -0,0 +1,12 @@
+-- Joins and departures already announced on a channel, so reruns
+-- against the same previous snapshot do not announce them again
+
+CREATE TABLE IF NOT EXISTS member_announcements (
+  community_id VARCHAR(64) NOT NULL,
+  since_date DATE NOT NULL,
+  pubkey CHAR(66) NOT NULL,
+  change_type VARCHAR(8) NOT NULL,
+  channel VARCHAR(16) NOT NULL,
+  announced_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (community_id, since_date, channel, change_type, pubkey)
+);
@@ -0,0 +1,10 @@
+-- Platforms an announcement already reached, so a rerun after a partial
+-- failure only retries the Nostr post or Telegram chats that missed it
+
+CREATE TABLE IF NOT EXISTS announcement_deliveries (
+  announcement_key VARCHAR(128) NOT NULL,
+  target VARCHAR(64) NOT NULL,
+  reference VARCHAR(64) NULL,
+  delivered_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (announcement_key, target)
+);
@@ -0,0 +1,11 @@
+-- Communities whose pending requests are tracked, so the first run only records
+-- a baseline instead of introducing every open request as new
+
+CREATE TABLE IF NOT EXISTS request_tracking (
+  community_id VARCHAR(64) NOT NULL PRIMARY KEY,
+  started_at DATETIME NOT NULL
+);
+
+-- Communities tracked before this table existed already have their baseline
+INSERT IGNORE INTO request_tracking (community_id, started_at)
+  SELECT community_id, MIN(first_seen) FROM community_requests GROUP BY community_id;
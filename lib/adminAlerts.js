@@ -0,0 +1,227 @@
+/**
+ * Admin Alerts
+ * Routes each kind of admin alert to the Telegram admin chat, NIP-17 private messages
+ * to the admin npubs, or both, as chosen in the admin panel
+ */
+
+const { nip19 } = require('nostr-tools');
+const { sendMessage, validateTelegramConfig, escapeHtml } = require('./telegram');
+const { parseRelays } = require('./nostr');
+const { getSigner, getSignerSettings } = require('./signer');
+const { selectRelays } = require('./relayHealth');
+const { decodeRecipient, sendDirectMessage } = require('./nostrDm');
+const { loadScheduleConfig } = require('./scheduler');
+
+const ALERT_TYPES = {
+  KEY_EXPIRY: 'key_expiry',
+  KEY_ROTATION: 'key_rotation',
+  AMBOSS_FAILURE: 'amboss_failure',
+  POST_FAILURE: 'post_failure',
+  SCHEMA_DRIFT: 'schema_drift',
+  MEMBER_DEPARTURE: 'member_departure'
+};
+
+const ALERT_ROUTES = {
+  TELEGRAM: 'telegram',
+  NOSTR: 'nostr',
+  BOTH: 'both'
+};
+
+// Alerts went to Telegram only before they could be routed
+const DEFAULT_ROUTE = ALERT_ROUTES.TELEGRAM;
+const MAX_ADMIN_NPUBS = 10;
+
+/**
+ * Validate and clean up alert settings from the admin panel
+ * @param {Object} input - { npubs, routes } - npubs as array or comma/whitespace separated string
+ * @returns {Object} { alerts, errors } - alerts has npubs (npub format) and a route for every alert type
+ */
+function normalizeAlertSettings(input) {
+  const errors = [];
+  const values = Array.isArray(input?.npubs)
+    ? input.npubs
+    : String(input?.npubs || '').split(/[\s,]+/);
+
+  const npubs = [];
+  values.map(value => String(value).trim()).filter(Boolean).forEach(value => {
+    const pubkey = decodeRecipient(value);
+    if (!pubkey) {
+      errors.push(`${value} is not an npub`);
+    } else if (!npubs.includes(nip19.npubEncode(pubkey))) {
+      npubs.push(nip19.npubEncode(pubkey));
+    }
+  });
+
+  if (npubs.length > MAX_ADMIN_NPUBS) {
+    errors.push(`At most ${MAX_ADMIN_NPUBS} admin npubs are supported`);
+  }
+
+  const routes = {};
+  Object.values(ALERT_TYPES).forEach(type => {
+    const route = input?.routes?.[type];
+    routes[type] = Object.values(ALERT_ROUTES).includes(route) ? route : DEFAULT_ROUTE;
+  });
+
+  return { alerts: { npubs: npubs.slice(0, MAX_ADMIN_NPUBS), routes }, errors };
+}
+
+/**
+ * Load the alert settings from the admin configuration
+ * @returns {Promise<Object>} { npubs, routes }
+ */
+async function loadAlertSettings() {
+  try {
+    const config = await loadScheduleConfig();
+    return normalizeAlertSettings(config.alerts).alerts;
+  } catch (error) {
+    console.error('Error loading alert settings:', error);
+    return normalizeAlertSettings(null).alerts;
+  }
+}
+
+/**
+ * Turn a Telegram HTML alert into plain text for a private message
+ * @param {string} html - Message with Telegram HTML formatting
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return String(html)
+    .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (match, href, text) => (text === href ? href : `${text} (${href})`))
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Work out which channels an alert can go to
+ * @param {string} type - Alert type from ALERT_TYPES
+ * @param {Object} settings - Settings from loadAlertSettings
+ * @param {Object} telegram - { botToken, chatId } of the admin chat
+ * @returns {Object} { route, telegram, nostr, deliverable, problems } - telegram and nostr say whether that channel will be used
+ */
+function getAlertChannels(type, settings, { botToken, chatId } = {}) {
+  const route = settings.routes[type] || DEFAULT_ROUTE;
+  const problems = [];
+
+  let telegram = false;
+  if (route === ALERT_ROUTES.TELEGRAM || route === ALERT_ROUTES.BOTH) {
+    const validation = validateTelegramConfig(botToken, chatId);
+    telegram = validation.valid;
+    problems.push(...validation.errors);
+  }
+
+  let nostr = false;
+  if (route === ALERT_ROUTES.NOSTR || route === ALERT_ROUTES.BOTH) {
+    if (settings.npubs.length === 0) {
+      problems.push('No admin npubs configured for Nostr alerts');
+    } else if (!getSignerSettings().type) {
+      problems.push('NOSTR_NSEC or NOSTR_BUNKER_URI is required for Nostr alerts');
+    } else {
+      nostr = true;
+    }
+  }
+
+  return { route, telegram, nostr, deliverable: telegram || nostr, problems };
+}
+
+/**
+ * Check whether an alert type has a channel it can be delivered on
+ * @param {string} type - Alert type from ALERT_TYPES
+ * @param {Object} telegram - { botToken, chatId } of the admin chat
+ * @returns {Promise<Object>} Result of getAlertChannels
+ */
+async function checkAlertDelivery(type, telegram) {
+  return getAlertChannels(type, await loadAlertSettings(), telegram);
+}
+
+/**
+ * Send an admin alert on the channels chosen for its type
+ * A channel that fails does not stop the other one; the alert only fails when it reached nobody
+ * @param {string} type - Alert type from ALERT_TYPES
+ * @param {string} message - Alert with Telegram HTML formatting, sent as plain text over Nostr
+ * @param {Object} telegram - { botToken, chatId, options } of the admin chat
+ * @returns {Promise<Object>} { success, route, messageId, chatId, telegram, nostr, errors }
+ */
+async function sendAdminAlert(type, message, { botToken, chatId, options = {} } = {}) {
+  const settings = await loadAlertSettings();
+  const channels = getAlertChannels(type, settings, { botToken, chatId });
+  const errors = [...channels.problems];
+  let telegram = null;
+  const nostr = [];
+
+  if (channels.telegram) {
+    try {
+      telegram = await sendMessage(botToken, chatId, message, options);
+    } catch (error) {
+      errors.push(`Telegram: ${error.message}`);
+    }
+  }
+
+  if (channels.nostr) {
+    try {
+      const signer = await getSigner();
+      const relays = await selectRelays(parseRelays(process.env.NOSTR_RELAYS));
+      const text = htmlToText(message);
+
+      for (const npub of settings.npubs) {
+        try {
+          nostr.push(await sendDirectMessage(signer, decodeRecipient(npub), text, relays));
+        } catch (error) {
+          errors.push(`Nostr DM to ${npub}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      errors.push(`Nostr: ${error.message}`);
+    }
+  }
+
+  if (!telegram && nostr.length === 0) {
+    throw new Error(`Admin alert ${type} was not delivered: ${errors.join('; ') || 'no channel configured'}`);
+  }
+
+  errors.forEach(error => console.error(`Admin alert ${type}:`, error));
+  console.log(`Sent admin alert ${type} (${[telegram && 'Telegram', nostr.length > 0 && `${nostr.length} Nostr DMs`].filter(Boolean).join(', ')})`);
+
+  return {
+    success: true,
+    route: channels.route,
+    messageId: telegram?.messageId || null,
+    chatId: telegram?.chatId || null,
+    telegram,
+    nostr,
+    errors
+  };
+}
+
+/**
+ * Format an admin alert for community posts that failed to publish
+ * @param {Array} failures - { name, error } or { name, publishedTo: 0 } per community
+ * @returns {string} Formatted admin alert with Telegram HTML
+ */
+function formatPostFailureAlert(failures) {
+  const lines = failures.map(failure => failure.error
+    ? `• ${escapeHtml(failure.name)}: <code>${escapeHtml(failure.error)}</code>`
+    : `• ${escapeHtml(failure.name)}: no relay accepted the post`);
+
+  return `📭 <b>Nostr Post Failed</b>
+
+${lines.join('\n')}
+
+Posts that reached no relay are queued for /api/rebroadcast. Check the signer and the relay health in the admin panel.
+
+🤖 StrichBot Admin Alert`;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_ROUTES,
+  normalizeAlertSettings,
+  loadAlertSettings,
+  htmlToText,
+  getAlertChannels,
+  checkAlertDelivery,
+  sendAdminAlert,
+  formatPostFailureAlert
+};
@@ -2,94 +2,431 @@
  * Amboss API client for fetching Lightning Network statistics
  */
 
+const { computeChannelSizeDistribution } = require('./channelDistribution');
+const { checkCircuit, recordSuccess, recordFailure } = require('./circuitBreaker');
+const { getStaleStats } = require('./dataStore');
+const { handleKeyFailure } = require('./keyMonitor');
+
 const AMBOSS_API_URL = 'https://api.amboss.space/graphql';
+const CIRCUIT_NAME = 'amboss';
+
+// An attempt with less time than this left before the run deadline is not started
+const MIN_ATTEMPT_MS = 2000;
+
+// Failure types returned by fetchCommunityStatsResult
+const AMBOSS_ERRORS = {
+  NOT_CONFIGURED: 'not_configured',
+  UNAUTHORIZED: 'unauthorized',
+  UNAVAILABLE: 'unavailable',
+  CIRCUIT_OPEN: 'circuit_open',
+  INVALID_RESPONSE: 'invalid_response'
+};
 
 /**
- * Fetch Lightning Network community statistics from Amboss
- * @param {string} apiKey - Optional API key for authenticated requests
+ * Normalize the member list returned by getCommunity
+ * @param {Array} members - Raw member nodes from Amboss
+ * @returns {Array} Members with pubkey, alias, channels and capacity (sats)
+ */
+function normalizeMembers(members) {
+  if (!Array.isArray(members)) return [];
+
+  return members
+    .filter(member => member && member.pubkey)
+    .map(member => ({
+      pubkey: member.pubkey,
+      alias: member.graph_info?.node?.alias || null,
+      channels: Number(member.graph_info?.channels?.num_channels) || 0,
+      capacity: Number(member.graph_info?.channels?.total_capacity) || 0
+    }));
+}
+
+/**
+ * Get request settings from environment variables
+ * @returns {Object} Timeout, retry count and base retry delay in milliseconds
+ */
+function getRequestSettings() {
+  const timeoutMs = parseInt(process.env.AMBOSS_TIMEOUT_MS, 10);
+  const maxRetries = parseInt(process.env.AMBOSS_MAX_RETRIES, 10);
+  const retryDelayMs = parseInt(process.env.AMBOSS_RETRY_DELAY_MS, 10);
+
+  return {
+    timeoutMs: timeoutMs > 0 ? timeoutMs : 10000,
+    maxRetries: maxRetries >= 0 ? maxRetries : 2,
+    retryDelayMs: retryDelayMs >= 0 ? retryDelayMs : 1000
+  };
+}
+
+/**
+ * Get the time by which a cron run has to be done with Amboss requests
+ * Retries for one community must not use up the time the function needs for the others,
+ * or for posting and alerting before Vercel stops it
+ * @param {number} startedAt - Run start in epoch milliseconds
+ * @returns {number} Deadline in epoch milliseconds
+ */
+function getRunDeadline(startedAt = Date.now()) {
+  const budgetMs = parseInt(process.env.AMBOSS_RUN_BUDGET_MS, 10);
+  return startedAt + (budgetMs > 0 ? budgetMs : 30000);
+}
+
+/**
+ * Milliseconds left before a deadline
+ * @param {number|null} deadline - Deadline in epoch milliseconds, or null for none
+ * @returns {number} Time left (Infinity without a deadline)
+ */
+function timeLeft(deadline) {
+  return deadline ? deadline - Date.now() : Infinity;
+}
+
+/**
+ * Create an error tagged with one of AMBOSS_ERRORS
+ * @param {string} type - Error type
+ * @param {string} message - Error message
+ * @param {number|null} status - HTTP status, if any
+ * @returns {Error} Tagged error
+ */
+function ambossError(type, message, status = null) {
+  const error = new Error(message);
+  error.type = type;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Check whether GraphQL errors are caused by a rejected API key
+ * @param {Array} errors - GraphQL errors array
+ * @returns {boolean} Whether the errors indicate invalid credentials
+ */
+function isAuthError(errors) {
+  return errors.some(error =>
+    ['UNAUTHENTICATED', 'FORBIDDEN'].includes(error.extensions?.code) ||
+    /unauthori[sz]ed|forbidden|invalid (api )?(key|token)/i.test(error.message || '')
+  );
+}
+
+/**
+ * Wait before the next retry
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Make a single GraphQL request to the Amboss API with a timeout
+ * @param {string} apiKey - API key for authenticated requests
+ * @param {string} payload - JSON request body
+ * @param {number} timeoutMs - Request timeout in milliseconds
+ * @returns {Promise<Object>} The `data` object of the GraphQL response
+ */
+async function requestAmboss(apiKey, payload, timeoutMs) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': payload.length.toString(),
+    'User-Agent': 'StrichBot/1.0',
+    'Authorization': `Bearer ${apiKey}`
+  };
+
+  let response;
+  try {
+    response = await fetch(AMBOSS_API_URL, {
+      method: 'POST',
+      headers,
+      body: payload,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `Amboss API timed out after ${timeoutMs}ms`
+      : `Amboss API network error: ${error.message}`;
+    throw ambossError(AMBOSS_ERRORS.UNAVAILABLE, message);
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw ambossError(AMBOSS_ERRORS.UNAUTHORIZED, `Amboss API rejected credentials: ${response.status} ${response.statusText}`, response.status);
+  }
+
+  if (!response.ok) {
+    throw ambossError(AMBOSS_ERRORS.UNAVAILABLE, `Amboss API error: ${response.status} ${response.statusText}`, response.status);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw ambossError(AMBOSS_ERRORS.INVALID_RESPONSE, `Invalid JSON from Amboss API: ${error.message}`, response.status);
+  }
+
+  if (data.errors) {
+    console.log('GraphQL errors:', JSON.stringify(data.errors, null, 2));
+    const type = isAuthError(data.errors) ? AMBOSS_ERRORS.UNAUTHORIZED : AMBOSS_ERRORS.INVALID_RESPONSE;
+    throw ambossError(type, `GraphQL errors: ${JSON.stringify(data.errors)}`, response.status);
+  }
+
+  return data.data || {};
+}
+
+/**
+ * Send a GraphQL query to the Amboss API
+ * Server errors, timeouts and network failures are retried with exponential backoff,
+ * and repeated failures open the 'amboss' circuit breaker. With a deadline, requests are
+ * cut short and retries dropped so the query gives up by then
+ * @param {string} apiKey - API key for authenticated requests
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object} options - { deadline } in epoch milliseconds
+ * @returns {Promise<Object>} The `data` object of the GraphQL response
+ * @throws {Error} Error with a `type` from AMBOSS_ERRORS
+ */
+async function queryAmboss(apiKey, query, variables, { deadline = null } = {}) {
+  // Not asking at all is not an Amboss failure, so the circuit is left alone
+  if (timeLeft(deadline) < MIN_ATTEMPT_MS) {
+    throw ambossError(AMBOSS_ERRORS.UNAVAILABLE, 'Amboss API skipped: run deadline reached');
+  }
+
+  const circuit = await checkCircuit(CIRCUIT_NAME);
+  if (!circuit.allowed) {
+    throw ambossError(AMBOSS_ERRORS.CIRCUIT_OPEN, `Amboss API circuit open until ${circuit.retryAt.toISOString()}`);
+  }
+
+  const { timeoutMs, maxRetries, retryDelayMs } = getRequestSettings();
+  const payload = JSON.stringify({ query, variables });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await requestAmboss(apiKey, payload, Math.min(timeoutMs, timeLeft(deadline)));
+      await recordSuccess(CIRCUIT_NAME);
+      return data;
+    } catch (error) {
+      // Only availability problems are worth retrying; the API answered otherwise
+      if (error.type !== AMBOSS_ERRORS.UNAVAILABLE) {
+        await recordSuccess(CIRCUIT_NAME);
+        throw error;
+      }
+
+      const delay = retryDelayMs * Math.pow(2, attempt);
+
+      if (attempt >= maxRetries || timeLeft(deadline) < delay + MIN_ATTEMPT_MS) {
+        await recordFailure(CIRCUIT_NAME, error.message);
+        throw error;
+      }
+
+      console.log(`${error.message} - retrying in ${delay}ms (retry ${attempt + 1} of ${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Get the Amboss API key posts should use
+ * Reads the active key from the key list, falling back to AMBOSS_API_KEY
+ * @returns {Promise<string|undefined>} API key value
+ */
+async function getAmbossApiKey() {
+  try {
+    const { getActiveKey } = await import('./apiKeyConfig.js');
+    const activeKey = await getActiveKey();
+    return activeKey ? activeKey.value : process.env.AMBOSS_API_KEY;
+  } catch (error) {
+    console.error('Error loading active Amboss API key:', error);
+    return process.env.AMBOSS_API_KEY;
+  }
+}
+
+/**
+ * Fetch community statistics from Amboss with a single API key
+ * @param {string} apiKey - API key for authenticated requests
  * @param {string} communityId - Lightning Network community ID from Amboss
- * @returns {Promise<Object>} Community statistics including pending requests
+ * @param {Object} options - { deadline } passed to queryAmboss
+ * @returns {Promise<Object>} { stats, error } where error is { type, message, status } from AMBOSS_ERRORS
  */
-async function fetchCommunityStats(apiKey = null, communityId = null) {
+async function fetchWithKey(apiKey, communityId, options = {}) {
   try {
-    // If we have both API key and community ID, try the real API call
-    if (apiKey && communityId) {
-      const query = `
-        query GetCommunityData($getCommunityId: String!) {
-          getCommunity(id: $getCommunityId) {
-            member_count
-            community_stats {
-              total_channels
-              total_capacity
-            }
+    if (!apiKey || !communityId) {
+      console.log('No API credentials provided - skipping post');
+      return {
+        stats: null,
+        error: { type: AMBOSS_ERRORS.NOT_CONFIGURED, message: 'Amboss API key or community ID missing', status: null }
+      };
+    }
+
+    const query = `
+      query GetCommunityData($getCommunityId: String!) {
+        getCommunity(id: $getCommunityId) {
+          member_count
+          community_stats {
+            total_channels
+            total_capacity
           }
-          getAllCommunityRequests(id: $getCommunityId) {
-            pubId
+          members {
             pubkey
-            approvals
-            requiredApprovals
+            graph_info {
+              node {
+                alias
+              }
+              channels {
+                num_channels
+                total_capacity
+              }
+            }
           }
         }
-      `;
+        getAllCommunityRequests(id: $getCommunityId) {
+          pubId
+          pubkey
+          approvals
+          requiredApprovals
+        }
+      }
+    `;
 
-      const variables = {
-        getCommunityId: communityId
-      };
+    const data = await queryAmboss(apiKey, query, { getCommunityId: communityId }, options);
 
-      const payload = JSON.stringify({ query, variables });
+    const community = data.getCommunity;
+    const pendingRequests = data.getAllCommunityRequests || [];
 
-      const headers = {
-        'Content-Type': 'application/json',
-        'Content-Length': payload.length.toString(),
-        'User-Agent': 'StrichBot/1.0',
-        'Authorization': `Bearer ${apiKey}`
-      };
+    if (!community) {
+      throw ambossError(AMBOSS_ERRORS.INVALID_RESPONSE, `Community ${communityId} not found on Amboss`);
+    }
 
-      const response = await fetch(AMBOSS_API_URL, {
-        method: 'POST',
-        headers,
-        body: payload
-      });
+    const members = normalizeMembers(community.members);
+    const channelSizes = computeChannelSizeDistribution(members);
 
-      if (!response.ok) {
-        throw new Error(`Amboss API error: ${response.status} ${response.statusText}`);
-      }
+    const totals = {
+      memberCount: community.member_count ?? null,
+      totalChannels: community.community_stats?.total_channels ?? null,
+      totalCapacity: community.community_stats?.total_capacity != null
+        ? parseFloat((community.community_stats.total_capacity / 100000000).toFixed(2))
+        : null
+    };
 
-      const data = await response.json();
+    // Fill totals Amboss left out from the last stored day and mark them stale
+    const staleFields = Object.keys(totals).filter(field => totals[field] === null);
+    let staleInfo = {};
 
-      if (data.errors) {
-        console.log('GraphQL errors:', JSON.stringify(data.errors, null, 2));
-        throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
-      }
+    if (staleFields.length > 0) {
+      const fallback = await getStaleStats(communityId);
 
-      const community = data.data?.getCommunity;
-      const pendingRequests = data.data?.getAllCommunityRequests || [];
-
-      if (community) {
-        const totalCapacityBTC = community.community_stats?.total_capacity
-          ? (community.community_stats.total_capacity / 100000000).toFixed(2)
-          : 611.5;
-
-        return {
-          memberCount: community.member_count || 299,
-          totalChannels: community.community_stats?.total_channels || 6181,
-          totalCapacity: parseFloat(totalCapacityBTC),
-          avgChannelSize: 0.099, // Would need calculation from raw data
-          pendingRequests: pendingRequests.length,
-          timestamp: new Date().toISOString(),
-          source: 'Amboss'
-        };
+      if (!fallback) {
+        throw ambossError(AMBOSS_ERRORS.INVALID_RESPONSE, `Amboss returned incomplete stats (${staleFields.join(', ')}) and no stored stats are available`);
       }
+
+      console.log(`Amboss returned incomplete stats, using stored values from ${fallback.asOf} for: ${staleFields.join(', ')}`);
+      staleFields.forEach(field => { totals[field] = Number(fallback[field]); });
+      staleInfo = { stale: true, staleFields, asOf: fallback.asOf, ageHours: fallback.ageHours };
     }
 
-    // If no API credentials provided, return null (no post)
-    console.log('No API credentials provided - skipping post');
-    return null;
+    return {
+      stats: {
+        ...totals,
+        avgChannelSize: channelSizes ? channelSizes.mean : null,
+        channelSizes,
+        members,
+        pendingRequests: pendingRequests.length,
+        pendingRequestList: pendingRequests.map(request => ({
+          pubId: request.pubId,
+          pubkey: request.pubkey,
+          approvals: request.approvals || 0,
+          requiredApprovals: request.requiredApprovals || 0
+        })),
+        communityId,
+        timestamp: new Date().toISOString(),
+        source: 'Amboss',
+        ...staleInfo
+      },
+      error: null
+    };
 
   } catch (error) {
     console.error('Error fetching community stats:', error);
 
-    // Return null to skip posting if API fails
+    return {
+      stats: null,
+      error: {
+        type: error.type || AMBOSS_ERRORS.INVALID_RESPONSE,
+        message: error.message,
+        status: error.status || null
+      }
+    };
+  }
+}
+
+/**
+ * Fetch Lightning Network community statistics from Amboss, reporting why a fetch failed
+ * When Amboss rejects the key, the next valid key is promoted and the fetch retried with it
+ * @param {string} apiKey - API key for authenticated requests
+ * @param {string} communityId - Lightning Network community ID from Amboss
+ * @param {Object} options - { deadline } passed to queryAmboss
+ * @returns {Promise<Object>} { stats, error, keyFailover } where error is { type, message, status } from AMBOSS_ERRORS
+ */
+async function fetchCommunityStatsResult(apiKey = null, communityId = null, options = {}) {
+  const triedKeys = new Set();
+  const keyFailover = [];
+  let currentKey = apiKey;
+  let result = await fetchWithKey(currentKey, communityId, options);
+
+  while (result.error && result.error.type === AMBOSS_ERRORS.UNAUTHORIZED) {
+    triedKeys.add(currentKey);
+
+    const failover = await handleKeyFailure(currentKey, result.error.message);
+    if (!failover.activeKey || triedKeys.has(failover.activeKey.value)) break;
+
+    console.log(`Retrying Amboss fetch with ${failover.activeKey.keyName}`);
+    keyFailover.push({ from: failover.previousKey, to: failover.activeKey.keyName });
+    currentKey = failover.activeKey.value;
+    result = await fetchWithKey(currentKey, communityId, options);
+  }
+
+  return { ...result, keyFailover };
+}
+
+/**
+ * Fetch Lightning Network community statistics from Amboss
+ * @param {string} apiKey - Optional API key for authenticated requests
+ * @param {string} communityId - Lightning Network community ID from Amboss
+ * @param {Object} options - { deadline } passed to queryAmboss
+ * @returns {Promise<Object|null>} Community statistics including pending requests and member nodes, or null if unavailable
+ */
+async function fetchCommunityStats(apiKey = null, communityId = null, options = {}) {
+  const { stats } = await fetchCommunityStatsResult(apiKey, communityId, options);
+  return stats;
+}
+
+/**
+ * Fetch public graph information for a single node from Amboss
+ * @param {string} apiKey - API key for authenticated requests
+ * @param {string} pubkey - Node public key
+ * @param {Object} options - { deadline } passed to queryAmboss
+ * @returns {Promise<Object|null>} Node with pubkey, alias, channels and capacity (sats), or null if unavailable
+ */
+async function fetchNodeInfo(apiKey, pubkey, options = {}) {
+  try {
+    if (!apiKey || !pubkey) return null;
+
+    const query = `
+      query GetNode($pubkey: String!) {
+        getNode(pubkey: $pubkey) {
+          graph_info {
+            node {
+              alias
+            }
+            channels {
+              num_channels
+              total_capacity
+            }
+          }
+        }
+      }
+    `;
+
+    const data = await queryAmboss(apiKey, query, { pubkey }, options);
+
+    if (!data.getNode?.graph_info) return null;
+
+    return normalizeMembers([{ pubkey, graph_info: data.getNode.graph_info }])[0];
+
+  } catch (error) {
+    console.error('Error fetching node info from Amboss:', error);
     return null;
   }
 }
@@ -114,7 +451,14 @@ function formatNumber(num) {
 }
 
 module.exports = {
+  AMBOSS_ERRORS,
+  getAmbossApiKey,
+  getRunDeadline,
   fetchCommunityStats,
+  fetchCommunityStatsResult,
+  fetchNodeInfo,
+  queryAmboss,
+  normalizeMembers,
   formatCapacity,
   formatNumber
 };
\ No newline at end of file
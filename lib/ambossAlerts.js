@@ -0,0 +1,68 @@
+/**
+ * Amboss Failure Alerts
+ * Admin notifications for failed Amboss fetches, worded by failure type
+ */
+
+const { AMBOSS_ERRORS } = require('./amboss');
+const { escapeHtml } = require('./telegram');
+const { ALERT_TYPES, sendAdminAlert } = require('./adminAlerts');
+
+/**
+ * Format an admin alert for a failed Amboss fetch
+ * @param {Object} error - Error from fetchCommunityStatsResult ({ type, message, status })
+ * @param {Array} communityNames - Communities whose post was skipped
+ * @returns {string} Formatted admin alert for Telegram
+ */
+function formatAmbossFailureAlert(error, communityNames = []) {
+  const skipped = communityNames.length > 0
+    ? `\n\nSkipped posts: ${communityNames.map(escapeHtml).join(', ')}`
+    : '';
+
+  if (error.type === AMBOSS_ERRORS.UNAUTHORIZED) {
+    return `🔑 <b>Amboss Credentials Rejected</b>
+
+Amboss refused the API key${error.status ? ` (HTTP ${error.status})` : ''} and no standby key was available. Daily posts will keep failing until a key is replaced.
+
+Update the key in Vercel, or add a standby key under API Key Management in the admin panel.${skipped}
+
+🤖 StrichBot Admin Alert`;
+  }
+
+  if (error.type === AMBOSS_ERRORS.UNAVAILABLE || error.type === AMBOSS_ERRORS.CIRCUIT_OPEN) {
+    return `🌩️ <b>Amboss API Unavailable</b>
+
+${error.type === AMBOSS_ERRORS.CIRCUIT_OPEN ? 'Requests are paused after repeated failures.' : 'The request failed after all retries.'}
+<code>${escapeHtml(error.message)}</code>
+
+No action needed if this is an Amboss outage; posting resumes once the API recovers.${skipped}
+
+🤖 StrichBot Admin Alert`;
+  }
+
+  return `⚠️ <b>Amboss Fetch Failed</b>
+
+<code>${escapeHtml(error.message)}</code>${skipped}
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Send an Amboss failure alert to the admins, on the channels chosen for Amboss failure alerts
+ * @param {string} botToken - Telegram bot token
+ * @param {string} adminChatId - Admin Telegram chat ID
+ * @param {Object} error - Error from fetchCommunityStatsResult
+ * @param {Array} communityNames - Communities whose post was skipped
+ * @returns {Promise<Object>} Send result
+ */
+async function sendAmbossFailureAlert(botToken, adminChatId, error, communityNames) {
+  const message = formatAmbossFailureAlert(error, communityNames);
+  const result = await sendAdminAlert(ALERT_TYPES.AMBOSS_FAILURE, message, { botToken, chatId: adminChatId });
+
+  console.log(`Sent Amboss ${error.type} alert`);
+  return result;
+}
+
+module.exports = {
+  formatAmbossFailureAlert,
+  sendAmbossFailureAlert
+};
@@ -0,0 +1,201 @@
+/**
+ * Community Announcements
+ * Sends network-wide announcements (low fees, block milestones) once to Nostr and to every community Telegram chat
+ */
+
+const { query } = require('./database');
+const { publishEvent, parseRelays } = require('./nostr');
+const { sendMessage, escapeHtml } = require('./telegram');
+const { getCommunitiesForPlatform } = require('./communities');
+const { selectRelays } = require('./relayHealth');
+const { getSigner, getSignerSettings } = require('./signer');
+const { ALERT_TYPES, checkAlertDelivery, sendAdminAlert } = require('./adminAlerts');
+
+/**
+ * Collect where announcements go
+ * @returns {Promise<Object>} { relays, chatIds } - default relays plus community relays, and every community chat
+ */
+async function getAnnouncementTargets() {
+  const nostrCommunities = await getCommunitiesForPlatform('nostr');
+  const telegramCommunities = await getCommunitiesForPlatform('telegram');
+
+  const relays = [...new Set([
+    ...await selectRelays(parseRelays(process.env.NOSTR_RELAYS)),
+    ...nostrCommunities.flatMap(community => community.relays)
+  ])];
+
+  const chatIds = [...new Set(telegramCommunities.flatMap(community => community.telegramChats))];
+  if (chatIds.length === 0 && process.env.TELEGRAM_CHAT_ID) {
+    chatIds.push(process.env.TELEGRAM_CHAT_ID);
+  }
+
+  return { relays, chatIds };
+}
+
+/**
+ * Load the platforms an announcement already reached
+ * @param {string} key - Announcement key, e.g. 'milestone:3:reached'
+ * @returns {Promise<Map>} Target ('nostr' or 'telegram:<chat id>') to its event or message ID
+ */
+async function loadDeliveries(key) {
+  const rows = await query(
+    'SELECT target, reference FROM announcement_deliveries WHERE announcement_key = ?',
+    [key]
+  );
+  return new Map(rows.map(row => [row.target, row.reference]));
+}
+
+/**
+ * Remember that an announcement reached a platform
+ * @param {string} key - Announcement key
+ * @param {string} target - 'nostr' or 'telegram:<chat id>'
+ * @param {string|number|null} reference - Nostr event ID or Telegram message ID
+ * @returns {Promise<void>}
+ */
+async function recordDelivery(key, target, reference) {
+  await query(
+    `INSERT IGNORE INTO announcement_deliveries (announcement_key, target, reference)
+     VALUES (?, ?, ?)`,
+    [key, target, reference === null || reference === undefined ? null : String(reference)]
+  );
+}
+
+/**
+ * Publish an announcement to Nostr and Telegram
+ * Platforms without credentials are skipped; failures are collected rather than thrown.
+ * With a key, platforms an earlier run reached are not posted to again
+ * @param {string} nostrMessage - Message for Nostr
+ * @param {string} telegramMessage - HTML message for Telegram
+ * @param {Array} tags - Extra Nostr tags
+ * @param {string|null} key - Identifies the announcement across runs
+ * @returns {Promise<Object>} { nostr, telegram, delivered, complete } - delivered when any platform has the
+ *   announcement, complete when every configured one has; entries from earlier runs carry earlier: true
+ */
+async function broadcastAnnouncement(nostrMessage, telegramMessage, tags = [], key = null) {
+  const signerType = getSignerSettings().type;
+  const telegramBotToken = process.env.TELEGRAM_BOT_TOKEN;
+  const { relays, chatIds } = await getAnnouncementTargets();
+  const deliveries = key ? await loadDeliveries(key) : new Map();
+  const results = { nostr: null, telegram: [] };
+
+  // Delivery bookkeeping must never turn a sent post into a failure
+  const remember = async (target, reference) => {
+    if (!key) return;
+    try {
+      await recordDelivery(key, target, reference);
+    } catch (recordError) {
+      console.error(`Error recording delivery of ${key} to ${target}:`, recordError);
+    }
+  };
+
+  if (signerType) {
+    if (deliveries.has('nostr')) {
+      results.nostr = { eventId: deliveries.get('nostr'), earlier: true };
+    } else {
+      try {
+        const published = await publishEvent(await getSigner(), nostrMessage, relays, tags);
+        results.nostr = {
+          eventId: published.eventId,
+          publishedTo: published.publishedTo,
+          totalRelays: published.totalRelays,
+          confirmation: published.confirmation
+        };
+        await remember('nostr', published.eventId);
+      } catch (nostrError) {
+        console.error('Error publishing announcement to Nostr:', nostrError);
+        results.nostr = { error: nostrError.message };
+      }
+    }
+  }
+
+  if (telegramBotToken) {
+    for (const chatId of chatIds) {
+      const target = `telegram:${chatId}`;
+      if (deliveries.has(target)) {
+        results.telegram.push({ chatId, messageId: deliveries.get(target), success: true, earlier: true });
+        continue;
+      }
+
+      try {
+        const sent = await sendMessage(telegramBotToken, chatId, telegramMessage);
+        results.telegram.push({ chatId, messageId: sent.messageId, success: true });
+        await remember(target, sent.messageId);
+      } catch (telegramError) {
+        console.error(`Error sending announcement to ${chatId}:`, telegramError);
+        results.telegram.push({ chatId, success: false, error: telegramError.message });
+      }
+    }
+  }
+
+  const outcomes = [
+    ...(results.nostr ? [!!results.nostr.eventId] : []),
+    ...results.telegram.map(result => result.success)
+  ];
+
+  return {
+    ...results,
+    delivered: outcomes.some(Boolean),
+    complete: outcomes.length > 0 && outcomes.every(Boolean)
+  };
+}
+
+/**
+ * Format an admin alert for the platforms an announcement did not reach
+ * @param {string} title - What was announced, e.g. 'Low-fee alert'
+ * @param {Object} results - Result of broadcastAnnouncement
+ * @returns {string} Formatted admin alert with Telegram HTML
+ */
+function formatAnnouncementFailureAlert(title, results) {
+  const lines = [
+    ...(results.nostr?.error ? [`• Nostr: <code>${escapeHtml(results.nostr.error)}</code>`] : []),
+    ...results.telegram
+      .filter(result => !result.success)
+      .map(result => `• Telegram chat <code>${escapeHtml(String(result.chatId))}</code>: <code>${escapeHtml(result.error)}</code>`)
+  ];
+
+  return `📭 <b>Announcement Not Delivered Everywhere</b>
+
+${escapeHtml(title)} did not reach:
+
+${lines.join('\n')}
+
+Check that the bot is still a member of these chats and that the signer works.
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Alert admins about the platforms an announcement did not reach
+ * @param {string} title - What was announced
+ * @param {Object} results - Result of broadcastAnnouncement
+ * @returns {Promise<Object|null>} { route } if an alert was sent
+ */
+async function alertAnnouncementFailures(title, results) {
+  if (results.complete) return null;
+
+  const botToken = process.env.TELEGRAM_BOT_TOKEN;
+  const adminChatId = process.env.TELEGRAM_ADMIN_CHAT_ID;
+
+  const delivery = await checkAlertDelivery(ALERT_TYPES.POST_FAILURE, { botToken, chatId: adminChatId });
+  if (!delivery.deliverable) {
+    console.log(`No channel for announcement failure alerts (${delivery.problems.join(', ')}) - alert skipped`);
+    return null;
+  }
+
+  try {
+    const alert = await sendAdminAlert(ALERT_TYPES.POST_FAILURE, formatAnnouncementFailureAlert(title, results), { botToken, chatId: adminChatId });
+    return { route: alert.route };
+  } catch (alertError) {
+    console.error('Error sending announcement failure alert:', alertError);
+    return null;
+  }
+}
+
+module.exports = {
+  getAnnouncementTargets,
+  loadDeliveries,
+  recordDelivery,
+  broadcastAnnouncement,
+  formatAnnouncementFailureAlert,
+  alertAnnouncementFailures
+};
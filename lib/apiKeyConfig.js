@@ -1,49 +1,242 @@
 import { query, queryOne } from './database.js';
 
-async function getApiKeyConfig() {
+// Key values live in environment variables; the table stores one row per variable name
+const DEFAULT_KEY_NAME = 'AMBOSS_API_KEY';
+const KEY_NAME_PATTERN = /^AMBOSS_API_KEY(_[A-Z0-9_]+)?$/;
+
+const KEY_STATUSES = {
+  ACTIVE: 'active',
+  STANDBY: 'standby',
+  FAILED: 'failed',     // Rejected by Amboss
+  RETIRED: 'retired'    // Rotated out before its expiry date
+};
+
+/**
+ * Convert a database row to a key entry
+ * @param {Object} row - api_key_config row
+ * @returns {Object} Key entry (never includes the key value)
+ */
+function toKeyEntry(row) {
+  return {
+    keyName: row.key_name,
+    expiryDate: row.expiry_date,
+    warningDays: row.warning_days || '7,3,1',
+    priority: row.priority || 0,
+    status: row.status || KEY_STATUSES.STANDBY,
+    lastError: row.last_error || null,
+    failedAt: row.failed_at || null,
+    configured: !!process.env[row.key_name]
+  };
+}
+
+/**
+ * Key entry used before any key has been stored
+ * @returns {Object} Active AMBOSS_API_KEY entry without an expiry date
+ */
+function getDefaultKey() {
+  return toKeyEntry({ key_name: DEFAULT_KEY_NAME, status: KEY_STATUSES.ACTIVE });
+}
+
+/**
+ * Check whether a key can be made the active key
+ * @param {Object} key - Key entry
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the key is configured, not failed and not expired
+ */
+function isKeyUsable(key, now = new Date()) {
+  if (!key.configured) return false;
+  if (key.status === KEY_STATUSES.FAILED || key.status === KEY_STATUSES.RETIRED) return false;
+  return !key.expiryDate || new Date(key.expiryDate) > now;
+}
+
+/**
+ * Load all stored keys in failover order
+ * @returns {Promise<Array>} Key entries, or the default AMBOSS_API_KEY entry if none are stored
+ */
+async function getApiKeys() {
   try {
-    const row = await queryOne(
-      'SELECT expiry_date, warning_days FROM api_key_config WHERE id = 1'
+    const rows = await query(
+      'SELECT * FROM api_key_config ORDER BY priority, id'
     );
 
-    if (!row) {
-      return {
-        expiryDate: null,
-        warningDays: '7,3,1'
-      };
-    }
-
-    return {
-      expiryDate: row.expiry_date,
-      warningDays: row.warning_days || '7,3,1'
-    };
+    return rows.length > 0 ? rows.map(toKeyEntry) : [getDefaultKey()];
   } catch (error) {
-    console.error('Error loading API key config:', error);
-    return {
-      expiryDate: null,
-      warningDays: '7,3,1'
-    };
+    console.error('Error loading API keys:', error);
+    return [getDefaultKey()];
   }
 }
 
-async function saveApiKeyConfig(expiryDate, warningDays) {
+/**
+ * Get the key posts should use
+ * Falls back to the first usable key when the active one is not configured
+ * @returns {Promise<Object|null>} Key entry with its value, or null if no key is available
+ */
+async function getActiveKey() {
+  const keys = await getApiKeys();
+  const key = keys.find(entry => entry.status === KEY_STATUSES.ACTIVE && entry.configured) ||
+              keys.find(entry => isKeyUsable(entry));
+
+  return key ? { ...key, value: process.env[key.keyName] } : null;
+}
+
+/**
+ * Add or update a key
+ * Saving a failed or retired key puts it back on standby, since it has usually been replaced
+ * @param {Object} key - { keyName, expiryDate, warningDays, priority, status }
+ * @returns {Promise<boolean>} Whether the key was saved
+ */
+async function saveApiKey({ keyName, expiryDate = null, warningDays = '7,3,1', priority = 0, status = KEY_STATUSES.STANDBY }) {
+  if (!KEY_NAME_PATTERN.test(keyName || '')) {
+    throw new Error(`Key name must be AMBOSS_API_KEY or start with AMBOSS_API_KEY_ (got "${keyName}")`);
+  }
+
   try {
     await query(
-      `INSERT INTO api_key_config (id, key_name, expiry_date, warning_days)
-       VALUES (1, 'amboss_api', ?, ?)
+      `INSERT INTO api_key_config (key_name, expiry_date, warning_days, priority, status)
+       VALUES (?, ?, ?, ?, ?)
        ON DUPLICATE KEY UPDATE
        expiry_date = VALUES(expiry_date),
-       warning_days = VALUES(warning_days)`,
-      [expiryDate, warningDays]
+       warning_days = VALUES(warning_days),
+       priority = VALUES(priority),
+       status = IF(status = 'active', 'active', 'standby'),
+       last_error = NULL,
+       failed_at = NULL`,
+      [keyName, expiryDate, warningDays, priority, status]
     );
     return true;
   } catch (error) {
-    console.error('Error saving API key config:', error);
+    console.error('Error saving API key:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a stored key
+ * @param {string} keyName - Environment variable name
+ * @returns {Promise<boolean>} Whether a key was removed
+ */
+async function removeApiKey(keyName) {
+  try {
+    const result = await query(
+      'DELETE FROM api_key_config WHERE key_name = ?',
+      [keyName]
+    );
+    return (result.affectedRows || 0) > 0;
+  } catch (error) {
+    console.error('Error removing API key:', error);
     return false;
   }
 }
 
+/**
+ * Set the status of a key
+ * @param {string} keyName - Environment variable name
+ * @param {string} status - One of KEY_STATUSES
+ * @param {string|null} lastError - Why the key was taken out of service
+ * @returns {Promise<void>}
+ */
+async function setKeyStatus(keyName, status, lastError = null) {
+  await query(
+    `UPDATE api_key_config
+     SET status = ?, last_error = ?, failed_at = IF(? = 'failed', NOW(), failed_at)
+     WHERE key_name = ?`,
+    [status, lastError, status, keyName]
+  );
+}
+
+/**
+ * Make a key the active key, putting the previously active key on standby
+ * @param {string} keyName - Environment variable name
+ * @returns {Promise<boolean>} Whether the key exists and was activated
+ */
+async function activateApiKey(keyName) {
+  try {
+    const row = await queryOne('SELECT key_name FROM api_key_config WHERE key_name = ?', [keyName]);
+    if (!row) return false;
+
+    await query(
+      "UPDATE api_key_config SET status = 'standby' WHERE status = 'active' AND key_name <> ?",
+      [keyName]
+    );
+    await setKeyStatus(keyName, KEY_STATUSES.ACTIVE);
+    return true;
+  } catch (error) {
+    console.error('Error activating API key:', error);
+    return false;
+  }
+}
+
+/**
+ * Take a key out of service and activate the next usable key by priority
+ * The key stays active when there is nothing to fail over to
+ * @param {string} keyName - Key being replaced
+ * @param {string} status - Status for the replaced key (failed or retired)
+ * @param {string} reason - Why the key is being replaced
+ * @returns {Promise<Object|null>} Newly active key entry with its value, or null if none is usable
+ */
+async function promoteNextKey(keyName, status, reason) {
+  try {
+    const keys = await getApiKeys();
+    const next = keys.find(key => key.keyName !== keyName && isKeyUsable(key));
+
+    if (!next) {
+      console.log(`No usable API key to replace ${keyName}`);
+      await query('UPDATE api_key_config SET last_error = ? WHERE key_name = ?', [reason, keyName]);
+      return null;
+    }
+
+    await setKeyStatus(keyName, status, reason);
+    await activateApiKey(next.keyName);
+    console.log(`API key ${keyName} ${status}, ${next.keyName} is now active`);
+
+    return { ...next, status: KEY_STATUSES.ACTIVE, value: process.env[next.keyName] };
+  } catch (error) {
+    console.error('Error promoting next API key:', error);
+    return null;
+  }
+}
+
+async function getApiKeyConfig() {
+  const activeKey = await getActiveKey();
+
+  if (!activeKey) {
+    return {
+      keyName: null,
+      expiryDate: null,
+      warningDays: '7,3,1'
+    };
+  }
+
+  return {
+    keyName: activeKey.keyName,
+    expiryDate: activeKey.expiryDate,
+    warningDays: activeKey.warningDays
+  };
+}
+
+async function saveApiKeyConfig(expiryDate, warningDays) {
+  const activeKey = await getActiveKey();
+
+  return saveApiKey({
+    keyName: activeKey ? activeKey.keyName : DEFAULT_KEY_NAME,
+    expiryDate,
+    warningDays,
+    priority: activeKey ? activeKey.priority : 0,
+    status: KEY_STATUSES.ACTIVE
+  });
+}
+
 export {
+  KEY_STATUSES,
+  KEY_NAME_PATTERN,
+  isKeyUsable,
+  getApiKeys,
+  getActiveKey,
+  saveApiKey,
+  removeApiKey,
+  setKeyStatus,
+  activateApiKey,
+  promoteNextKey,
   getApiKeyConfig,
   saveApiKeyConfig
-};
\ No newline at end of file
+};
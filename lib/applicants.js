@@ -0,0 +1,112 @@
+/**
+ * Applicant Enrichment
+ * Looks up the node behind a pending join request and builds the admin summary card
+ */
+
+const { fetchNodeInfo } = require('./amboss');
+const { fetchLightningNode } = require('./mempool');
+const { sendMessage, escapeHtml } = require('./telegram');
+const { formatChannelSize } = require('./channelDistribution');
+
+const SATS_PER_BTC = 100000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Look up public graph information for an applicant's node
+ * Amboss is preferred for alias, channels and capacity; Mempool.space fills in
+ * anything Amboss does not return, including the first-seen date
+ * @param {string} apiKey - Amboss API key
+ * @param {string} pubkey - Applicant node public key
+ * @param {Object} options - { deadline } passed to the Amboss lookup
+ * @returns {Promise<Object|null>} Node information or null if neither source knows the node
+ */
+async function lookupApplicant(apiKey, pubkey, options = {}) {
+  const amboss = await fetchNodeInfo(apiKey, pubkey, options);
+  const mempool = await fetchLightningNode(pubkey);
+
+  if (!amboss && !mempool) {
+    console.log(`No public node information found for ${pubkey}`);
+    return null;
+  }
+
+  return {
+    pubkey,
+    alias: amboss?.alias || mempool?.alias || null,
+    channels: amboss ? amboss.channels : mempool.channels,
+    capacity: amboss ? amboss.capacity : mempool.capacity,
+    firstSeen: mempool?.firstSeen || null,
+    source: amboss ? 'Amboss' : 'Mempool.space'
+  };
+}
+
+/**
+ * Format the age of a node from its first-seen date
+ * @param {Date} firstSeen - When the node first appeared in the graph
+ * @param {Date} now - Reference time
+ * @returns {string} Human readable age
+ */
+function formatNodeAge(firstSeen, now = new Date()) {
+  const days = Math.max(0, Math.floor((now - firstSeen) / DAY_MS));
+
+  if (days < 60) return `${days} day${days === 1 ? '' : 's'}`;
+  if (days < 730) return `${Math.floor(days / 30)} months`;
+  return `${(days / 365).toFixed(1)} years`;
+}
+
+/**
+ * Format the admin summary card for a new join request
+ * @param {Object} request - Pending request ({ pubkey, approvals, requiredApprovals })
+ * @param {Object|null} node - Node information from lookupApplicant
+ * @param {string} communityName - Community display name
+ * @param {Date} now - Reference time
+ * @returns {string} Formatted admin card for Telegram
+ */
+function formatApplicantCard(request, node, communityName = 'Nodestrich ♾️', now = new Date()) {
+  const details = node
+    ? [
+      `🔗 Channels: <b>${node.channels}</b>`,
+      `💰 Capacity: <b>${formatChannelSize(node.capacity / SATS_PER_BTC)} BTC</b>`,
+      node.firstSeen
+        ? `📅 First seen: <b>${node.firstSeen.toISOString().split('T')[0]}</b> (${formatNodeAge(node.firstSeen, now)} ago)`
+        : '📅 First seen: unknown'
+    ].join('\n')
+    : 'No public node information found on Amboss or Mempool.space';
+
+  return `🆕 <b>New Join Request: ${escapeHtml(communityName)}</b>
+
+⚡ <b>${escapeHtml(node?.alias || 'Unknown alias')}</b>
+<code>${request.pubkey}</code>
+
+${details}
+✅ Approvals: ${request.approvals}/${request.requiredApprovals}
+
+🔍 https://amboss.space/node/${request.pubkey}
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Look up an applicant and send the summary card to the admin Telegram chat
+ * @param {string} botToken - Telegram bot token
+ * @param {string} adminChatId - Admin Telegram chat ID
+ * @param {string} apiKey - Amboss API key
+ * @param {Object} request - Pending request ({ pubkey, approvals, requiredApprovals })
+ * @param {string} communityName - Community display name
+ * @param {Object} options - { deadline } passed to the Amboss lookup
+ * @returns {Promise<Object>} Send result
+ */
+async function sendApplicantCard(botToken, adminChatId, apiKey, request, communityName, options = {}) {
+  const node = await lookupApplicant(apiKey, request.pubkey, options);
+  const message = formatApplicantCard(request, node, communityName);
+  const result = await sendMessage(botToken, adminChatId, message);
+
+  console.log(`Sent applicant card for ${request.pubkey}`);
+  return result;
+}
+
+module.exports = {
+  lookupApplicant,
+  formatNodeAge,
+  formatApplicantCard,
+  sendApplicantCard
+};
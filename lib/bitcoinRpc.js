@@ -0,0 +1,129 @@
+/**
+ * Bitcoin Core JSON-RPC client
+ * Fallback source for block height and fee estimates when the mempool HTTP API fails
+ */
+
+const SATS_PER_BTC = 100000000;
+
+// estimatesmartfee confirmation targets matching mempool.space's recommended fee buckets
+const FEE_TARGETS = {
+  fastest: 1,
+  halfHour: 3,
+  hour: 6,
+  economy: 144
+};
+
+/**
+ * Get the RPC connection settings from environment variables
+ * @returns {Object|null} { url, user, password, timeoutMs } or null when BITCOIN_RPC_URL is not set
+ */
+function getRpcConfig() {
+  const url = process.env.BITCOIN_RPC_URL;
+  if (!url) return null;
+
+  const timeoutMs = parseInt(process.env.BITCOIN_RPC_TIMEOUT_MS, 10);
+
+  return {
+    url,
+    user: process.env.BITCOIN_RPC_USER || '',
+    password: process.env.BITCOIN_RPC_PASSWORD || '',
+    timeoutMs: timeoutMs > 0 ? timeoutMs : 5000
+  };
+}
+
+/**
+ * Check whether a bitcoind RPC fallback is configured
+ * @returns {boolean} Whether BITCOIN_RPC_URL is set
+ */
+function isRpcConfigured() {
+  return getRpcConfig() !== null;
+}
+
+/**
+ * Call a bitcoind RPC method
+ * @param {string} method - RPC method name
+ * @param {Array} params - Method parameters
+ * @returns {Promise<*>} RPC result
+ */
+async function callRpc(method, params = []) {
+  const config = getRpcConfig();
+  if (!config) {
+    throw new Error('BITCOIN_RPC_URL is not configured');
+  }
+
+  const response = await fetch(config.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Basic ${Buffer.from(`${config.user}:${config.password}`).toString('base64')}`
+    },
+    body: JSON.stringify({ jsonrpc: '1.0', id: 'strichbot', method, params }),
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+
+  // bitcoind answers RPC errors with HTTP 500 and a JSON error body
+  const body = await response.json().catch(() => null);
+
+  if (body && body.error) {
+    throw new Error(`Bitcoin RPC ${method} error: ${body.error.message}`);
+  }
+
+  if (!response.ok || !body) {
+    throw new Error(`Bitcoin RPC ${method} error: ${response.status} ${response.statusText}`);
+  }
+
+  return body.result;
+}
+
+/**
+ * Fetch the current block height
+ * @returns {Promise<number>} Block height
+ */
+async function fetchBlockCount() {
+  const height = await callRpc('getblockcount');
+
+  if (typeof height !== 'number') {
+    throw new Error('Invalid block count received from Bitcoin RPC');
+  }
+
+  return height;
+}
+
+/**
+ * Convert an estimatesmartfee rate to sat/vB
+ * @param {number} btcPerKvB - Fee rate in BTC per 1000 virtual bytes
+ * @returns {number} Fee rate in sat/vB, at least 1
+ */
+function toSatPerVbyte(btcPerKvB) {
+  return Math.max(1, Math.round((btcPerKvB * SATS_PER_BTC) / 1000));
+}
+
+/**
+ * Fetch fee estimates in the same shape as fetchRecommendedFees
+ * @returns {Promise<Object>} Fee rates in sat/vB ({ fastest, halfHour, hour, economy, minimum })
+ */
+async function fetchSmartFeeRates() {
+  const entries = await Promise.all(
+    Object.entries(FEE_TARGETS).map(async ([bucket, target]) => {
+      const estimate = await callRpc('estimatesmartfee', [target]);
+
+      if (!estimate || typeof estimate.feerate !== 'number') {
+        throw new Error(`No fee estimate for ${target} blocks${estimate?.errors ? ` (${estimate.errors.join(', ')})` : ''}`);
+      }
+
+      return [bucket, toSatPerVbyte(estimate.feerate)];
+    })
+  );
+
+  const fees = Object.fromEntries(entries);
+  return { ...fees, minimum: fees.economy };
+}
+
+module.exports = {
+  getRpcConfig,
+  isRpcConfigured,
+  callRpc,
+  fetchBlockCount,
+  fetchSmartFeeRates,
+  toSatPerVbyte
+};
@@ -0,0 +1,89 @@
+/**
+ * Channel Size Distribution
+ * Summary statistics for community channel sizes computed from member node data
+ */
+
+const SATS_PER_BTC = 100000000;
+
+/**
+ * Get the value at a percentile from channel buckets sorted by size
+ * Each bucket stands for `count` channels of `size` BTC (nearest-rank method)
+ * @param {Array} buckets - Sorted array of { size, count }
+ * @param {number} totalCount - Total number of channels across all buckets
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Channel size in BTC
+ */
+function weightedPercentile(buckets, totalCount, percentile) {
+  const rank = Math.max(1, Math.ceil((percentile / 100) * totalCount));
+  let seen = 0;
+
+  for (const bucket of buckets) {
+    seen += bucket.count;
+    if (seen >= rank) return bucket.size;
+  }
+
+  return buckets[buckets.length - 1].size;
+}
+
+/**
+ * Round a BTC amount to satoshi precision
+ * @param {number} btc - Amount in BTC
+ * @returns {number} Rounded amount in BTC
+ */
+function roundBTC(btc) {
+  return Math.round(btc * SATS_PER_BTC) / SATS_PER_BTC;
+}
+
+/**
+ * Compute channel size distribution for a list of member nodes
+ *
+ * Amboss only exposes channel count and total capacity per node, so every
+ * channel of a node is counted at that node's average channel size. The
+ * mean is total capacity over total channels as the nodes report them, so a
+ * channel between two members counts twice; median, p10 and p90 are based on
+ * the node averages, and largestNodeAverage is the largest of them rather
+ * than the largest single channel.
+ *
+ * @param {Array} members - Member nodes with `channels` and `capacity` (sats)
+ * @returns {Object|null} Distribution in BTC or null if no channel data
+ */
+function computeChannelSizeDistribution(members) {
+  if (!Array.isArray(members)) return null;
+
+  const buckets = members
+    .filter(member => member.channels > 0 && member.capacity > 0)
+    .map(member => ({
+      size: member.capacity / member.channels / SATS_PER_BTC,
+      count: member.channels
+    }))
+    .sort((a, b) => a.size - b.size);
+
+  if (buckets.length === 0) return null;
+
+  const totalChannels = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const totalCapacity = buckets.reduce((sum, bucket) => sum + bucket.size * bucket.count, 0);
+
+  return {
+    mean: roundBTC(totalCapacity / totalChannels),
+    median: roundBTC(weightedPercentile(buckets, totalChannels, 50)),
+    p10: roundBTC(weightedPercentile(buckets, totalChannels, 10)),
+    p90: roundBTC(weightedPercentile(buckets, totalChannels, 90)),
+    largestNodeAverage: roundBTC(buckets[buckets.length - 1].size),
+    sampleNodes: buckets.length
+  };
+}
+
+/**
+ * Format a channel size in BTC for display
+ * @param {number} btc - Channel size in BTC
+ * @returns {string} Formatted size
+ */
+function formatChannelSize(btc) {
+  if (typeof btc !== 'number' || isNaN(btc)) return 'N/A';
+  return btc >= 1 ? btc.toFixed(2) : btc.toFixed(3);
+}
+
+module.exports = {
+  computeChannelSizeDistribution,
+  formatChannelSize
+};
@@ -0,0 +1,184 @@
+/**
+ * Circuit Breaker
+ * Database-backed breaker that stops calling an external API after repeated failures
+ */
+
+const { query, queryOne } = require('./database');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Get breaker settings from environment variables
+ * The breaker named 'amboss' reads AMBOSS_CIRCUIT_THRESHOLD and AMBOSS_CIRCUIT_COOLDOWN_MINUTES
+ * @param {string} name - Breaker name
+ * @returns {Object} Failure threshold and cooldown in milliseconds
+ */
+function getBreakerSettings(name) {
+  const prefix = name.toUpperCase();
+  const threshold = parseInt(process.env[`${prefix}_CIRCUIT_THRESHOLD`], 10);
+  const cooldownMinutes = parseInt(process.env[`${prefix}_CIRCUIT_COOLDOWN_MINUTES`], 10);
+
+  return {
+    threshold: threshold > 0 ? threshold : 3,
+    cooldownMs: (cooldownMinutes > 0 ? cooldownMinutes : 30) * 60 * 1000
+  };
+}
+
+/**
+ * Load the stored state of a breaker
+ * @param {string} name - Breaker name
+ * @returns {Promise<Object>} Breaker state (closed with no failures if never stored)
+ */
+async function getCircuitState(name) {
+  try {
+    const row = await queryOne(
+      'SELECT * FROM circuit_breakers WHERE name = ?',
+      [name]
+    );
+
+    if (!row) {
+      return { name, state: STATES.CLOSED, failureCount: 0, lastError: null, openedAt: null };
+    }
+
+    return {
+      name,
+      state: row.state,
+      failureCount: row.failure_count,
+      lastError: row.last_error,
+      openedAt: row.opened_at ? new Date(row.opened_at) : null
+    };
+  } catch (error) {
+    console.error('Error loading circuit breaker state:', error);
+    // Without the database we cannot tell, so let the request through
+    return { name, state: STATES.CLOSED, failureCount: 0, lastError: null, openedAt: null };
+  }
+}
+
+/**
+ * Save the state of a breaker
+ * @param {string} name - Breaker name
+ * @param {string} state - One of STATES
+ * @param {number} failureCount - Consecutive failures
+ * @param {string|null} lastError - Last error message
+ * @param {Date|null} openedAt - When the breaker opened
+ * @returns {Promise<void>}
+ */
+async function saveCircuitState(name, state, failureCount, lastError, openedAt) {
+  try {
+    await query(
+      `INSERT INTO circuit_breakers (name, state, failure_count, last_error, opened_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       state = VALUES(state),
+       failure_count = VALUES(failure_count),
+       last_error = VALUES(last_error),
+       opened_at = VALUES(opened_at)`,
+      [name, state, failureCount, lastError, openedAt]
+    );
+  } catch (error) {
+    console.error('Error saving circuit breaker state:', error);
+  }
+}
+
+/**
+ * Claim the trial request of a breaker whose cooldown has passed
+ * The conditional update lets only one of several parallel callers win; opened_at of a
+ * half-open breaker is when its trial started, so a trial that never reported back is
+ * given up after another cooldown
+ * @param {string} name - Breaker name
+ * @param {number} cooldownMs - Cooldown in milliseconds
+ * @returns {Promise<boolean>} Whether this caller may make the trial request
+ */
+async function claimTrial(name, cooldownMs) {
+  const now = new Date();
+
+  try {
+    const result = await query(
+      `UPDATE circuit_breakers SET state = ?, opened_at = ?
+       WHERE name = ? AND state IN (?, ?) AND opened_at <= ?`,
+      [STATES.HALF_OPEN, now, name, STATES.OPEN, STATES.HALF_OPEN, new Date(now.getTime() - cooldownMs)]
+    );
+    return result.affectedRows > 0;
+  } catch (error) {
+    console.error('Error claiming circuit breaker trial:', error);
+    // Without the database we cannot tell, so let the request through
+    return true;
+  }
+}
+
+/**
+ * Check whether a request may be made through the breaker
+ * An open breaker lets a single trial request through once the cooldown has passed;
+ * other callers are turned away while that trial is running
+ * @param {string} name - Breaker name
+ * @returns {Promise<Object>} { allowed, state, retryAt }
+ */
+async function checkCircuit(name) {
+  const circuit = await getCircuitState(name);
+
+  if (circuit.state === STATES.CLOSED) {
+    return { allowed: true, state: circuit.state, retryAt: null };
+  }
+
+  const { cooldownMs } = getBreakerSettings(name);
+  const retryAt = new Date(circuit.openedAt.getTime() + cooldownMs);
+
+  if (Date.now() < retryAt.getTime() || !(await claimTrial(name, cooldownMs))) {
+    return { allowed: false, state: circuit.state, retryAt };
+  }
+
+  console.log(`Circuit ${name} half-open, allowing a trial request`);
+  return { allowed: true, state: STATES.HALF_OPEN, retryAt: null };
+}
+
+/**
+ * Record a successful request and close the breaker
+ * @param {string} name - Breaker name
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(name) {
+  const circuit = await getCircuitState(name);
+
+  if (circuit.state === STATES.CLOSED && circuit.failureCount === 0) return;
+
+  await saveCircuitState(name, STATES.CLOSED, 0, null, null);
+  console.log(`Circuit ${name} closed`);
+}
+
+/**
+ * Record a failed request and open the breaker once the threshold is reached
+ * A failed trial request while half-open reopens it immediately
+ * @param {string} name - Breaker name
+ * @param {string} errorMessage - Error message to store
+ * @returns {Promise<Object>} Updated breaker state
+ */
+async function recordFailure(name, errorMessage) {
+  const circuit = await getCircuitState(name);
+  const { threshold } = getBreakerSettings(name);
+  const failureCount = circuit.failureCount + 1;
+
+  const shouldOpen = circuit.state === STATES.HALF_OPEN || failureCount >= threshold;
+  const state = shouldOpen ? STATES.OPEN : circuit.state;
+  const openedAt = shouldOpen ? new Date() : circuit.openedAt;
+
+  await saveCircuitState(name, state, failureCount, errorMessage, openedAt);
+
+  if (shouldOpen) {
+    console.log(`Circuit ${name} opened after ${failureCount} consecutive failures`);
+  }
+
+  return { name, state, failureCount, lastError: errorMessage, openedAt };
+}
+
+module.exports = {
+  STATES,
+  getBreakerSettings,
+  getCircuitState,
+  checkCircuit,
+  recordSuccess,
+  recordFailure
+};
@@ -0,0 +1,478 @@
+/**
+ * Nostr Command Bot
+ * Answers mentions of the bot like "stats" or "trend 30d" with a threaded reply built from stored data
+ */
+
+const { verifyEvent } = require('nostr-tools');
+const { query, queryOne } = require('./database');
+const { connectRelay, getPublishSettings, signAndPublish, formatStatsMessage } = require('./nostr');
+const { analyzeTrends, formatNumber, formatPercentageChange } = require('./trendAnalysis');
+const { toNumericStats, getLatestStats, loadStats, loadMemberSnapshots } = require('./dataStore');
+const { getCommunitiesForPlatform } = require('./communities');
+const { getDisplaySettings, formatBtcAmount, formatFiatSuffix } = require('./prices');
+const { formatChannelSize } = require('./channelDistribution');
+const { memberName, memberCapacity } = require('./memberChanges');
+
+// Commands and the help text shown for them
+const COMMANDS = {
+  stats: 'Members, channels and capacity',
+  trend: 'Change over a period, e.g. "trend 30d" or "trend 4w" (default 7d)',
+  members: 'Member count and the largest member nodes',
+  capacity: 'Capacity, channel sizes and the 7-day change',
+  help: 'This list'
+};
+
+const COMMAND_STATUSES = {
+  PENDING: 'pending',
+  REPLIED: 'replied',
+  RATE_LIMITED: 'rate_limited',
+  FAILED: 'failed'
+};
+
+// A claim still pending after this long belongs to a run that was stopped mid-reply
+const STALE_CLAIM_MINUTES = 5;
+
+const DEFAULT_TREND_DAYS = 7;
+const MAX_TREND_DAYS = 365;
+const TOP_MEMBERS = 5;
+
+/**
+ * Get the command bot settings from environment variables
+ * @returns {Object} { rateLimit, rateWindowMinutes, lookbackMinutes }
+ */
+function getCommandSettings() {
+  const readInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+  };
+
+  return {
+    rateLimit: readInt('NOSTR_COMMAND_RATE_LIMIT', 3),
+    rateWindowMinutes: readInt('NOSTR_COMMAND_RATE_WINDOW_MINUTES', 60),
+    lookbackMinutes: readInt('NOSTR_COMMAND_LOOKBACK_MINUTES', 60)
+  };
+}
+
+/**
+ * Parse a command from the text of a mention
+ * The command has to be the first word once mentions are removed, so the bot stays out of normal conversation
+ * @param {string} content - Note content
+ * @returns {Object|null} { command, days, community } or null if the note is not a command
+ */
+function parseCommand(content) {
+  const words = (content || '')
+    .replace(/nostr:(npub|nprofile)1[a-z0-9]+/gi, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('@'));
+
+  const command = (words.shift() || '').toLowerCase().replace(/^[/!]/, '').replace(/[.,:;!?]+$/, '');
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) return null;
+
+  let days = null;
+  if (command === 'trend') {
+    days = DEFAULT_TREND_DAYS;
+    const period = (words[0] || '').toLowerCase().match(/^(\d+)\s*([dwm]?)$/);
+    if (period) {
+      words.shift();
+      const multiplier = { w: 7, m: 30 }[period[2]] || 1;
+      days = Math.min(Math.max(parseInt(period[1], 10) * multiplier, 1), MAX_TREND_DAYS);
+    }
+  }
+
+  const community = words.join(' ').replace(/[.,:;!?]+$/, '').trim();
+
+  return { command, days, community: community || null };
+}
+
+/**
+ * Check whether an event is a note that mentions the bot
+ * @param {Object} event - Nostr event
+ * @param {string} botPubkey - Bot public key (hex)
+ * @returns {boolean} Whether the event could carry a command
+ */
+function isMention(event, botPubkey) {
+  return event?.kind === 1
+    && event.pubkey !== botPubkey
+    && (event.tags || []).some(tag => tag[0] === 'p' && tag[1] === botPubkey);
+}
+
+/**
+ * Build the NIP-10 tags for a reply
+ * Keeps the thread root, replies to the mention and tags everyone in the thread except the bot
+ * @param {Object} event - Event being replied to
+ * @param {string} botPubkey - Bot public key (hex)
+ * @param {string} relayUrl - Relay the event was received from, used as relay hint
+ * @returns {Array} Event tags
+ */
+function buildReplyTags(event, botPubkey, relayUrl = '') {
+  const eTags = (event.tags || []).filter(tag => tag[0] === 'e' && tag[1]);
+  // Marked root, or the first e tag for clients that still use positional tags
+  const root = eTags.find(tag => tag[3] === 'root') || eTags.find(tag => !tag[3]);
+
+  const tags = root
+    ? [['e', root[1], root[2] || '', 'root'], ['e', event.id, relayUrl, 'reply']]
+    : [['e', event.id, relayUrl, 'root']];
+
+  const pubkeys = [event.pubkey, ...(event.tags || []).filter(tag => tag[0] === 'p' && tag[1]).map(tag => tag[1])];
+  [...new Set(pubkeys)]
+    .filter(pubkey => pubkey !== botPubkey)
+    .forEach(pubkey => tags.push(['p', pubkey]));
+
+  return tags;
+}
+
+/**
+ * Check whether an author may get another reply
+ * @param {number} recentReplies - Replies sent to the author within the rate window
+ * @param {Object} settings - Settings from getCommandSettings
+ * @returns {boolean} Whether a reply is allowed
+ */
+function isWithinRateLimit(recentReplies, settings) {
+  return recentReplies < settings.rateLimit;
+}
+
+/**
+ * Format the reply to "help"
+ * @returns {string} Reply content
+ */
+function formatHelpReply() {
+  const lines = Object.entries(COMMANDS).map(([command, description]) => `• ${command} - ${description}`);
+
+  return `🤖 Mention me with one of these commands:
+
+${lines.join('\n')}
+
+Add a community name to ask about another community.
+
+StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Format the reply to "trend"
+ * @param {Object} analysis - Result of analyzeTrends
+ * @param {number} days - Period in days
+ * @param {string} communityName - Community display name
+ * @returns {string} Reply content
+ */
+function formatTrendReply(analysis, days, communityName) {
+  if (!analysis.available) {
+    return `📊 ${communityName}: not enough stored data for a ${days}-day comparison yet.
+
+StrichBot ♾️🤖⚡`;
+  }
+
+  const change = (metric, decimals = 0) => {
+    const absolute = analysis[metric].absolute;
+    return `${absolute >= 0 ? '+' : ''}${formatNumber(absolute, decimals)}, ${formatPercentageChange(analysis[metric].percentage)} ${analysis[metric].indicator}`;
+  };
+
+  return `📊 ${communityName} - ${days}-day trend
+
+👥 Members: ${formatNumber(analysis.members.current)} (${change('members')})
+🔗 Channels: ${formatNumber(analysis.channels.current)} (${change('channels')})
+🪙 Capacity: ${formatNumber(analysis.capacity.current, 2)} BTC (${change('capacity', 2)})${analysis.avgChannelSize ? `
+📏 Avg Channel: ${formatNumber(analysis.avgChannelSize.current, 3)} BTC (${formatPercentageChange(analysis.avgChannelSize.percentage)})` : ''}
+
+StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Format the reply to "members"
+ * @param {Object} stats - Latest statistics
+ * @param {Array} members - Member snapshots of the same day, largest first
+ * @param {string} communityName - Community display name
+ * @returns {string} Reply content
+ */
+function formatMembersReply(stats, members, communityName) {
+  const topMembers = members.slice(0, TOP_MEMBERS).map((member, index) =>
+    `${index + 1}. ${memberName(member)} - ${memberCapacity(member)}, ${member.channels} channels`
+  );
+
+  return `👥 ${communityName} has ${formatNumber(Number(stats.memberCount))} members${topMembers.length > 0 ? `
+
+Largest nodes:
+${topMembers.join('\n')}` : ''}
+
+StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Format the reply to "capacity"
+ * @param {Object} stats - Latest statistics
+ * @param {Object} analysis - Result of analyzeTrends against a week earlier
+ * @param {Object} display - Capacity unit, fiat currencies and BTC prices
+ * @param {string} communityName - Community display name
+ * @returns {string} Reply content
+ */
+function formatCapacityReply(stats, analysis, display, communityName) {
+  const lines = [`🪙 Capacity: ${formatBtcAmount(stats.totalCapacity, display.unit)}${formatFiatSuffix(stats.totalCapacity, display)}`];
+
+  if (stats.channelSizes) {
+    lines.push(`📏 Avg Channel: ${formatChannelSize(stats.channelSizes.mean)} BTC (median ${formatChannelSize(stats.channelSizes.median)})`);
+  }
+
+  if (analysis.available) {
+    lines.push(`📈 7-day change: ${formatBtcAmount(analysis.capacity.absolute, display.unit, true)} (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}`);
+  }
+
+  return `⚡ ${communityName} Capacity
+
+${lines.join('\n')}
+
+StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Pick the community a command asks about
+ * @param {string|null} name - Community name from the command, or null for the first community
+ * @returns {Promise<Object|null>} Community or null if none matches
+ */
+async function resolveCommunity(name) {
+  const communities = await getCommunitiesForPlatform('nostr');
+  if (!name) return communities[0] || null;
+
+  const search = name.toLowerCase();
+  return communities.find(community => community.name.toLowerCase().includes(search)) || null;
+}
+
+/**
+ * Load statistics a number of days before a date
+ * @param {Object} stats - Statistics with a date
+ * @param {number} days - Days to go back
+ * @param {string} communityId - Amboss community ID
+ * @returns {Promise<Object|null>} Statistics or null if that day is not stored
+ */
+async function loadStatsBefore(stats, days, communityId) {
+  const date = new Date(stats.date);
+  date.setDate(date.getDate() - days);
+  return loadStats(date, communityId);
+}
+
+/**
+ * Build the reply to a command from stored data
+ * @param {Object} parsed - Result of parseCommand
+ * @returns {Promise<string>} Reply content
+ */
+async function buildReply(parsed) {
+  if (parsed.command === 'help') return formatHelpReply();
+
+  const community = await resolveCommunity(parsed.community);
+  if (!community) {
+    return parsed.community
+      ? `🤷 I don't post about a community called "${parsed.community}". Mention me with "help" for the commands.`
+      : '🤷 No community is set up yet.';
+  }
+
+  const { communityId, name } = community;
+  const stats = await getLatestStats(communityId);
+  if (!stats) return `🤷 No statistics stored for ${name} yet.`;
+
+  switch (parsed.command) {
+    case 'stats': {
+      const display = { ...await getDisplaySettings('nostr'), prices: stats.prices };
+      return formatStatsMessage({ ...stats, communityName: name }, null, display);
+    }
+
+    case 'trend': {
+      const previous = await loadStatsBefore(stats, parsed.days, communityId);
+      return formatTrendReply(analyzeTrends(toNumericStats(stats), toNumericStats(previous)), parsed.days, name);
+    }
+
+    case 'members':
+      return formatMembersReply(stats, await loadMemberSnapshots(new Date(stats.date), communityId), name);
+
+    case 'capacity': {
+      const display = { ...await getDisplaySettings('nostr'), prices: stats.prices };
+      const previous = await loadStatsBefore(stats, 7, communityId);
+      return formatCapacityReply(stats, analyzeTrends(toNumericStats(stats), toNumericStats(previous)), display, name);
+    }
+
+    default:
+      return formatHelpReply();
+  }
+}
+
+/**
+ * Record a command so it is only answered once
+ * A pending claim left behind by a run that was stopped before it replied is taken over
+ * @param {Object} event - Mention event
+ * @param {string} command - Parsed command
+ * @returns {Promise<boolean>} False if the command was already recorded by an earlier or parallel run
+ */
+async function claimCommand(event, command) {
+  const result = await query(
+    `INSERT IGNORE INTO nostr_commands (event_id, author_pubkey, command, status, event_created_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [event.id, event.pubkey, command, COMMAND_STATUSES.PENDING, new Date(event.created_at * 1000)]
+  );
+  if (result.affectedRows > 0) return true;
+
+  // Moving received_at forward makes a parallel run that also found the claim stale match no row
+  const stale = await query(
+    `UPDATE nostr_commands SET received_at = NOW()
+     WHERE event_id = ? AND status = ? AND received_at < ?`,
+    [event.id, COMMAND_STATUSES.PENDING, new Date(Date.now() - STALE_CLAIM_MINUTES * 60 * 1000)]
+  );
+  if (stale.affectedRows > 0) {
+    console.log(`Retrying "${command}" from ${event.pubkey}, its earlier claim never finished`);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Count the replies sent to an author within the rate window
+ * @param {string} pubkey - Author public key
+ * @param {Object} settings - Settings from getCommandSettings
+ * @returns {Promise<number>} Number of replies
+ */
+async function countRecentReplies(pubkey, settings) {
+  const row = await queryOne(
+    `SELECT COUNT(*) AS replies FROM nostr_commands
+     WHERE author_pubkey = ? AND status = ? AND received_at >= ?`,
+    [pubkey, COMMAND_STATUSES.REPLIED, new Date(Date.now() - settings.rateWindowMinutes * 60 * 1000)]
+  );
+  return Number(row?.replies || 0);
+}
+
+/**
+ * Store how a command was handled
+ * @param {string} eventId - Mention event ID
+ * @param {string} status - Status from COMMAND_STATUSES
+ * @param {Object} details - { replyEventId, error }
+ * @returns {Promise<void>}
+ */
+async function recordCommandResult(eventId, status, { replyEventId = null, error = null } = {}) {
+  await query(
+    'UPDATE nostr_commands SET status = ?, reply_event_id = ?, error = ? WHERE event_id = ?',
+    [status, replyEventId, error, eventId]
+  );
+}
+
+/**
+ * Answer a mention if it carries a command
+ * Commands that arrive after the deadline are left unclaimed for the next run to answer
+ * @param {Object} event - Event received from a relay
+ * @param {Object} context - { signer, botPubkey, relays, relayUrl, settings, deadline }
+ * @returns {Promise<Object|null>} { eventId, author, command, status, replyEventId }, or null if there was nothing to answer
+ */
+async function handleMention(event, { signer, botPubkey, relays, relayUrl, settings, deadline = null }) {
+  if (!isMention(event, botPubkey)) return null;
+
+  // Relays can hand out anything; only answer notes the author really signed
+  if (!verifyEvent(event)) return null;
+
+  // Do not answer old commands that are handed out again after a restart
+  if (event.created_at < Math.floor(Date.now() / 1000) - settings.lookbackMinutes * 60) return null;
+
+  const parsed = parseCommand(event.content);
+  if (!parsed) return null;
+
+  if (deadline && Date.now() >= deadline) {
+    console.log(`Leaving "${parsed.command}" from ${event.pubkey} for the next run, no time left to reply`);
+    return null;
+  }
+
+  if (!await claimCommand(event, parsed.command)) return null;
+
+  const handled = { eventId: event.id, author: event.pubkey, command: parsed.command };
+
+  if (!isWithinRateLimit(await countRecentReplies(event.pubkey, settings), settings)) {
+    console.log(`Rate limited "${parsed.command}" from ${event.pubkey}`);
+    await recordCommandResult(event.id, COMMAND_STATUSES.RATE_LIMITED);
+    return { ...handled, status: COMMAND_STATUSES.RATE_LIMITED };
+  }
+
+  try {
+    const content = await buildReply(parsed);
+    const replyRelays = [...new Set([...relays, ...(relayUrl ? [relayUrl] : [])])];
+    const result = await signAndPublish(signer, {
+      kind: 1,
+      tags: buildReplyTags(event, botPubkey, relayUrl),
+      content
+    }, replyRelays);
+
+    console.log(`Answered "${parsed.command}" from ${event.pubkey} with ${result.eventId}`);
+    await recordCommandResult(event.id, COMMAND_STATUSES.REPLIED, { replyEventId: result.eventId });
+    return { ...handled, status: COMMAND_STATUSES.REPLIED, replyEventId: result.eventId };
+  } catch (error) {
+    console.error(`Error answering "${parsed.command}" from ${event.pubkey}:`, error);
+    await recordCommandResult(event.id, COMMAND_STATUSES.FAILED, { error: error.message });
+    return { ...handled, status: COMMAND_STATUSES.FAILED, error: error.message };
+  }
+}
+
+/**
+ * Subscribe to mentions of the bot and answer commands until stopped
+ * Mentions from the lookback window are handed out first, so a restarted listener catches up;
+ * commands are answered one at a time so the rate limit sees every earlier reply.
+ * With a deadline, no reply is started after it, so stop only waits for the reply in progress
+ * @param {Object} options - { signer, relays, deadline } with the deadline in epoch milliseconds
+ * @returns {Promise<Object>} { listening, handled, stop } - stop closes the subscriptions and resolves with the handled commands
+ */
+async function listenForCommands({ signer, relays, deadline = null }) {
+  const settings = getCommandSettings();
+  const publishSettings = getPublishSettings();
+  const botPubkey = await signer.getPublicKey();
+  const since = Math.floor(Date.now() / 1000) - settings.lookbackMinutes * 60;
+
+  const seen = new Set();
+  const handled = [];
+  let queue = Promise.resolve();
+
+  const onEvent = (event, relayUrl) => {
+    if (seen.has(event.id)) return;
+    seen.add(event.id);
+
+    queue = queue
+      .then(() => handleMention(event, { signer, botPubkey, relays, relayUrl, settings, deadline }))
+      .then(result => {
+        if (result) handled.push(result);
+      })
+      .catch(error => console.error('Error handling mention:', error));
+  };
+
+  const connections = await Promise.all(relays.map(async (relayUrl) => {
+    try {
+      const relay = await connectRelay(relayUrl, publishSettings);
+      relay.subscribe([{ kinds: [1], '#p': [botPubkey], since }], {
+        onevent: (event) => onEvent(event, relayUrl)
+      });
+      return { relayUrl, relay };
+    } catch (error) {
+      console.error(`Could not listen on ${relayUrl}:`, error.message);
+      return null;
+    }
+  }));
+
+  const connected = connections.filter(Boolean);
+  console.log(`Listening for commands on ${connected.length}/${relays.length} relays`);
+
+  return {
+    listening: connected.map(connection => connection.relayUrl),
+    handled,
+    stop: async () => {
+      connected.forEach(connection => connection.relay.close());
+      await queue;
+      return handled;
+    }
+  };
+}
+
+module.exports = {
+  COMMANDS,
+  COMMAND_STATUSES,
+  getCommandSettings,
+  parseCommand,
+  isMention,
+  buildReplyTags,
+  isWithinRateLimit,
+  formatHelpReply,
+  formatTrendReply,
+  formatMembersReply,
+  formatCapacityReply,
+  buildReply,
+  claimCommand,
+  handleMention,
+  listenForCommands
+};
@@ -0,0 +1,206 @@
+/**
+ * Community Registry
+ * Database-backed list of Amboss communities StrichBot posts for
+ */
+
+const { query, queryOne } = require('./database');
+
+const DEFAULT_PLATFORMS = { nostr: true, telegram: true };
+
+// community_id of statistics stored before the registry existed; older copies of
+// migration 001 asked for a placeholder to be replaced by hand
+const UNASSIGNED_COMMUNITY_IDS = ['', '<COMMUNITY_ID>'];
+
+let unassignedStatsClaimed = false;
+
+/**
+ * Parse a JSON column that may already be decoded by the MySQL driver
+ * @param {string|Object|null} value - Raw column value
+ * @param {*} fallback - Value to use when the column is empty or invalid
+ * @returns {*} Parsed value
+ */
+function parseJsonColumn(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Error parsing community JSON column:', error);
+    return fallback;
+  }
+}
+
+/**
+ * Convert a database row into a community object
+ * @param {Object} row - Row from the communities table
+ * @returns {Object} Community object
+ */
+function rowToCommunity(row) {
+  return {
+    communityId: row.community_id,
+    name: row.name,
+    platforms: { ...DEFAULT_PLATFORMS, ...parseJsonColumn(row.platforms, {}) },
+    relays: parseJsonColumn(row.relays, []),
+    telegramChats: parseJsonColumn(row.telegram_chats, []),
+    enabled: !!row.enabled
+  };
+}
+
+/**
+ * Build the single community configured through environment variables
+ * Used when the registry table is empty so existing deployments keep working
+ * @returns {Object|null} Community object or null if COMMUNITY_ID is not set
+ */
+function getDefaultCommunity() {
+  const communityId = process.env.COMMUNITY_ID;
+  if (!communityId) return null;
+
+  return {
+    communityId,
+    name: 'Nodestrich ♾️',
+    platforms: { ...DEFAULT_PLATFORMS },
+    relays: [],
+    telegramChats: process.env.TELEGRAM_CHAT_ID ? [process.env.TELEGRAM_CHAT_ID] : [],
+    enabled: true
+  };
+}
+
+/**
+ * Load all registered communities
+ * @returns {Promise<Array>} Array of community objects
+ */
+async function getCommunities() {
+  try {
+    const rows = await query('SELECT * FROM communities ORDER BY name ASC');
+    return rows.map(rowToCommunity);
+  } catch (error) {
+    console.error('Error loading communities:', error);
+    return [];
+  }
+}
+
+/**
+ * Assign statistics stored before the registry existed to the COMMUNITY_ID community
+ * Runs once per instance; days the community already has a row for are left as they are
+ * @returns {Promise<number>} Number of rows assigned
+ */
+async function claimUnassignedStats() {
+  const communityId = process.env.COMMUNITY_ID;
+  if (unassignedStatsClaimed || !communityId) return 0;
+
+  try {
+    const result = await query(
+      'UPDATE IGNORE historical_stats SET community_id = ? WHERE community_id IN (?, ?)',
+      [communityId, ...UNASSIGNED_COMMUNITY_IDS]
+    );
+    unassignedStatsClaimed = true;
+
+    const assigned = result.affectedRows || 0;
+    if (assigned > 0) {
+      console.log(`Assigned ${assigned} earlier statistics rows to community ${communityId}`);
+    }
+    return assigned;
+  } catch (error) {
+    console.error('Error assigning earlier statistics:', error);
+    return 0;
+  }
+}
+
+/**
+ * Load the communities that should post to a platform
+ * Falls back to the COMMUNITY_ID community when the registry is empty
+ * @param {string} platform - Platform name ('nostr' or 'telegram')
+ * @returns {Promise<Array>} Array of enabled community objects
+ */
+async function getCommunitiesForPlatform(platform) {
+  await claimUnassignedStats();
+  const communities = await getCommunities();
+
+  if (communities.length === 0) {
+    const defaultCommunity = getDefaultCommunity();
+    return defaultCommunity ? [defaultCommunity] : [];
+  }
+
+  return communities.filter(community => community.enabled && community.platforms[platform]);
+}
+
+/**
+ * Load a single community by its Amboss ID
+ * @param {string} communityId - Amboss community ID
+ * @returns {Promise<Object|null>} Community object or null if not found
+ */
+async function getCommunity(communityId) {
+  try {
+    const row = await queryOne(
+      'SELECT * FROM communities WHERE community_id = ?',
+      [communityId]
+    );
+
+    return row ? rowToCommunity(row) : null;
+  } catch (error) {
+    console.error('Error loading community:', error);
+    return null;
+  }
+}
+
+/**
+ * Create or update a community in the registry
+ * @param {Object} community - Community object
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveCommunity(community) {
+  try {
+    await query(
+      `INSERT INTO communities (community_id, name, platforms, relays, telegram_chats, enabled)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       name = VALUES(name),
+       platforms = VALUES(platforms),
+       relays = VALUES(relays),
+       telegram_chats = VALUES(telegram_chats),
+       enabled = VALUES(enabled)`,
+      [
+        community.communityId,
+        community.name,
+        JSON.stringify({ ...DEFAULT_PLATFORMS, ...(community.platforms || {}) }),
+        JSON.stringify(community.relays || []),
+        JSON.stringify(community.telegramChats || []),
+        community.enabled === false ? 0 : 1
+      ]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error saving community:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a community from the registry
+ * Historical statistics for the community are kept
+ * @param {string} communityId - Amboss community ID
+ * @returns {Promise<boolean>} Whether a community was removed
+ */
+async function removeCommunity(communityId) {
+  try {
+    const result = await query(
+      'DELETE FROM communities WHERE community_id = ?',
+      [communityId]
+    );
+    return (result.affectedRows || 0) > 0;
+  } catch (error) {
+    console.error('Error removing community:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  claimUnassignedStats,
+  getCommunities,
+  getCommunitiesForPlatform,
+  getCommunity,
+  getDefaultCommunity,
+  saveCommunity,
+  removeCommunity
+};
@@ -0,0 +1,78 @@
+/**
+ * Statistics Data Sources
+ * Chooses where community statistics come from; every source returns the same
+ * stats object as fetchCommunityStats
+ */
+
+const { fetchCommunityStatsResult } = require('./amboss');
+const graphFileSource = require('./graphFileSource');
+
+const DEFAULT_SOURCE = 'amboss';
+
+// Each source provides fetchStatsResult(apiKey, communityId, options) -> { stats, error }
+const SOURCES = {
+  amboss: {
+    name: 'amboss',
+    requiresApiKey: true,
+    fetchStatsResult: fetchCommunityStatsResult
+  },
+  'graph-file': {
+    name: 'graph-file',
+    requiresApiKey: false,
+    fetchStatsResult: graphFileSource.fetchStatsResult
+  }
+};
+
+/**
+ * Get the configured data source
+ * @param {string} name - Source name (defaults to STATS_SOURCE, then Amboss)
+ * @returns {Object} Data source
+ */
+function getDataSource(name = process.env.STATS_SOURCE) {
+  const sourceName = name || DEFAULT_SOURCE;
+  const source = SOURCES[sourceName];
+
+  if (!source) {
+    throw new Error(`Unknown STATS_SOURCE "${sourceName}". Supported: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  return source;
+}
+
+/**
+ * Check whether the configured data source needs AMBOSS_API_KEY
+ * @returns {boolean} Whether an API key is required
+ */
+function requiresApiKey() {
+  return getDataSource().requiresApiKey;
+}
+
+/**
+ * Fetch community statistics from the configured source, reporting why a fetch failed
+ * @param {string} apiKey - Amboss API key (ignored by sources that do not need one)
+ * @param {string} communityId - Community ID
+ * @param {Object} options - { deadline } for sources that call an API
+ * @returns {Promise<Object>} { stats, error }
+ */
+async function fetchStatsResult(apiKey, communityId, options = {}) {
+  return getDataSource().fetchStatsResult(apiKey, communityId, options);
+}
+
+/**
+ * Fetch community statistics from the configured source
+ * @param {string} apiKey - Amboss API key (ignored by sources that do not need one)
+ * @param {string} communityId - Community ID
+ * @param {Object} options - { deadline } for sources that call an API
+ * @returns {Promise<Object|null>} Statistics or null if unavailable
+ */
+async function fetchStats(apiKey, communityId, options = {}) {
+  const { stats } = await fetchStatsResult(apiKey, communityId, options);
+  return stats;
+}
+
+module.exports = {
+  getDataSource,
+  requiresApiKey,
+  fetchStatsResult,
+  fetchStats
+};
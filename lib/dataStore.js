@@ -6,6 +6,16 @@
 const { query, queryOne, insert } = require('./database');
 
 const RETENTION_DAYS = parseInt(process.env.DATA_RETENTION_DAYS || '400', 10);
+const MEMBER_BATCH_SIZE = 100;
+
+/**
+ * Resolve the community a series belongs to
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {string} Community ID used as the series key
+ */
+function resolveCommunityId(communityId) {
+  return communityId || process.env.COMMUNITY_ID || '';
+}
 
 /**
  * Format date as YYYY-MM-DD
@@ -19,6 +29,68 @@ function formatDate(date) {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Convert stored statistics to numbers (capacity comes back from MySQL as a DECIMAL string)
+ * @param {Object|null} stats - Stored statistics
+ * @returns {Object|null} Statistics with numeric totals
+ */
+function toNumericStats(stats) {
+  if (!stats) return null;
+
+  return {
+    ...stats,
+    memberCount: Number(stats.memberCount),
+    totalChannels: Number(stats.totalChannels),
+    totalCapacity: Number(stats.totalCapacity)
+  };
+}
+
+/**
+ * Read the channel size distribution columns of a historical_stats row
+ * @param {Object} row - Database row
+ * @returns {Object|null} Channel sizes in BTC or null if not recorded
+ */
+function rowToChannelSizes(row) {
+  if (row.avg_channel_size === null || row.avg_channel_size === undefined) return null;
+
+  return {
+    mean: Number(row.avg_channel_size),
+    median: Number(row.median_channel_size),
+    p10: Number(row.p10_channel_size),
+    p90: Number(row.p90_channel_size),
+    largestNodeAverage: Number(row.max_node_avg_channel_size)
+  };
+}
+
+/**
+ * Read the Lightning Network totals of a historical_stats row
+ * @param {Object} row - Database row
+ * @returns {Object|null} { nodeCount, channelCount, totalCapacity } (capacity in BTC) or null if not recorded
+ */
+function rowToNetworkStats(row) {
+  if (row.network_capacity === null || row.network_capacity === undefined) return null;
+
+  return {
+    nodeCount: row.network_node_count,
+    channelCount: row.network_channel_count,
+    totalCapacity: Number(row.network_capacity)
+  };
+}
+
+/**
+ * Read the BTC prices of a historical_stats row
+ * @param {Object} row - Database row
+ * @returns {Object|null} Prices keyed by currency code, or null if none were recorded
+ */
+function rowToPrices(row) {
+  const prices = {};
+
+  if (row.btc_price_usd !== null && row.btc_price_usd !== undefined) prices.USD = Number(row.btc_price_usd);
+  if (row.btc_price_eur !== null && row.btc_price_eur !== undefined) prices.EUR = Number(row.btc_price_eur);
+
+  return Object.keys(prices).length > 0 ? prices : null;
+}
+
 /**
  * Store daily statistics
  * @param {Object} stats - Statistics object
@@ -31,36 +103,81 @@ async function storeStats(stats, date = new Date()) {
 
     const dataToInsert = {
       date: dateStr,
+      community_id: resolveCommunityId(stats.communityId),
       timestamp: stats.timestamp || new Date().toISOString(),
       member_count: stats.memberCount,
       total_channels: stats.totalChannels,
       total_capacity: stats.totalCapacity,
       block_height: stats.blockHeight || null,
+      avg_channel_size: stats.channelSizes?.mean ?? null,
+      median_channel_size: stats.channelSizes?.median ?? null,
+      p10_channel_size: stats.channelSizes?.p10 ?? null,
+      p90_channel_size: stats.channelSizes?.p90 ?? null,
+      max_node_avg_channel_size: stats.channelSizes?.largestNodeAverage ?? null,
+      network_node_count: stats.networkStats?.nodeCount ?? null,
+      network_channel_count: stats.networkStats?.channelCount ?? null,
+      network_capacity: stats.networkStats?.totalCapacity ?? null,
+      btc_price_usd: stats.prices?.USD ?? null,
+      btc_price_eur: stats.prices?.EUR ?? null,
       source: stats.source || 'Amboss.space'
     };
 
-    await query(
-      `INSERT INTO historical_stats (date, timestamp, member_count, total_channels, total_capacity, block_height, source)
-       VALUES (?, ?, ?, ?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE
-       timestamp = VALUES(timestamp),
-       member_count = VALUES(member_count),
-       total_channels = VALUES(total_channels),
-       total_capacity = VALUES(total_capacity),
-       block_height = VALUES(block_height),
-       source = VALUES(source)`,
-      [
-        dataToInsert.date,
-        dataToInsert.timestamp,
-        dataToInsert.member_count,
-        dataToInsert.total_channels,
-        dataToInsert.total_capacity,
-        dataToInsert.block_height,
-        dataToInsert.source
-      ]
-    );
+    // Totals filled in from an earlier day must not be recorded as today's figures
+    if (stats.stale) {
+      console.log(`Skipping stale totals for ${dataToInsert.community_id} on ${dateStr} (as of ${stats.asOf})`);
+    } else {
+      await query(
+        `INSERT INTO historical_stats (date, community_id, timestamp, member_count, total_channels, total_capacity, block_height,
+           avg_channel_size, median_channel_size, p10_channel_size, p90_channel_size, max_node_avg_channel_size,
+           network_node_count, network_channel_count, network_capacity, btc_price_usd, btc_price_eur, source)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+         timestamp = VALUES(timestamp),
+         member_count = VALUES(member_count),
+         total_channels = VALUES(total_channels),
+         total_capacity = VALUES(total_capacity),
+         block_height = VALUES(block_height),
+         avg_channel_size = VALUES(avg_channel_size),
+         median_channel_size = VALUES(median_channel_size),
+         p10_channel_size = VALUES(p10_channel_size),
+         p90_channel_size = VALUES(p90_channel_size),
+         max_node_avg_channel_size = VALUES(max_node_avg_channel_size),
+         network_node_count = VALUES(network_node_count),
+         network_channel_count = VALUES(network_channel_count),
+         network_capacity = VALUES(network_capacity),
+         btc_price_usd = VALUES(btc_price_usd),
+         btc_price_eur = VALUES(btc_price_eur),
+         source = VALUES(source)`,
+        [
+          dataToInsert.date,
+          dataToInsert.community_id,
+          dataToInsert.timestamp,
+          dataToInsert.member_count,
+          dataToInsert.total_channels,
+          dataToInsert.total_capacity,
+          dataToInsert.block_height,
+          dataToInsert.avg_channel_size,
+          dataToInsert.median_channel_size,
+          dataToInsert.p10_channel_size,
+          dataToInsert.p90_channel_size,
+          dataToInsert.max_node_avg_channel_size,
+          dataToInsert.network_node_count,
+          dataToInsert.network_channel_count,
+          dataToInsert.network_capacity,
+          dataToInsert.btc_price_usd,
+          dataToInsert.btc_price_eur,
+          dataToInsert.source
+        ]
+      );
+
+      console.log(`Stored statistics for ${dataToInsert.community_id} on ${dateStr}`);
+    }
+
+    // Keep a per-member snapshot next to the totals when Amboss returned member nodes
+    if (Array.isArray(stats.members) && stats.members.length > 0) {
+      await storeMemberSnapshots(stats.members, dataToInsert.community_id, date);
+    }
 
-    console.log(`Stored statistics for ${dateStr}`);
     return dateStr;
 
   } catch (error) {
@@ -72,24 +189,29 @@ async function storeStats(stats, date = new Date()) {
 /**
  * Load statistics for a specific date
  * @param {Date} date - Date to load
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object|null>} Statistics object or null if not found
  */
-async function loadStats(date) {
+async function loadStats(date, communityId = null) {
   try {
     const dateStr = formatDate(date);
     const row = await queryOne(
-      'SELECT * FROM historical_stats WHERE date = ?',
-      [dateStr]
+      'SELECT * FROM historical_stats WHERE community_id = ? AND date = ?',
+      [resolveCommunityId(communityId), dateStr]
     );
 
     if (!row) return null;
 
     return {
+      communityId: row.community_id,
       timestamp: row.timestamp,
       memberCount: row.member_count,
       totalChannels: row.total_channels,
       totalCapacity: row.total_capacity,
       blockHeight: row.block_height,
+      channelSizes: rowToChannelSizes(row),
+      networkStats: rowToNetworkStats(row),
+      prices: rowToPrices(row),
       source: row.source
     };
   } catch (error) {
@@ -102,25 +224,30 @@ async function loadStats(date) {
  * Load statistics for a date range
  * @param {Date} startDate - Start date (inclusive)
  * @param {Date} endDate - End date (inclusive)
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Array>} Array of statistics objects with dates
  */
-async function loadStatsRange(startDate, endDate) {
+async function loadStatsRange(startDate, endDate, communityId = null) {
   try {
     const startStr = formatDate(startDate);
     const endStr = formatDate(endDate);
 
     const rows = await query(
-      'SELECT * FROM historical_stats WHERE date BETWEEN ? AND ? ORDER BY date ASC',
-      [startStr, endStr]
+      'SELECT * FROM historical_stats WHERE community_id = ? AND date BETWEEN ? AND ? ORDER BY date ASC',
+      [resolveCommunityId(communityId), startStr, endStr]
     );
 
     return rows.map(row => ({
       date: row.date,
+      communityId: row.community_id,
       timestamp: row.timestamp,
       memberCount: row.member_count,
       totalChannels: row.total_channels,
       totalCapacity: row.total_capacity,
       blockHeight: row.block_height,
+      channelSizes: rowToChannelSizes(row),
+      networkStats: rowToNetworkStats(row),
+      prices: rowToPrices(row),
       source: row.source
     }));
   } catch (error) {
@@ -131,12 +258,14 @@ async function loadStatsRange(startDate, endDate) {
 
 /**
  * Get all available data files
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Array>} Array of available dates (YYYY-MM-DD format)
  */
-async function getAvailableDates() {
+async function getAvailableDates(communityId = null) {
   try {
     const rows = await query(
-      'SELECT date FROM historical_stats ORDER BY date ASC'
+      'SELECT date FROM historical_stats WHERE community_id = ? ORDER BY date ASC',
+      [resolveCommunityId(communityId)]
     );
     return rows.map(row => row.date);
   } catch (error) {
@@ -160,6 +289,42 @@ async function cleanupOldData() {
       [cutoffStr]
     );
 
+    await query(
+      'DELETE FROM member_snapshots WHERE date < ?',
+      [cutoffStr]
+    );
+
+    await query(
+      'DELETE FROM member_announcements WHERE since_date < ?',
+      [cutoffStr]
+    );
+
+    await query(
+      'DELETE FROM community_requests WHERE resolved_at < ?',
+      [cutoffStr]
+    );
+
+    await query(
+      'DELETE FROM fee_alerts WHERE sent_at < ?',
+      [cutoffStr]
+    );
+
+    await query(
+      'DELETE FROM relay_publish_results WHERE published_at < ?',
+      [cutoffStr]
+    );
+
+    // Stored events are kept as post history; only finished deliveries are cleaned up
+    await query(
+      "DELETE FROM rebroadcast_queue WHERE status IN ('delivered', 'abandoned') AND updated_at < ?",
+      [cutoffStr]
+    );
+
+    await query(
+      'DELETE FROM nostr_commands WHERE received_at < ?',
+      [cutoffStr]
+    );
+
     const deletedCount = result.affectedRows || 0;
     console.log(`Cleanup complete: ${deletedCount} records deleted`);
     return deletedCount;
@@ -172,23 +337,29 @@ async function cleanupOldData() {
 
 /**
  * Get the most recent statistics
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object|null>} Most recent stats or null
  */
-async function getLatestStats() {
+async function getLatestStats(communityId = null) {
   try {
     const row = await queryOne(
-      'SELECT * FROM historical_stats ORDER BY date DESC LIMIT 1'
+      'SELECT * FROM historical_stats WHERE community_id = ? ORDER BY date DESC LIMIT 1',
+      [resolveCommunityId(communityId)]
     );
 
     if (!row) return null;
 
     return {
       date: row.date,
+      communityId: row.community_id,
       timestamp: row.TIMESTAMP || row.timestamp,
       memberCount: row.member_count,
       totalChannels: row.total_channels,
       totalCapacity: row.total_capacity,
       blockHeight: row.block_height,
+      channelSizes: rowToChannelSizes(row),
+      networkStats: rowToNetworkStats(row),
+      prices: rowToPrices(row),
       source: row.SOURCE || row.source
     };
   } catch (error) {
@@ -197,31 +368,78 @@ async function getLatestStats() {
   }
 }
 
+/**
+ * Get the most recent stored statistics marked as stale, for use when Amboss is unavailable
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @param {Date} now - Reference time for the data age
+ * @returns {Promise<Object|null>} Stale statistics with asOf and ageHours, or null if nothing is stored
+ */
+async function getStaleStats(communityId = null, now = new Date()) {
+  const latest = await getLatestStats(communityId);
+  if (!latest) return null;
+
+  const asOf = new Date(latest.timestamp || latest.date);
+
+  return {
+    ...latest,
+    stale: true,
+    asOf: asOf.toISOString(),
+    ageHours: Math.max(0, Math.floor((now - asOf) / (60 * 60 * 1000)))
+  };
+}
+
+/**
+ * Format the age of stale data for display
+ * @param {number} ageHours - Age of the data in hours
+ * @returns {string} Human readable age
+ */
+function formatDataAge(ageHours) {
+  if (ageHours < 48) return `${ageHours} hour${ageHours === 1 ? '' : 's'}`;
+  return `${Math.floor(ageHours / 24)} days`;
+}
+
+/**
+ * Format the notice shown under a post when some figures come from stored data
+ * @param {Object} stats - Statistics object
+ * @returns {string} Notice line, or an empty string for fresh data
+ */
+function formatStaleNotice(stats) {
+  if (!stats.stale) return '';
+
+  const asOf = new Date(stats.asOf).toISOString().replace('T', ' ').substring(0, 16);
+  return `⏳ Figures as of ${asOf} UTC (${formatDataAge(stats.ageHours)} old)`;
+}
+
 /**
  * Get statistics for X days ago
  * @param {number} daysAgo - Number of days in the past
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object|null>} Statistics or null if not found
  */
-async function getStatsFromDaysAgo(daysAgo) {
+async function getStatsFromDaysAgo(daysAgo, communityId = null) {
   try {
     const targetDate = new Date();
     targetDate.setDate(targetDate.getDate() - daysAgo);
     const dateStr = formatDate(targetDate);
 
     const row = await queryOne(
-      'SELECT * FROM historical_stats WHERE date = ?',
-      [dateStr]
+      'SELECT * FROM historical_stats WHERE community_id = ? AND date = ?',
+      [resolveCommunityId(communityId), dateStr]
     );
 
     if (!row) return null;
 
     return {
       date: row.date,
+      communityId: row.community_id,
       timestamp: row.timestamp,
       memberCount: row.member_count,
       totalChannels: row.total_channels,
       totalCapacity: row.total_capacity,
       blockHeight: row.block_height,
+      channelSizes: rowToChannelSizes(row),
+      networkStats: rowToNetworkStats(row),
+      prices: rowToPrices(row),
       source: row.source
     };
   } catch (error) {
@@ -230,15 +448,261 @@ async function getStatsFromDaysAgo(daysAgo) {
   }
 }
 
+/**
+ * Store one snapshot row per member node for a day
+ * @param {Array} members - Member nodes with pubkey, alias, channels and capacity (sats)
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @param {Date} date - Date for the snapshot (defaults to now)
+ * @returns {Promise<number>} Number of member rows stored
+ */
+async function storeMemberSnapshots(members, communityId = null, date = new Date()) {
+  try {
+    const dateStr = formatDate(date);
+    const resolvedId = resolveCommunityId(communityId);
+
+    // Insert in batches to keep statements small
+    for (let i = 0; i < members.length; i += MEMBER_BATCH_SIZE) {
+      const batch = members.slice(i, i + MEMBER_BATCH_SIZE);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?)').join(', ');
+      const values = batch.flatMap(member => [
+        dateStr,
+        resolvedId,
+        member.pubkey,
+        member.alias || null,
+        member.channels || 0,
+        member.capacity || 0
+      ]);
+
+      await query(
+        `INSERT INTO member_snapshots (date, community_id, pubkey, alias, channels, capacity)
+         VALUES ${placeholders}
+         ON DUPLICATE KEY UPDATE
+         alias = VALUES(alias),
+         channels = VALUES(channels),
+         capacity = VALUES(capacity)`,
+        values
+      );
+    }
+
+    console.log(`Stored ${members.length} member snapshots for ${resolvedId} on ${dateStr}`);
+    return members.length;
+
+  } catch (error) {
+    console.error('Error storing member snapshots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Convert a member_snapshots row into a member object
+ * @param {Object} row - Database row
+ * @returns {Object} Member snapshot
+ */
+function rowToMember(row) {
+  return {
+    date: row.date,
+    pubkey: row.pubkey,
+    alias: row.alias,
+    channels: Number(row.channels),
+    capacity: Number(row.capacity)
+  };
+}
+
+/**
+ * Load the member list for a specific date
+ * @param {Date} date - Date to load
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {Promise<Array>} Member snapshots for that day
+ */
+async function loadMemberSnapshots(date, communityId = null) {
+  try {
+    const rows = await query(
+      'SELECT * FROM member_snapshots WHERE community_id = ? AND date = ? ORDER BY capacity DESC',
+      [resolveCommunityId(communityId), formatDate(date)]
+    );
+    return rows.map(rowToMember);
+  } catch (error) {
+    console.error('Error loading member snapshots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the most recent member list stored before a date
+ * @param {Date} beforeDate - Only snapshots strictly before this date are considered
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {Promise<Object|null>} Snapshot date and members, or null if none stored
+ */
+async function loadPreviousMemberSnapshots(beforeDate, communityId = null) {
+  try {
+    const resolvedId = resolveCommunityId(communityId);
+    const row = await queryOne(
+      'SELECT MAX(date) AS date FROM member_snapshots WHERE community_id = ? AND date < ?',
+      [resolvedId, formatDate(beforeDate)]
+    );
+
+    if (!row || !row.date) return null;
+
+    const date = row.date instanceof Date ? row.date : new Date(row.date);
+    const members = await loadMemberSnapshots(date, resolvedId);
+
+    return { date: formatDate(date), members };
+  } catch (error) {
+    console.error('Error loading previous member snapshots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the joins and departures already announced on a channel
+ * @param {string} sinceDate - Date of the snapshot the changes were detected against (YYYY-MM-DD)
+ * @param {string} channel - Channel the changes were announced on
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {Promise<Object>} { joined, left } - Sets of announced pubkeys
+ */
+async function loadAnnouncedMemberChanges(sinceDate, channel, communityId = null) {
+  try {
+    const rows = await query(
+      'SELECT pubkey, change_type FROM member_announcements WHERE community_id = ? AND since_date = ? AND channel = ?',
+      [resolveCommunityId(communityId), sinceDate, channel]
+    );
+
+    return {
+      joined: new Set(rows.filter(row => row.change_type === 'joined').map(row => row.pubkey)),
+      left: new Set(rows.filter(row => row.change_type === 'left').map(row => row.pubkey))
+    };
+  } catch (error) {
+    console.error('Error loading announced member changes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record joins or departures as announced on a channel
+ * @param {string} sinceDate - Date of the snapshot the changes were detected against (YYYY-MM-DD)
+ * @param {string} channel - Channel the changes were announced on
+ * @param {string} changeType - 'joined' or 'left'
+ * @param {Array} members - Announced member nodes
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {Promise<number>} Number of members recorded
+ */
+async function storeAnnouncedMemberChanges(sinceDate, channel, changeType, members, communityId = null) {
+  if (members.length === 0) return 0;
+
+  try {
+    const resolvedId = resolveCommunityId(communityId);
+
+    for (let i = 0; i < members.length; i += MEMBER_BATCH_SIZE) {
+      const batch = members.slice(i, i + MEMBER_BATCH_SIZE);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?)').join(', ');
+      const values = batch.flatMap(member => [resolvedId, sinceDate, member.pubkey, changeType, channel]);
+
+      await query(
+        `INSERT IGNORE INTO member_announcements (community_id, since_date, pubkey, change_type, channel)
+         VALUES ${placeholders}`,
+        values
+      );
+    }
+
+    return members.length;
+  } catch (error) {
+    console.error('Error storing announced member changes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the daily history of a single member node
+ * @param {string} pubkey - Node public key
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @param {number} days - Number of days to look back (defaults to retention period)
+ * @returns {Promise<Array>} Member snapshots ordered by date
+ */
+async function loadMemberHistory(pubkey, communityId = null, days = RETENTION_DAYS) {
+  try {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const rows = await query(
+      'SELECT * FROM member_snapshots WHERE community_id = ? AND pubkey = ? AND date >= ? ORDER BY date ASC',
+      [resolveCommunityId(communityId), pubkey, formatDate(startDate)]
+    );
+    return rows.map(rowToMember);
+  } catch (error) {
+    console.error('Error loading member history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Compare two member lists
+ * @param {Array} before - Earlier member list
+ * @param {Array} after - Later member list
+ * @returns {Object} Joined, left and changed members (changed sorted by capacity growth)
+ */
+function compareMemberLists(before, after) {
+  const beforeMap = new Map(before.map(member => [member.pubkey, member]));
+  const afterMap = new Map(after.map(member => [member.pubkey, member]));
+
+  const joined = after.filter(member => !beforeMap.has(member.pubkey));
+  const left = before.filter(member => !afterMap.has(member.pubkey));
+
+  const changed = after
+    .filter(member => beforeMap.has(member.pubkey))
+    .map(member => {
+      const previous = beforeMap.get(member.pubkey);
+      return {
+        pubkey: member.pubkey,
+        alias: member.alias || previous.alias,
+        channels: {
+          previous: previous.channels,
+          current: member.channels,
+          change: member.channels - previous.channels
+        },
+        capacity: {
+          previous: previous.capacity,
+          current: member.capacity,
+          change: member.capacity - previous.capacity
+        }
+      };
+    })
+    .filter(member => member.channels.change !== 0 || member.capacity.change !== 0)
+    .sort((a, b) => b.capacity.change - a.capacity.change);
+
+  return { joined, left, changed };
+}
+
+/**
+ * Diff the member snapshots of two dates
+ * @param {Date} fromDate - Earlier date
+ * @param {Date} toDate - Later date
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
+ * @returns {Promise<Object>} Joined, left and changed members between the dates
+ */
+async function diffMemberSnapshots(fromDate, toDate, communityId = null) {
+  const [before, after] = await Promise.all([
+    loadMemberSnapshots(fromDate, communityId),
+    loadMemberSnapshots(toDate, communityId)
+  ]);
+
+  return {
+    from: formatDate(fromDate),
+    to: formatDate(toDate),
+    available: before.length > 0 && after.length > 0,
+    ...compareMemberLists(before, after)
+  };
+}
+
 /**
  * Export data as CSV
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<string>} CSV formatted data
  */
-async function exportToCSV(startDate, endDate) {
+async function exportToCSV(startDate, endDate, communityId = null) {
   try {
-    const stats = await loadStatsRange(startDate, endDate);
+    const stats = await loadStatsRange(startDate, endDate, communityId);
 
     if (stats.length === 0) {
       return 'No data available for the specified date range';
@@ -252,6 +716,16 @@ async function exportToCSV(startDate, endDate) {
       'Total Channels',
       'Total Capacity (BTC)',
       'Block Height',
+      'Avg Channel Size (BTC)',
+      'Median Channel Size (BTC)',
+      'P10 Channel Size (BTC)',
+      'P90 Channel Size (BTC)',
+      'Largest Average Channel Size per Node (BTC)',
+      'Network Nodes',
+      'Network Channels',
+      'Network Capacity (BTC)',
+      'BTC Price (USD)',
+      'BTC Price (EUR)',
       'Source'
     ];
 
@@ -263,6 +737,16 @@ async function exportToCSV(startDate, endDate) {
       stat.totalChannels,
       stat.totalCapacity,
       stat.blockHeight || '',
+      stat.channelSizes?.mean ?? '',
+      stat.channelSizes?.median ?? '',
+      stat.channelSizes?.p10 ?? '',
+      stat.channelSizes?.p90 ?? '',
+      stat.channelSizes?.largestNodeAverage ?? '',
+      stat.networkStats?.nodeCount ?? '',
+      stat.networkStats?.channelCount ?? '',
+      stat.networkStats?.totalCapacity ?? '',
+      stat.prices?.USD ?? '',
+      stat.prices?.EUR ?? '',
       stat.source
     ]);
 
@@ -279,13 +763,26 @@ async function exportToCSV(startDate, endDate) {
 }
 
 module.exports = {
+  formatDate,
+  toNumericStats,
   storeStats,
   loadStats,
   loadStatsRange,
   getAvailableDates,
   cleanupOldData,
   getLatestStats,
+  getStaleStats,
+  formatDataAge,
+  formatStaleNotice,
   getStatsFromDaysAgo,
   exportToCSV,
+  storeMemberSnapshots,
+  loadMemberSnapshots,
+  loadPreviousMemberSnapshots,
+  loadAnnouncedMemberChanges,
+  storeAnnouncedMemberChanges,
+  loadMemberHistory,
+  compareMemberLists,
+  diffMemberSnapshots,
   RETENTION_DAYS
 };
\ No newline at end of file
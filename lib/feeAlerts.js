@@ -0,0 +1,126 @@
+/**
+ * Low-Fee Alerts
+ * Tells the community when the next-block fee rate is low enough to open channels cheaply
+ */
+
+const { query, queryOne } = require('./database');
+
+/**
+ * Get low-fee alert settings from environment variables
+ * @returns {Object} { threshold } in sat/vB (LOW_FEE_THRESHOLD, default 5) and { cooldownHours } (LOW_FEE_COOLDOWN_HOURS, default 24)
+ */
+function getFeeAlertSettings() {
+  const threshold = parseFloat(process.env.LOW_FEE_THRESHOLD);
+  const cooldownHours = parseFloat(process.env.LOW_FEE_COOLDOWN_HOURS);
+
+  return {
+    threshold: threshold > 0 ? threshold : 5,
+    cooldownHours: cooldownHours >= 0 ? cooldownHours : 24
+  };
+}
+
+/**
+ * Load the most recent low-fee alert
+ * @returns {Promise<Object|null>} { feeRate, threshold, sentAt } or null if none was sent
+ */
+async function getLastFeeAlert() {
+  const row = await queryOne(
+    'SELECT fee_rate, threshold, sent_at FROM fee_alerts ORDER BY sent_at DESC LIMIT 1'
+  );
+
+  if (!row) return null;
+
+  return {
+    feeRate: Number(row.fee_rate),
+    threshold: Number(row.threshold),
+    sentAt: new Date(row.sent_at)
+  };
+}
+
+/**
+ * Record a sent low-fee alert
+ * @param {number} feeRate - Next-block fee rate that triggered the alert
+ * @param {number} threshold - Threshold at the time
+ * @param {string|null} nostrEventId - Published Nostr event ID
+ * @param {number} telegramChats - Number of Telegram chats the alert reached
+ * @param {Date} sentAt - When the alert was sent
+ * @returns {Promise<void>}
+ */
+async function recordFeeAlert(feeRate, threshold, nostrEventId, telegramChats, sentAt = new Date()) {
+  await query(
+    `INSERT INTO fee_alerts (fee_rate, threshold, nostr_event_id, telegram_chats, sent_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [feeRate, threshold, nostrEventId, telegramChats, sentAt]
+  );
+}
+
+/**
+ * Decide whether a low-fee alert should go out
+ * @param {Object|null} fees - Fee rates from fetchRecommendedFees
+ * @param {Object|null} lastAlert - Result of getLastFeeAlert
+ * @param {Object} settings - Result of getFeeAlertSettings
+ * @param {Date} now - Current time
+ * @returns {Object} { send, reason, cooldownUntil }
+ */
+function checkFeeAlert(fees, lastAlert, settings, now = new Date()) {
+  if (!fees) {
+    return { send: false, reason: 'Fee rates unavailable', cooldownUntil: null };
+  }
+
+  if (fees.fastest >= settings.threshold) {
+    return { send: false, reason: `Next-block fee ${fees.fastest} sat/vB is not below ${settings.threshold} sat/vB`, cooldownUntil: null };
+  }
+
+  if (lastAlert) {
+    const cooldownUntil = new Date(lastAlert.sentAt.getTime() + settings.cooldownHours * 60 * 60 * 1000);
+
+    if (now < cooldownUntil) {
+      return { send: false, reason: `Cooling down until ${cooldownUntil.toISOString()}`, cooldownUntil };
+    }
+  }
+
+  return { send: true, reason: `Next-block fee ${fees.fastest} sat/vB is below ${settings.threshold} sat/vB`, cooldownUntil: null };
+}
+
+/**
+ * Format a low-fee alert for Nostr
+ * @param {Object} fees - Fee rates from fetchRecommendedFees
+ * @returns {string} Formatted message for Nostr
+ */
+function formatLowFeeMessage(fees) {
+  return `🟢 Low Fees - Good Time to Open Channels ⚡
+
+💸 Next block: ${fees.fastest} sat/vB
+⏱️ 30 min: ${fees.halfHour} sat/vB • 1 hr: ${fees.hour} sat/vB
+
+On-chain fees are low right now, so opening or rebalancing channels is cheap.
+
+Update powered by StrichBot ♾️🤖⚡
+
+#lightning #bitcoin #fees`;
+}
+
+/**
+ * Format a low-fee alert for Telegram
+ * @param {Object} fees - Fee rates from fetchRecommendedFees
+ * @returns {string} Formatted message for Telegram
+ */
+function formatLowFeeMessageForTelegram(fees) {
+  return `🟢 <b>Low Fees - Good Time to Open Channels</b> ⚡
+
+💸 Next block: <b>${fees.fastest} sat/vB</b>
+⏱️ 30 min: ${fees.halfHour} sat/vB • 1 hr: ${fees.hour} sat/vB
+
+On-chain fees are low right now, so opening or rebalancing channels is cheap.
+
+Update powered by StrichBot ♾️🤖⚡`;
+}
+
+module.exports = {
+  getFeeAlertSettings,
+  getLastFeeAlert,
+  recordFeeAlert,
+  checkFeeAlert,
+  formatLowFeeMessage,
+  formatLowFeeMessageForTelegram
+};
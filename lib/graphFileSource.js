@@ -0,0 +1,139 @@
+/**
+ * Local Graph File Data Source
+ * Computes community statistics from an LND `describegraph` JSON dump and a list of member pubkeys
+ */
+
+const fs = require('fs');
+const { AMBOSS_ERRORS } = require('./amboss');
+const { computeChannelSizeDistribution } = require('./channelDistribution');
+
+const SATS_PER_BTC = 100000000;
+const SOURCE_NAME = 'LND graph';
+
+/**
+ * Parse a member pubkey list
+ * Accepts a JSON array or one pubkey per line (blank lines and # comments are ignored)
+ * @param {string} content - File content
+ * @returns {Array} Member pubkeys
+ */
+function parseMemberList(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(pubkey => String(pubkey).trim()).filter(Boolean);
+  }
+
+  return trimmed
+    .split('\n')
+    .map(line => line.split('#')[0].trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compute community statistics from a describegraph dump
+ *
+ * A channel counts towards the community when at least one side is a member,
+ * and channels between two members are only counted once in the totals and channel sizes.
+ *
+ * @param {Object} graph - Parsed `lncli describegraph` output ({ nodes, edges })
+ * @param {Array} memberList - Member node pubkeys
+ * @param {string} communityId - Community ID the stats belong to
+ * @returns {Object} Stats object in the same shape as fetchCommunityStats
+ */
+function computeGraphStats(graph, memberList, communityId) {
+  const memberSet = new Set(memberList);
+  const memberPubkeys = [...memberSet];
+  const nodes = new Map((graph.nodes || []).map(node => [node.pub_key, node]));
+
+  const perMember = new Map(memberPubkeys.map(pubkey => [pubkey, { channels: 0, capacity: 0 }]));
+  const channelCapacities = [];
+
+  for (const edge of graph.edges || []) {
+    const capacity = Number(edge.capacity) || 0;
+    const ends = [edge.node1_pub, edge.node2_pub].filter(pubkey => memberSet.has(pubkey));
+    if (ends.length === 0) continue;
+
+    channelCapacities.push(capacity);
+
+    for (const pubkey of new Set(ends)) {
+      const member = perMember.get(pubkey);
+      member.channels++;
+      member.capacity += capacity;
+    }
+  }
+
+  const members = memberPubkeys.map(pubkey => ({
+    pubkey,
+    alias: nodes.get(pubkey)?.alias || null,
+    channels: perMember.get(pubkey).channels,
+    capacity: perMember.get(pubkey).capacity
+  }));
+
+  // Unlike Amboss the graph has each channel's own size, so every channel is its own bucket
+  // and channels between two members are counted once, as in the totals
+  const distribution = computeChannelSizeDistribution(channelCapacities.map(capacity => ({ channels: 1, capacity })));
+  const nodeAverages = computeChannelSizeDistribution(members);
+  const channelSizes = distribution && {
+    ...distribution,
+    largestNodeAverage: nodeAverages.largestNodeAverage,
+    sampleNodes: nodeAverages.sampleNodes
+  };
+  const totalCapacity = channelCapacities.reduce((sum, capacity) => sum + capacity, 0);
+
+  return {
+    memberCount: members.length,
+    totalChannels: channelCapacities.length,
+    totalCapacity: parseFloat((totalCapacity / SATS_PER_BTC).toFixed(2)),
+    avgChannelSize: channelSizes ? channelSizes.mean : null,
+    channelSizes,
+    members,
+    // Join requests only exist on Amboss, so they are unknown rather than none
+    pendingRequests: null,
+    pendingRequestList: null,
+    communityId,
+    timestamp: new Date().toISOString(),
+    source: SOURCE_NAME
+  };
+}
+
+/**
+ * Fetch community statistics from the configured graph and member files
+ * Reads GRAPH_FILE_PATH and MEMBER_PUBKEYS_FILE on every call so updated dumps are picked up
+ * @param {string} apiKey - Unused, accepted for interface compatibility
+ * @param {string} communityId - Community ID the stats belong to
+ * @returns {Promise<Object>} { stats, error } in the same shape as fetchCommunityStatsResult
+ */
+async function fetchStatsResult(apiKey, communityId) {
+  const graphPath = process.env.GRAPH_FILE_PATH;
+  const membersPath = process.env.MEMBER_PUBKEYS_FILE;
+
+  if (!graphPath || !membersPath) {
+    return {
+      stats: null,
+      error: { type: AMBOSS_ERRORS.NOT_CONFIGURED, message: 'GRAPH_FILE_PATH and MEMBER_PUBKEYS_FILE are required for the graph file source', status: null }
+    };
+  }
+
+  try {
+    const graph = JSON.parse(await fs.promises.readFile(graphPath, 'utf-8'));
+    const memberPubkeys = parseMemberList(await fs.promises.readFile(membersPath, 'utf-8'));
+
+    const stats = computeGraphStats(graph, memberPubkeys, communityId);
+    console.log(`Computed stats for ${stats.memberCount} members from ${graphPath}`);
+
+    return { stats, error: null };
+
+  } catch (error) {
+    console.error('Error computing stats from graph file:', error);
+    return {
+      stats: null,
+      error: { type: AMBOSS_ERRORS.INVALID_RESPONSE, message: error.message, status: null }
+    };
+  }
+}
+
+module.exports = {
+  fetchStatsResult,
+  computeGraphStats,
+  parseMemberList
+};
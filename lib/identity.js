@@ -0,0 +1,254 @@
+/**
+ * Nostr Identity
+ * The bot's kind-0 profile and its NIP-65 relay list (kind 10002), so clients can find its posts
+ */
+
+const { signAndPublish, parseRelays } = require('./nostr');
+const { getSigner } = require('./signer');
+const { loadRelayList } = require('./relayHealth');
+const { loadLatestEvent } = require('./rebroadcast');
+const { loadScheduleConfig, saveScheduleConfig } = require('./scheduler');
+
+const PROFILE_KIND = 0;
+const RELAY_LIST_KIND = 10002;
+
+// Profile fields editable in the admin panel, with their maximum length
+const PROFILE_FIELDS = {
+  name: 64,
+  about: 1000,
+  picture: 500,
+  nip05: 200,
+  lud16: 200
+};
+
+// Relays that index profiles and relay lists for clients, besides the bot's own relays
+const DEFAULT_INDEXER_RELAYS = ['wss://purplepag.es'];
+
+/**
+ * Get the indexer relays from the environment
+ * @returns {Array} NOSTR_INDEXER_RELAYS, the default indexers when unset, or none when set to "none"
+ */
+function getIndexerRelays() {
+  const value = (process.env.NOSTR_INDEXER_RELAYS || '').trim();
+
+  if (value.toLowerCase() === 'none') return [];
+  return value ? parseRelays(value) : DEFAULT_INDEXER_RELAYS;
+}
+
+/**
+ * Validate and clean up a profile from the admin panel
+ * Empty fields are dropped so they are left out of the published profile
+ * @param {Object} input - { name, about, picture, nip05, lud16 }
+ * @returns {Object} { profile, errors }
+ */
+function normalizeProfile(input) {
+  const profile = {};
+  const errors = [];
+
+  Object.entries(PROFILE_FIELDS).forEach(([field, maxLength]) => {
+    const value = typeof input?.[field] === 'string' ? input[field].trim() : '';
+    if (!value) return;
+
+    if (value.length > maxLength) {
+      errors.push(`${field} must be at most ${maxLength} characters`);
+    } else if (field === 'picture' && !/^https:\/\/\S+$/.test(value)) {
+      errors.push('picture must be an https:// URL');
+    } else if ((field === 'nip05' || field === 'lud16') && !/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(value)) {
+      errors.push(`${field} must look like name@domain.com`);
+    } else {
+      profile[field] = value;
+    }
+  });
+
+  return { profile, errors };
+}
+
+/**
+ * Build the kind-0 profile event
+ * Fields of the last published profile that the admin panel does not edit, such as
+ * banner or website, are kept so publishing does not wipe them
+ * @param {Object} profile - Normalized profile
+ * @param {Object} previous - Metadata of the last published profile
+ * @returns {Object} Event template { kind, tags, content }
+ */
+function buildProfileTemplate(profile, previous = {}) {
+  const metadata = { ...previous };
+
+  // Fields the admin panel edits come from the saved profile only, so cleared ones are removed
+  [...Object.keys(PROFILE_FIELDS), 'display_name'].forEach(field => delete metadata[field]);
+  Object.assign(metadata, profile);
+  if (profile.name) metadata.display_name = profile.name;
+
+  return {
+    kind: PROFILE_KIND,
+    tags: [],
+    content: JSON.stringify(metadata)
+  };
+}
+
+/**
+ * Read the metadata of the last published profile
+ * @returns {Promise<Object>} Profile metadata, empty if none was published or it cannot be parsed
+ */
+async function loadPublishedProfile() {
+  const event = await loadLatestEvent(PROFILE_KIND);
+  if (!event) return {};
+
+  try {
+    const metadata = JSON.parse(event.content);
+    return metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  } catch (error) {
+    console.error('Error parsing the published profile:', error);
+    return {};
+  }
+}
+
+/**
+ * Build the NIP-65 relay list event
+ * The bot reads and writes on every relay, so the r tags carry no marker
+ * @param {Array} relays - Relay URLs
+ * @returns {Object} Event template { kind, tags, content }
+ */
+function buildRelayListTemplate(relays) {
+  return {
+    kind: RELAY_LIST_KIND,
+    tags: relays.map(relay => ['r', relay]),
+    content: ''
+  };
+}
+
+/**
+ * Read the relays from a relay list event
+ * @param {Object} event - Kind 10002 event
+ * @returns {Array} Relay URLs
+ */
+function getRelaysFromEvent(event) {
+  return (event?.tags || []).filter(tag => tag[0] === 'r' && tag[1]).map(tag => tag[1]);
+}
+
+/**
+ * Check whether two relay lists contain the same relays, ignoring order
+ * @param {Array} a - Relay URLs
+ * @param {Array} b - Relay URLs
+ * @returns {boolean} Whether the lists match
+ */
+function sameRelays(a, b) {
+  const normalize = (relays) => [...new Set(relays.map(relay => relay.replace(/\/+$/, '')))].sort().join(',');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Load the profile saved in the admin panel
+ * @returns {Promise<Object>} Profile, empty if none was saved
+ */
+async function loadProfile() {
+  const config = await loadScheduleConfig();
+  return config.profile || {};
+}
+
+/**
+ * Save the profile
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<boolean>} Whether the profile was saved
+ */
+async function saveProfile(profile) {
+  const config = await loadScheduleConfig();
+  return saveScheduleConfig({ ...config, profile });
+}
+
+/**
+ * Publish an identity event to the bot's relays and the indexer relays
+ * @param {Object} template - Event template
+ * @param {Array} relayList - The bot's relays
+ * @param {Object} options - Passed to signAndPublish
+ * @returns {Promise<Object>} Publish result
+ */
+async function publishIdentityEvent(template, relayList, options = {}) {
+  const relays = [...new Set([...relayList, ...getIndexerRelays()])];
+  return signAndPublish(await getSigner(), template, relays, options);
+}
+
+/**
+ * Publish the bot's profile and relay list
+ * The profile is only published once it has been filled in; both events go out at the same time
+ * @param {Object} options - { verify: false } to skip confirming the events on the relays
+ * @returns {Promise<Object>} { relays, profile, relayList } with the publish results
+ */
+async function publishIdentity(options = {}) {
+  const relays = await loadRelayList(parseRelays(process.env.NOSTR_RELAYS));
+  const profile = await loadProfile();
+  const profileTemplate = Object.keys(profile).length > 0
+    ? buildProfileTemplate(profile, await loadPublishedProfile())
+    : null;
+
+  const [relayList, profileResult] = await Promise.all([
+    publishIdentityEvent(buildRelayListTemplate(relays), relays, options),
+    profileTemplate ? publishIdentityEvent(profileTemplate, relays, options) : null
+  ]);
+
+  console.log(`Published relay list with ${relays.length} relays${profileResult ? ' and profile' : ''}`);
+
+  return { relays, profile: profileResult, relayList };
+}
+
+/**
+ * Re-publish the profile and relay list if the relays changed since the last relay list
+ * Catches changes to NOSTR_RELAYS, which only take effect with a redeploy
+ * @returns {Promise<Object|null>} Result of publishIdentity, or null if nothing changed
+ */
+async function syncIdentity() {
+  const relays = await loadRelayList(parseRelays(process.env.NOSTR_RELAYS));
+  const lastRelayList = await loadLatestEvent(RELAY_LIST_KIND);
+
+  if (lastRelayList && sameRelays(getRelaysFromEvent(lastRelayList), relays)) {
+    return null;
+  }
+
+  return publishIdentity();
+}
+
+/**
+ * Load the profile, relays and what was last published, for the admin panel
+ * @returns {Promise<Object>} { profile, relays, indexerRelays, published }
+ */
+async function getIdentityStatus() {
+  const relays = await loadRelayList(parseRelays(process.env.NOSTR_RELAYS));
+  const lastProfile = await loadLatestEvent(PROFILE_KIND);
+  const lastRelayList = await loadLatestEvent(RELAY_LIST_KIND);
+
+  return {
+    profile: await loadProfile(),
+    relays,
+    indexerRelays: getIndexerRelays(),
+    published: {
+      profile: lastProfile ? {
+        eventId: lastProfile.id,
+        publishedAt: new Date(lastProfile.created_at * 1000).toISOString()
+      } : null,
+      relayList: lastRelayList ? {
+        eventId: lastRelayList.id,
+        publishedAt: new Date(lastRelayList.created_at * 1000).toISOString(),
+        relays: getRelaysFromEvent(lastRelayList),
+        upToDate: sameRelays(getRelaysFromEvent(lastRelayList), relays)
+      } : null
+    }
+  };
+}
+
+module.exports = {
+  PROFILE_KIND,
+  RELAY_LIST_KIND,
+  PROFILE_FIELDS,
+  getIndexerRelays,
+  normalizeProfile,
+  buildProfileTemplate,
+  loadPublishedProfile,
+  buildRelayListTemplate,
+  getRelaysFromEvent,
+  sameRelays,
+  loadProfile,
+  saveProfile,
+  publishIdentity,
+  syncIdentity,
+  getIdentityStatus
+};
@@ -1,9 +1,10 @@
 /**
  * API Key Expiration Monitoring System
- * Monitors Amboss API key expiration and sends Telegram notifications
+ * Monitors Amboss API key expiration and notifies admins over Telegram or Nostr DM
  */
 
-const { sendMessage } = require('./telegram');
+const { escapeHtml } = require('./telegram');
+const { ALERT_TYPES, sendAdminAlert } = require('./adminAlerts');
 
 /**
  * Check if API key is approaching expiration
@@ -102,8 +103,8 @@ function formatExpirationWarning(checkResult) {
 
 ⚡ <b>Action Required:</b>
 1. Generate new API key at Amboss.space
-2. Update AMBOSS_API_KEY environment variable
-3. Update AMBOSS_API_KEY_EXPIRY_DATE
+2. Update the key's environment variable in Vercel
+3. Save its new expiry date in the admin panel
 
 🤖 StrichBot Admin Alert`;
   }
@@ -141,7 +142,7 @@ ${daysUntilExpiry <= 3 ? '1. Generate new API key at Amboss.space NOW\n2. Update
 }
 
 /**
- * Send expiration warning to Telegram
+ * Send expiration warning to the admins, on the channels chosen for key expiry alerts
  * @param {string} botToken - Telegram bot token
  * @param {string} chatId - Telegram chat ID
  * @param {Object} checkResult - Result from checkKeyExpiration
@@ -151,9 +152,13 @@ async function sendExpirationWarning(botToken, chatId, checkResult) {
   try {
     const message = formatExpirationWarning(checkResult);
 
-    const result = await sendMessage(botToken, chatId, message, {
-      parse_mode: 'HTML',
-      disable_web_page_preview: true
+    const result = await sendAdminAlert(ALERT_TYPES.KEY_EXPIRY, message, {
+      botToken,
+      chatId,
+      options: {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true
+      }
     });
 
     console.log(`Sent API key expiration warning (${checkResult.daysUntilExpiry} days)`);
@@ -195,11 +200,136 @@ function shouldSendNotification(checkResult, state) {
   return true;
 }
 
+/**
+ * Get how many days before expiry the active key is rotated out
+ * @returns {number} Days from AMBOSS_KEY_ROTATE_DAYS (default 3)
+ */
+function getRotateDays() {
+  const days = parseInt(process.env.AMBOSS_KEY_ROTATE_DAYS, 10);
+  return days >= 0 ? days : 3;
+}
+
+/**
+ * Get the chat key rotation notices go to
+ * @returns {string|undefined} Admin chat ID, falling back to the main chat
+ */
+function getKeyNoticeChatId() {
+  return process.env.TELEGRAM_ADMIN_CHAT_ID || process.env.TELEGRAM_CHAT_ID;
+}
+
+/**
+ * Format a notice telling admins which API key is now active
+ * @param {string} previousKeyName - Key taken out of service
+ * @param {Object} activeKey - Newly active key entry ({ keyName, expiryDate })
+ * @param {string} reason - Why the previous key was replaced
+ * @returns {string} Formatted notice for Telegram
+ */
+function formatKeyRotationNotice(previousKeyName, activeKey, reason) {
+  const expiry = activeKey.expiryDate
+    ? new Date(activeKey.expiryDate).toISOString().substring(0, 10)
+    : 'not set';
+
+  return `🔄 <b>Amboss API Key Rotated</b>
+
+<code>${escapeHtml(previousKeyName)}</code> was taken out of service: ${escapeHtml(reason)}
+
+✅ <b>Now active:</b> <code>${escapeHtml(activeKey.keyName)}</code>
+📅 Expiry: ${expiry}
+
+🔑 <b>Next Steps:</b>
+1. Generate a replacement key at Amboss.space
+2. Update ${escapeHtml(previousKeyName)} in Vercel
+3. Save its new expiry date in the admin panel
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Send a key rotation notice to the admins
+ * Notice failures are logged rather than thrown so they never block the rotation itself
+ * @param {string} previousKeyName - Key taken out of service
+ * @param {Object} activeKey - Newly active key entry
+ * @param {string} reason - Why the previous key was replaced
+ * @returns {Promise<Object|null>} Send result, or null if not sent
+ */
+async function sendKeyRotationNotice(previousKeyName, activeKey, reason) {
+  try {
+    const result = await sendAdminAlert(ALERT_TYPES.KEY_ROTATION, formatKeyRotationNotice(previousKeyName, activeKey, reason), {
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      chatId: getKeyNoticeChatId()
+    });
+    console.log(`Sent API key rotation notice (${previousKeyName} -> ${activeKey.keyName})`);
+    return result;
+  } catch (error) {
+    console.error('Error sending key rotation notice:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle a key Amboss rejected by promoting the next valid key
+ * When another invocation already moved on from the key, the current active key is returned
+ * @param {string} apiKey - Key value that was rejected
+ * @param {string} errorMessage - Error reported by Amboss
+ * @returns {Promise<Object>} { rotated, previousKey, activeKey, notice } where activeKey includes its value
+ *   and notice is the sendKeyRotationNotice result, null when it could not be sent
+ */
+async function handleKeyFailure(apiKey, errorMessage) {
+  const { getActiveKey, promoteNextKey, KEY_STATUSES } = await import('./apiKeyConfig.js');
+  const activeKey = await getActiveKey();
+
+  if (!activeKey || activeKey.value !== apiKey) {
+    return { rotated: false, previousKey: null, activeKey };
+  }
+
+  const reason = `rejected by Amboss (${errorMessage})`;
+  const nextKey = await promoteNextKey(activeKey.keyName, KEY_STATUSES.FAILED, reason);
+
+  if (!nextKey) {
+    return { rotated: false, previousKey: activeKey.keyName, activeKey: null };
+  }
+
+  const notice = await sendKeyRotationNotice(activeKey.keyName, nextKey, reason);
+  return { rotated: true, previousKey: activeKey.keyName, activeKey: nextKey, notice };
+}
+
+/**
+ * Rotate out the active key when it has expired or is within the rotation window
+ * @param {Object} checkResult - Result from checkKeyExpiration for the active key
+ * @returns {Promise<Object>} { rotated, previousKey, activeKey, notice } - notice is the sendKeyRotationNotice
+ *   result, null when it could not be sent
+ */
+async function rotateExpiringKey(checkResult) {
+  const { getActiveKey, promoteNextKey, KEY_STATUSES } = await import('./apiKeyConfig.js');
+  const activeKey = await getActiveKey();
+
+  if (!activeKey || !(checkResult.expired || checkResult.daysUntilExpiry <= getRotateDays())) {
+    return { rotated: false, previousKey: null, activeKey };
+  }
+
+  const reason = checkResult.expired
+    ? 'expired'
+    : `expires in ${checkResult.daysUntilExpiry} ${checkResult.daysUntilExpiry === 1 ? 'day' : 'days'}`;
+  const nextKey = await promoteNextKey(activeKey.keyName, KEY_STATUSES.RETIRED, reason);
+
+  if (!nextKey) {
+    return { rotated: false, previousKey: activeKey.keyName, activeKey };
+  }
+
+  const notice = await sendKeyRotationNotice(activeKey.keyName, nextKey, reason);
+  return { rotated: true, previousKey: activeKey.keyName, activeKey: nextKey, notice };
+}
+
 module.exports = {
   checkKeyExpiration,
   formatExpirationWarning,
   sendExpirationWarning,
   loadNotificationState,
   shouldSendNotification,
-  getUrgencyLevel
+  getUrgencyLevel,
+  getRotateDays,
+  formatKeyRotationNotice,
+  sendKeyRotationNotice,
+  handleKeyFailure,
+  rotateExpiringKey
 };
\ No newline at end of file
@@ -0,0 +1,378 @@
+/**
+ * Long-form Reports
+ * Weekly and monthly Markdown reports published as NIP-23 articles (kind 30023),
+ * announced by a short kind-1 teaser that links to the article
+ */
+
+const { nip19 } = require('nostr-tools');
+const { analyzeTrends, formatNumber, formatPercentageChange } = require('./trendAnalysis');
+const { formatDate, toNumericStats, loadStats, loadStatsRange, diffMemberSnapshots } = require('./dataStore');
+const { signAndPublish, publishEvent } = require('./nostr');
+const { loadLatestEvent, loadLatestTaggedEvent } = require('./rebroadcast');
+const { memberName, memberCapacity } = require('./memberChanges');
+const { formatChannelSize } = require('./channelDistribution');
+
+const ARTICLE_KIND = 30023;
+const REPORT_TYPES = ['weekly', 'monthly'];
+const NOTABLE_MOVERS = 5;
+const SATS_PER_BTC = 100000000;
+
+/**
+ * Get the ISO 8601 week of a date
+ * @param {Date} date - Any day of the week
+ * @returns {Object} { year, week } - the year is the one the week's Thursday falls in
+ */
+function getIsoWeek(date) {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  thursday.setDate(thursday.getDate() - ((thursday.getDay() + 6) % 7) + 3);
+
+  const january4 = new Date(thursday.getFullYear(), 0, 4);
+  const week = 1 + Math.round(((thursday - january4) / 86400000 - 3 + ((january4.getDay() + 6) % 7)) / 7);
+
+  return { year: thursday.getFullYear(), week };
+}
+
+/**
+ * Get the period a report covers
+ * Weekly reports cover the ISO week (Monday to Sunday), monthly reports the calendar month
+ * @param {string} type - 'weekly' or 'monthly'
+ * @param {Date} date - Any day in the period
+ * @returns {Object} { type, label, start, end, compareDate } - compareDate is the last day of the previous period
+ */
+function getReportPeriod(type, date = new Date()) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  let start;
+  let end;
+  let label;
+
+  if (type === 'weekly') {
+    start = new Date(day);
+    start.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    end = new Date(start);
+    end.setDate(start.getDate() + 6);
+
+    const { year, week } = getIsoWeek(day);
+    label = `${year}-W${String(week).padStart(2, '0')}`;
+  } else if (type === 'monthly') {
+    start = new Date(day.getFullYear(), day.getMonth(), 1);
+    end = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    label = formatDate(start).substring(0, 7);
+  } else {
+    throw new Error(`Unknown report type: ${type} (expected ${REPORT_TYPES.join(' or ')})`);
+  }
+
+  const compareDate = new Date(start);
+  compareDate.setDate(start.getDate() - 1);
+
+  return { type, label, start, end, compareDate };
+}
+
+/**
+ * Get the d tag of a report, the same for every version of a period's report
+ * @param {Object} period - Period from getReportPeriod
+ * @param {string} communityId - Amboss community ID
+ * @returns {string} e.g. "strichbot-weekly-2026-W42-<community id>"
+ */
+function getReportIdentifier(period, communityId) {
+  return `strichbot-${period.type}-${period.label}-${communityId}`;
+}
+
+/**
+ * Format a signed number
+ * @param {number} value - Change
+ * @param {number} decimals - Decimal places
+ * @returns {string} e.g. "+2" or "-0.50"
+ */
+function formatSigned(value, decimals = 0) {
+  return `${value >= 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+}
+
+/**
+ * Make text safe for a Markdown table cell or list item
+ * @param {string} text - Text such as a node alias
+ * @returns {string} Text with pipes escaped and line breaks removed
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\r\n]+/g, ' ').replace(/([|*_`[\]\\])/g, '\\$1');
+}
+
+/**
+ * Read a stored date column
+ * @param {Date|string} date - Date from MySQL, a Date or a YYYY-MM-DD string
+ * @returns {Date} Local midnight of that day
+ */
+function toDay(date) {
+  return date instanceof Date ? date : new Date(`${date}T00:00:00`);
+}
+
+/**
+ * Format a stored date column
+ * @param {Date|string} date - Date from MySQL
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDay(date) {
+  return formatDate(toDay(date));
+}
+
+/**
+ * Build the Markdown report
+ * @param {Object} data - { period, communityName, days, previous, memberDiff }
+ *   days are the stored daily statistics of the period, previous the statistics of the day before it
+ *   and memberDiff the member changes from diffMemberSnapshots
+ * @param {Date} now - Generation time
+ * @returns {Object} { title, summary, markdown, analysis }
+ */
+function buildReportArticle({ period, communityName, days, previous, memberDiff }, now = new Date()) {
+  const numericDays = days.map(toNumericStats);
+  const current = numericDays[numericDays.length - 1] || null;
+  const baseline = toNumericStats(previous);
+  const analysis = analyzeTrends(current, baseline);
+
+  const periodName = period.type === 'weekly' ? 'Weekly' : 'Monthly';
+  const thisPeriod = period.type === 'weekly' ? 'this week' : 'this month';
+  const lastPeriod = period.type === 'weekly' ? 'last week' : 'last month';
+  const title = `${communityName} ${periodName} Report ${period.label}`;
+
+  const sections = [
+    `# ${title}`,
+    `_${formatDate(period.start)} to ${formatDate(period.end)}_`
+  ];
+
+  // Period-over-period deltas
+  if (analysis.available) {
+    const rows = [
+      ['👥 Members', analysis.members, 0, ''],
+      ['🔗 Channels', analysis.channels, 0, ''],
+      ['🪙 Capacity', analysis.capacity, 2, ' BTC']
+    ].map(([label, metric, decimals, unit]) =>
+      `| ${label} | ${formatNumber(metric.current, decimals)}${unit} | ${formatNumber(metric.previous, decimals)}${unit} | ${formatSigned(metric.absolute, decimals)}${unit} | ${formatPercentageChange(metric.percentage)} ${metric.indicator} |`
+    );
+
+    if (analysis.avgChannelSize) {
+      const size = analysis.avgChannelSize;
+      rows.push(`| 📏 Avg Channel | ${formatChannelSize(size.current)} BTC | ${formatChannelSize(size.previous)} BTC | ${formatSigned(size.absolute, 3)} BTC | ${formatPercentageChange(size.percentage)} ${size.indicator} |`);
+    }
+
+    sections.push([
+      `## Compared with ${lastPeriod}`,
+      '',
+      `| Metric | ${formatDay(current.date)} | ${formatDate(period.compareDate)} | Change | % |`,
+      '|---|---:|---:|---:|---:|',
+      ...rows
+    ].join('\n'));
+  } else {
+    sections.push(`## Compared with ${lastPeriod}\n\n_Not enough data for a comparison: ${analysis.reason}._`);
+  }
+
+  // Daily values, each with its change from the day before
+  const dailyRows = numericDays.map((day, index) => {
+    const before = index > 0 ? numericDays[index - 1] : baseline;
+    const capacityChange = before ? formatSigned(day.totalCapacity - before.totalCapacity, 2) : '—';
+
+    return `| ${formatDay(day.date)} | ${formatNumber(day.memberCount)} | ${formatNumber(day.totalChannels)} | ${formatNumber(day.totalCapacity, 2)} | ${capacityChange} |`;
+  });
+
+  sections.push([
+    '## Daily Values',
+    '',
+    '| Date | Members | Channels | Capacity (BTC) | Capacity Change |',
+    '|---|---:|---:|---:|---:|',
+    ...dailyRows
+  ].join('\n'));
+
+  // Member changes
+  if (memberDiff?.available) {
+    const describe = member => `- **${escapeMarkdown(memberName(member))}**: ${formatNumber(member.channels)} channels, ${memberCapacity(member)}`;
+
+    sections.push(memberDiff.joined.length > 0
+      ? `## New Members\n\n${memberDiff.joined.map(describe).join('\n')}`
+      : `## New Members\n\nNo new members ${thisPeriod}.`);
+
+    if (memberDiff.left.length > 0) {
+      sections.push(`## Departures\n\n${memberDiff.left.map(describe).join('\n')}`);
+    }
+
+    const movers = [...memberDiff.changed]
+      .sort((a, b) => Math.abs(b.capacity.change) - Math.abs(a.capacity.change))
+      .slice(0, NOTABLE_MOVERS);
+
+    if (movers.length > 0) {
+      sections.push([
+        '## Notable Movers',
+        '',
+        '| Node | Channels | Capacity Change |',
+        '|---|---:|---:|',
+        ...movers.map(member =>
+          `| ${escapeMarkdown(memberName(member))} | ${member.channels.previous} → ${member.channels.current} | ${formatSigned(member.capacity.change / SATS_PER_BTC, 3)} BTC |`
+        )
+      ].join('\n'));
+    }
+  } else {
+    sections.push('## Members\n\n_Member snapshots are not available for this period._');
+  }
+
+  sections.push(`---\n\n_Generated by StrichBot ♾️⚡ on ${now.toISOString().replace('T', ' ').substring(0, 16)} UTC_`);
+
+  const summary = analysis.available
+    ? `Members ${formatNumber(analysis.members.current)} (${formatPercentageChange(analysis.members.percentage)}), ` +
+      `channels ${formatNumber(analysis.channels.current)} (${formatPercentageChange(analysis.channels.percentage)}), ` +
+      `capacity ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) compared with ${lastPeriod}.`
+    : `Daily ${communityName} statistics from ${formatDate(period.start)} to ${formatDate(period.end)}.`;
+
+  return {
+    title,
+    summary,
+    markdown: sections.join('\n\n'),
+    analysis
+  };
+}
+
+/**
+ * Build the kind-30023 event template for a report
+ * @param {Object} article - Article from buildReportArticle
+ * @param {string} identifier - d tag from getReportIdentifier
+ * @param {number} publishedAt - Unix time of the first version, kept for corrections
+ * @returns {Object} Event template { kind, tags, content }
+ */
+function buildArticleTemplate(article, identifier, publishedAt) {
+  return {
+    kind: ARTICLE_KIND,
+    tags: [
+      ['d', identifier],
+      ['title', article.title],
+      ['summary', article.summary],
+      ['published_at', String(publishedAt)],
+      ['t', 'lightning'],
+      ['t', 'nostr'],
+      ['t', 'trends']
+    ],
+    content: article.markdown
+  };
+}
+
+/**
+ * Format the kind-1 teaser that links to a report
+ * @param {Object} article - Article from buildReportArticle
+ * @param {string} naddr - NIP-19 address of the article
+ * @returns {string} Teaser note
+ */
+function formatReportTeaser(article, naddr) {
+  const { analysis } = article;
+  const highlights = analysis.available
+    ? `
+👥 Members: ${formatNumber(analysis.members.current)} (${formatPercentageChange(analysis.members.percentage)}) ${analysis.members.indicator}
+🔗 Channels: ${formatNumber(analysis.channels.current)} (${formatPercentageChange(analysis.channels.percentage)}) ${analysis.channels.indicator}
+🪙 Capacity: ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}
+`
+    : '';
+
+  return `📰 ${article.title}
+${highlights}
+Daily values, new members and notable movers in the full report:
+nostr:${naddr}
+
+🤖 StrichBot ♾️⚡
+
+#lightning #nostr #trends`;
+}
+
+/**
+ * Read the published_at tag of an earlier version of an article
+ * @param {Object|null} event - Earlier kind-30023 event
+ * @returns {number|null} Unix time or null
+ */
+function getPublishedAt(event) {
+  const tag = (event?.tags || []).find(t => t[0] === 'published_at');
+  return tag ? parseInt(tag[1], 10) || null : null;
+}
+
+/**
+ * Generate and publish a community's report as a NIP-23 article
+ * Re-running for the same period replaces the article; the teaser is posted once, after a relay accepted the article
+ * @param {string} type - 'weekly' or 'monthly'
+ * @param {Object} options - { signer, community, relays, date } - date is any day in the period to report on
+ * @returns {Promise<Object>} { published, correction, identifier, naddr, article, teaser } or { published: false, reason }
+ *   - teaser is null when it was posted by an earlier run
+ */
+async function publishReport(type, { signer, community, relays, date = new Date() }) {
+  const period = getReportPeriod(type, date);
+  const identifier = getReportIdentifier(period, community.communityId);
+
+  const days = await loadStatsRange(period.start, period.end, community.communityId);
+  if (days.length === 0) {
+    return { published: false, identifier, reason: `No statistics stored for ${period.label}` };
+  }
+
+  const previous = await loadStats(period.compareDate, community.communityId);
+  const lastDay = toDay(days[days.length - 1].date);
+
+  // Members are compared with the end of the previous period, or the first day when that snapshot is missing
+  let memberDiff = await diffMemberSnapshots(period.compareDate, lastDay, community.communityId);
+  if (!memberDiff.available) {
+    memberDiff = await diffMemberSnapshots(toDay(days[0].date), lastDay, community.communityId);
+  }
+
+  const article = buildReportArticle({ period, communityName: community.name, days, previous, memberDiff });
+  const earlier = await loadLatestEvent(ARTICLE_KIND, identifier);
+  const publishedAt = getPublishedAt(earlier) || Math.floor(Date.now() / 1000);
+
+  const result = await signAndPublish(signer, buildArticleTemplate(article, identifier, publishedAt), relays);
+  const naddr = nip19.naddrEncode({
+    identifier,
+    pubkey: result.publicKey,
+    kind: ARTICLE_KIND,
+    relays: relays.slice(0, 2)
+  });
+
+  // The event is stored and queued for rebroadcast, but nothing links to it until a relay has it
+  if (result.publishedTo === 0) {
+    console.error(`No relay accepted ${type} report ${identifier}`);
+    return { published: false, identifier, eventId: result.eventId, reason: 'No relay accepted the article' };
+  }
+
+  // The teaser is looked up on its own so a rerun posts it when it failed after the article went out;
+  // a stored teaser that no relay took is retried by the rebroadcast queue
+  const address = `${ARTICLE_KIND}:${result.publicKey}:${identifier}`;
+  let teaser = null;
+  if (!(await loadLatestTaggedEvent(1, 'a', address))) {
+    try {
+      const note = await publishEvent(signer, formatReportTeaser(article, naddr), relays, [
+        ['t', 'trends'],
+        ['a', address, relays[0] || '']
+      ]);
+      teaser = { eventId: note.eventId, publishedTo: note.publishedTo };
+    } catch (teaserError) {
+      console.error(`Error posting teaser for ${identifier}:`, teaserError);
+      teaser = { error: teaserError.message };
+    }
+  }
+
+  console.log(`Published ${type} report ${identifier}${earlier ? ' (correction)' : ''}`);
+
+  return {
+    published: true,
+    correction: !!earlier,
+    identifier,
+    naddr,
+    article: {
+      eventId: result.eventId,
+      title: article.title,
+      publishedTo: result.publishedTo,
+      totalRelays: result.totalRelays,
+      confirmation: result.confirmation
+    },
+    teaser
+  };
+}
+
+module.exports = {
+  ARTICLE_KIND,
+  REPORT_TYPES,
+  getIsoWeek,
+  getReportPeriod,
+  getReportIdentifier,
+  buildReportArticle,
+  buildArticleTemplate,
+  formatReportTeaser,
+  publishReport
+};
@@ -0,0 +1,236 @@
+/**
+ * Member Join/Leave Detection
+ * Compares the current Amboss member list with the previous run and announces changes
+ */
+
+const {
+  loadPreviousMemberSnapshots,
+  compareMemberLists,
+  loadAnnouncedMemberChanges,
+  storeAnnouncedMemberChanges
+} = require('./dataStore');
+const { loadScheduleConfig } = require('./scheduler');
+const { publishEvent } = require('./nostr');
+const { sendMessage, escapeHtml } = require('./telegram');
+const { ALERT_TYPES, sendAdminAlert } = require('./adminAlerts');
+const { formatChannelSize } = require('./channelDistribution');
+
+const SATS_PER_BTC = 100000000;
+
+// post-stats announces on Nostr and telegram-post on Telegram (welcomes and admin departure alerts),
+// so each keeps its own record of the changes it announced
+const ANNOUNCEMENT_CHANNELS = {
+  NOSTR: 'nostr',
+  TELEGRAM: 'telegram'
+};
+
+/**
+ * Detect which member nodes joined or left since the previous stored snapshot
+ * Must run before today's snapshot is stored so reruns on the same day compare against the same list;
+ * changes already announced on the channel are left out, so reruns do not announce them again
+ * @param {Array} members - Current member nodes from Amboss
+ * @param {string} communityId - Amboss community ID
+ * @param {string} channel - Channel the changes will be announced on, from ANNOUNCEMENT_CHANNELS
+ * @param {Date} date - Date of the current run (defaults to now)
+ * @returns {Promise<Object>} Joined and left members, or a baseline marker on the first run
+ */
+async function detectMemberChanges(members, communityId, channel, date = new Date()) {
+  const previous = await loadPreviousMemberSnapshots(date, communityId);
+
+  // Without a previous list every member would look new, so only record a baseline
+  if (!previous || previous.members.length === 0) {
+    return {
+      baseline: true,
+      previousDate: null,
+      joined: [],
+      left: []
+    };
+  }
+
+  const changes = compareMemberLists(previous.members, members);
+  const announced = await loadAnnouncedMemberChanges(previous.date, channel, communityId);
+  const joined = changes.joined.filter(member => !announced.joined.has(member.pubkey));
+  const left = changes.left.filter(member => !announced.left.has(member.pubkey));
+
+  console.log(`Member changes since ${previous.date}: ${joined.length} joined, ${left.length} left (${announced.joined.size + announced.left.size} already announced on ${channel})`);
+
+  return {
+    baseline: false,
+    previousDate: previous.date,
+    joined,
+    left
+  };
+}
+
+/**
+ * Record joins or departures as announced so later runs leave them out
+ * @param {Object} changes - Result of detectMemberChanges
+ * @param {string} changeType - 'joined' or 'left'
+ * @param {string} communityId - Amboss community ID
+ * @param {string} channel - Channel they were announced on, from ANNOUNCEMENT_CHANNELS
+ * @returns {Promise<number>} Number of members recorded
+ */
+async function markChangesAnnounced(changes, changeType, communityId, channel) {
+  return storeAnnouncedMemberChanges(changes.previousDate, channel, changeType, changes[changeType], communityId);
+}
+
+/**
+ * Check whether public welcome posts are enabled in the admin configuration
+ * @returns {Promise<boolean>} Whether welcome posts should be sent
+ */
+async function isWelcomeEnabled() {
+  try {
+    const config = await loadScheduleConfig();
+    return config.announcements?.welcome === true;
+  } catch (error) {
+    console.error('Error loading welcome post setting:', error);
+    return false;
+  }
+}
+
+/**
+ * Format a member node's name for display
+ * @param {Object} member - Member node
+ * @returns {string} Alias or shortened pubkey
+ */
+function memberName(member) {
+  return member.alias || `${member.pubkey.substring(0, 12)}…`;
+}
+
+/**
+ * Format a member node's capacity in BTC
+ * @param {Object} member - Member node with capacity in sats
+ * @returns {string} Formatted capacity
+ */
+function memberCapacity(member) {
+  return `${formatChannelSize((member.capacity || 0) / SATS_PER_BTC)} BTC`;
+}
+
+/**
+ * Format a welcome post for Nostr
+ * @param {Array} joined - Newly joined member nodes
+ * @param {string} communityName - Community display name
+ * @returns {string} Formatted message for Nostr
+ */
+function formatWelcomeMessage(joined, communityName = 'Nodestrich ♾️') {
+  const lines = joined.map(member =>
+    `⚡ ${memberName(member)} - ${memberCapacity(member)}, ${member.channels} channels`
+  );
+
+  return `👋 Welcome to ${communityName}!
+
+${joined.length === 1 ? 'A new node just joined the community:' : `${joined.length} new nodes just joined the community:`}
+
+${lines.join('\n')}
+
+Update powered by StrichBot ♾️🤖⚡
+
+#lightning #nostr`;
+}
+
+/**
+ * Format a welcome message for Telegram
+ * @param {Array} joined - Newly joined member nodes
+ * @param {string} communityName - Community display name
+ * @returns {string} Formatted message for Telegram
+ */
+function formatWelcomeMessageForTelegram(joined, communityName = 'Nodestrich ♾️') {
+  const lines = joined.map(member =>
+    `⚡ <b>${escapeHtml(memberName(member))}</b> - ${memberCapacity(member)}, ${member.channels} channels`
+  );
+
+  return `👋 <b>Welcome to ${escapeHtml(communityName)}!</b>
+
+${joined.length === 1 ? 'A new node just joined the community:' : `${joined.length} new nodes just joined the community:`}
+
+${lines.join('\n')}
+
+Update powered by StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Format a departure alert for admins
+ * @param {Array} left - Member nodes that left
+ * @param {string} communityName - Community display name
+ * @param {string} previousDate - Date of the snapshot the departures were detected against
+ * @returns {string} Formatted admin alert for Telegram
+ */
+function formatDepartureAlert(left, communityName = 'Nodestrich ♾️', previousDate = null) {
+  const lines = left.map(member =>
+    `• ${escapeHtml(memberName(member))} (<code>${member.pubkey.substring(0, 16)}…</code>) - ${memberCapacity(member)}, ${member.channels} channels`
+  );
+
+  const nodeText = left.length === 1 ? 'node left' : 'nodes left';
+
+  return `📤 <b>Member Departures: ${escapeHtml(communityName)}</b>
+
+${left.length} ${nodeText} the community${previousDate ? ` since ${previousDate}` : ''}:
+
+${lines.join('\n')}
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Publish a welcome post to Nostr
+ * @param {Object} signer - Signer from getSigner
+ * @param {Array} relays - Array of relay URLs
+ * @param {Array} joined - Newly joined member nodes
+ * @param {string} communityName - Community display name
+ * @returns {Promise<Object>} Publish result
+ */
+async function publishWelcome(signer, relays, joined, communityName) {
+  const message = formatWelcomeMessage(joined, communityName);
+  const result = await publishEvent(signer, message, relays);
+
+  console.log(`Published welcome post for ${joined.length} new members`);
+  return result;
+}
+
+/**
+ * Send a welcome message to a Telegram chat
+ * @param {string} botToken - Telegram bot token
+ * @param {string} chatId - Telegram chat ID
+ * @param {Array} joined - Newly joined member nodes
+ * @param {string} communityName - Community display name
+ * @returns {Promise<Object>} Send result
+ */
+async function sendWelcomeToTelegram(botToken, chatId, joined, communityName) {
+  const message = formatWelcomeMessageForTelegram(joined, communityName);
+  const result = await sendMessage(botToken, chatId, message);
+
+  console.log(`Sent Telegram welcome for ${joined.length} new members to ${chatId}`);
+  return result;
+}
+
+/**
+ * Send a departure alert to the admins, on the channels chosen for departure alerts
+ * @param {string} botToken - Telegram bot token
+ * @param {string} adminChatId - Admin Telegram chat ID
+ * @param {Array} left - Member nodes that left
+ * @param {string} communityName - Community display name
+ * @param {string} previousDate - Date of the previous snapshot
+ * @returns {Promise<Object>} Send result
+ */
+async function sendDepartureAlert(botToken, adminChatId, left, communityName, previousDate) {
+  const message = formatDepartureAlert(left, communityName, previousDate);
+  const result = await sendAdminAlert(ALERT_TYPES.MEMBER_DEPARTURE, message, { botToken, chatId: adminChatId });
+
+  console.log(`Sent departure alert for ${left.length} members`);
+  return result;
+}
+
+module.exports = {
+  ANNOUNCEMENT_CHANNELS,
+  detectMemberChanges,
+  markChangesAnnounced,
+  memberName,
+  memberCapacity,
+  isWelcomeEnabled,
+  formatWelcomeMessage,
+  formatWelcomeMessageForTelegram,
+  formatDepartureAlert,
+  publishWelcome,
+  sendWelcomeToTelegram,
+  sendDepartureAlert
+};
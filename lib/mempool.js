@@ -1,56 +1,297 @@
 /**
  * Mempool.space API client for fetching Bitcoin block data
+ * The base URL can point at a self-hosted mempool/Esplora instance, with bitcoind RPC as a fallback
  */
 
-const MEMPOOL_API_URL = 'https://mempool.space/api';
+const { isRpcConfigured, fetchBlockCount, fetchSmartFeeRates } = require('./bitcoinRpc');
+const { recordSourceSuccess, recordSourceFailure } = require('./sourceHealth');
+
+const DEFAULT_MEMPOOL_API_URL = 'https://mempool.space/api';
+const RPC_SOURCE_LABEL = 'Bitcoin Core';
+
+// Names block data sources are recorded under in source_health
+const HEALTH_SOURCES = {
+  HTTP: 'mempool',
+  RPC: 'bitcoind'
+};
+const HALVING_INTERVAL = 210000;
+const SATS_PER_BTC = 100000000;
+
+// Network context sections that can be listed in NETWORK_CONTEXT
+const NETWORK_SECTIONS = ['fees', 'difficulty', 'halving', 'mempool'];
+
+/**
+ * Get the mempool/Esplora API base URL
+ * @returns {string} MEMPOOL_API_URL without a trailing slash, defaulting to mempool.space
+ */
+function getMempoolApiUrl() {
+  return (process.env.MEMPOOL_API_URL || DEFAULT_MEMPOOL_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Get the timeout for mempool/Esplora HTTP requests
+ * @returns {number} MEMPOOL_TIMEOUT_MS, defaulting to 5 seconds
+ */
+function getMempoolTimeoutMs() {
+  const timeoutMs = parseInt(process.env.MEMPOOL_TIMEOUT_MS, 10);
+  return timeoutMs > 0 ? timeoutMs : 5000;
+}
+
+/**
+ * Request a path from the mempool/Esplora HTTP API, giving up after the timeout
+ * @param {string} path - API path, e.g. /blocks/tip/height
+ * @returns {Promise<Response>} Fetch response
+ */
+async function requestMempool(path) {
+  return fetch(`${getMempoolApiUrl()}${path}`, {
+    signal: AbortSignal.timeout(getMempoolTimeoutMs())
+  });
+}
+
+/**
+ * Get the name to credit for data from the HTTP API
+ * @returns {string} "Mempool.space" or the host of a self-hosted instance
+ */
+function getMempoolSourceLabel() {
+  const url = getMempoolApiUrl();
+  if (url === DEFAULT_MEMPOOL_API_URL) return 'Mempool.space';
+
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Fetch current Bitcoin block height from the mempool/Esplora HTTP API
+ * @returns {Promise<number>} Current block height
+ */
+async function fetchHttpBlockHeight() {
+  const response = await requestMempool('/blocks/tip/height');
+
+  if (!response.ok) {
+    throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+  }
+
+  const blockHeight = await response.text();
+  const height = parseInt(blockHeight.trim(), 10);
+
+  if (isNaN(height)) {
+    throw new Error('Invalid block height received from Mempool API');
+  }
+
+  return height;
+}
 
 /**
- * Fetch current Bitcoin block height from Mempool.space
+ * Fetch current Bitcoin block height, falling back to bitcoind RPC when the HTTP API fails
+ * Records the outcome for each source tried
+ * @returns {Promise<Object>} { height, source } with both null if every source failed
+ */
+async function fetchBlockHeightResult() {
+  try {
+    const height = await fetchHttpBlockHeight();
+    await recordSourceSuccess(HEALTH_SOURCES.HTTP);
+
+    console.log(`Fetched Bitcoin block height: ${height}`);
+    return { height, source: getMempoolSourceLabel() };
+
+  } catch (error) {
+    console.error(`Error fetching block height from ${getMempoolSourceLabel()}:`, error);
+    await recordSourceFailure(HEALTH_SOURCES.HTTP, error.message);
+  }
+
+  if (!isRpcConfigured()) {
+    return { height: null, source: null };
+  }
+
+  try {
+    const height = await fetchBlockCount();
+    await recordSourceSuccess(HEALTH_SOURCES.RPC);
+
+    console.log(`Fetched Bitcoin block height from bitcoind: ${height}`);
+    return { height, source: RPC_SOURCE_LABEL };
+
+  } catch (error) {
+    console.error('Error fetching block height from bitcoind:', error);
+    await recordSourceFailure(HEALTH_SOURCES.RPC, error.message);
+    return { height: null, source: null };
+  }
+}
+
+/**
+ * Fetch current Bitcoin block height
  * @returns {Promise<number|null>} Current block height or null if failed
  */
 async function fetchBlockHeight() {
+  const { height } = await fetchBlockHeightResult();
+  return height;
+}
+
+/**
+ * Get the network context sections enabled for posts
+ * @returns {Array} Section names from NETWORK_CONTEXT (defaults to all, "none" disables them)
+ */
+function getNetworkSections() {
+  const configured = process.env.NETWORK_CONTEXT;
+  if (configured === undefined || configured.trim() === '') return NETWORK_SECTIONS;
+
+  return configured
+    .split(',')
+    .map(section => section.trim().toLowerCase())
+    .filter(section => NETWORK_SECTIONS.includes(section));
+}
+
+/**
+ * Fetch and parse a JSON endpoint from Mempool.space
+ * @param {string} path - API path, e.g. /v1/fees/recommended
+ * @param {Object} options - { recordHealth } to record the outcome for the HTTP source
+ * @returns {Promise<Object|null>} Parsed response or null if failed
+ */
+async function fetchMempoolJson(path, { recordHealth = false } = {}) {
   try {
-    const response = await fetch(`${MEMPOOL_API_URL}/blocks/tip/height`);
+    const response = await requestMempool(path);
 
     if (!response.ok) {
-      throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+      const error = new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
     }
 
-    const blockHeight = await response.text();
-    const height = parseInt(blockHeight.trim(), 10);
+    const data = await response.json();
+    if (recordHealth) await recordSourceSuccess(HEALTH_SOURCES.HTTP);
+    return data;
 
-    if (isNaN(height)) {
-      throw new Error('Invalid block height received from Mempool API');
+  } catch (error) {
+    console.error(`Error fetching ${path} from Mempool.space:`, error);
+    // Plain Esplora instances do not have the mempool.space endpoints, which is not an outage
+    if (recordHealth && error.status !== 404) {
+      await recordSourceFailure(HEALTH_SOURCES.HTTP, error.message);
     }
+    return null;
+  }
+}
 
-    console.log(`Fetched Bitcoin block height: ${height}`);
-    return height;
+/**
+ * Fetch recommended fee rates, falling back to bitcoind estimatesmartfee
+ * Plain Esplora instances have no recommended fees endpoint, so they rely on the fallback
+ * @returns {Promise<Object|null>} Fee rates in sat/vB ({ fastest, halfHour, hour, economy, minimum }) or null if failed
+ */
+async function fetchRecommendedFees() {
+  const fees = await fetchMempoolJson('/v1/fees/recommended', { recordHealth: true });
 
+  if (fees && typeof fees.fastestFee === 'number') {
+    return {
+      fastest: fees.fastestFee,
+      halfHour: fees.halfHourFee,
+      hour: fees.hourFee,
+      economy: fees.economyFee,
+      minimum: fees.minimumFee
+    };
+  }
+
+  if (!isRpcConfigured()) return null;
+
+  try {
+    const rpcFees = await fetchSmartFeeRates();
+    await recordSourceSuccess(HEALTH_SOURCES.RPC);
+    return rpcFees;
   } catch (error) {
-    console.error('Error fetching block height from Mempool.space:', error);
+    console.error('Error fetching fee estimates from bitcoind:', error);
+    await recordSourceFailure(HEALTH_SOURCES.RPC, error.message);
     return null;
   }
 }
 
 /**
- * Fetch block data including height and timestamp
+ * Fetch the next difficulty adjustment estimate
+ * @returns {Promise<Object|null>} { changePercent, remainingBlocks, estimatedAt } or null if failed
+ */
+async function fetchDifficultyAdjustment() {
+  const adjustment = await fetchMempoolJson('/v1/difficulty-adjustment', { recordHealth: true });
+  if (!adjustment || typeof adjustment.difficultyChange !== 'number') return null;
+
+  return {
+    changePercent: adjustment.difficultyChange,
+    remainingBlocks: adjustment.remainingBlocks,
+    estimatedAt: new Date(adjustment.estimatedRetargetDate).toISOString()
+  };
+}
+
+/**
+ * Fetch the current mempool size
+ * @returns {Promise<Object|null>} { count, vsize } (transactions and virtual bytes) or null if failed
+ */
+async function fetchMempoolSize() {
+  const mempool = await fetchMempoolJson('/mempool');
+  if (!mempool || typeof mempool.count !== 'number') return null;
+
+  return {
+    count: mempool.count,
+    vsize: mempool.vsize
+  };
+}
+
+/**
+ * Fetch network-wide Lightning totals
+ * @returns {Promise<Object|null>} { nodeCount, channelCount, totalCapacity } (capacity in BTC) or null if failed
+ */
+async function fetchLightningNetworkStats() {
+  const statistics = await fetchMempoolJson('/v1/lightning/statistics/latest');
+  const latest = statistics?.latest;
+  if (!latest || typeof latest.channel_count !== 'number') return null;
+
+  return {
+    nodeCount: latest.node_count,
+    channelCount: latest.channel_count,
+    totalCapacity: Number(latest.total_capacity) / SATS_PER_BTC
+  };
+}
+
+/**
+ * Work out how far away the next halving is
+ * @param {number} height - Current block height
+ * @returns {Object} { nextHeight, blocksLeft }
+ */
+function getHalvingInfo(height) {
+  const nextHeight = (Math.floor(height / HALVING_INTERVAL) + 1) * HALVING_INTERVAL;
+
+  return {
+    nextHeight,
+    blocksLeft: nextHeight - height
+  };
+}
+
+/**
+ * Fetch block data including height, timestamp and the enabled network context
+ * The height and context sections that fail to load are left null so posts can skip them
  * @returns {Promise<Object|null>} Block data or null if failed
  */
 async function fetchBlockData() {
   try {
-    // First get the block height
-    const height = await fetchBlockHeight();
-    if (height === null) {
-      return null;
-    }
-
     // Get current time in UTC
     const timestamp = new Date().toISOString();
 
+    const sections = getNetworkSections();
+    const [{ height, source }, fees, difficulty, mempool, lightning] = await Promise.all([
+      fetchBlockHeightResult(),
+      sections.includes('fees') ? fetchRecommendedFees() : null,
+      sections.includes('difficulty') ? fetchDifficultyAdjustment() : null,
+      sections.includes('mempool') ? fetchMempoolSize() : null,
+      // Always fetched since the totals are stored with each snapshot
+      fetchLightningNetworkStats()
+    ]);
+
     return {
       height,
       timestamp,
-      source: 'Mempool.space'
+      fees,
+      difficulty,
+      halving: sections.includes('halving') && height !== null ? getHalvingInfo(height) : null,
+      mempool,
+      lightning,
+      source
     };
 
   } catch (error) {
@@ -59,6 +300,40 @@ async function fetchBlockData() {
   }
 }
 
+/**
+ * Fetch a Lightning node from the Mempool.space lightning API
+ * @param {string} pubkey - Node public key
+ * @returns {Promise<Object|null>} Node with pubkey, alias, channels, capacity (sats) and firstSeen, or null if unavailable
+ */
+async function fetchLightningNode(pubkey) {
+  try {
+    const response = await requestMempool(`/v1/lightning/nodes/${encodeURIComponent(pubkey)}`);
+
+    // Unknown nodes are not an error, they just have no public channels yet
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Mempool API error: ${response.status} ${response.statusText}`);
+    }
+
+    const node = await response.json();
+
+    return {
+      pubkey,
+      alias: node.alias || null,
+      channels: Number(node.active_channel_count) || 0,
+      capacity: Number(node.capacity) || 0,
+      firstSeen: node.first_seen ? new Date(node.first_seen * 1000) : null
+    };
+
+  } catch (error) {
+    console.error('Error fetching lightning node from Mempool.space:', error);
+    return null;
+  }
+}
+
 /**
  * Format block height for display
  * @param {number} height - Block height
@@ -71,8 +346,58 @@ function formatBlockHeight(height) {
   return height.toLocaleString();
 }
 
+/**
+ * Format recommended fee rates
+ * @param {Object} fees - Fee rates from fetchRecommendedFees
+ * @returns {string} e.g. "12 / 8 / 5 sat/vB (fast / 30 min / 1 hr)"
+ */
+function formatFeeRates(fees) {
+  return `${fees.fastest} / ${fees.halfHour} / ${fees.hour} sat/vB (fast / 30 min / 1 hr)`;
+}
+
+/**
+ * Format the next difficulty adjustment
+ * @param {Object} difficulty - Adjustment from fetchDifficultyAdjustment
+ * @param {Date} now - Current time
+ * @returns {string} e.g. "+2.31% in ~4 days"
+ */
+function formatDifficultyAdjustment(difficulty, now = new Date()) {
+  const sign = difficulty.changePercent > 0 ? '+' : '';
+  const hours = Math.max(1, Math.round((new Date(difficulty.estimatedAt) - now) / (60 * 60 * 1000)));
+  const eta = hours >= 48
+    ? `~${Math.round(hours / 24)} days`
+    : `~${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+
+  return `${sign}${difficulty.changePercent.toFixed(2)}% in ${eta}`;
+}
+
+/**
+ * Format the mempool size
+ * @param {Object} mempool - Mempool size from fetchMempoolSize
+ * @returns {string} e.g. "45,123 txs (12.3 vMB)"
+ */
+function formatMempoolSize(mempool) {
+  return `${mempool.count.toLocaleString()} txs (${(mempool.vsize / 1000000).toFixed(1)} vMB)`;
+}
+
 module.exports = {
+  NETWORK_SECTIONS,
+  HEALTH_SOURCES,
+  getNetworkSections,
+  getMempoolApiUrl,
+  getMempoolTimeoutMs,
+  getMempoolSourceLabel,
   fetchBlockHeight,
+  fetchBlockHeightResult,
   fetchBlockData,
-  formatBlockHeight
+  fetchRecommendedFees,
+  fetchDifficultyAdjustment,
+  fetchMempoolSize,
+  fetchLightningNetworkStats,
+  getHalvingInfo,
+  fetchLightningNode,
+  formatBlockHeight,
+  formatFeeRates,
+  formatDifficultyAdjustment,
+  formatMempoolSize
 };
\ No newline at end of file
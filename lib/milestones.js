@@ -0,0 +1,275 @@
+/**
+ * Block-Height Milestones
+ * Admin-registered target heights with countdown posts as they get close and a celebration once mined
+ */
+
+const { query } = require('./database');
+const { escapeHtml } = require('./telegram');
+const { getHalvingInfo } = require('./mempool');
+
+const DEFAULT_COUNTDOWN_BLOCKS = '1008,144,6'; // ~1 week, ~1 day, ~1 hour
+const MINUTES_PER_BLOCK = 10;
+const INITIAL_SUBSIDY_BTC = 50;
+const HALVING_INTERVAL = 210000;
+
+/**
+ * Parse a comma-separated list of countdown points
+ * @param {string} value - e.g. "1008,144,6"
+ * @returns {Array} Blocks-left values, largest first
+ */
+function parseCountdownBlocks(value) {
+  return String(value || DEFAULT_COUNTDOWN_BLOCKS)
+    .split(',')
+    .map(blocks => parseInt(blocks.trim(), 10))
+    .filter(blocks => blocks > 0)
+    .sort((a, b) => b - a);
+}
+
+/**
+ * Convert a database row to a milestone object
+ * @param {Object} row - block_milestones row
+ * @returns {Object} Milestone
+ */
+function rowToMilestone(row) {
+  return {
+    id: row.id,
+    height: row.height,
+    name: row.name,
+    description: row.description || null,
+    countdownBlocks: parseCountdownBlocks(row.countdown_blocks),
+    lastCountdown: row.last_countdown,
+    reachedAt: row.reached_at ? new Date(row.reached_at) : null
+  };
+}
+
+/**
+ * Load all milestones
+ * @param {boolean} pendingOnly - Only milestones that have not been reached
+ * @returns {Promise<Array>} Milestones ordered by height
+ */
+async function loadMilestones(pendingOnly = false) {
+  const rows = await query(
+    `SELECT * FROM block_milestones ${pendingOnly ? 'WHERE reached_at IS NULL' : ''} ORDER BY height ASC`
+  );
+  return rows.map(rowToMilestone);
+}
+
+/**
+ * Add or update a milestone
+ * Changing the countdown points starts its countdown over
+ * @param {Object} milestone - { height, name, description, countdownBlocks }
+ * @returns {Promise<boolean>} Whether the milestone was saved
+ */
+async function saveMilestone({ height, name, description = null, countdownBlocks = DEFAULT_COUNTDOWN_BLOCKS }) {
+  try {
+    await query(
+      `INSERT INTO block_milestones (height, name, description, countdown_blocks)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       name = VALUES(name),
+       description = VALUES(description),
+       last_countdown = IF(countdown_blocks = VALUES(countdown_blocks), last_countdown, NULL),
+       countdown_blocks = VALUES(countdown_blocks)`,
+      [height, name, description, parseCountdownBlocks(countdownBlocks).join(',')]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error saving milestone:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a milestone
+ * @param {number} height - Target block height
+ * @returns {Promise<boolean>} Whether a milestone was removed
+ */
+async function removeMilestone(height) {
+  try {
+    const result = await query(
+      'DELETE FROM block_milestones WHERE height = ?',
+      [height]
+    );
+    return (result.affectedRows || 0) > 0;
+  } catch (error) {
+    console.error('Error removing milestone:', error);
+    return false;
+  }
+}
+
+/**
+ * Remember the countdown point that was just posted
+ * @param {number} id - Milestone ID
+ * @param {number} blocks - Countdown point
+ * @returns {Promise<void>}
+ */
+async function markCountdownPosted(id, blocks) {
+  await query('UPDATE block_milestones SET last_countdown = ? WHERE id = ?', [blocks, id]);
+}
+
+/**
+ * Mark a milestone as reached
+ * @param {number} id - Milestone ID
+ * @param {Date} reachedAt - When the celebration was posted
+ * @returns {Promise<void>}
+ */
+async function markMilestoneReached(id, reachedAt = new Date()) {
+  await query('UPDATE block_milestones SET reached_at = ? WHERE id = ?', [reachedAt, id]);
+}
+
+/**
+ * Work out which post, if any, a milestone needs at the current height
+ * Only the closest countdown point crossed since the last post is used, so a missed run
+ * never produces several countdowns at once
+ * @param {Object} milestone - Milestone from loadMilestones
+ * @param {number} height - Current block height
+ * @returns {Object|null} { type: 'reached' } or { type: 'countdown', blocks, blocksLeft }, or null
+ */
+function getDueAnnouncement(milestone, height) {
+  if (milestone.reachedAt) return null;
+
+  if (height >= milestone.height) {
+    return { type: 'reached' };
+  }
+
+  const blocksLeft = milestone.height - height;
+  const crossed = milestone.countdownBlocks.filter(blocks =>
+    blocksLeft <= blocks && (milestone.lastCountdown === null || milestone.lastCountdown === undefined || blocks < milestone.lastCountdown)
+  );
+
+  if (crossed.length === 0) return null;
+
+  return { type: 'countdown', blocks: Math.min(...crossed), blocksLeft };
+}
+
+/**
+ * Build the milestone for the next halving
+ * @param {number} height - Current block height
+ * @returns {Object} { height, name, description }
+ */
+function getHalvingMilestone(height) {
+  const { nextHeight } = getHalvingInfo(height);
+  const halving = nextHeight / HALVING_INTERVAL;
+  const subsidy = INITIAL_SUBSIDY_BTC / Math.pow(2, halving);
+
+  return {
+    height: nextHeight,
+    name: `Bitcoin Halving #${halving}`,
+    description: `The block subsidy drops to ${subsidy} BTC.`
+  };
+}
+
+/**
+ * Format the expected time until a number of blocks is mined
+ * @param {number} blocksLeft - Blocks to go
+ * @returns {string} e.g. "~3 days", "~5 hours" or "~40 minutes"
+ */
+function formatBlockEta(blocksLeft) {
+  const minutes = blocksLeft * MINUTES_PER_BLOCK;
+
+  if (minutes >= 48 * 60) return `~${Math.round(minutes / (24 * 60))} days`;
+  if (minutes >= 120) return `~${Math.round(minutes / 60)} hours`;
+  return `~${minutes} minutes`;
+}
+
+/**
+ * Format the expected arrival time of a milestone
+ * @param {number} blocksLeft - Blocks to go
+ * @param {Date} now - Current time
+ * @returns {string} "YYYY-MM-DD HH:MM UTC"
+ */
+function formatExpectedArrival(blocksLeft, now = new Date()) {
+  const expected = new Date(now.getTime() + blocksLeft * MINUTES_PER_BLOCK * 60 * 1000);
+  return `${expected.toISOString().replace('T', ' ').substring(0, 16)} UTC`;
+}
+
+/**
+ * Format a milestone countdown for Nostr
+ * @param {Object} milestone - Milestone
+ * @param {number} height - Current block height
+ * @param {Date} now - Current time
+ * @returns {string} Formatted message for Nostr
+ */
+function formatCountdownMessage(milestone, height, now = new Date()) {
+  const blocksLeft = milestone.height - height;
+  const description = milestone.description ? `\n\n${milestone.description}` : '';
+
+  return `⏳ ${milestone.name} Countdown
+
+🧱 ${blocksLeft.toLocaleString()} ${blocksLeft === 1 ? 'block' : 'blocks'} to go until block ${milestone.height.toLocaleString()}
+📅 Expected around ${formatExpectedArrival(blocksLeft, now)} (${formatBlockEta(blocksLeft)})${description}
+
+Block Height: ${height}
+Update powered by StrichBot ♾️🤖⚡
+
+#bitcoin #blockheight`;
+}
+
+/**
+ * Format a milestone countdown for Telegram
+ * @param {Object} milestone - Milestone
+ * @param {number} height - Current block height
+ * @param {Date} now - Current time
+ * @returns {string} Formatted message for Telegram
+ */
+function formatCountdownMessageForTelegram(milestone, height, now = new Date()) {
+  const blocksLeft = milestone.height - height;
+  const description = milestone.description ? `\n\n${escapeHtml(milestone.description)}` : '';
+
+  return `⏳ <b>${escapeHtml(milestone.name)} Countdown</b>
+
+🧱 <b>${blocksLeft.toLocaleString()} ${blocksLeft === 1 ? 'block' : 'blocks'}</b> to go until block ${milestone.height.toLocaleString()}
+📅 Expected around ${formatExpectedArrival(blocksLeft, now)} (${formatBlockEta(blocksLeft)})${description}
+
+Block Height: <b>${height}</b>
+Update powered by StrichBot ♾️🤖⚡`;
+}
+
+/**
+ * Format a milestone celebration for Nostr
+ * @param {Object} milestone - Milestone
+ * @returns {string} Formatted message for Nostr
+ */
+function formatMilestoneReachedMessage(milestone) {
+  const description = milestone.description ? `\n\n${milestone.description}` : '';
+
+  return `🎉 ${milestone.name} Reached! 🎉
+
+🧱 Block ${milestone.height.toLocaleString()} has been mined.${description}
+
+Update powered by StrichBot ♾️🤖⚡
+
+#bitcoin #blockheight`;
+}
+
+/**
+ * Format a milestone celebration for Telegram
+ * @param {Object} milestone - Milestone
+ * @returns {string} Formatted message for Telegram
+ */
+function formatMilestoneReachedMessageForTelegram(milestone) {
+  const description = milestone.description ? `\n\n${escapeHtml(milestone.description)}` : '';
+
+  return `🎉 <b>${escapeHtml(milestone.name)} Reached!</b> 🎉
+
+🧱 Block <b>${milestone.height.toLocaleString()}</b> has been mined.${description}
+
+Update powered by StrichBot ♾️🤖⚡`;
+}
+
+module.exports = {
+  DEFAULT_COUNTDOWN_BLOCKS,
+  parseCountdownBlocks,
+  loadMilestones,
+  saveMilestone,
+  removeMilestone,
+  markCountdownPosted,
+  markMilestoneReached,
+  getDueAnnouncement,
+  getHalvingMilestone,
+  formatBlockEta,
+  formatCountdownMessage,
+  formatCountdownMessageForTelegram,
+  formatMilestoneReachedMessage,
+  formatMilestoneReachedMessageForTelegram
+};
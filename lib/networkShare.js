@@ -0,0 +1,65 @@
+/**
+ * Lightning Network Share
+ * The community's share of network-wide capacity and channels, and how it moves week over week
+ */
+
+/**
+ * Calculate the community's share of the Lightning Network
+ * @param {Object} stats - Statistics object with totalChannels and totalCapacity (BTC)
+ * @param {Object} network - Network totals from fetchLightningNetworkStats
+ * @returns {Object|null} { capacityShare, channelShare } in percent, or null without network totals
+ */
+function computeNetworkShare(stats, network) {
+  if (!stats || !network || !network.totalCapacity || !network.channelCount) return null;
+
+  return {
+    capacityShare: (Number(stats.totalCapacity) / network.totalCapacity) * 100,
+    channelShare: (Number(stats.totalChannels) / network.channelCount) * 100
+  };
+}
+
+/**
+ * Compare the current network share with the share recorded a week earlier
+ * @param {Object} stats - Current statistics
+ * @param {Object} network - Current network totals
+ * @param {Object} weekAgoStats - Stored statistics from 7 days ago, with their networkStats
+ * @returns {Object|null} { capacityShare, channelShare, capacityChange, channelChange } (changes in
+ *   percentage points, null when last week has no network totals), or null without current network totals
+ */
+function getNetworkShareTrend(stats, network, weekAgoStats = null) {
+  const current = computeNetworkShare(stats, network);
+  if (!current) return null;
+
+  const previous = computeNetworkShare(weekAgoStats, weekAgoStats?.networkStats);
+
+  return {
+    ...current,
+    capacityChange: previous ? current.capacityShare - previous.capacityShare : null,
+    channelChange: previous ? current.channelShare - previous.channelShare : null
+  };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} share - Share in percent
+ * @returns {string} e.g. "2.14%"
+ */
+function formatShare(share) {
+  return `${share.toFixed(2)}%`;
+}
+
+/**
+ * Format a change in share
+ * @param {number} change - Change in percentage points
+ * @returns {string} e.g. "+0.031" or "-0.012"
+ */
+function formatShareChange(change) {
+  return change >= 0 ? `+${change.toFixed(3)}` : change.toFixed(3);
+}
+
+module.exports = {
+  computeNetworkShare,
+  getNetworkShareTrend,
+  formatShare,
+  formatShareChange
+};
@@ -2,39 +2,243 @@
  * Nostr client for posting events to relays
  */
 
-const { finalizeEvent, verifyEvent, getPublicKey, nip19 } = require('nostr-tools');
+const { verifyEvent } = require('nostr-tools');
 const { Relay } = require('nostr-tools/relay');
-const { getStatsFromDaysAgo } = require('./dataStore');
+const { getStatsFromDaysAgo, formatStaleNotice } = require('./dataStore');
+const { formatChannelSize } = require('./channelDistribution');
+const { getNetworkShareTrend, formatShare, formatShareChange } = require('./networkShare');
+const { DEFAULT_DISPLAY, formatBtcAmount, formatFiatSuffix } = require('./prices');
+const { recordPublishResults } = require('./relayHealth');
+const { rememberPublishedEvent } = require('./rebroadcast');
+const { formatBlockHeight, formatFeeRates, formatDifficultyAdjustment, formatMempoolSize } = require('./mempool');
+
+// Per-relay outcome of a publish once a subset of relays has been re-queried for the event
+const PUBLISH_STATUSES = {
+  CONFIRMED: 'confirmed',
+  NOT_FOUND: 'accepted but not found',
+  ACCEPTED: 'accepted',
+  FAILED: 'failed'
+};
 
 /**
- * Create and publish a Nostr event
- * @param {string} nsec - Private key in nsec format
- * @param {string} content - Message content
+ * Get the relay timeouts and verification settings from environment variables
+ * @returns {Object} { connectTimeoutMs, publishTimeoutMs, verifyTimeoutMs, verifyRelays }
+ */
+function getPublishSettings() {
+  const readMs = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+  };
+  const verifyRelays = parseInt(process.env.NOSTR_VERIFY_RELAYS, 10);
+
+  return {
+    connectTimeoutMs: readMs('NOSTR_CONNECT_TIMEOUT_MS', 5000),
+    publishTimeoutMs: readMs('NOSTR_PUBLISH_TIMEOUT_MS', 5000),
+    verifyTimeoutMs: readMs('NOSTR_VERIFY_TIMEOUT_MS', 3000),
+    verifyRelays: verifyRelays >= 0 ? verifyRelays : 2
+  };
+}
+
+/**
+ * Reject a promise that does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Connect to a relay within the connect timeout
+ * @param {string} relayUrl - Relay URL
+ * @param {Object} settings - Settings from getPublishSettings
+ * @returns {Promise<Relay>} Connected relay
+ */
+async function connectRelay(relayUrl, settings) {
+  const relay = new Relay(relayUrl);
+  relay.connectionTimeout = settings.connectTimeoutMs;
+  relay.publishTimeout = settings.publishTimeoutMs;
+
+  try {
+    await withTimeout(relay.connect(), settings.connectTimeoutMs, `Connection timed out after ${settings.connectTimeoutMs}ms`);
+    return relay;
+  } catch (error) {
+    relay.close();
+    throw error;
+  }
+}
+
+/**
+ * Publish an event to a single relay
+ * @param {string} relayUrl - Relay URL
+ * @param {Object} event - Signed event
+ * @param {Object} settings - Settings from getPublishSettings
+ * @returns {Promise<Object>} { relay, success, latencyMs, error }
+ */
+async function publishToRelay(relayUrl, event, settings) {
+  const startedAt = Date.now();
+  let relay = null;
+
+  try {
+    console.log(`Connecting to relay: ${relayUrl}`);
+
+    relay = await connectRelay(relayUrl, settings);
+    console.log(`Connected to ${relayUrl}`);
+
+    await withTimeout(relay.publish(event), settings.publishTimeoutMs, `Publish timed out after ${settings.publishTimeoutMs}ms`);
+    console.log(`Published to ${relayUrl}`);
+
+    return { relay: relayUrl, success: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    console.error(`Failed to publish to ${relayUrl}:`, error.message);
+    return { relay: relayUrl, success: false, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    if (relay) relay.close();
+  }
+}
+
+/**
+ * Ask a relay whether it stores an event
+ * @param {string} relayUrl - Relay URL
+ * @param {string} eventId - Event ID
+ * @param {Object} settings - Settings from getPublishSettings
+ * @returns {Promise<boolean>} Whether the relay returned the event before end of stored events
+ */
+async function findEventOnRelay(relayUrl, eventId, settings) {
+  const relay = await connectRelay(relayUrl, settings);
+
+  try {
+    return await withTimeout(new Promise(resolve => {
+      const subscription = relay.subscribe([{ ids: [eventId] }], {
+        onevent: (event) => {
+          if (event.id === eventId) {
+            subscription.close();
+            resolve(true);
+          }
+        },
+        oneose: () => {
+          subscription.close();
+          resolve(false);
+        }
+      });
+    }), settings.verifyTimeoutMs, `Verification timed out after ${settings.verifyTimeoutMs}ms`);
+  } finally {
+    relay.close();
+  }
+}
+
+/**
+ * Re-query a subset of the relays that accepted an event to confirm they store it
+ * Relays that could not be re-queried keep the plain "accepted" status
+ * @param {Array} results - Publish results ({ relay, success })
+ * @param {string} eventId - Event ID
+ * @param {Object} settings - Settings from getPublishSettings
+ * @returns {Promise<Array>} Results with a status from PUBLISH_STATUSES
+ */
+async function verifyPublishedEvent(results, eventId, settings) {
+  const toVerify = results
+    .filter(result => result.success)
+    .slice(0, settings.verifyRelays)
+    .map(result => result.relay);
+
+  const found = new Map(await Promise.all(toVerify.map(async (relayUrl) => {
+    try {
+      return [relayUrl, await findEventOnRelay(relayUrl, eventId, settings)];
+    } catch (error) {
+      console.error(`Could not verify event on ${relayUrl}:`, error.message);
+      return [relayUrl, null];
+    }
+  })));
+
+  return results.map(result => {
+    if (!result.success) return { ...result, status: PUBLISH_STATUSES.FAILED };
+    if (found.get(result.relay) === true) return { ...result, status: PUBLISH_STATUSES.CONFIRMED };
+    if (found.get(result.relay) === false) return { ...result, status: PUBLISH_STATUSES.NOT_FOUND };
+    return { ...result, status: PUBLISH_STATUSES.ACCEPTED };
+  });
+}
+
+/**
+ * Group relays by publish status for handler responses
+ * @param {Array} results - Results from verifyPublishedEvent
+ * @returns {Object} { confirmed, acceptedNotFound, accepted, failed } - relay URLs per status
+ */
+function summarizePublishStatus(results) {
+  const relaysWith = (status) => results.filter(result => result.status === status).map(result => result.relay);
+
+  return {
+    confirmed: relaysWith(PUBLISH_STATUSES.CONFIRMED),
+    acceptedNotFound: relaysWith(PUBLISH_STATUSES.NOT_FOUND),
+    accepted: relaysWith(PUBLISH_STATUSES.ACCEPTED),
+    failed: relaysWith(PUBLISH_STATUSES.FAILED)
+  };
+}
+
+/**
+ * Send an already signed event to relays
+ * Used for new posts and for rebroadcasting stored events
+ * @param {Object} event - Signed event
+ * @param {Array} relays - Relay URLs
+ * @param {Object} options - { verify: false } to skip re-querying relays, for callers with little time;
+ *   { recordHealth: false } for relays the bot does not publish to itself, such as a recipient's DM relays
+ * @returns {Promise<Object>} { results, confirmation } with a publish status per relay
+ */
+async function broadcastEvent(event, relays, { verify = true, recordHealth = true } = {}) {
+  const settings = getPublishSettings();
+  const publishResults = await Promise.all(
+    relays.map(relayUrl => publishToRelay(relayUrl, event, settings))
+  );
+
+  // Without verification every relay that accepted the event is reported as accepted
+  const results = await verifyPublishedEvent(publishResults, event.id, verify ? settings : { ...settings, verifyRelays: 0 });
+
+  // Relay health is bookkeeping only and must never fail the publish
+  if (recordHealth) {
+    try {
+      await recordPublishResults(event.id, results);
+    } catch (healthError) {
+      console.error('Error recording relay health:', healthError);
+    }
+  }
+
+  return {
+    results,
+    confirmation: summarizePublishStatus(results)
+  };
+}
+
+/**
+ * Sign and publish an event of any kind
+ * Each relay gets its own connect and publish timeout, then a subset of the relays that
+ * accepted the event is re-queried to confirm it is stored
+ * @param {Object} signer - Signer from getSigner (local key or NIP-46 bunker)
+ * @param {Object} template - { kind, tags, content }
  * @param {Array} relays - Array of relay URLs
- * @param {Array} tags - Optional tags for the event
- * @returns {Promise<Object>} Result of the publish operation
+ * @param {Object} options - Passed to broadcastEvent
+ * @returns {Promise<Object>} Result of the publish operation, with per-relay status and a confirmation summary
  */
-async function publishEvent(nsec, content, relays, tags = []) {
+async function signAndPublish(signer, template, relays, options = {}) {
   try {
-    // Decode the private key from nsec format
-    const { data: privateKey } = nip19.decode(nsec);
-    const publicKey = getPublicKey(privateKey);
+    const publicKey = await signer.getPublicKey();
 
     // Create the event
     const event = {
-      kind: 1, // Text note
+      kind: template.kind,
       created_at: Math.floor(Date.now() / 1000),
-      tags: [
-        ['t', 'lightning'],
-        ['t', 'nostr'],
-        ...tags
-      ],
-      content,
+      tags: template.tags || [],
+      content: template.content,
       pubkey: publicKey,
     };
 
-    // Finalize (add id and sig)
-    const finalizedEvent = finalizeEvent(event, privateKey);
+    // Sign (adds id and sig)
+    const finalizedEvent = await signer.signEvent(event);
 
     // Verify the event
     const isValid = verifyEvent(finalizedEvent);
@@ -43,34 +247,13 @@ async function publishEvent(nsec, content, relays, tags = []) {
     }
 
     // Publish to relays
-    const results = [];
-    const publishPromises = relays.map(async (relayUrl) => {
-      try {
-        console.log(`Connecting to relay: ${relayUrl}`);
-
-        const relay = await Relay.connect(relayUrl);
-        console.log(`Connected to ${relayUrl}`);
-
-        await relay.publish(finalizedEvent);
-        console.log(`Published to ${relayUrl}`);
-
-        relay.close();
-
-        return { relay: relayUrl, success: true };
-      } catch (error) {
-        console.error(`Failed to publish to ${relayUrl}:`, error.message);
-        return { relay: relayUrl, success: false, error: error.message };
-      }
-    });
-
-    const publishResults = await Promise.allSettled(publishPromises);
-
-    for (const result of publishResults) {
-      if (result.status === 'fulfilled') {
-        results.push(result.value);
-      } else {
-        results.push({ success: false, error: result.reason.message });
-      }
+    const { results, confirmation } = await broadcastEvent(finalizedEvent, relays, options);
+
+    // Keep the event and queue the relays that missed it; like relay health this must never fail the publish
+    try {
+      await rememberPublishedEvent(finalizedEvent, results);
+    } catch (queueError) {
+      console.error('Error queueing event for rebroadcast:', queueError);
     }
 
     const successCount = results.filter(r => r.success).length;
@@ -81,6 +264,7 @@ async function publishEvent(nsec, content, relays, tags = []) {
       publishedTo: successCount,
       totalRelays: relays.length,
       results,
+      confirmation,
       event: finalizedEvent
     };
 
@@ -90,17 +274,40 @@ async function publishEvent(nsec, content, relays, tags = []) {
   }
 }
 
+/**
+ * Create and publish a Nostr text note
+ * @param {Object} signer - Signer from getSigner (local key or NIP-46 bunker)
+ * @param {string} content - Message content
+ * @param {Array} relays - Array of relay URLs
+ * @param {Array} tags - Optional tags for the event
+ * @returns {Promise<Object>} Result of the publish operation, with per-relay status and a confirmation summary
+ */
+async function publishEvent(signer, content, relays, tags = []) {
+  return signAndPublish(signer, {
+    kind: 1, // Text note
+    tags: [
+      ['t', 'lightning'],
+      ['t', 'nostr'],
+      ...tags
+    ],
+    content
+  }, relays);
+}
+
 /**
  * Format community statistics into a Nostr post
  * @param {Object} stats - Statistics object from Amboss
  * @param {Object} blockData - Bitcoin block data from Mempool.space
+ * @param {Object} display - Capacity unit, fiat currencies and BTC prices ({ unit, currencies, prices })
  * @returns {string} Formatted message for Nostr
  */
-function formatStatsMessage(stats, blockData = null) {
-  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source } = stats;
+function formatStatsMessage(stats, blockData = null, display = DEFAULT_DISPLAY) {
+  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source, communityId } = stats;
+  const communityName = stats.communityName || 'Nodestrich ♾️';
 
-  // Format the capacity
-  const capacityBTC = typeof totalCapacity === 'number' ? totalCapacity.toFixed(2) : totalCapacity;
+  // Format the capacity in the admin-selected unit, with fiat values when prices are available
+  const formattedCapacity = formatBtcAmount(totalCapacity, display.unit);
+  const capacityFiat = formatFiatSuffix(totalCapacity, display);
 
   // Format numbers with commas
   const formattedMembers = memberCount.toLocaleString();
@@ -111,17 +318,39 @@ function formatStatsMessage(stats, blockData = null) {
     ? `👥 Members: ${formattedMembers} + ${pendingRequests} pending`
     : `👥 Members: ${formattedMembers}`;
 
-  const message = `⚡ Nodestrich ♾️ Community Update ⚡
+  // Channel size distribution when Amboss returned member node data
+  const channelSizeLine = stats.channelSizes
+    ? `\n📏 Avg Channel: ${formatChannelSize(stats.channelSizes.mean)} BTC (median ${formatChannelSize(stats.channelSizes.median)})`
+    : '';
+
+  // Credit Amboss unless the stats came from another data source
+  const sourceLabel = source && source !== 'Amboss' ? source : '#Amboss';
+
+  // Note figures that were filled in from stored data
+  const staleLine = stats.stale ? `\n${formatStaleNotice(stats)}` : '';
+
+  // Bitcoin network context, each line only when Mempool.space returned it
+  const networkLines = [
+    blockData?.fees && `💸 Fees: ${formatFeeRates(blockData.fees)}`,
+    blockData?.difficulty && `⛏️ Difficulty: ${formatDifficultyAdjustment(blockData.difficulty)}`,
+    blockData?.halving && `🌗 Halving: ${formatBlockHeight(blockData.halving.blocksLeft)} blocks to go`,
+    blockData?.mempool && `📦 Mempool: ${formatMempoolSize(blockData.mempool)}`
+  ].filter(Boolean);
+  const networkSection = networkLines.length > 0
+    ? `\n\n⛓️ Bitcoin Network:\n\n${networkLines.join('\n')}`
+    : '';
+
+  const message = `⚡ ${communityName} Community Update ⚡
 
 📊 Group Stats:
 
 ${membersLine}
 🔗 Channels: ${formattedChannels}
-🪙 Capacity: ${capacityBTC} BTC
+🪙 Capacity: ${formattedCapacity}${capacityFiat}${channelSizeLine}
 
-📈 Data from #Amboss
+📈 Data from ${sourceLabel}${staleLine}${networkSection}
 
-${blockData ? `Block Height: ${blockData.height}` : ''}
+${blockData?.height ? `Block Height: ${blockData.height}` : ''}
 ${new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16)} UTC
 Update powered by StrichBot ♾️🤖⚡
 
@@ -158,13 +387,16 @@ function calculatePercentageChange(current, previous) {
  * Format community statistics with 7-day trends into a Nostr post
  * @param {Object} stats - Statistics object from Amboss
  * @param {Object} blockData - Bitcoin block data from Mempool.space
+ * @param {Object} display - Capacity unit, fiat currencies and BTC prices ({ unit, currencies, prices })
  * @returns {Promise<string>} Formatted message for Nostr
  */
-async function formatWeeklyStatsMessage(stats, blockData = null) {
-  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source } = stats;
+async function formatWeeklyStatsMessage(stats, blockData = null, display = DEFAULT_DISPLAY) {
+  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source, communityId } = stats;
+  const communityName = stats.communityName || 'Nodestrich ♾️';
 
-  // Format the capacity
-  const capacityBTC = typeof totalCapacity === 'number' ? totalCapacity.toFixed(2) : totalCapacity;
+  // Format the capacity in the admin-selected unit, with fiat values when prices are available
+  const formattedCapacity = formatBtcAmount(totalCapacity, display.unit);
+  const capacityFiat = formatFiatSuffix(totalCapacity, display);
 
   // Format numbers with commas
   const formattedMembers = memberCount.toLocaleString();
@@ -175,8 +407,9 @@ async function formatWeeklyStatsMessage(stats, blockData = null) {
 
   // Get stats from 7 days ago for comparison
   let trendSection = '';
+  let weekAgoStats = null;
   try {
-    const weekAgoStats = await getStatsFromDaysAgo(7);
+    weekAgoStats = await getStatsFromDaysAgo(7, communityId);
 
     if (weekAgoStats) {
       // Calculate changes
@@ -195,7 +428,7 @@ async function formatWeeklyStatsMessage(stats, blockData = null) {
       // Format changes with + or - sign
       const formattedMemberChange = memberChange >= 0 ? `+${memberChange}` : `${memberChange}`;
       const formattedChannelChange = channelChange >= 0 ? `+${channelChange.toLocaleString()}` : `${channelChange.toLocaleString()}`;
-      const formattedCapacityChange = capacityChange >= 0 ? `+${capacityChange.toFixed(2)}` : `${capacityChange.toFixed(2)}`;
+      const formattedCapacityChange = formatBtcAmount(capacityChange, display.unit, true);
       const formattedMemberPercent = memberPercentChange >= 0 ? `+${memberPercentChange.toFixed(2)}` : `${memberPercentChange.toFixed(2)}`;
       const formattedChannelPercent = channelPercentChange >= 0 ? `+${channelPercentChange.toFixed(2)}` : `${channelPercentChange.toFixed(2)}`;
       const formattedCapacityPercent = capacityPercentChange >= 0 ? `+${capacityPercentChange.toFixed(2)}` : `${capacityPercentChange.toFixed(2)}`;
@@ -207,14 +440,14 @@ async function formatWeeklyStatsMessage(stats, blockData = null) {
 🔗 Channels: ${formattedChannels}
    7-day change: ${formattedChannelChange} (${formattedChannelPercent}%)
 
-🪙 Capacity: ${capacityBTC} BTC
-   7-day change: ${formattedCapacityChange} BTC (${formattedCapacityPercent}%)`;
+🪙 Capacity: ${formattedCapacity}${capacityFiat}
+   7-day change: ${formattedCapacityChange} (${formattedCapacityPercent}%)`;
     } else {
       // No historical data available, use simple format
       trendSection = `
 👥 Members: ${formattedMembers}${pendingSuffix}
 🔗 Channels: ${formattedChannels}
-🪙 Capacity: ${capacityBTC} BTC`;
+🪙 Capacity: ${formattedCapacity}${capacityFiat}`;
     }
   } catch (error) {
     console.error('Error fetching trend data:', error);
@@ -222,17 +455,37 @@ async function formatWeeklyStatsMessage(stats, blockData = null) {
     trendSection = `
 👥 Members: ${formattedMembers}${pendingSuffix}
 🔗 Channels: ${formattedChannels}
-🪙 Capacity: ${capacityBTC} BTC`;
+🪙 Capacity: ${formattedCapacity}${capacityFiat}`;
   }
 
-  const message = `⚡ Nodestrich ♾️ Community Update ⚡
+  // Share of the whole Lightning Network, using the totals stored with stale figures when there are any
+  let networkShareSection = '';
+  const networkShare = getNetworkShareTrend(stats, stats.networkStats || blockData?.lightning, weekAgoStats);
+  if (networkShare) {
+    networkShareSection = `
+
+🌐 Network Share: ${formatShare(networkShare.capacityShare)} of capacity, ${formatShare(networkShare.channelShare)} of channels`;
+
+    if (networkShare.capacityChange !== null) {
+      networkShareSection += `
+   7-day change: ${formatShareChange(networkShare.capacityChange)} / ${formatShareChange(networkShare.channelChange)} pts (capacity / channels)`;
+    }
+  }
+
+  // Credit Amboss unless the stats came from another data source
+  const sourceLabel = source && source !== 'Amboss' ? source : '#Amboss';
+
+  // Note figures that were filled in from stored data
+  const staleLine = stats.stale ? `\n${formatStaleNotice(stats)}` : '';
+
+  const message = `⚡ ${communityName} Community Update ⚡
 
 📊 Group Stats:
-${trendSection}
+${trendSection}${networkShareSection}
 
-📈 Data from #Amboss
+📈 Data from ${sourceLabel}${staleLine}
 
-${blockData ? `Block Height: ${blockData.height}` : ''}
+${blockData?.height ? `Block Height: ${blockData.height}` : ''}
 ${new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16)} UTC
 
 Update powered by StrichBot ♾️🤖⚡
@@ -264,6 +517,14 @@ function parseRelays(relayString) {
 }
 
 module.exports = {
+  PUBLISH_STATUSES,
+  getPublishSettings,
+  withTimeout,
+  connectRelay,
+  verifyPublishedEvent,
+  summarizePublishStatus,
+  broadcastEvent,
+  signAndPublish,
   publishEvent,
   formatStatsMessage,
   formatWeeklyStatsMessage,
@@ -0,0 +1,192 @@
+/**
+ * Nostr Direct Messages
+ * NIP-17 private messages: a kind-14 message sealed by the bot (kind 13) and gift-wrapped
+ * with a throwaway key (kind 1059), sent to the recipient's DM relays
+ */
+
+const { getEventHash, nip19, nip59 } = require('nostr-tools');
+const { connectRelay, getPublishSettings, withTimeout, broadcastEvent } = require('./nostr');
+
+const DM_KIND = 14;
+const SEAL_KIND = 13;
+const DM_RELAY_LIST_KIND = 10050;
+
+// NIP-59 timestamps are spread over the past two days so relays cannot link wraps by time
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+/**
+ * Get a timestamp up to two days in the past
+ * @returns {number} Unix timestamp in seconds
+ */
+function randomPastTimestamp() {
+  return Math.round(Date.now() / 1000 - Math.random() * TWO_DAYS);
+}
+
+/**
+ * Read a recipient given as npub or hex public key
+ * @param {string} value - npub1... or 64-character hex key
+ * @returns {string|null} Hex public key, or null if the value is not a public key
+ */
+function decodeRecipient(value) {
+  const trimmed = (value || '').trim();
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) return trimmed.toLowerCase();
+
+  try {
+    const decoded = nip19.decode(trimmed);
+    return decoded.type === 'npub' ? decoded.data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the unsigned kind-14 message
+ * Rumors are never signed, so a leaked message cannot be proven to come from the bot
+ * @param {string} senderPubkey - Bot public key (hex)
+ * @param {string} recipientPubkey - Recipient public key (hex)
+ * @param {string} message - Plain-text message
+ * @returns {Object} Rumor with id
+ */
+function buildRumor(senderPubkey, recipientPubkey, message) {
+  const rumor = {
+    kind: DM_KIND,
+    created_at: Math.floor(Date.now() / 1000),
+    tags: [['p', recipientPubkey]],
+    content: message,
+    pubkey: senderPubkey
+  };
+
+  return { ...rumor, id: getEventHash(rumor) };
+}
+
+/**
+ * Seal a rumor: encrypt it to the recipient and sign it as the bot
+ * @param {Object} signer - Signer from getSigner (local key or NIP-46 bunker)
+ * @param {Object} rumor - Rumor from buildRumor
+ * @param {string} recipientPubkey - Recipient public key (hex)
+ * @returns {Promise<Object>} Signed kind-13 seal
+ */
+async function sealRumor(signer, rumor, recipientPubkey) {
+  return signer.signEvent({
+    kind: SEAL_KIND,
+    created_at: randomPastTimestamp(),
+    tags: [],
+    content: await signer.nip44Encrypt(recipientPubkey, JSON.stringify(rumor)),
+    pubkey: rumor.pubkey
+  });
+}
+
+/**
+ * Build the gift wrap for a private message
+ * @param {Object} signer - Signer from getSigner
+ * @param {string} recipientPubkey - Recipient public key (hex)
+ * @param {string} message - Plain-text message
+ * @returns {Promise<Object>} Signed kind-1059 gift wrap addressed to the recipient
+ */
+async function wrapDirectMessage(signer, recipientPubkey, message) {
+  const rumor = buildRumor(await signer.getPublicKey(), recipientPubkey, message);
+  const seal = await sealRumor(signer, rumor, recipientPubkey);
+  return nip59.createWrap(seal, recipientPubkey);
+}
+
+/**
+ * Read the relays from a NIP-17 DM relay list
+ * @param {Object} event - Kind 10050 event
+ * @returns {Array} Relay URLs
+ */
+function getDmRelaysFromEvent(event) {
+  return (event?.tags || []).filter(tag => tag[0] === 'relay' && tag[1]).map(tag => tag[1]);
+}
+
+/**
+ * Ask a relay for the newest event matching a filter
+ * @param {string} relayUrl - Relay URL
+ * @param {Object} filter - Nostr filter
+ * @param {Object} settings - Settings from getPublishSettings
+ * @returns {Promise<Object|null>} Newest event returned before end of stored events
+ */
+async function fetchLatestFromRelay(relayUrl, filter, settings) {
+  const relay = await connectRelay(relayUrl, settings);
+
+  try {
+    return await withTimeout(new Promise(resolve => {
+      let latest = null;
+      const subscription = relay.subscribe([filter], {
+        onevent: (event) => {
+          if (!latest || event.created_at > latest.created_at) latest = event;
+        },
+        oneose: () => {
+          subscription.close();
+          resolve(latest);
+        }
+      });
+    }), settings.verifyTimeoutMs, `Lookup timed out after ${settings.verifyTimeoutMs}ms`);
+  } finally {
+    relay.close();
+  }
+}
+
+/**
+ * Look up where a recipient wants to receive private messages
+ * @param {string} pubkey - Recipient public key (hex)
+ * @param {Array} lookupRelays - Relays to search for the recipient's DM relay list
+ * @returns {Promise<Array>} Relays from the newest kind-10050 list, empty if none was found
+ */
+async function loadDmRelays(pubkey, lookupRelays) {
+  const settings = getPublishSettings();
+  const filter = { kinds: [DM_RELAY_LIST_KIND], authors: [pubkey], limit: 1 };
+
+  const found = await Promise.all(lookupRelays.map(async (relayUrl) => {
+    try {
+      return await fetchLatestFromRelay(relayUrl, filter, settings);
+    } catch (error) {
+      console.error(`Could not look up DM relays on ${relayUrl}:`, error.message);
+      return null;
+    }
+  }));
+
+  const latest = found.filter(Boolean).sort((a, b) => b.created_at - a.created_at)[0];
+  return getDmRelaysFromEvent(latest);
+}
+
+/**
+ * Send a NIP-17 private message
+ * Goes to the recipient's DM relays, or to the fallback relays when they have not published any
+ * @param {Object} signer - Signer from getSigner (local key or NIP-46 bunker)
+ * @param {string} recipientPubkey - Recipient public key (hex)
+ * @param {string} message - Plain-text message
+ * @param {Array} fallbackRelays - Relays used to look up the DM relays and as fallback
+ * @returns {Promise<Object>} { recipient, wrapId, relays, dmRelays, publishedTo }
+ */
+async function sendDirectMessage(signer, recipientPubkey, message, fallbackRelays) {
+  const dmRelays = await loadDmRelays(recipientPubkey, fallbackRelays);
+  const relays = dmRelays.length > 0 ? dmRelays : fallbackRelays;
+
+  const wrap = await wrapDirectMessage(signer, recipientPubkey, message);
+  // The recipient's DM relays are not the bot's, so they stay out of the relay table and its health counters
+  const { results } = await broadcastEvent(wrap, relays, { recordHealth: dmRelays.length === 0 });
+  const publishedTo = results.filter(result => result.success).length;
+
+  if (publishedTo === 0) {
+    throw new Error(`No relay accepted the message for ${nip19.npubEncode(recipientPubkey)}`);
+  }
+
+  return {
+    recipient: nip19.npubEncode(recipientPubkey),
+    wrapId: wrap.id,
+    relays,
+    dmRelays: dmRelays.length > 0,
+    publishedTo
+  };
+}
+
+module.exports = {
+  DM_KIND,
+  DM_RELAY_LIST_KIND,
+  decodeRecipient,
+  buildRumor,
+  wrapDirectMessage,
+  getDmRelaysFromEvent,
+  loadDmRelays,
+  sendDirectMessage
+};
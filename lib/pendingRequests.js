@@ -0,0 +1,208 @@
+/**
+ * Pending Request Tracker
+ * Persists community join requests between runs and builds the admin digest
+ */
+
+const { query } = require('./database');
+const { sendMessage, escapeHtml } = require('./telegram');
+
+const DEFAULT_STUCK_DAYS = 7;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Get the number of days after which an open request is flagged as stuck
+ * @returns {number} Threshold in days
+ */
+function getStuckThresholdDays() {
+  const days = parseInt(process.env.PENDING_REQUEST_STUCK_DAYS, 10);
+  return days > 0 ? days : DEFAULT_STUCK_DAYS;
+}
+
+/**
+ * Convert a database row into a pending request object
+ * @param {Object} row - Row from the community_requests table
+ * @returns {Object} Pending request
+ */
+function rowToRequest(row) {
+  return {
+    pubId: row.pub_id,
+    pubkey: row.pubkey,
+    approvals: row.approvals,
+    requiredApprovals: row.required_approvals,
+    firstSeen: new Date(row.first_seen),
+    lastSeen: new Date(row.last_seen)
+  };
+}
+
+/**
+ * Load the requests that were still pending on the last run
+ * Database errors are thrown: an empty list would make every current request look new
+ * @param {string} communityId - Amboss community ID
+ * @returns {Promise<Array>} Open requests, oldest first
+ */
+async function loadOpenRequests(communityId) {
+  const rows = await query(
+    `SELECT * FROM community_requests
+     WHERE community_id = ? AND resolved_at IS NULL
+     ORDER BY first_seen ASC`,
+    [communityId]
+  );
+
+  return rows.map(rowToRequest);
+}
+
+/**
+ * Mark a community's pending requests as tracked
+ * @param {string} communityId - Amboss community ID
+ * @param {Date} startedAt - Time of the first run
+ * @returns {Promise<boolean>} Whether this is the first run for the community
+ */
+async function startTracking(communityId, startedAt) {
+  const result = await query(
+    'INSERT IGNORE INTO request_tracking (community_id, started_at) VALUES (?, ?)',
+    [communityId, startedAt]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Record the current pending requests for a community
+ * Keeps first-seen times of known requests and marks requests that disappeared
+ * from Amboss (approved or withdrawn) as resolved
+ * @param {Array} requests - Pending requests from Amboss ({ pubId, pubkey, approvals, requiredApprovals })
+ * @param {string} communityId - Amboss community ID
+ * @param {Date} seenAt - Time of the current run (defaults to now)
+ * @returns {Promise<Object>} New, resolved and currently open requests, with baseline set on the first run
+ */
+async function trackPendingRequests(requests, communityId, seenAt = new Date()) {
+  // Without an earlier run every open request would look new, so the first run only records a baseline
+  const baseline = await startTracking(communityId, seenAt);
+  const previous = await loadOpenRequests(communityId);
+  const previousIds = new Set(previous.map(request => request.pubId));
+  const currentIds = new Set(requests.map(request => request.pubId));
+
+  try {
+    for (const request of requests) {
+      await query(
+        `INSERT INTO community_requests
+         (community_id, pub_id, pubkey, approvals, required_approvals, first_seen, last_seen)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+         approvals = VALUES(approvals),
+         required_approvals = VALUES(required_approvals),
+         last_seen = VALUES(last_seen),
+         resolved_at = NULL`,
+        [communityId, request.pubId, request.pubkey, request.approvals, request.requiredApprovals, seenAt, seenAt]
+      );
+    }
+
+    const resolved = previous.filter(request => !currentIds.has(request.pubId));
+    if (resolved.length > 0) {
+      await query(
+        `UPDATE community_requests SET resolved_at = ?
+         WHERE community_id = ? AND pub_id IN (${resolved.map(() => '?').join(', ')})`,
+        [seenAt, communityId, ...resolved.map(request => request.pubId)]
+      );
+    }
+
+    const newRequests = baseline ? [] : requests.filter(request => !previousIds.has(request.pubId));
+
+    console.log(`Pending requests for ${communityId}: ${requests.length} open, ${newRequests.length} new, ${resolved.length} resolved${baseline ? ' (baseline)' : ''}`);
+
+    return {
+      baseline,
+      newRequests,
+      resolved,
+      open: await loadOpenRequests(communityId)
+    };
+  } catch (error) {
+    console.error('Error tracking pending requests:', error);
+    throw error;
+  }
+}
+
+/**
+ * Format how long a request has been open
+ * @param {Date} firstSeen - When the request was first seen
+ * @param {Date} now - Reference time
+ * @returns {string} Human readable duration
+ */
+function formatOpenDuration(firstSeen, now = new Date()) {
+  const elapsed = Math.max(0, now - firstSeen);
+
+  if (elapsed < DAY_MS) {
+    const hours = Math.floor(elapsed / HOUR_MS);
+    return hours < 1 ? 'less than an hour' : `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  const days = Math.floor(elapsed / DAY_MS);
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Check whether a request has been open longer than the stuck threshold
+ * @param {Object} request - Open request with firstSeen
+ * @param {number} stuckDays - Threshold in days
+ * @param {Date} now - Reference time
+ * @returns {boolean} Whether the request is stuck
+ */
+function isStuck(request, stuckDays, now = new Date()) {
+  return now - request.firstSeen > stuckDays * DAY_MS;
+}
+
+/**
+ * Format the pending request digest for admins
+ * @param {Array} openRequests - Open requests with firstSeen
+ * @param {string} communityName - Community display name
+ * @param {number} stuckDays - Threshold in days for flagging stuck requests
+ * @param {Date} now - Reference time
+ * @returns {string} Formatted admin digest for Telegram
+ */
+function formatRequestDigest(openRequests, communityName = 'Nodestrich ♾️', stuckDays = DEFAULT_STUCK_DAYS, now = new Date()) {
+  const stuckCount = openRequests.filter(request => isStuck(request, stuckDays, now)).length;
+
+  const lines = openRequests.map(request => {
+    const stuck = isStuck(request, stuckDays, now);
+    return `${stuck ? '⚠️' : '•'} <code>${request.pubkey.substring(0, 16)}…</code> - ${request.approvals}/${request.requiredApprovals} approvals, open ${formatOpenDuration(request.firstSeen, now)}`;
+  });
+
+  const requestText = openRequests.length === 1 ? 'request is' : 'requests are';
+  const stuckLine = stuckCount > 0
+    ? `\n\n⚠️ ${stuckCount} open for more than ${stuckDays} days`
+    : '';
+
+  return `📋 <b>Pending Requests: ${escapeHtml(communityName)}</b>
+
+${openRequests.length} ${requestText} waiting for approval:
+
+${lines.join('\n')}${stuckLine}
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Send the pending request digest to the admin Telegram chat
+ * @param {string} botToken - Telegram bot token
+ * @param {string} adminChatId - Admin Telegram chat ID
+ * @param {Array} openRequests - Open requests with firstSeen
+ * @param {string} communityName - Community display name
+ * @returns {Promise<Object>} Send result
+ */
+async function sendRequestDigest(botToken, adminChatId, openRequests, communityName) {
+  const message = formatRequestDigest(openRequests, communityName, getStuckThresholdDays());
+  const result = await sendMessage(botToken, adminChatId, message);
+
+  console.log(`Sent pending request digest for ${openRequests.length} requests`);
+  return result;
+}
+
+module.exports = {
+  getStuckThresholdDays,
+  loadOpenRequests,
+  trackPendingRequests,
+  formatOpenDuration,
+  isStuck,
+  formatRequestDigest,
+  sendRequestDigest
+};
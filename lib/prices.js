@@ -0,0 +1,151 @@
+/**
+ * Bitcoin Price Source
+ * Optional BTC fiat prices for valuing community capacity, and the per-platform display settings
+ */
+
+const { getMempoolApiUrl } = require('./mempool');
+const { loadScheduleConfig } = require('./scheduler');
+
+const SATS_PER_BTC = 100000000;
+
+// Fiat currencies that can be stored with a snapshot and shown in posts
+const SUPPORTED_CURRENCIES = ['USD', 'EUR'];
+
+// How BTC amounts are shown in posts
+const DISPLAY_UNITS = ['btc', 'sats'];
+
+const DEFAULT_DISPLAY = {
+  unit: 'btc',
+  currencies: []
+};
+
+/**
+ * Get the price endpoint
+ * @returns {string|null} PRICE_API_URL, mempool's /v1/prices when unset, or null when set to "none"
+ */
+function getPriceApiUrl() {
+  const url = (process.env.PRICE_API_URL || '').trim();
+
+  if (url.toLowerCase() === 'none') return null;
+  return url || `${getMempoolApiUrl()}/v1/prices`;
+}
+
+/**
+ * Get the timeout for the price request
+ * @returns {number} PRICE_TIMEOUT_MS, defaulting to 5 seconds
+ */
+function getPriceTimeoutMs() {
+  const timeoutMs = parseInt(process.env.PRICE_TIMEOUT_MS, 10);
+  return timeoutMs > 0 ? timeoutMs : 5000;
+}
+
+/**
+ * Fetch the current BTC price
+ * The endpoint must answer with currency codes as keys, like mempool.space: { "USD": 67000, "EUR": 62000 }
+ * @returns {Promise<Object|null>} Prices keyed by currency code, or null if disabled, failed or timed out
+ */
+async function fetchBtcPrices() {
+  const url = getPriceApiUrl();
+  if (!url) return null;
+
+  try {
+    // Posts go out without prices rather than waiting on a slow endpoint
+    const response = await fetch(url, { signal: AbortSignal.timeout(getPriceTimeoutMs()) });
+
+    if (!response.ok) {
+      throw new Error(`Price API error: ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    const prices = {};
+
+    SUPPORTED_CURRENCIES.forEach(currency => {
+      const price = Number(body?.[currency]);
+      if (price > 0) prices[currency] = price;
+    });
+
+    return Object.keys(prices).length > 0 ? prices : null;
+
+  } catch (error) {
+    console.error('Error fetching BTC prices:', error);
+    return null;
+  }
+}
+
+/**
+ * Clean up display settings from the admin panel
+ * @param {Object} settings - { unit, currencies }
+ * @returns {Object} Settings with an allowed unit and only supported currencies
+ */
+function normalizeDisplaySettings(settings) {
+  const unit = DISPLAY_UNITS.includes(settings?.unit) ? settings.unit : DEFAULT_DISPLAY.unit;
+  const currencies = Array.isArray(settings?.currencies)
+    ? SUPPORTED_CURRENCIES.filter(currency => settings.currencies.includes(currency))
+    : [];
+
+  return { unit, currencies };
+}
+
+/**
+ * Load the capacity display settings for a platform from the admin configuration
+ * @param {string} platform - 'nostr' or 'telegram'
+ * @returns {Promise<Object>} { unit, currencies }
+ */
+async function getDisplaySettings(platform) {
+  try {
+    const config = await loadScheduleConfig();
+    return normalizeDisplaySettings(config.display?.[platform]);
+  } catch (error) {
+    console.error('Error loading display settings:', error);
+    return { ...DEFAULT_DISPLAY };
+  }
+}
+
+/**
+ * Format a BTC amount in the chosen unit
+ * @param {number|string} btc - Amount in BTC
+ * @param {string} unit - 'btc' or 'sats'
+ * @param {boolean} signed - Prefix positive amounts with "+"
+ * @returns {string} e.g. "12.35 BTC" or "1,234,567,890 sats"
+ */
+function formatBtcAmount(btc, unit = 'btc', signed = false) {
+  const amount = Number(btc);
+  const sign = signed && amount >= 0 ? '+' : '';
+
+  if (unit === 'sats') {
+    return `${sign}${Math.round(amount * SATS_PER_BTC).toLocaleString()} sats`;
+  }
+
+  return `${sign}${amount.toFixed(2)} BTC`;
+}
+
+/**
+ * Format the fiat value of a BTC amount
+ * @param {number|string} btc - Amount in BTC
+ * @param {Object} display - { currencies, prices }
+ * @returns {string} e.g. " (≈ $812,345 / €750,120)", or an empty string without prices
+ */
+function formatFiatSuffix(btc, display) {
+  const values = (display?.currencies || [])
+    .filter(currency => display.prices?.[currency])
+    .map(currency => new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      maximumFractionDigits: 0
+    }).format(Number(btc) * display.prices[currency]));
+
+  return values.length > 0 ? ` (≈ ${values.join(' / ')})` : '';
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DISPLAY_UNITS,
+  DEFAULT_DISPLAY,
+  getPriceApiUrl,
+  getPriceTimeoutMs,
+  fetchBtcPrices,
+  normalizeDisplaySettings,
+  getDisplaySettings,
+  formatBtcAmount,
+  formatFiatSuffix
+};
@@ -0,0 +1,255 @@
+/**
+ * Nostr Rebroadcast Queue
+ * Keeps every signed event StrichBot publishes and queues relays that missed it,
+ * so a later run can deliver it again with backoff
+ */
+
+const { query, queryOne } = require('./database');
+
+const QUEUE_STATUSES = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  ABANDONED: 'abandoned'
+};
+
+// Publish statuses (see PUBLISH_STATUSES in nostr.js) that mean the relay does not have the event
+const MISSED_STATUSES = ['failed', 'accepted but not found'];
+
+const MAX_RETRY_DELAY_MINUTES = 24 * 60;
+
+/**
+ * Get the rebroadcast settings from environment variables
+ * @returns {Object} { maxAttempts, baseDelayMinutes }
+ */
+function getRebroadcastSettings() {
+  const maxAttempts = parseInt(process.env.REBROADCAST_MAX_ATTEMPTS, 10);
+  const baseDelayMinutes = parseInt(process.env.REBROADCAST_BASE_DELAY_MINUTES, 10);
+
+  return {
+    maxAttempts: maxAttempts > 0 ? maxAttempts : 8,
+    baseDelayMinutes: baseDelayMinutes > 0 ? baseDelayMinutes : 15
+  };
+}
+
+/**
+ * Work out how long to wait before the next delivery attempt
+ * The delay doubles with every failed attempt, up to a day
+ * @param {number} attempts - Failed attempts so far
+ * @param {Object} settings - Settings from getRebroadcastSettings
+ * @returns {number} Delay in minutes
+ */
+function getRetryDelayMinutes(attempts, settings) {
+  return Math.min(settings.baseDelayMinutes * Math.pow(2, Math.max(0, attempts)), MAX_RETRY_DELAY_MINUTES);
+}
+
+/**
+ * Store a signed event so it can be rebroadcast later
+ * @param {Object} event - Signed event
+ * @returns {Promise<void>}
+ */
+async function storeEvent(event) {
+  await query(
+    `INSERT IGNORE INTO nostr_events (event_id, kind, event_json, event_created_at)
+     VALUES (?, ?, ?, ?)`,
+    [event.id, event.kind, JSON.stringify(event), new Date(event.created_at * 1000)]
+  );
+}
+
+/**
+ * Load a stored event
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Object|null>} Signed event or null if it was never stored
+ */
+async function loadEvent(eventId) {
+  const row = await queryOne('SELECT event_json FROM nostr_events WHERE event_id = ?', [eventId]);
+  return row ? JSON.parse(row.event_json) : null;
+}
+
+/**
+ * Load the latest stored event of a kind
+ * @param {number} kind - Event kind
+ * @param {string} dTag - Only match addressable events with this d tag
+ * @returns {Promise<Object|null>} Signed event or null if none was stored
+ */
+async function loadLatestEvent(kind, dTag = null) {
+  const row = await queryOne(
+    `SELECT event_json FROM nostr_events WHERE kind = ?${dTag ? ' AND event_json LIKE ?' : ''}
+     ORDER BY event_created_at DESC LIMIT 1`,
+    dTag ? [kind, `%${JSON.stringify(['d', dTag])}%`] : [kind]
+  );
+  return row ? JSON.parse(row.event_json) : null;
+}
+
+/**
+ * Load the most recent stored event of a kind that carries a tag
+ * Values after the first one, such as relay hints, are not compared
+ * @param {number} kind - Event kind
+ * @param {string} name - Tag name, e.g. 'a'
+ * @param {string} value - First tag value
+ * @returns {Promise<Object|null>} Signed event or null
+ */
+async function loadLatestTaggedEvent(kind, name, value) {
+  // Leave the closing bracket off so tags with further values still match
+  const tag = JSON.stringify([name, value]).slice(0, -1);
+  const row = await queryOne(
+    `SELECT event_json FROM nostr_events WHERE kind = ? AND event_json LIKE ?
+     ORDER BY event_created_at DESC LIMIT 1`,
+    [kind, `%${tag}%`]
+  );
+  return row ? JSON.parse(row.event_json) : null;
+}
+
+/**
+ * Load the most recently published events
+ * @param {number} limit - Maximum number of events
+ * @returns {Promise<Array>} { eventId, kind, createdAt, preview, pendingRelays }
+ */
+async function loadRecentEvents(limit = 10) {
+  const rows = await query(
+    `SELECT e.event_id, e.kind, e.event_json, e.event_created_at,
+       (SELECT COUNT(*) FROM rebroadcast_queue q WHERE q.event_id = e.event_id AND q.status = 'pending') AS pending_relays
+     FROM nostr_events e
+     ORDER BY e.event_created_at DESC
+     LIMIT ${Math.max(1, parseInt(limit, 10) || 10)}`
+  );
+
+  return rows.map(row => ({
+    eventId: row.event_id,
+    kind: row.kind,
+    createdAt: row.event_created_at,
+    preview: JSON.parse(row.event_json).content.split('\n')[0].substring(0, 80),
+    pendingRelays: Number(row.pending_relays)
+  }));
+}
+
+/**
+ * Queue a relay delivery, or reset an existing one so it is retried from the start
+ * @param {string} eventId - Event ID
+ * @param {string} relayUrl - Relay that should receive the event
+ * @param {string} error - Why the last delivery failed
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+async function queueDelivery(eventId, relayUrl, error, now = new Date()) {
+  const nextAttemptAt = new Date(now.getTime() + getRetryDelayMinutes(0, getRebroadcastSettings()) * 60 * 1000);
+
+  await query(
+    `INSERT INTO rebroadcast_queue (event_id, relay_url, status, attempts, next_attempt_at, last_error)
+     VALUES (?, ?, 'pending', 0, ?, ?)
+     ON DUPLICATE KEY UPDATE
+     status = 'pending',
+     attempts = 0,
+     next_attempt_at = VALUES(next_attempt_at),
+     last_error = VALUES(last_error)`,
+    [eventId, relayUrl, nextAttemptAt, error || null]
+  );
+}
+
+/**
+ * Keep a published event and queue every relay that missed it
+ * @param {Object} event - Signed event
+ * @param {Array} results - Per-relay results with a publish status
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function rememberPublishedEvent(event, results, now = new Date()) {
+  await storeEvent(event);
+
+  const missed = results.filter(result => MISSED_STATUSES.includes(result.status));
+  for (const result of missed) {
+    await queueDelivery(event.id, result.relay, result.error || result.status, now);
+  }
+
+  if (missed.length > 0) {
+    console.log(`Queued event ${event.id} for rebroadcast to ${missed.length} relays`);
+  }
+
+  return missed.length;
+}
+
+/**
+ * Load deliveries that are due for another attempt
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of deliveries
+ * @returns {Promise<Array>} { id, eventId, relayUrl, attempts, event }
+ */
+async function loadDueDeliveries(now = new Date(), limit = 50) {
+  const rows = await query(
+    `SELECT q.id, q.event_id, q.relay_url, q.attempts, e.event_json
+     FROM rebroadcast_queue q
+     JOIN nostr_events e ON e.event_id = q.event_id
+     WHERE q.status = 'pending' AND q.next_attempt_at <= ?
+     ORDER BY q.next_attempt_at ASC
+     LIMIT ${Math.max(1, parseInt(limit, 10) || 50)}`,
+    [now]
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    eventId: row.event_id,
+    relayUrl: row.relay_url,
+    attempts: row.attempts,
+    event: JSON.parse(row.event_json)
+  }));
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {Object} delivery - Delivery from loadDueDeliveries
+ * @param {boolean} delivered - Whether the relay now has the event
+ * @param {string} error - Error of a failed attempt
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} New queue status
+ */
+async function recordDeliveryAttempt(delivery, delivered, error = null, now = new Date()) {
+  if (delivered) {
+    await query(
+      `UPDATE rebroadcast_queue SET status = 'delivered', attempts = attempts + 1, last_error = NULL WHERE id = ?`,
+      [delivery.id]
+    );
+    return QUEUE_STATUSES.DELIVERED;
+  }
+
+  const settings = getRebroadcastSettings();
+  const attempts = delivery.attempts + 1;
+  const status = attempts >= settings.maxAttempts ? QUEUE_STATUSES.ABANDONED : QUEUE_STATUSES.PENDING;
+  const nextAttemptAt = new Date(now.getTime() + getRetryDelayMinutes(attempts, settings) * 60 * 1000);
+
+  await query(
+    'UPDATE rebroadcast_queue SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?',
+    [status, attempts, nextAttemptAt, error, delivery.id]
+  );
+
+  return status;
+}
+
+/**
+ * Count queued deliveries by status
+ * @returns {Promise<Object>} { pending, delivered, abandoned }
+ */
+async function getQueueSummary() {
+  const rows = await query('SELECT status, COUNT(*) AS count FROM rebroadcast_queue GROUP BY status');
+  const summary = { pending: 0, delivered: 0, abandoned: 0 };
+
+  rows.forEach(row => {
+    summary[row.status] = Number(row.count);
+  });
+
+  return summary;
+}
+
+module.exports = {
+  QUEUE_STATUSES,
+  getRebroadcastSettings,
+  getRetryDelayMinutes,
+  storeEvent,
+  loadEvent,
+  loadLatestEvent,
+  loadLatestTaggedEvent,
+  loadRecentEvents,
+  queueDelivery,
+  rememberPublishedEvent,
+  loadDueDeliveries,
+  recordDeliveryAttempt,
+  getQueueSummary
+};
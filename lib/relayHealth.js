@@ -0,0 +1,350 @@
+/**
+ * Nostr Relay Health
+ * Records the outcome of every publish per relay, demotes relays that keep failing
+ * and manages the relays admins add or remove on top of NOSTR_RELAYS
+ */
+
+const { query } = require('./database');
+
+const RELAY_STATUSES = {
+  ACTIVE: 'active',
+  DEMOTED: 'demoted',
+  REMOVED: 'removed'
+};
+
+const NIP11_TIMEOUT_MS = 5000;
+const NIP11_REFRESH_HOURS = 24;
+
+/**
+ * Get the relay health settings from environment variables
+ * @returns {Object} { demoteAfterFailures, retryHours, windowDays }
+ */
+function getRelayHealthSettings() {
+  const demoteAfterFailures = parseInt(process.env.RELAY_DEMOTE_FAILURES, 10);
+  const retryHours = parseInt(process.env.RELAY_RETRY_HOURS, 10);
+  const windowDays = parseInt(process.env.RELAY_HEALTH_WINDOW_DAYS, 10);
+
+  return {
+    demoteAfterFailures: demoteAfterFailures > 0 ? demoteAfterFailures : 5,
+    retryHours: retryHours > 0 ? retryHours : 24,
+    windowDays: windowDays > 0 ? windowDays : 7
+  };
+}
+
+/**
+ * Check that a relay URL is a websocket URL
+ * @param {string} url - Relay URL
+ * @returns {boolean} Whether the URL can be used as a relay
+ */
+function isValidRelayUrl(url) {
+  return typeof url === 'string' && /^wss?:\/\/[^\s,/]+(\/[^\s,]*)?$/.test(url);
+}
+
+/**
+ * Get the HTTP URL a relay serves its NIP-11 information document on
+ * @param {string} relayUrl - Relay websocket URL
+ * @returns {string} Same host over http(s)
+ */
+function toNip11Url(relayUrl) {
+  return relayUrl.replace(/^ws(s?):\/\//, 'http$1://');
+}
+
+/**
+ * Fetch a relay's NIP-11 information document
+ * @param {string} relayUrl - Relay websocket URL
+ * @returns {Promise<Object|null>} { name, software, version, supportedNips } or null if unavailable
+ */
+async function fetchRelayInfo(relayUrl) {
+  try {
+    const response = await fetch(toNip11Url(relayUrl), {
+      headers: { 'Accept': 'application/nostr+json' },
+      signal: AbortSignal.timeout(NIP11_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`NIP-11 error: ${response.status} ${response.statusText}`);
+    }
+
+    const info = await response.json();
+
+    return {
+      name: info.name || null,
+      software: info.software || null,
+      version: info.version ? String(info.version) : null,
+      supportedNips: Array.isArray(info.supported_nips) ? info.supported_nips : []
+    };
+
+  } catch (error) {
+    console.error(`Error fetching NIP-11 info for ${relayUrl}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Refresh the NIP-11 info of known relays that have none or only outdated info
+ * Called when admins list the relays, so publishes never wait on NIP-11 documents
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of relays whose info was requested
+ */
+async function refreshRelayInfo(now = new Date()) {
+  const rows = await query('SELECT url, status, nip11_fetched_at FROM relays');
+  const refreshBefore = now.getTime() - NIP11_REFRESH_HOURS * 60 * 60 * 1000;
+
+  const stale = rows.filter(row =>
+    row.status !== RELAY_STATUSES.REMOVED &&
+    (!row.nip11_fetched_at || new Date(row.nip11_fetched_at).getTime() < refreshBefore)
+  );
+
+  await Promise.all(stale.map(async row => {
+    const info = await fetchRelayInfo(row.url);
+
+    // Remember the attempt either way so unreachable documents are not requested on every listing
+    await query(
+      `UPDATE relays SET nip11_name = ?, nip11_software = ?, nip11_version = ?, nip11_supported_nips = ?, nip11_fetched_at = ?
+       WHERE url = ?`,
+      [
+        info?.name ?? null,
+        info?.software ?? null,
+        info?.version ?? null,
+        info ? info.supportedNips.join(',') : null,
+        now,
+        row.url
+      ]
+    );
+  }));
+
+  return stale.length;
+}
+
+/**
+ * Record the per-relay outcome of a publish
+ * A relay is demoted once it fails demoteAfterFailures times in a row, and restored by its next success
+ * @param {string} eventId - Published event ID
+ * @param {Array} results - Results from publishEvent ({ relay, success, latencyMs, error })
+ * @param {Date} now - Time of the publish
+ * @returns {Promise<void>}
+ */
+async function recordPublishResults(eventId, results, now = new Date()) {
+  const { demoteAfterFailures } = getRelayHealthSettings();
+  const relayResults = results.filter(result => result.relay);
+
+  for (const result of relayResults) {
+    await query(
+      `INSERT INTO relay_publish_results (relay_url, event_id, success, latency_ms, error, published_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [result.relay, eventId, result.success, result.latencyMs ?? null, result.error || null, now]
+    );
+
+    if (result.success) {
+      await query(
+        `INSERT INTO relays (url, last_success_at)
+         VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE
+         consecutive_failures = 0,
+         last_success_at = VALUES(last_success_at),
+         demoted_at = IF(status = 'demoted', NULL, demoted_at),
+         status = IF(status = 'demoted', 'active', status)`,
+        [result.relay, now]
+      );
+    } else {
+      // Assignments run in order, so the demotion check sees the incremented failure count
+      await query(
+        `INSERT INTO relays (url, consecutive_failures, last_failure_at, last_error)
+         VALUES (?, 1, ?, ?)
+         ON DUPLICATE KEY UPDATE
+         consecutive_failures = consecutive_failures + 1,
+         last_failure_at = VALUES(last_failure_at),
+         last_error = VALUES(last_error),
+         status = IF(status = 'active' AND consecutive_failures >= ?, 'demoted', status),
+         demoted_at = IF(status = 'demoted', VALUES(last_failure_at), demoted_at)`,
+        [result.relay, now, result.error || null, demoteAfterFailures]
+      );
+    }
+  }
+}
+
+/**
+ * List the bot's relays regardless of their health
+ * Starts from the configured relays, adds relays added by admins and leaves out removed relays
+ * @param {Array} configuredRelays - Relays from NOSTR_RELAYS (see parseRelays)
+ * @param {Array} rows - relays rows ({ url, status, added_by })
+ * @returns {Array} Relay URLs, possibly empty
+ */
+function listRelays(configuredRelays, rows) {
+  const removed = new Set(rows.filter(row => row.status === RELAY_STATUSES.REMOVED).map(row => row.url));
+  const adminRelays = rows.filter(row => row.added_by === 'admin').map(row => row.url);
+
+  return [...new Set([...configuredRelays, ...adminRelays])].filter(url => !removed.has(url));
+}
+
+/**
+ * Pick the relays to publish to from the stored relay rows
+ * Leaves out demoted relays from listRelays, except for a retry once retryHours have passed since they were demoted
+ * @param {Array} configuredRelays - Relays from NOSTR_RELAYS (see parseRelays)
+ * @param {Array} rows - relays rows ({ url, status, added_by, demoted_at })
+ * @param {Object} settings - Settings from getRelayHealthSettings
+ * @param {Date} now - Current time
+ * @returns {Array} Relay URLs, possibly empty
+ */
+function pickRelays(configuredRelays, rows, settings, now = new Date()) {
+  const byUrl = new Map(rows.map(row => [row.url, row]));
+
+  const isUsable = (url) => {
+    const row = byUrl.get(url);
+    if (!row || row.status !== RELAY_STATUSES.DEMOTED) return true;
+
+    return !row.demoted_at || now - new Date(row.demoted_at) >= settings.retryHours * 60 * 60 * 1000;
+  };
+
+  return listRelays(configuredRelays, rows).filter(isUsable);
+}
+
+/**
+ * Pick the relays to publish to
+ * @param {Array} configuredRelays - Relays from NOSTR_RELAYS (see parseRelays)
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Relay URLs, falling back to the configured relays if none are left
+ */
+async function selectRelays(configuredRelays, now = new Date()) {
+  try {
+    const rows = await query('SELECT url, status, added_by, demoted_at FROM relays');
+    const selected = pickRelays(configuredRelays, rows, getRelayHealthSettings(), now);
+
+    if (selected.length === 0) {
+      console.warn('All relays are demoted or removed - falling back to the configured relays');
+      return configuredRelays;
+    }
+
+    return selected;
+
+  } catch (error) {
+    console.error('Error selecting relays:', error);
+    return configuredRelays;
+  }
+}
+
+/**
+ * Load the bot's relays regardless of their health, e.g. for its NIP-65 relay list
+ * @param {Array} configuredRelays - Relays from NOSTR_RELAYS (see parseRelays)
+ * @returns {Promise<Array>} Relay URLs, falling back to the configured relays if none are left
+ */
+async function loadRelayList(configuredRelays) {
+  const rows = await query('SELECT url, status, added_by FROM relays');
+  const relays = listRelays(configuredRelays, rows);
+
+  return relays.length > 0 ? relays : configuredRelays;
+}
+
+/**
+ * Load the health of every known relay
+ * @param {Array} configuredRelays - Relays from NOSTR_RELAYS, listed even before their first publish
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Relays with status, success rate and average latency over the window, and NIP-11 info
+ */
+async function getRelayHealth(configuredRelays = [], now = new Date()) {
+  const { windowDays } = getRelayHealthSettings();
+  const since = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+
+  const rows = await query('SELECT * FROM relays ORDER BY url');
+  const totals = await query(
+    `SELECT relay_url, COUNT(*) AS attempts, SUM(success) AS successes,
+       AVG(CASE WHEN success THEN latency_ms END) AS avg_latency_ms
+     FROM relay_publish_results
+     WHERE published_at >= ?
+     GROUP BY relay_url`,
+    [since]
+  );
+  const totalsByUrl = new Map(totals.map(row => [row.relay_url, row]));
+
+  const unseen = configuredRelays
+    .filter(url => !rows.some(row => row.url === url))
+    .map(url => ({ url, status: RELAY_STATUSES.ACTIVE, added_by: 'env', consecutive_failures: 0 }));
+
+  return [...rows, ...unseen].map(row => {
+    const total = totalsByUrl.get(row.url);
+    const attempts = total ? Number(total.attempts) : 0;
+
+    return {
+      url: row.url,
+      status: row.status,
+      addedBy: row.added_by,
+      configured: configuredRelays.includes(row.url),
+      attempts,
+      successRate: attempts > 0 ? Math.round((Number(total.successes) / attempts) * 1000) / 10 : null,
+      avgLatencyMs: total?.avg_latency_ms !== null && total?.avg_latency_ms !== undefined ? Math.round(Number(total.avg_latency_ms)) : null,
+      consecutiveFailures: row.consecutive_failures,
+      lastSuccessAt: row.last_success_at || null,
+      lastFailureAt: row.last_failure_at || null,
+      lastError: row.last_error || null,
+      demotedAt: row.demoted_at || null,
+      info: row.nip11_fetched_at ? {
+        name: row.nip11_name,
+        software: row.nip11_software,
+        version: row.nip11_version,
+        supportedNips: row.nip11_supported_nips ? row.nip11_supported_nips.split(',').map(Number) : []
+      } : null
+    };
+  });
+}
+
+/**
+ * Add a relay, or bring back a removed or demoted one
+ * @param {string} url - Relay URL
+ * @returns {Promise<boolean>} Whether the relay was saved
+ */
+async function addRelay(url) {
+  try {
+    await query(
+      `INSERT INTO relays (url, status, added_by)
+       VALUES (?, 'active', 'admin')
+       ON DUPLICATE KEY UPDATE
+       status = 'active',
+       consecutive_failures = 0,
+       demoted_at = NULL`,
+      [url]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error adding relay:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop publishing to a relay
+ * The row is kept so relays from NOSTR_RELAYS stay removed
+ * @param {string} url - Relay URL
+ * @returns {Promise<boolean>} Whether the relay was removed
+ */
+async function removeRelay(url) {
+  try {
+    await query(
+      `INSERT INTO relays (url, status)
+       VALUES (?, 'removed')
+       ON DUPLICATE KEY UPDATE
+       status = 'removed'`,
+      [url]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error removing relay:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  RELAY_STATUSES,
+  getRelayHealthSettings,
+  isValidRelayUrl,
+  toNip11Url,
+  fetchRelayInfo,
+  refreshRelayInfo,
+  recordPublishResults,
+  listRelays,
+  pickRelays,
+  selectRelays,
+  loadRelayList,
+  getRelayHealth,
+  addRelay,
+  removeRelay
+};
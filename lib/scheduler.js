@@ -307,6 +307,9 @@ async function loadScheduleConfig() {
         weekly: false,
         monthly: false,
         annual: false
+      },
+      announcements: {
+        welcome: false
       }
     };
 
@@ -0,0 +1,179 @@
+/**
+ * Amboss Schema Drift Detection
+ * Introspects the live Amboss GraphQL schema and checks that every field StrichBot
+ * queries (listed in ambossSchemaSnapshot.json) still exists
+ */
+
+const { queryAmboss } = require('./amboss');
+const { escapeHtml } = require('./telegram');
+const { ALERT_TYPES, sendAdminAlert } = require('./adminAlerts');
+const snapshot = require('./ambossSchemaSnapshot.json');
+
+// Enough ofType levels for wrappers like [Type!]!
+const INTROSPECTION_QUERY = `
+  query StrichBotSchemaCheck {
+    __schema {
+      queryType {
+        name
+      }
+      types {
+        name
+        fields {
+          name
+          args {
+            name
+          }
+          type {
+            name
+            ofType {
+              name
+              ofType {
+                name
+                ofType {
+                  name
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Get the named type behind NON_NULL and LIST wrappers
+ * @param {Object} typeRef - Introspection type reference
+ * @returns {string|null} Type name
+ */
+function unwrapTypeName(typeRef) {
+  let current = typeRef;
+  while (current && !current.name) {
+    current = current.ofType;
+  }
+  return current ? current.name : null;
+}
+
+/**
+ * Compare an introspected schema against the snapshot of fields StrichBot uses
+ * @param {Object} schema - The `__schema` object from an introspection query
+ * @param {Object} expected - Snapshot of queries, arguments and field paths
+ * @returns {Array} Drift entries { path, problem }, empty when nothing changed
+ */
+function findSchemaDrift(schema, expected = snapshot) {
+  const types = new Map((schema.types || []).map(type => [type.name, type]));
+  const rootType = types.get(schema.queryType?.name);
+  const drift = [];
+
+  if (!rootType) {
+    return [{ path: 'Query', problem: 'Query type missing from schema' }];
+  }
+
+  const findField = (typeName, fieldName) =>
+    (types.get(typeName)?.fields || []).find(field => field.name === fieldName);
+
+  for (const [queryName, { args = [], fields = [] }] of Object.entries(expected.queries)) {
+    const rootField = findField(rootType.name, queryName);
+
+    if (!rootField) {
+      drift.push({ path: queryName, problem: 'query removed or renamed' });
+      continue;
+    }
+
+    for (const arg of args) {
+      if (!rootField.args.some(schemaArg => schemaArg.name === arg)) {
+        drift.push({ path: `${queryName}(${arg})`, problem: 'argument removed or renamed' });
+      }
+    }
+
+    const returnType = unwrapTypeName(rootField.type);
+
+    for (const fieldPath of fields) {
+      let typeName = returnType;
+      const walked = [queryName];
+
+      for (const part of fieldPath.split('.')) {
+        walked.push(part);
+        const field = findField(typeName, part);
+
+        if (!field) {
+          drift.push({ path: walked.join('.'), problem: `field missing on ${typeName}` });
+          break;
+        }
+
+        typeName = unwrapTypeName(field.type);
+      }
+    }
+  }
+
+  return drift;
+}
+
+/**
+ * Introspect the Amboss schema and check it for drift
+ * @param {string} apiKey - Amboss API key
+ * @returns {Promise<Object>} { ok, drift, checkedFields, checkedAt }
+ */
+async function checkSchemaDrift(apiKey) {
+  const data = await queryAmboss(apiKey, INTROSPECTION_QUERY, {});
+
+  if (!data.__schema) {
+    throw new Error('Amboss introspection returned no schema');
+  }
+
+  const drift = findSchemaDrift(data.__schema);
+  const checkedFields = Object.values(snapshot.queries)
+    .reduce((sum, { fields = [] }) => sum + fields.length, 0);
+
+  console.log(`Amboss schema check: ${checkedFields} fields checked, ${drift.length} problems`);
+
+  return {
+    ok: drift.length === 0,
+    drift,
+    checkedFields,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Format a schema drift alert for admins
+ * @param {Array} drift - Drift entries from findSchemaDrift
+ * @returns {string} Formatted admin alert for Telegram
+ */
+function formatSchemaDriftAlert(drift) {
+  const lines = drift.map(entry =>
+    `• <code>${escapeHtml(entry.path)}</code> - ${escapeHtml(entry.problem)}`
+  );
+
+  return `🧬 <b>Amboss Schema Changed</b>
+
+${drift.length === 1 ? 'A field StrichBot relies on' : `${drift.length} fields StrichBot relies on`} no longer match the Amboss API:
+
+${lines.join('\n')}
+
+Posts may fail or show wrong numbers until the queries in lib/amboss.js and lib/ambossSchemaSnapshot.json are updated.
+
+🤖 StrichBot Admin Alert`;
+}
+
+/**
+ * Send a schema drift alert to the admins, on the channels chosen for schema drift alerts
+ * @param {string} botToken - Telegram bot token
+ * @param {string} adminChatId - Admin Telegram chat ID
+ * @param {Array} drift - Drift entries from findSchemaDrift
+ * @returns {Promise<Object>} Send result
+ */
+async function sendSchemaDriftAlert(botToken, adminChatId, drift) {
+  const message = formatSchemaDriftAlert(drift);
+  const result = await sendAdminAlert(ALERT_TYPES.SCHEMA_DRIFT, message, { botToken, chatId: adminChatId });
+
+  console.log(`Sent Amboss schema drift alert (${drift.length} problems)`);
+  return result;
+}
+
+module.exports = {
+  findSchemaDrift,
+  checkSchemaDrift,
+  formatSchemaDriftAlert,
+  sendSchemaDriftAlert
+};
@@ -0,0 +1,232 @@
+/**
+ * Nostr Signer
+ * Signs events either with the local NOSTR_NSEC or through a NIP-46 remote signer (bunker),
+ * so the bot's identity key does not have to live in the deployment config
+ */
+
+const { finalizeEvent, verifyEvent, getPublicKey, nip19, nip44 } = require('nostr-tools');
+const { BunkerSigner, BUNKER_REGEX } = require('nostr-tools/nip46');
+const { withTimeout } = require('./nostr');
+
+const SIGNER_TYPES = {
+  LOCAL: 'local',
+  BUNKER: 'bunker'
+};
+
+// One signer per function instance, so a bunker is only connected once
+let cachedSigner = null;
+
+/**
+ * Get the signer settings from environment variables
+ * A bunker URI takes precedence over NOSTR_NSEC
+ * @returns {Object} { type, nsec, bunkerUri, clientNsec, timeoutMs } - type is null when nothing is configured
+ */
+function getSignerSettings() {
+  const bunkerUri = (process.env.NOSTR_BUNKER_URI || '').trim();
+  const nsec = process.env.NOSTR_NSEC || '';
+  const timeoutMs = parseInt(process.env.NOSTR_BUNKER_TIMEOUT_MS, 10);
+
+  return {
+    type: bunkerUri ? SIGNER_TYPES.BUNKER : nsec ? SIGNER_TYPES.LOCAL : null,
+    nsec,
+    bunkerUri,
+    clientNsec: process.env.NOSTR_BUNKER_CLIENT_NSEC || '',
+    timeoutMs: timeoutMs > 0 ? timeoutMs : 10000
+  };
+}
+
+/**
+ * Decode a private key in nsec format
+ * @param {string} nsec - Private key in nsec format
+ * @param {string} name - Variable name used in the error message
+ * @returns {Uint8Array} Secret key
+ */
+function decodeNsec(nsec, name = 'NOSTR_NSEC') {
+  if (typeof nsec !== 'string' || !nsec.startsWith('nsec1')) {
+    throw new Error(`${name} must be in nsec1 format`);
+  }
+
+  return nip19.decode(nsec).data;
+}
+
+/**
+ * Parse a bunker:// URI
+ * NIP-05 bunker addresses are not supported, as resolving them would need a request on every cold start
+ * @param {string} uri - bunker://<remote pubkey>?relay=wss://...&secret=...
+ * @returns {Object|null} { pubkey, relays, secret }, or null if the URI is invalid or has no relay
+ */
+function parseBunkerUri(uri) {
+  const match = typeof uri === 'string' ? uri.match(BUNKER_REGEX) : null;
+  if (!match) return null;
+
+  const params = new URLSearchParams(match[2]);
+  const relays = params.getAll('relay');
+  if (relays.length === 0) return null;
+
+  return {
+    pubkey: match[1],
+    relays,
+    secret: params.get('secret')
+  };
+}
+
+/**
+ * Create a signer that signs with a local private key
+ * @param {string} nsec - Private key in nsec format
+ * @returns {Object} Signer with type, getPublicKey(), signEvent(template), nip44Encrypt(pubkey, plaintext) and close()
+ */
+function createLocalSigner(nsec) {
+  const secretKey = decodeNsec(nsec);
+  const publicKey = getPublicKey(secretKey);
+
+  return {
+    type: SIGNER_TYPES.LOCAL,
+    getPublicKey: async () => publicKey,
+    signEvent: async (template) => finalizeEvent(template, secretKey),
+    nip44Encrypt: async (pubkey, plaintext) => nip44.encrypt(plaintext, nip44.getConversationKey(secretKey, pubkey)),
+    close: async () => {}
+  };
+}
+
+/**
+ * Connect to a bunker over its relays
+ * @param {Uint8Array} clientSecretKey - Key the bot uses to talk to the bunker
+ * @param {Object} pointer - Parsed bunker URI
+ * @param {number} timeoutMs - Time the bunker has to answer
+ * @returns {Promise<Object>} Connected nostr-tools BunkerSigner
+ */
+async function connectBunker(clientSecretKey, pointer, timeoutMs) {
+  const bunker = BunkerSigner.fromBunker(clientSecretKey, pointer);
+
+  try {
+    await withTimeout(bunker.connect(), timeoutMs, `Bunker did not answer within ${timeoutMs}ms`);
+    return bunker;
+  } catch (error) {
+    await bunker.close();
+    throw error;
+  }
+}
+
+/**
+ * Create a signer that asks a NIP-46 bunker to sign
+ * A bunker call that fails or times out closes the connection, since its state is unknown afterwards
+ * @param {string} bunkerUri - bunker:// URI from the remote signer
+ * @param {string} clientNsec - Key the bot uses to talk to the bunker, kept stable so the bunker keeps trusting it
+ * @param {Object} options - { timeoutMs, connect, onFailure } - connect(clientSecretKey, pointer, timeoutMs) replaces the relay connection,
+ *   onFailure(error) runs after a failed call has closed the connection
+ * @returns {Promise<Object>} Signer with type, getPublicKey(), signEvent(template), nip44Encrypt(pubkey, plaintext) and close()
+ */
+async function createBunkerSigner(bunkerUri, clientNsec, { timeoutMs = 10000, connect = connectBunker, onFailure = () => {} } = {}) {
+  const pointer = parseBunkerUri(bunkerUri);
+  if (!pointer) {
+    throw new Error('NOSTR_BUNKER_URI must be a bunker:// URI with at least one relay');
+  }
+
+  const clientSecretKey = decodeNsec(clientNsec, 'NOSTR_BUNKER_CLIENT_NSEC');
+  const bunker = await connect(clientSecretKey, pointer, timeoutMs);
+  let publicKey = null;
+
+  const request = async (call, message) => {
+    try {
+      return await withTimeout(call(), timeoutMs, message);
+    } catch (error) {
+      try {
+        await bunker.close();
+      } catch (closeError) {
+        console.error('Error closing bunker connection:', closeError.message);
+      }
+      onFailure(error);
+      throw error;
+    }
+  };
+
+  return {
+    type: SIGNER_TYPES.BUNKER,
+    getPublicKey: async () => {
+      if (!publicKey) {
+        publicKey = await request(() => bunker.getPublicKey(), 'Bunker did not return its public key in time');
+      }
+      return publicKey;
+    },
+    signEvent: async (template) => {
+      const event = await request(() => bunker.signEvent(template), 'Bunker did not sign the event in time');
+
+      // Never trust the remote blindly: the event must be validly signed by the expected key
+      if (!verifyEvent(event) || (publicKey && event.pubkey !== publicKey)) {
+        throw new Error('Bunker returned an invalid signature');
+      }
+      return event;
+    },
+    nip44Encrypt: (pubkey, plaintext) =>
+      request(() => bunker.nip44Encrypt(pubkey, plaintext), 'Bunker did not encrypt the message in time'),
+    close: () => bunker.close()
+  };
+}
+
+/**
+ * Get the configured signer
+ * A bunker signer is dropped after a failed call, so the next call connects again
+ * @returns {Promise<Object>} Local or bunker signer
+ */
+async function getSigner() {
+  if (cachedSigner) return cachedSigner;
+
+  const settings = getSignerSettings();
+
+  if (settings.type === SIGNER_TYPES.BUNKER) {
+    const signer = await createBunkerSigner(settings.bunkerUri, settings.clientNsec, {
+      timeoutMs: settings.timeoutMs,
+      onFailure: () => {
+        if (cachedSigner === signer) cachedSigner = null;
+      }
+    });
+    cachedSigner = signer;
+  } else if (settings.type === SIGNER_TYPES.LOCAL) {
+    cachedSigner = createLocalSigner(settings.nsec);
+  } else {
+    throw new Error('NOSTR_NSEC or NOSTR_BUNKER_URI environment variable is required');
+  }
+
+  console.log(`Nostr signer ready (${cachedSigner.type})`);
+  return cachedSigner;
+}
+
+/**
+ * Describe the signer configuration without connecting to a bunker
+ * @returns {Object} { type, valid, details }
+ */
+function describeSigner() {
+  const settings = getSignerSettings();
+
+  if (settings.type === SIGNER_TYPES.BUNKER) {
+    const pointer = parseBunkerUri(settings.bunkerUri);
+    const hasClientKey = settings.clientNsec.startsWith('nsec1');
+
+    return {
+      type: settings.type,
+      valid: !!pointer && hasClientKey,
+      details: !pointer
+        ? 'bunker URI is invalid or has no relay'
+        : hasClientKey
+          ? `bunker ${pointer.pubkey.substring(0, 8)}… via ${pointer.relays.length} relays`
+          : 'NOSTR_BUNKER_CLIENT_NSEC missing or not in nsec1 format'
+    };
+  }
+
+  if (settings.type === SIGNER_TYPES.LOCAL) {
+    const valid = settings.nsec.startsWith('nsec1');
+    return { type: settings.type, valid, details: `local key, format: ${valid ? 'valid' : 'invalid'}` };
+  }
+
+  return { type: null, valid: false, details: 'no key or bunker configured' };
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  getSignerSettings,
+  parseBunkerUri,
+  createLocalSigner,
+  createBunkerSigner,
+  getSigner,
+  describeSigner
+};
@@ -0,0 +1,76 @@
+/**
+ * Data Source Health
+ * Records successes and failures of external block data sources so admins can see
+ * which one is failing and how often the fallback is used
+ */
+
+const { query } = require('./database');
+
+/**
+ * Record a successful request to a source
+ * @param {string} name - Source name
+ * @returns {Promise<void>}
+ */
+async function recordSourceSuccess(name) {
+  try {
+    await query(
+      `INSERT INTO source_health (name, last_success_at, consecutive_failures, total_successes)
+       VALUES (?, NOW(), 0, 1)
+       ON DUPLICATE KEY UPDATE
+       last_success_at = NOW(),
+       consecutive_failures = 0,
+       total_successes = total_successes + 1`,
+      [name]
+    );
+  } catch (error) {
+    console.error('Error recording source success:', error);
+  }
+}
+
+/**
+ * Record a failed request to a source
+ * @param {string} name - Source name
+ * @param {string} errorMessage - Error message to store
+ * @returns {Promise<void>}
+ */
+async function recordSourceFailure(name, errorMessage) {
+  try {
+    await query(
+      `INSERT INTO source_health (name, last_failure_at, last_error, consecutive_failures, total_failures)
+       VALUES (?, NOW(), ?, 1, 1)
+       ON DUPLICATE KEY UPDATE
+       last_failure_at = NOW(),
+       last_error = VALUES(last_error),
+       consecutive_failures = consecutive_failures + 1,
+       total_failures = total_failures + 1`,
+      [name, errorMessage]
+    );
+  } catch (error) {
+    console.error('Error recording source failure:', error);
+  }
+}
+
+/**
+ * Load the recorded health of every source
+ * @returns {Promise<Array>} Sources with last success/failure, last error and failure counts
+ */
+async function getSourceHealth() {
+  const rows = await query('SELECT * FROM source_health ORDER BY name');
+
+  return rows.map(row => ({
+    name: row.name,
+    healthy: row.consecutive_failures === 0,
+    lastSuccessAt: row.last_success_at,
+    lastFailureAt: row.last_failure_at,
+    lastError: row.last_error,
+    consecutiveFailures: row.consecutive_failures,
+    totalSuccesses: row.total_successes,
+    totalFailures: row.total_failures
+  }));
+}
+
+module.exports = {
+  recordSourceSuccess,
+  recordSourceFailure,
+  getSourceHealth
+};
@@ -3,7 +3,11 @@
  */
 
 const TelegramBot = require('node-telegram-bot-api');
-const { getStatsFromDaysAgo } = require('./dataStore');
+const { getStatsFromDaysAgo, formatStaleNotice } = require('./dataStore');
+const { formatChannelSize } = require('./channelDistribution');
+const { getNetworkShareTrend, formatShare, formatShareChange } = require('./networkShare');
+const { DEFAULT_DISPLAY, formatBtcAmount, formatFiatSuffix } = require('./prices');
+const { formatBlockHeight, formatFeeRates, formatDifficultyAdjustment, formatMempoolSize } = require('./mempool');
 
 /**
  * Send a message to a Telegram group/channel
@@ -57,13 +61,16 @@ async function sendMessage(botToken, chatId, message, options = {}) {
  * Format community statistics for Telegram
  * @param {Object} stats - Statistics object from Amboss
  * @param {Object} blockData - Bitcoin block data from Mempool.space
+ * @param {Object} display - Capacity unit, fiat currencies and BTC prices ({ unit, currencies, prices })
  * @returns {string} Formatted message for Telegram
  */
-function formatStatsMessageForTelegram(stats, blockData = null) {
-  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source } = stats;
+function formatStatsMessageForTelegram(stats, blockData = null, display = DEFAULT_DISPLAY) {
+  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source, communityId } = stats;
+  const communityName = stats.communityName || 'Nodestrich ♾️';
 
-  // Format the capacity
-  const capacityBTC = typeof totalCapacity === 'number' ? totalCapacity.toFixed(2) : totalCapacity;
+  // Format the capacity in the admin-selected unit, with fiat values when prices are available
+  const formattedCapacity = formatBtcAmount(totalCapacity, display.unit);
+  const capacityFiat = formatFiatSuffix(totalCapacity, display);
 
   // Format numbers with commas
   const formattedMembers = memberCount.toLocaleString();
@@ -74,18 +81,40 @@ function formatStatsMessageForTelegram(stats, blockData = null) {
     ? `👥 Members: <b>${formattedMembers} + ${pendingRequests} pending</b>`
     : `👥 Members: <b>${formattedMembers}</b>`;
 
+  // Channel size distribution when Amboss returned member node data
+  const channelSizeLine = stats.channelSizes
+    ? `\n📏 Avg Channel: <b>${formatChannelSize(stats.channelSizes.mean)} BTC</b> (median ${formatChannelSize(stats.channelSizes.median)})`
+    : '';
+
+  // Credit Amboss unless the stats came from another data source
+  const sourceLabel = source && source !== 'Amboss' ? source : 'Amboss.space';
+
+  // Note figures that were filled in from stored data
+  const staleLine = stats.stale ? `\n${formatStaleNotice(stats)}` : '';
+
+  // Bitcoin network context, each line only when Mempool.space returned it
+  const networkLines = [
+    blockData?.fees && `💸 Fees: <b>${formatFeeRates(blockData.fees)}</b>`,
+    blockData?.difficulty && `⛏️ Difficulty: <b>${formatDifficultyAdjustment(blockData.difficulty)}</b>`,
+    blockData?.halving && `🌗 Halving: <b>${formatBlockHeight(blockData.halving.blocksLeft)} blocks</b> to go`,
+    blockData?.mempool && `📦 Mempool: <b>${formatMempoolSize(blockData.mempool)}</b>`
+  ].filter(Boolean);
+  const networkSection = networkLines.length > 0
+    ? `\n\n⛓️ <b>Bitcoin Network:</b>\n\n${networkLines.join('\n')}`
+    : '';
+
   // Use HTML formatting for Telegram
-  const message = `⚡ <b>Nodestrich ♾️ Community Update</b> ⚡
+  const message = `⚡ <b>${communityName} Community Update</b> ⚡
 
 📊 <b>Group Stats:</b>
 
 ${membersLine}
 🔗 Channels: <b>${formattedChannels}</b>
-🪙 Capacity: <b>${capacityBTC} BTC</b>
+🪙 Capacity: <b>${formattedCapacity}</b>${capacityFiat}${channelSizeLine}
 
-📈 Data from Amboss.space
+📈 Data from ${sourceLabel}${staleLine}${networkSection}
 
-${blockData ? `Block Height: <b>${blockData.height}</b>` : ''}
+${blockData?.height ? `Block Height: <b>${blockData.height}</b>` : ''}
 ${new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16)} UTC
 
 📢 Nodestrich is moving to Signal!
@@ -124,13 +153,16 @@ function calculatePercentageChange(current, previous) {
  * Format community statistics with 7-day trends for Telegram
  * @param {Object} stats - Statistics object from Amboss
  * @param {Object} blockData - Bitcoin block data from Mempool.space
+ * @param {Object} display - Capacity unit, fiat currencies and BTC prices ({ unit, currencies, prices })
  * @returns {Promise<string>} Formatted message for Telegram
  */
-async function formatWeeklyStatsMessageForTelegram(stats, blockData = null) {
-  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source } = stats;
+async function formatWeeklyStatsMessageForTelegram(stats, blockData = null, display = DEFAULT_DISPLAY) {
+  const { memberCount, totalChannels, totalCapacity, pendingRequests, timestamp, source, communityId } = stats;
+  const communityName = stats.communityName || 'Nodestrich ♾️';
 
-  // Format the capacity
-  const capacityBTC = typeof totalCapacity === 'number' ? totalCapacity.toFixed(2) : totalCapacity;
+  // Format the capacity in the admin-selected unit, with fiat values when prices are available
+  const formattedCapacity = formatBtcAmount(totalCapacity, display.unit);
+  const capacityFiat = formatFiatSuffix(totalCapacity, display);
 
   // Format numbers with commas
   const formattedMembers = memberCount.toLocaleString();
@@ -141,8 +173,9 @@ async function formatWeeklyStatsMessageForTelegram(stats, blockData = null) {
 
   // Get stats from 7 days ago for comparison
   let trendSection = '';
+  let weekAgoStats = null;
   try {
-    const weekAgoStats = await getStatsFromDaysAgo(7);
+    weekAgoStats = await getStatsFromDaysAgo(7, communityId);
 
     if (weekAgoStats) {
       // Calculate changes
@@ -161,7 +194,7 @@ async function formatWeeklyStatsMessageForTelegram(stats, blockData = null) {
       // Format changes with + or - sign
       const formattedMemberChange = memberChange >= 0 ? `+${memberChange}` : `${memberChange}`;
       const formattedChannelChange = channelChange >= 0 ? `+${channelChange.toLocaleString()}` : `${channelChange.toLocaleString()}`;
-      const formattedCapacityChange = capacityChange >= 0 ? `+${capacityChange.toFixed(2)}` : `${capacityChange.toFixed(2)}`;
+      const formattedCapacityChange = formatBtcAmount(capacityChange, display.unit, true);
       const formattedMemberPercent = memberPercentChange >= 0 ? `+${memberPercentChange.toFixed(2)}` : `${memberPercentChange.toFixed(2)}`;
       const formattedChannelPercent = channelPercentChange >= 0 ? `+${channelPercentChange.toFixed(2)}` : `${channelPercentChange.toFixed(2)}`;
       const formattedCapacityPercent = capacityPercentChange >= 0 ? `+${capacityPercentChange.toFixed(2)}` : `${capacityPercentChange.toFixed(2)}`;
@@ -173,14 +206,14 @@ async function formatWeeklyStatsMessageForTelegram(stats, blockData = null) {
 🔗 Channels: <b>${formattedChannels}</b>
    7-day change: ${formattedChannelChange} (${formattedChannelPercent}%)
 
-🪙 Capacity: <b>${capacityBTC} BTC</b>
-   7-day change: ${formattedCapacityChange} BTC (${formattedCapacityPercent}%)`;
+🪙 Capacity: <b>${formattedCapacity}</b>${capacityFiat}
+   7-day change: ${formattedCapacityChange} (${formattedCapacityPercent}%)`;
     } else {
       // No historical data available, use simple format
       trendSection = `
 👥 Members: <b>${formattedMembers}${pendingSuffix}</b>
 🔗 Channels: <b>${formattedChannels}</b>
-🪙 Capacity: <b>${capacityBTC} BTC</b>`;
+🪙 Capacity: <b>${formattedCapacity}</b>${capacityFiat}`;
     }
   } catch (error) {
     console.error('Error fetching trend data:', error);
@@ -188,18 +221,38 @@ async function formatWeeklyStatsMessageForTelegram(stats, blockData = null) {
     trendSection = `
 👥 Members: <b>${formattedMembers}${pendingSuffix}</b>
 🔗 Channels: <b>${formattedChannels}</b>
-🪙 Capacity: <b>${capacityBTC} BTC</b>`;
+🪙 Capacity: <b>${formattedCapacity}</b>${capacityFiat}`;
   }
 
+  // Share of the whole Lightning Network, using the totals stored with stale figures when there are any
+  let networkShareSection = '';
+  const networkShare = getNetworkShareTrend(stats, stats.networkStats || blockData?.lightning, weekAgoStats);
+  if (networkShare) {
+    networkShareSection = `
+
+🌐 Network Share: <b>${formatShare(networkShare.capacityShare)}</b> of capacity, <b>${formatShare(networkShare.channelShare)}</b> of channels`;
+
+    if (networkShare.capacityChange !== null) {
+      networkShareSection += `
+   7-day change: ${formatShareChange(networkShare.capacityChange)} / ${formatShareChange(networkShare.channelChange)} pts (capacity / channels)`;
+    }
+  }
+
+  // Credit Amboss unless the stats came from another data source
+  const sourceLabel = source && source !== 'Amboss' ? source : 'Amboss.space';
+
+  // Note figures that were filled in from stored data
+  const staleLine = stats.stale ? `\n${formatStaleNotice(stats)}` : '';
+
   // Use HTML formatting for Telegram
-  const message = `⚡ <b>Nodestrich ♾️ Community Update</b> ⚡
+  const message = `⚡ <b>${communityName} Community Update</b> ⚡
 
 📊 <b>Group Stats:</b>
-${trendSection}
+${trendSection}${networkShareSection}
 
-📈 Data from Amboss.space
+📈 Data from ${sourceLabel}${staleLine}
 
-${blockData ? `Block Height: <b>${blockData.height}</b>` : ''}
+${blockData?.height ? `Block Height: <b>${blockData.height}</b>` : ''}
 ${new Date(timestamp).toISOString().replace('T', ' ').substring(0, 16)} UTC
 
 📢 Nodestrich is moving to Signal!
@@ -210,6 +263,18 @@ Update powered by StrichBot ♾️🤖⚡`;
   return message;
 }
 
+/**
+ * Escape text for Telegram HTML parse mode
+ * @param {string} text - Untrusted text such as a node alias
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 /**
  * Validate Telegram configuration
  * @param {string} botToken - Telegram bot token
@@ -239,5 +304,6 @@ module.exports = {
   sendMessage,
   formatStatsMessageForTelegram,
   formatWeeklyStatsMessageForTelegram,
-  validateTelegramConfig
+  validateTelegramConfig,
+  escapeHtml
 };
\ No newline at end of file
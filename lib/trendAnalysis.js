@@ -109,19 +109,32 @@ function analyzeTrends(current, previous) {
   analysis.channels.indicator = getTrendIndicator(analysis.channels.percentage);
   analysis.capacity.indicator = getTrendIndicator(analysis.capacity.percentage);
 
+  // Channel size distribution is only available for days with member node data
+  if (current.channelSizes && previous.channelSizes) {
+    analysis.avgChannelSize = {
+      current: current.channelSizes.mean,
+      previous: previous.channelSizes.mean,
+      median: current.channelSizes.median,
+      absolute: calculateAbsoluteChange(current.channelSizes.mean, previous.channelSizes.mean),
+      percentage: calculatePercentageChange(current.channelSizes.mean, previous.channelSizes.mean)
+    };
+    analysis.avgChannelSize.indicator = getTrendIndicator(analysis.avgChannelSize.percentage);
+  }
+
   return analysis;
 }
 
 /**
  * Generate weekly trend report
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object>} Weekly trend analysis
  */
-async function generateWeeklyReport() {
+async function generateWeeklyReport(communityId = null) {
   try {
     console.log('Generating weekly trend report...');
 
-    const current = await getLatestStats();
-    const weekAgo = await getStatsFromDaysAgo(7);
+    const current = await getLatestStats(communityId);
+    const weekAgo = await getStatsFromDaysAgo(7, communityId);
 
     const analysis = analyzeTrends(current, weekAgo);
 
@@ -145,14 +158,15 @@ async function generateWeeklyReport() {
 
 /**
  * Generate monthly trend report
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object>} Monthly trend analysis
  */
-async function generateMonthlyReport() {
+async function generateMonthlyReport(communityId = null) {
   try {
     console.log('Generating monthly trend report...');
 
-    const current = await getLatestStats();
-    const monthAgo = await getStatsFromDaysAgo(30);
+    const current = await getLatestStats(communityId);
+    const monthAgo = await getStatsFromDaysAgo(30, communityId);
 
     const analysis = analyzeTrends(current, monthAgo);
 
@@ -176,14 +190,15 @@ async function generateMonthlyReport() {
 
 /**
  * Generate annual trend report
+ * @param {string} communityId - Amboss community ID (defaults to COMMUNITY_ID)
  * @returns {Promise<Object>} Annual trend analysis
  */
-async function generateAnnualReport() {
+async function generateAnnualReport(communityId = null) {
   try {
     console.log('Generating annual trend report...');
 
-    const current = await getLatestStats();
-    const yearAgo = await getStatsFromDaysAgo(365);
+    const current = await getLatestStats(communityId);
+    const yearAgo = await getStatsFromDaysAgo(365, communityId);
 
     const analysis = analyzeTrends(current, yearAgo);
 
@@ -240,7 +255,8 @@ ${report.period} comparison
 
 👥 Members: ${formatNumber(analysis.members.current)} (${formatPercentageChange(analysis.members.percentage)}) ${analysis.members.indicator}
 🔗 Channels: ${formatNumber(analysis.channels.current)} (${formatPercentageChange(analysis.channels.percentage)}) ${analysis.channels.indicator}
-🪙 Capacity: ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}
+🪙 Capacity: ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}${analysis.avgChannelSize ? `
+📏 Avg Channel: ${formatNumber(analysis.avgChannelSize.current, 3)} BTC, median ${formatNumber(analysis.avgChannelSize.median, 3)} (${formatPercentageChange(analysis.avgChannelSize.percentage)}) ${analysis.avgChannelSize.indicator}` : ''}
 
 📈 Growth Summary:
 • Members: ${analysis.members.absolute >= 0 ? '+' : ''}${formatNumber(analysis.members.absolute)}
@@ -284,7 +300,8 @@ ${report.analysis.reason}
 
 👥 <b>Members:</b> ${formatNumber(analysis.members.current)} (${formatPercentageChange(analysis.members.percentage)}) ${analysis.members.indicator}
 🔗 <b>Channels:</b> ${formatNumber(analysis.channels.current)} (${formatPercentageChange(analysis.channels.percentage)}) ${analysis.channels.indicator}
-🪙 <b>Capacity:</b> ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}
+🪙 <b>Capacity:</b> ${formatNumber(analysis.capacity.current, 2)} BTC (${formatPercentageChange(analysis.capacity.percentage)}) ${analysis.capacity.indicator}${analysis.avgChannelSize ? `
+📏 <b>Avg Channel:</b> ${formatNumber(analysis.avgChannelSize.current, 3)} BTC, median ${formatNumber(analysis.avgChannelSize.median, 3)} (${formatPercentageChange(analysis.avgChannelSize.percentage)}) ${analysis.avgChannelSize.indicator}` : ''}
 
 📈 <b>Growth Summary:</b>
 • Members: ${analysis.members.absolute >= 0 ? '+' : ''}${formatNumber(analysis.members.absolute)}
@@ -33,6 +33,34 @@ class StrichBotAdmin {
             this.saveApiConfig();
         });
 
+        document.getElementById('add-api-key').addEventListener('click', () => {
+            this.addApiKey();
+        });
+
+        document.getElementById('save-display').addEventListener('click', () => {
+            this.saveDisplay();
+        });
+
+        document.getElementById('save-alerts').addEventListener('click', () => {
+            this.saveAlerts();
+        });
+
+        document.getElementById('add-relay').addEventListener('click', () => {
+            this.addRelay();
+        });
+
+        document.getElementById('save-profile').addEventListener('click', () => {
+            this.saveProfile();
+        });
+
+        document.getElementById('publish-identity').addEventListener('click', () => {
+            this.publishIdentity();
+        });
+
+        document.getElementById('rebroadcast-event').addEventListener('click', () => {
+            this.rebroadcastEvent(document.getElementById('rebroadcast-event-id').value.trim());
+        });
+
         // Testing Tools
         document.getElementById('test-telegram').addEventListener('click', () => {
             this.testTelegram();
@@ -46,6 +74,14 @@ class StrichBotAdmin {
             this.testApiKey();
         });
 
+        document.getElementById('test-schema').addEventListener('click', () => {
+            this.testSchema();
+        });
+
+        document.getElementById('test-nostr-dm').addEventListener('click', () => {
+            this.testNostrDm();
+        });
+
         // Data Export
         document.getElementById('export-csv').addEventListener('click', () => {
             this.exportData();
@@ -123,7 +159,10 @@ class StrichBotAdmin {
         try {
             await Promise.allSettled([
                 this.loadSystemStatus(),
-                this.loadConfiguration()
+                this.loadConfiguration(),
+                this.loadApiKeys(),
+                this.loadRelays(),
+                this.loadProfile()
             ]);
         } catch (error) {
             console.error('Error loading dashboard data:', error);
@@ -192,12 +231,31 @@ class StrichBotAdmin {
         }
     }
 
-    populateConfig(config) {
+    populateConfig(data) {
+        const config = data.configuration || data;
+
         // Update daily posts toggle
         if (config.categories) {
             document.getElementById('daily-enabled').checked = config.categories.daily || false;
         }
 
+        // Update welcome posts toggle
+        document.getElementById('welcome-enabled').checked = config.announcements?.welcome || false;
+
+        // Update capacity display settings
+        ['nostr', 'telegram'].forEach(platform => {
+            const display = config.display?.[platform];
+            document.getElementById(`${platform}-unit`).value = display?.unit || 'btc';
+            document.getElementById(`${platform}-usd`).checked = display?.currencies?.includes('USD') || false;
+            document.getElementById(`${platform}-eur`).checked = display?.currencies?.includes('EUR') || false;
+        });
+
+        // Update admin alert recipients and routes
+        document.getElementById('alert-npubs').value = (config.alerts?.npubs || []).join('\n');
+        ['key_expiry', 'key_rotation', 'amboss_failure', 'post_failure', 'schema_drift', 'member_departure'].forEach(type => {
+            document.getElementById(`alert-route-${type}`).value = config.alerts?.routes?.[type] || 'telegram';
+        });
+
         // Update API key expiry if available
         if (config.environment?.apiKeyExpiry) {
             const expiryDate = new Date(config.environment.apiKeyExpiry);
@@ -221,6 +279,9 @@ class StrichBotAdmin {
                     weekly: false,
                     monthly: false,
                     annual: false
+                },
+                announcements: {
+                    welcome: document.getElementById('welcome-enabled').checked
                 }
             };
 
@@ -236,6 +297,116 @@ class StrichBotAdmin {
         }
     }
 
+    async saveDisplay() {
+        try {
+            const display = {};
+            ['nostr', 'telegram'].forEach(platform => {
+                display[platform] = {
+                    unit: document.getElementById(`${platform}-unit`).value,
+                    currencies: ['USD', 'EUR'].filter(currency =>
+                        document.getElementById(`${platform}-${currency.toLowerCase()}`).checked
+                    )
+                };
+            });
+
+            const response = await this.apiCall('/api/admin/schedule', 'POST', { display });
+
+            if (response.success) {
+                this.showMessage('Display settings saved successfully!', 'success');
+            } else {
+                throw new Error(response.error || 'Failed to save display settings');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to save display settings: ${error.message}`, 'error');
+        }
+    }
+
+    async saveAlerts() {
+        try {
+            const routes = {};
+            ['key_expiry', 'key_rotation', 'amboss_failure', 'post_failure', 'schema_drift', 'member_departure'].forEach(type => {
+                routes[type] = document.getElementById(`alert-route-${type}`).value;
+            });
+
+            const alerts = {
+                npubs: document.getElementById('alert-npubs').value,
+                routes
+            };
+
+            const response = await this.apiCall('/api/admin/schedule', 'POST', { alerts });
+
+            if (response.success) {
+                this.showMessage('Alert settings saved successfully!', 'success');
+                this.loadConfiguration();
+            } else {
+                throw new Error(response.error || 'Failed to save alert settings');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to save alert settings: ${error.message}`, 'error');
+        }
+    }
+
+    async loadProfile() {
+        try {
+            const response = await this.apiCall('/api/admin/profile', 'GET');
+            if (response.success && response.data) {
+                this.renderProfile(response.data);
+            }
+        } catch (error) {
+            console.error('Error loading profile:', error);
+        }
+    }
+
+    renderProfile(identity) {
+        ['name', 'about', 'picture', 'nip05', 'lud16'].forEach(field => {
+            document.getElementById(`profile-${field}`).value = identity.profile[field] || '';
+        });
+
+        const relayList = identity.published.relayList;
+        document.getElementById('identity-status').textContent = relayList
+            ? `Relay list: ${relayList.relays.length} relays, published ${new Date(relayList.publishedAt).toLocaleString()}${relayList.upToDate ? '' : ' (outdated)'}`
+            : `Relay list: not published yet (${identity.relays.length} relays)`;
+    }
+
+    async saveProfile() {
+        try {
+            const profile = {};
+            ['name', 'about', 'picture', 'nip05', 'lud16'].forEach(field => {
+                profile[field] = document.getElementById(`profile-${field}`).value.trim();
+            });
+
+            this.showMessage('Saving and publishing profile...', 'info');
+
+            const response = await this.apiCall('/api/admin/profile', 'POST', { action: 'save', profile });
+
+            if (response.success) {
+                this.showMessage(response.message, 'success');
+                this.loadProfile();
+            } else {
+                throw new Error(response.error || 'Failed to save profile');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to save profile: ${error.message}`, 'error');
+        }
+    }
+
+    async publishIdentity() {
+        try {
+            this.showMessage('Publishing profile and relay list...', 'info');
+
+            const response = await this.apiCall('/api/admin/profile', 'POST', { action: 'publish' });
+
+            if (response.success) {
+                this.showMessage(response.message, 'success');
+                this.loadProfile();
+            } else {
+                throw new Error(response.error || 'Failed to publish relay list');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to publish relay list: ${error.message}`, 'error');
+        }
+    }
+
     async saveApiConfig() {
         try {
             const expiryDate = document.getElementById('api-expiry-date').value;
@@ -263,6 +434,238 @@ class StrichBotAdmin {
         }
     }
 
+    async loadApiKeys() {
+        try {
+            const response = await this.apiCall('/api/admin/api-keys', 'GET');
+            if (response.success && response.data) {
+                this.renderApiKeys(response.data.keys, response.data.activeKey);
+            }
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+        }
+    }
+
+    renderApiKeys(keys, activeKeyName) {
+        const list = document.getElementById('api-key-list');
+        list.innerHTML = '';
+
+        keys.forEach(key => {
+            const row = document.createElement('div');
+            row.className = 'key-row';
+
+            const expiry = key.expiryDate ? new Date(key.expiryDate).toISOString().slice(0, 10) : 'no expiry';
+            const status = key.keyName === activeKeyName ? '🟢 active' :
+                          key.status === 'failed' ? '🔴 failed' :
+                          key.status === 'retired' ? '⚪ retired' : '🟡 standby';
+
+            const label = document.createElement('span');
+            label.textContent = `${key.keyName} • ${status} • ${expiry}${key.configured ? '' : ' • not set in Vercel'}`;
+            if (key.lastError) label.title = key.lastError;
+            row.appendChild(label);
+
+            if (key.keyName !== activeKeyName && key.configured) {
+                const button = document.createElement('button');
+                button.className = 'btn secondary';
+                button.textContent = 'Activate';
+                button.addEventListener('click', () => this.activateApiKey(key.keyName));
+                row.appendChild(button);
+            }
+
+            list.appendChild(row);
+        });
+    }
+
+    async addApiKey() {
+        try {
+            const keyName = document.getElementById('new-key-name').value.trim();
+            const expiryDate = document.getElementById('new-key-expiry').value;
+            const priority = document.getElementById('new-key-priority').value;
+
+            if (!keyName) {
+                this.showMessage('Please enter the environment variable name of the key', 'error');
+                return;
+            }
+
+            const response = await this.apiCall('/api/admin/api-keys', 'POST', {
+                action: 'save',
+                key: {
+                    keyName,
+                    expiryDate: expiryDate ? new Date(expiryDate).toISOString() : null,
+                    priority
+                }
+            });
+
+            if (response.success) {
+                this.showMessage(response.message, 'success');
+                this.loadApiKeys();
+            } else {
+                throw new Error(response.error || 'Failed to save API key');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to save API key: ${error.message}`, 'error');
+        }
+    }
+
+    async activateApiKey(keyName) {
+        try {
+            const response = await this.apiCall('/api/admin/api-keys', 'POST', { action: 'activate', keyName });
+
+            if (response.success) {
+                this.showMessage(response.message, 'success');
+                this.loadAllData();
+            } else {
+                throw new Error(response.error || 'Failed to activate API key');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to activate API key: ${error.message}`, 'error');
+        }
+    }
+
+    async loadRelays() {
+        try {
+            const response = await this.apiCall('/api/admin/relays', 'GET');
+            if (response.success && response.data) {
+                this.renderRelays(response.data.relays, response.data.settings);
+                this.renderRebroadcast(response.data.rebroadcast);
+            }
+        } catch (error) {
+            console.error('Error loading relays:', error);
+        }
+    }
+
+    renderRelays(relays, settings) {
+        const list = document.getElementById('relay-list');
+        list.innerHTML = '';
+
+        relays.forEach(relay => {
+            const row = document.createElement('tr');
+
+            const status = relay.status === 'removed' ? '⚪ removed' :
+                          relay.status === 'demoted' ? (relay.selected ? '🟠 retrying' : '🔴 demoted') : '🟢 active';
+            const cells = [
+                relay.info?.name ? `${relay.url} (${relay.info.name})` : relay.url,
+                status,
+                relay.successRate !== null ? `${relay.successRate}% of ${relay.attempts} (${settings.windowDays}d)` : 'No data',
+                relay.avgLatencyMs !== null ? `${relay.avgLatencyMs} ms` : '—',
+                String(relay.consecutiveFailures)
+            ];
+
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 0 && relay.info?.software) cell.title = `${relay.info.software} ${relay.info.version || ''}`.trim();
+                if (index === 1 && relay.lastError) cell.title = relay.lastError;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'btn secondary';
+            if (relay.status === 'active') {
+                button.textContent = 'Remove';
+                button.addEventListener('click', () => this.updateRelay('remove', relay.url));
+            } else {
+                button.textContent = 'Restore';
+                button.addEventListener('click', () => this.updateRelay('add', relay.url));
+            }
+            actionCell.appendChild(button);
+            row.appendChild(actionCell);
+
+            list.appendChild(row);
+        });
+    }
+
+    renderRebroadcast(rebroadcast) {
+        const { queue, recentEvents } = rebroadcast;
+        document.getElementById('rebroadcast-queue').textContent =
+            `Queue: ${queue.pending} pending • ${queue.delivered} delivered • ${queue.abandoned} given up`;
+
+        const list = document.getElementById('recent-events');
+        list.innerHTML = '';
+
+        recentEvents.forEach(event => {
+            const row = document.createElement('tr');
+
+            const cells = [
+                `${event.eventId.substring(0, 12)}… ${event.preview}`,
+                new Date(event.createdAt).toLocaleString(),
+                String(event.pendingRelays)
+            ];
+
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 0) cell.title = event.eventId;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'btn secondary';
+            button.textContent = 'Rebroadcast';
+            button.addEventListener('click', () => this.rebroadcastEvent(event.eventId));
+            actionCell.appendChild(button);
+            row.appendChild(actionCell);
+
+            list.appendChild(row);
+        });
+    }
+
+    async rebroadcastEvent(eventId) {
+        if (!eventId) {
+            this.showMessage('Please enter an event ID', 'error');
+            return;
+        }
+
+        try {
+            this.showMessage('Rebroadcasting event...', 'info');
+
+            const response = await this.apiCall('/api/admin/relays', 'POST', { action: 'rebroadcast', eventId });
+
+            if (response.success) {
+                this.showMessage(response.message, 'success');
+                document.getElementById('rebroadcast-event-id').value = '';
+                this.loadRelays();
+            } else {
+                throw new Error(response.error || 'Failed to rebroadcast event');
+            }
+        } catch (error) {
+            this.showMessage(`Failed to rebroadcast event: ${error.message}`, 'error');
+        }
+    }
+
+    async addRelay() {
+        const url = document.getElementById('new-relay-url').value.trim();
+
+        if (!url) {
+            this.showMessage('Please enter a relay URL', 'error');
+            return;
+        }
+
+        if (await this.updateRelay('add', url)) {
+            document.getElementById('new-relay-url').value = '';
+        }
+    }
+
+    async updateRelay(action, url) {
+        try {
+            const response = await this.apiCall('/api/admin/relays', 'POST', { action, url });
+
+            if (response.success) {
+                // The relay list is re-published with every relay change
+                const note = response.identity && !response.identity.published ? ' (relay list not re-published)' : '';
+                this.showMessage(`${response.message}${note}`, note ? 'error' : 'success');
+                this.loadRelays();
+                this.loadProfile();
+                return true;
+            }
+            throw new Error(response.error || `Failed to ${action} relay`);
+        } catch (error) {
+            this.showMessage(`Failed to ${action} relay: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
     async testTelegram() {
         try {
             this.showMessage('Sending test Telegram message...', 'info');
@@ -320,6 +723,47 @@ class StrichBotAdmin {
         }
     }
 
+    async testSchema() {
+        try {
+            this.showMessage('Checking Amboss schema...', 'info');
+
+            const response = await this.apiCall('/api/admin/test-notification', 'POST', {
+                type: 'schema-check'
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || response.details || 'Schema check failed');
+            }
+
+            if (response.data.ok) {
+                this.showMessage(`✅ ${response.message}`, 'success');
+            } else {
+                const fields = response.data.drift.map(entry => entry.path).join(', ');
+                this.showMessage(`⚠️ ${response.message}: ${fields}`, 'error');
+            }
+        } catch (error) {
+            this.showMessage(`❌ Schema check failed: ${error.message}`, 'error');
+        }
+    }
+
+    async testNostrDm() {
+        try {
+            this.showMessage('Sending test DM to the admin npubs...', 'info');
+
+            const response = await this.apiCall('/api/admin/test-notification', 'POST', {
+                type: 'nostr-dm'
+            });
+
+            if (response.success) {
+                this.showMessage(`✅ ${response.message}`, 'success');
+            } else {
+                throw new Error(response.error || response.details || 'Nostr DM test failed');
+            }
+        } catch (error) {
+            this.showMessage(`❌ Nostr DM test failed: ${error.message}`, 'error');
+        }
+    }
+
     async exportData() {
         try {
             const startDate = document.getElementById('export-start').value;
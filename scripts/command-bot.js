@@ -0,0 +1,60 @@
+/**
+ * Long-running Nostr command worker for StrichBot
+ * Keeps a subscription open on the bot's relays and answers commands as they arrive,
+ * for hosts that can run a process next to the Vercel deployment
+ * Run with: npm run command-bot
+ */
+
+const { parseRelays } = require('../lib/nostr');
+const { selectRelays } = require('../lib/relayHealth');
+const { getSigner } = require('../lib/signer');
+const { listenForCommands } = require('../lib/commandBot');
+const { closePool } = require('../lib/database');
+
+// Resubscribe regularly so dropped relay connections and relay changes from the admin panel are picked up
+const RESUBSCRIBE_MS = 60 * 60 * 1000;
+
+let listener = null;
+let timer = null;
+let stopping = false;
+
+async function subscribe(signer) {
+  const relays = await selectRelays(parseRelays(process.env.NOSTR_RELAYS));
+  const previous = listener;
+
+  // Mentions from the lookback window are handed out again and skipped, so the new
+  // subscription can start before the old one is closed
+  listener = await listenForCommands({ signer, relays });
+  if (previous) await previous.stop();
+
+  timer = setTimeout(() => {
+    subscribe(signer).catch(error => console.error('Error resubscribing:', error));
+  }, RESUBSCRIBE_MS);
+}
+
+async function shutdown(signer) {
+  if (stopping) return;
+  stopping = true;
+
+  console.log('Stopping command worker...');
+  clearTimeout(timer);
+  if (listener) await listener.stop();
+  await signer.close();
+  await closePool();
+  process.exit(0);
+}
+
+async function main() {
+  const signer = await getSigner();
+  console.log(`StrichBot command worker running as ${await signer.getPublicKey()}`);
+
+  process.on('SIGINT', () => shutdown(signer));
+  process.on('SIGTERM', () => shutdown(signer));
+
+  await subscribe(signer);
+}
+
+main().catch(error => {
+  console.error('Command worker failed:', error);
+  process.exit(1);
+});
@@ -6,6 +6,9 @@
  * This script will help identify if there are fields or queries for pending community requests.
  *
  * Usage: node scripts/introspect-amboss-api.js
+ *
+ * For the scheduled check of the fields StrichBot depends on, see lib/schemaDrift.js
+ * and the /api/check-schema endpoint.
  */
 
 const fs = require('fs');
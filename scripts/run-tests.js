@@ -0,0 +1,28 @@
+/**
+ * Run every test file written with node:test
+ * The older scripts in test/ need live credentials and are run by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const testDir = path.join(__dirname, '..', 'test');
+
+const files = fs.readdirSync(testDir)
+  .filter(file => /^test-.*\.js$/.test(file))
+  .map(file => path.join('test', file))
+  .filter(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8').includes("require('node:test')"))
+  .sort();
+
+if (files.length === 0) {
+  console.error('No node:test files found in test/');
+  process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], {
+  cwd: path.join(__dirname, '..'),
+  stdio: 'inherit'
+});
+
+process.exit(result.status ?? 1);
@@ -0,0 +1,51 @@
+/**
+ * Run code with environment variables set, then put the previous values back
+ */
+
+/**
+ * Set or delete an environment variable
+ * @param {string} name - Variable name
+ * @param {string|undefined} value - New value, undefined to delete
+ */
+function setEnv(name, value) {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
+
+/**
+ * Call a function with environment variables overridden
+ * @param {Object} values - Variables to set; undefined deletes the variable
+ * @param {Function} fn - Sync or async function
+ * @returns {*} Whatever fn returns (a promise for async functions)
+ */
+function withEnv(values, fn) {
+  const previous = {};
+  Object.entries(values).forEach(([name, value]) => {
+    previous[name] = process.env[name];
+    setEnv(name, value);
+  });
+
+  const restore = () => Object.entries(previous).forEach(([name, value]) => setEnv(name, value));
+
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    restore();
+    throw error;
+  }
+
+  if (result && typeof result.then === 'function') {
+    return result.finally(restore);
+  }
+
+  restore();
+  return result;
+}
+
+module.exports = {
+  withEnv
+};
@@ -0,0 +1,44 @@
+/**
+ * In-memory stand-in for lib/database.js
+ * Must be installed before the modules under test are required, since they
+ * destructure query and queryOne when they load
+ */
+
+const path = require('path');
+
+/**
+ * Replace lib/database.js with a handler that answers each statement
+ * @param {Function} handler - (sql, params) => rows, or a ResultSetHeader-like object for writes
+ * @returns {Object} { calls } - Every statement run, as { sql, params }
+ */
+function installFakeDatabase(handler) {
+  const calls = [];
+  const query = async (sql, params = []) => {
+    const normalized = sql.replace(/\s+/g, ' ').trim();
+    calls.push({ sql: normalized, params });
+    return (await handler(normalized, params)) ?? [];
+  };
+
+  const modulePath = path.resolve(__dirname, '../../lib/database.js');
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: {
+      query,
+      queryOne: async (sql, params) => {
+        const rows = await query(sql, params);
+        return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+      },
+      insert: async (table, data) => query(`INSERT INTO ${table}`, Object.values(data)),
+      update: async (table, data) => query(`UPDATE ${table}`, Object.values(data)),
+      closePool: async () => {}
+    }
+  };
+
+  return { calls };
+}
+
+module.exports = {
+  installFakeDatabase
+};
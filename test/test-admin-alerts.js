@@ -0,0 +1,132 @@
+/**
+ * Tests for admin alert routing and NIP-17 direct messages
+ * Run with: node test/test-admin-alerts.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecretKey, getPublicKey, nip19, nip59 } = require('nostr-tools');
+const {
+  ALERT_TYPES,
+  normalizeAlertSettings,
+  htmlToText,
+  getAlertChannels,
+  formatPostFailureAlert
+} = require('../lib/adminAlerts');
+const { DM_KIND, decodeRecipient, wrapDirectMessage, getDmRelaysFromEvent } = require('../lib/nostrDm');
+const { createLocalSigner } = require('../lib/signer');
+const { withEnv } = require('./helpers/env');
+
+const botKey = generateSecretKey();
+const botPubkey = getPublicKey(botKey);
+const adminKey = generateSecretKey();
+const adminPubkey = getPublicKey(adminKey);
+const adminNpub = nip19.npubEncode(adminPubkey);
+const otherNpub = nip19.npubEncode(getPublicKey(generateSecretKey()));
+const telegram = { botToken: '123456789:ABCdefGhIJKlmNoPQRsTUVwxyZ', chatId: '-1001234567890' };
+
+const { alerts: settings, errors } = normalizeAlertSettings({
+  npubs: `${adminNpub}\n${adminPubkey}, ${otherNpub}`,
+  routes: { key_expiry: 'nostr', schema_drift: 'both', post_failure: 'carrier-pigeon' }
+});
+
+// Nostr delivery depends on a signer being configured
+const withLocalSigner = (fn) => withEnv({ NOSTR_NSEC: nip19.nsecEncode(botKey), NOSTR_BUNKER_URI: undefined }, fn);
+
+describe('normalizeAlertSettings', () => {
+  it('stores npubs and hex keys as npubs, once each', () => {
+    assert.deepEqual(errors, []);
+    assert.deepEqual(settings.npubs, [adminNpub, otherNpub]);
+  });
+
+  it('rejects invalid npubs and other bech32 types', () => {
+    const invalid = normalizeAlertSettings({ npubs: ['npub1nope', nip19.noteEncode('a'.repeat(64))] });
+    assert.equal(invalid.errors.length, 2);
+    assert.deepEqual(invalid.alerts.npubs, []);
+  });
+
+  it('keeps valid routes and sends the rest to Telegram', () => {
+    assert.equal(settings.routes.key_expiry, 'nostr');
+    assert.equal(settings.routes.schema_drift, 'both');
+    assert.equal(settings.routes.post_failure, 'telegram');
+  });
+
+  it('gives every alert type a route', () => {
+    const empty = normalizeAlertSettings(null).alerts;
+    Object.values(ALERT_TYPES).forEach(type => assert.equal(empty.routes[type], 'telegram'));
+    assert.deepEqual(empty.npubs, []);
+  });
+});
+
+describe('getAlertChannels', () => {
+  it('only uses Telegram for the Telegram route', () => {
+    const channels = withLocalSigner(() => getAlertChannels(ALERT_TYPES.KEY_ROTATION, settings, telegram));
+    assert.deepEqual([channels.telegram, channels.nostr, channels.deliverable], [true, false, true]);
+  });
+
+  it('only uses Nostr DMs for the Nostr route', () => {
+    const channels = withLocalSigner(() => getAlertChannels(ALERT_TYPES.KEY_EXPIRY, settings, telegram));
+    assert.deepEqual([channels.telegram, channels.nostr], [false, true]);
+    assert.deepEqual(channels.problems, []);
+  });
+
+  it('uses both channels for the both route, and still delivers without Telegram', () => {
+    const both = withLocalSigner(() => getAlertChannels(ALERT_TYPES.SCHEMA_DRIFT, settings, telegram));
+    const nostrOnly = withLocalSigner(() => getAlertChannels(ALERT_TYPES.SCHEMA_DRIFT, settings, {}));
+    assert.deepEqual([both.telegram, both.nostr], [true, true]);
+    assert.deepEqual([nostrOnly.telegram, nostrOnly.nostr, nostrOnly.deliverable], [false, true, true]);
+    assert.ok(nostrOnly.problems.length > 0);
+  });
+
+  it('needs admin npubs and a signer for Nostr DMs', () => {
+    const noNpubs = withLocalSigner(() => getAlertChannels(ALERT_TYPES.KEY_EXPIRY, { ...settings, npubs: [] }, telegram));
+    const noSigner = withEnv({ NOSTR_NSEC: undefined, NOSTR_BUNKER_URI: undefined }, () => getAlertChannels(ALERT_TYPES.KEY_EXPIRY, settings, telegram));
+    assert.equal(noNpubs.deliverable, false);
+    assert.ok(noNpubs.problems.includes('No admin npubs configured for Nostr alerts'));
+    assert.equal(noSigner.deliverable, false);
+    assert.ok(noSigner.problems.some(problem => problem.includes('NOSTR_NSEC')));
+  });
+});
+
+describe('alert text', () => {
+  it('turns Telegram HTML into plain text', () => {
+    const text = htmlToText('🧬 <b>Schema Drift</b>\n<code>a &lt; b &amp;&amp; c</code>\n<a href="https://amboss.space">Amboss</a> <a href="https://x.test">https://x.test</a>');
+    assert.equal(text, '🧬 Schema Drift\na < b && c\nAmboss (https://amboss.space) https://x.test');
+  });
+
+  it('lists each failed community post', () => {
+    const alert = formatPostFailureAlert([
+      { name: 'Nodestrich <3', error: 'Bunker did not sign the event in time' },
+      { name: 'Plebnet', publishedTo: 0 }
+    ]);
+    assert.ok(alert.includes('Nodestrich &lt;3: <code>Bunker did not sign the event in time</code>'));
+    assert.ok(alert.includes('Plebnet: no relay accepted the post'));
+  });
+});
+
+describe('NIP-17 direct messages', () => {
+  it('accepts recipients as npub or hex', () => {
+    assert.equal(decodeRecipient(adminNpub), adminPubkey);
+    assert.equal(decodeRecipient(adminPubkey.toUpperCase()), adminPubkey);
+    assert.equal(decodeRecipient('npub1nope'), null);
+  });
+
+  it('gift wraps a message only the admin can open', async () => {
+    const signer = createLocalSigner(nip19.nsecEncode(botKey));
+    const wrap = await wrapDirectMessage(signer, adminPubkey, 'API key expires in 3 days');
+    const rumor = nip59.unwrapEvent(wrap, adminKey);
+
+    assert.equal(wrap.kind, 1059);
+    assert.equal(wrap.tags.find(tag => tag[0] === 'p')?.[1], adminPubkey);
+    assert.notEqual(wrap.pubkey, botPubkey);
+    assert.equal(rumor.kind, DM_KIND);
+    assert.equal(rumor.content, 'API key expires in 3 days');
+    assert.equal(rumor.pubkey, botPubkey);
+  });
+
+  it('reads DM relays from relay tags', () => {
+    const event = { tags: [['relay', 'wss://inbox.nostr.wine'], ['r', 'wss://nos.lol'], ['relay']] };
+    assert.deepEqual(getDmRelaysFromEvent(event), ['wss://inbox.nostr.wine']);
+    assert.deepEqual(getDmRelaysFromEvent(null), []);
+  });
+});
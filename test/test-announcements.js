@@ -0,0 +1,123 @@
+/**
+ * Tests for community announcements and their per-platform delivery
+ * Run with: node test/test-announcements.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const TelegramBot = require('node-telegram-bot-api');
+const { installFakeDatabase } = require('./helpers/fake-database');
+const { withEnv } = require('./helpers/env');
+
+// announcement_deliveries and communities rows, answered for the statements lib/announcements.js runs
+const deliveries = [];
+const communities = [];
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT target, reference FROM announcement_deliveries')) {
+    return deliveries.filter(row => row.announcement_key === params[0]);
+  }
+  if (sql.startsWith('INSERT IGNORE INTO announcement_deliveries')) {
+    const [key, target, reference] = params;
+    deliveries.push({ announcement_key: key, target, reference });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('SELECT * FROM communities')) return communities;
+  if (sql.startsWith('SELECT url, status, added_by, demoted_at FROM relays')) return [];
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { broadcastAnnouncement, formatAnnouncementFailureAlert } = require('../lib/announcements');
+
+// Telegram only: without a Nostr key the Nostr post is skipped
+const env = {
+  NOSTR_NSEC: undefined,
+  NOSTR_BUNKER_URI: undefined,
+  COMMUNITY_ID: undefined,
+  TELEGRAM_BOT_TOKEN: '123456789:ABCdefGhIJKlmNoPQRsTUVwxyZ',
+  TELEGRAM_CHAT_ID: '-100123'
+};
+
+describe('broadcastAnnouncement', () => {
+  const originalSendMessage = TelegramBot.prototype.sendMessage;
+  let sent;
+  let failing;
+
+  beforeEach(() => {
+    deliveries.length = 0;
+    communities.length = 0;
+    sent = 0;
+    failing = new Set();
+    TelegramBot.prototype.sendMessage = async (chatId) => {
+      if (failing.has(chatId)) throw new Error('ETELEGRAM: 502 Bad Gateway');
+      sent++;
+      return { message_id: 40 + sent, chat: { id: chatId }, date: 0 };
+    };
+  });
+
+  afterEach(() => {
+    TelegramBot.prototype.sendMessage = originalSendMessage;
+  });
+
+  it('is complete once every configured platform has the announcement', async () => {
+    const results = await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>', [], 'milestone:1:reached'));
+    assert.equal(results.nostr, null);
+    assert.equal(results.delivered, true);
+    assert.equal(results.complete, true);
+    assert.deepEqual(deliveries, [{ announcement_key: 'milestone:1:reached', target: 'telegram:-100123', reference: '41' }]);
+  });
+
+  it('is neither delivered nor complete when every platform failed', async () => {
+    failing.add('-100123');
+    const results = await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>', [], 'milestone:1:reached'));
+    assert.equal(results.delivered, false);
+    assert.equal(results.complete, false);
+    assert.deepEqual(deliveries, []);
+  });
+
+  it('retries only the chats that missed a partly delivered announcement', async () => {
+    communities.push({ community_id: 'a', name: 'Alpha', platforms: null, relays: null, telegram_chats: '["-100", "-200"]', enabled: 1 });
+    failing.add('-200');
+
+    const first = await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>', [], 'milestone:1:countdown:144'));
+    assert.equal(first.delivered, true);
+    assert.equal(first.complete, false);
+
+    failing.clear();
+    const second = await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>', [], 'milestone:1:countdown:144'));
+    assert.equal(second.complete, true);
+    assert.equal(sent, 2);
+    assert.deepEqual(second.telegram.map(result => [result.chatId, !!result.earlier]), [['-100', true], ['-200', false]]);
+  });
+
+  it('does not post again where an earlier run delivered the announcement', async () => {
+    deliveries.push({ announcement_key: 'milestone:1:reached', target: 'telegram:-100123', reference: '41' });
+    const results = await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>', [], 'milestone:1:reached'));
+    assert.equal(sent, 0);
+    assert.equal(results.complete, true);
+    assert.deepEqual(results.telegram, [{ chatId: '-100123', messageId: '41', success: true, earlier: true }]);
+  });
+
+  it('posts every time without a key', async () => {
+    await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>'));
+    await withEnv(env, () => broadcastAnnouncement('note', '<b>note</b>'));
+    assert.equal(sent, 2);
+    assert.deepEqual(deliveries, []);
+  });
+});
+
+describe('formatAnnouncementFailureAlert', () => {
+  it('lists the platforms that missed the announcement', () => {
+    const alert = formatAnnouncementFailureAlert('Low-fee alert', {
+      nostr: { error: 'Bunker did not sign the event in time' },
+      telegram: [
+        { chatId: '-100', success: true, messageId: 41 },
+        { chatId: '-200', success: false, error: 'ETELEGRAM: 403 Forbidden: bot was kicked' }
+      ]
+    });
+
+    assert.ok(alert.includes('Low-fee alert did not reach'));
+    assert.ok(alert.includes('• Nostr: <code>Bunker did not sign the event in time</code>'));
+    assert.ok(alert.includes('• Telegram chat <code>-200</code>'));
+    assert.ok(!alert.includes('-100'));
+  });
+});
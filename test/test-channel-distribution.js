@@ -0,0 +1,59 @@
+/**
+ * Tests for channel size distribution calculations
+ * Run with: node test/test-channel-distribution.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeChannelSizeDistribution, formatChannelSize } = require('../lib/channelDistribution');
+const { normalizeMembers } = require('../lib/amboss');
+
+describe('computeChannelSizeDistribution', () => {
+  // Amboss member nodes (capacity in sats)
+  const members = normalizeMembers([
+    { pubkey: '02aa', graph_info: { node: { alias: 'small' }, channels: { num_channels: 8, total_capacity: '8000000' } } },
+    { pubkey: '02bb', graph_info: { node: { alias: 'medium' }, channels: { num_channels: 1, total_capacity: '5000000' } } },
+    { pubkey: '02cc', graph_info: { node: { alias: 'large' }, channels: { num_channels: 1, total_capacity: '100000000' } } },
+    { pubkey: '02dd', graph_info: { node: { alias: 'no channels' }, channels: { num_channels: 0, total_capacity: '0' } } },
+    { pubkey: '02ee' }
+  ]);
+
+  // 10 channels sorted by size: 8 x 0.01, 1 x 0.05, 1 x 1.00 BTC
+  const distribution = computeChannelSizeDistribution(members);
+
+  it('weights the mean by channel count', () => {
+    assert.equal(distribution.mean, 0.113);
+  });
+
+  it('takes the median and percentiles over channels, not nodes', () => {
+    assert.equal(distribution.median, 0.01);
+    assert.equal(distribution.p10, 0.01);
+    assert.equal(distribution.p90, 0.05);
+  });
+
+  it('reports the largest node average', () => {
+    assert.equal(distribution.largestNodeAverage, 1);
+  });
+
+  it('only counts nodes with channels', () => {
+    assert.equal(distribution.sampleNodes, 3);
+  });
+
+  it('returns null without channel data', () => {
+    assert.equal(computeChannelSizeDistribution([]), null);
+  });
+});
+
+describe('formatChannelSize', () => {
+  it('shows sizes below a bitcoin with three decimals', () => {
+    assert.equal(formatChannelSize(0.0834), '0.083');
+  });
+
+  it('shows sizes of a bitcoin or more with two decimals', () => {
+    assert.equal(formatChannelSize(1.5), '1.50');
+  });
+
+  it('shows N/A for missing values', () => {
+    assert.equal(formatChannelSize(null), 'N/A');
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for the circuit breaker and the Amboss run deadline
+ * Run with: node test/test-circuit-breaker.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+const { withEnv } = require('./helpers/env');
+
+// circuit_breakers rows by name, answered for the statements lib/circuitBreaker.js runs
+const breakers = new Map();
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT * FROM circuit_breakers WHERE name = ?')) {
+    return breakers.has(params[0]) ? [breakers.get(params[0])] : [];
+  }
+  if (sql.startsWith('INSERT INTO circuit_breakers')) {
+    const [name, state, failureCount, lastError, openedAt] = params;
+    breakers.set(name, { name, state, failure_count: failureCount, last_error: lastError, opened_at: openedAt });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE circuit_breakers SET state = ?, opened_at = ?')) {
+    const [state, openedAt, name, open, halfOpen, cutoff] = params;
+    const row = breakers.get(name);
+    if (!row || ![open, halfOpen].includes(row.state) || row.opened_at > cutoff) return { affectedRows: 0 };
+    Object.assign(row, { state, opened_at: openedAt });
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { STATES, checkCircuit, recordSuccess, recordFailure } = require('../lib/circuitBreaker');
+const { AMBOSS_ERRORS, getRunDeadline, queryAmboss, fetchNodeInfo } = require('../lib/amboss');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Store a breaker that opened (or started its trial) some minutes ago
+ */
+function openBreaker(name, minutesAgo, failureCount = 3, state = STATES.OPEN) {
+  breakers.set(name, {
+    name,
+    state,
+    failure_count: failureCount,
+    last_error: 'Amboss API error: 502 Bad Gateway',
+    opened_at: new Date(Date.now() - minutesAgo * MINUTE)
+  });
+}
+
+describe('circuit breaker', () => {
+  beforeEach(() => breakers.clear());
+
+  it('stays closed below the failure threshold', async () => {
+    await recordFailure('amboss', 'timeout');
+    const state = await recordFailure('amboss', 'timeout');
+    assert.equal(state.state, STATES.CLOSED);
+    assert.equal(state.failureCount, 2);
+    assert.equal((await checkCircuit('amboss')).allowed, true);
+  });
+
+  it('opens once the threshold is reached', async () => {
+    await recordFailure('amboss', 'timeout');
+    await recordFailure('amboss', 'timeout');
+    const state = await recordFailure('amboss', 'timeout');
+    assert.equal(state.state, STATES.OPEN);
+    assert.ok(state.openedAt instanceof Date);
+  });
+
+  it('reads the threshold from the environment', async () => {
+    await withEnv({ AMBOSS_CIRCUIT_THRESHOLD: '1' }, async () => {
+      const state = await recordFailure('amboss', 'timeout');
+      assert.equal(state.state, STATES.OPEN);
+    });
+  });
+
+  it('blocks requests during the cooldown', async () => {
+    openBreaker('amboss', 10);
+    const circuit = await checkCircuit('amboss');
+    assert.equal(circuit.allowed, false);
+    assert.equal(circuit.state, STATES.OPEN);
+    assert.equal(circuit.retryAt.getTime(), breakers.get('amboss').opened_at.getTime() + 30 * MINUTE);
+  });
+
+  it('goes half-open and allows a trial request after the cooldown', async () => {
+    openBreaker('amboss', 31);
+    const circuit = await checkCircuit('amboss');
+    assert.equal(circuit.allowed, true);
+    assert.equal(circuit.state, STATES.HALF_OPEN);
+    assert.equal(breakers.get('amboss').state, STATES.HALF_OPEN);
+  });
+
+  it('lets only one of several parallel callers make the trial request', async () => {
+    openBreaker('amboss', 31);
+    const circuits = await Promise.all([checkCircuit('amboss'), checkCircuit('amboss'), checkCircuit('amboss')]);
+    assert.deepEqual(circuits.map(circuit => circuit.allowed).sort(), [false, false, true]);
+  });
+
+  it('turns callers away while the trial request is running', async () => {
+    openBreaker('amboss', 31);
+    await checkCircuit('amboss');
+    const circuit = await checkCircuit('amboss');
+    assert.equal(circuit.allowed, false);
+    assert.equal(circuit.state, STATES.HALF_OPEN);
+  });
+
+  it('allows a new trial when the last one never reported back', async () => {
+    openBreaker('amboss', 31, 3, STATES.HALF_OPEN);
+    assert.equal((await checkCircuit('amboss')).allowed, true);
+  });
+
+  it('reopens when the trial request fails', async () => {
+    openBreaker('amboss', 31, 5);
+    await checkCircuit('amboss');
+    const state = await recordFailure('amboss', 'still down');
+    assert.equal(state.state, STATES.OPEN);
+    assert.equal(state.failureCount, 6);
+    assert.equal((await checkCircuit('amboss')).allowed, false);
+  });
+
+  it('closes and resets the count when the trial request succeeds', async () => {
+    openBreaker('amboss', 31);
+    await checkCircuit('amboss');
+    await recordSuccess('amboss');
+    assert.deepEqual(breakers.get('amboss'), {
+      name: 'amboss',
+      state: STATES.CLOSED,
+      failure_count: 0,
+      last_error: null,
+      opened_at: null
+    });
+  });
+
+  it('does not write when a closed breaker succeeds', async () => {
+    await recordSuccess('amboss');
+    assert.equal(breakers.has('amboss'), false);
+  });
+
+  it('keeps breakers apart by name', async () => {
+    openBreaker('amboss', 10);
+    assert.equal((await checkCircuit('mempool')).allowed, true);
+  });
+});
+
+describe('queryAmboss run deadline', () => {
+  const originalFetch = global.fetch;
+  let fetchCalls;
+
+  beforeEach(() => {
+    breakers.clear();
+    fetchCalls = 0;
+    // Amboss never answers, so each attempt ends when its timeout aborts it
+    global.fetch = async (url, { signal }) => {
+      fetchCalls++;
+      return new Promise((resolve, reject) => {
+        // AbortSignal.timeout does not keep the process alive on its own
+        const pending = setTimeout(() => reject(new Error('request was never aborted')), 15000);
+        signal.addEventListener('abort', () => {
+          clearTimeout(pending);
+          reject(signal.reason);
+        });
+      });
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('adds the run budget to the start time', () => {
+    assert.equal(getRunDeadline(1000), 31000);
+    withEnv({ AMBOSS_RUN_BUDGET_MS: '5000' }, () => {
+      assert.equal(getRunDeadline(1000), 6000);
+    });
+  });
+
+  it('skips the request without touching the breaker once the deadline has passed', async () => {
+    await assert.rejects(
+      queryAmboss('key', '{ ping }', {}, { deadline: Date.now() + 500 }),
+      error => error.type === AMBOSS_ERRORS.UNAVAILABLE && /deadline/.test(error.message)
+    );
+    assert.equal(fetchCalls, 0);
+    assert.equal(breakers.has('amboss'), false);
+  });
+
+  it('cuts the request short and drops retries at the deadline', async () => {
+    const startedAt = Date.now();
+    await assert.rejects(
+      queryAmboss('key', '{ ping }', {}, { deadline: startedAt + 2500 }),
+      error => error.type === AMBOSS_ERRORS.UNAVAILABLE && /timed out/.test(error.message)
+    );
+    assert.equal(fetchCalls, 1);
+    assert.ok(Date.now() - startedAt < 4000);
+    assert.equal(breakers.get('amboss').failure_count, 1);
+  });
+
+  it('skips node lookups for applicant cards once the deadline has passed', async () => {
+    assert.equal(await fetchNodeInfo('key', '02alice', { deadline: Date.now() + 500 }), null);
+    assert.equal(fetchCalls, 0);
+  });
+});
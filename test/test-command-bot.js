@@ -0,0 +1,243 @@
+/**
+ * Tests for the Nostr command bot
+ * Run with: node test/test-command-bot.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecretKey, getPublicKey, finalizeEvent } = require('nostr-tools');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// nostr_commands rows by event ID, answered for the claim statements lib/commandBot.js runs
+const commands = new Map();
+const { calls } = installFakeDatabase((sql, params) => {
+  if (sql.startsWith('INSERT IGNORE INTO nostr_commands')) {
+    const [eventId, , , status] = params;
+    if (commands.has(eventId)) return { affectedRows: 0 };
+    commands.set(eventId, { status, received_at: new Date() });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE nostr_commands SET received_at = NOW()')) {
+    const [eventId, status, before] = params;
+    const row = commands.get(eventId);
+    if (!row || row.status !== status || row.received_at >= before) return { affectedRows: 0 };
+    row.received_at = new Date();
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const {
+  COMMAND_STATUSES,
+  claimCommand,
+  COMMANDS,
+  getCommandSettings,
+  parseCommand,
+  isMention,
+  buildReplyTags,
+  isWithinRateLimit,
+  formatHelpReply,
+  formatTrendReply,
+  formatMembersReply,
+  formatCapacityReply,
+  handleMention
+} = require('../lib/commandBot');
+const { analyzeTrends } = require('../lib/trendAnalysis');
+const { toNumericStats } = require('../lib/dataStore');
+const { withEnv } = require('./helpers/env');
+
+const botPubkey = getPublicKey(generateSecretKey());
+const userKey = generateSecretKey();
+const userPubkey = getPublicKey(userKey);
+const otherPubkey = getPublicKey(generateSecretKey());
+const now = Math.floor(Date.now() / 1000);
+const settings = withEnv({ NOSTR_COMMAND_RATE_LIMIT: undefined }, getCommandSettings);
+
+const mention = (content, tags = [], createdAt = now) => finalizeEvent({
+  kind: 1,
+  created_at: createdAt,
+  tags: [['p', botPubkey], ...tags],
+  content
+}, userKey);
+
+describe('getCommandSettings', () => {
+  it('allows 3 replies per hour by default', () => {
+    assert.equal(settings.rateLimit, 3);
+    assert.equal(settings.rateWindowMinutes, 60);
+  });
+
+  it('falls back to the default for an invalid limit', () => {
+    assert.equal(withEnv({ NOSTR_COMMAND_RATE_LIMIT: 'lots' }, getCommandSettings).rateLimit, 3);
+  });
+});
+
+describe('parseCommand', () => {
+  it('reads the command, ignoring mentions, case, slashes and trailing punctuation', () => {
+    assert.equal(parseCommand('stats').command, 'stats');
+    assert.equal(parseCommand(`nostr:npub1${'q'.repeat(58)} STATS`).command, 'stats');
+    assert.equal(parseCommand('@StrichBot members').command, 'members');
+    assert.equal(parseCommand('/capacity?').command, 'capacity');
+  });
+
+  it('reads trend periods in days, weeks and months, 7 days by default', () => {
+    assert.equal(parseCommand('trend').days, 7);
+    assert.equal(parseCommand('trend 30d').days, 30);
+    assert.equal(parseCommand('trend 4w').days, 28);
+    assert.equal(parseCommand('trend 3m').days, 90);
+    assert.equal(parseCommand('trend 14').days, 14);
+  });
+
+  it('keeps trend periods between a day and a year', () => {
+    assert.equal(parseCommand('trend 9999d').days, 365);
+    assert.equal(parseCommand('trend 0d').days, 1);
+  });
+
+  it('reads a community name after the command', () => {
+    assert.equal(parseCommand('trend 30d Plebnet Playground').community, 'Plebnet Playground');
+    assert.equal(parseCommand('stats').community, null);
+  });
+
+  it('ignores conversation', () => {
+    assert.equal(parseCommand('what are the stats?'), null);
+    assert.equal(parseCommand(''), null);
+    assert.equal(parseCommand('constructor'), null);
+  });
+});
+
+describe('isMention', () => {
+  it('accepts notes tagging the bot', () => {
+    assert.ok(isMention(mention('stats'), botPubkey));
+  });
+
+  it('ignores the bot\'s own notes and other kinds', () => {
+    const note = mention('stats');
+    assert.ok(!isMention({ ...note, pubkey: botPubkey }, botPubkey));
+    assert.ok(!isMention({ ...note, kind: 7 }, botPubkey));
+  });
+});
+
+describe('buildReplyTags', () => {
+  const rootId = 'a'.repeat(64);
+  const parentId = 'b'.repeat(64);
+
+  it('marks a top-level note as root', () => {
+    const note = mention('stats');
+    const tags = buildReplyTags(note, botPubkey, 'wss://relay.damus.io');
+    assert.deepEqual(tags[0], ['e', note.id, 'wss://relay.damus.io', 'root']);
+    assert.equal(tags.filter(tag => tag[0] === 'e').length, 1);
+  });
+
+  it('keeps the root of a thread and tags participants except the bot', () => {
+    const note = mention('members', [['e', rootId, 'wss://nos.lol', 'root'], ['e', parentId, '', 'reply'], ['p', otherPubkey]]);
+    const tags = buildReplyTags(note, botPubkey, 'wss://relay.damus.io');
+    assert.deepEqual(tags.slice(0, 2), [['e', rootId, 'wss://nos.lol', 'root'], ['e', note.id, 'wss://relay.damus.io', 'reply']]);
+    assert.deepEqual(tags.filter(tag => tag[0] === 'p').map(tag => tag[1]), [userPubkey, otherPubkey]);
+  });
+
+  it('reads positional e tags as root', () => {
+    const tags = buildReplyTags(mention('capacity', [['e', rootId]]), botPubkey);
+    assert.equal(tags[0][1], rootId);
+    assert.equal(tags[1][3], 'reply');
+  });
+});
+
+describe('isWithinRateLimit', () => {
+  it('allows replies up to the limit', () => {
+    assert.ok(isWithinRateLimit(2, settings));
+    assert.ok(!isWithinRateLimit(3, settings));
+  });
+});
+
+describe('handleMention', () => {
+  // Returns before touching the database for anything that is not an answerable command
+  const context = { signer: null, botPubkey, relays: [], relayUrl: 'wss://nos.lol', settings };
+
+  it('skips conversation, forged, old and untagged notes', async () => {
+    const tampered = { ...JSON.parse(JSON.stringify(mention('stats'))), content: 'trend 365d' };
+    const results = await Promise.all([
+      handleMention(mention('gm, love the stats'), context),
+      handleMention(tampered, context),
+      handleMention(mention('stats', [], now - 2 * 60 * 60), context),
+      handleMention(finalizeEvent({ kind: 1, created_at: now, tags: [], content: 'stats' }, userKey), context)
+    ]);
+    assert.deepEqual(results, [null, null, null, null]);
+  });
+
+  it('leaves commands past the deadline unclaimed for the next run', async () => {
+    const before = calls.length;
+    assert.equal(await handleMention(mention('stats'), { ...context, deadline: Date.now() - 1 }), null);
+    assert.equal(calls.length, before);
+  });
+});
+
+describe('claimCommand', () => {
+  beforeEach(() => commands.clear());
+
+  it('claims a command once', async () => {
+    const event = mention('stats');
+    assert.equal(await claimCommand(event, 'stats'), true);
+    assert.equal(await claimCommand(event, 'stats'), false);
+  });
+
+  it('takes over a pending claim a stopped run never finished, once', async () => {
+    const event = mention('stats');
+    commands.set(event.id, { status: COMMAND_STATUSES.PENDING, received_at: new Date(Date.now() - 10 * 60 * 1000) });
+    assert.equal(await claimCommand(event, 'stats'), true);
+    assert.equal(await claimCommand(event, 'stats'), false);
+  });
+
+  it('does not take over answered or recent claims', async () => {
+    const answered = mention('stats');
+    const recent = mention('trend');
+    commands.set(answered.id, { status: COMMAND_STATUSES.REPLIED, received_at: new Date(Date.now() - 10 * 60 * 1000) });
+    commands.set(recent.id, { status: COMMAND_STATUSES.PENDING, received_at: new Date(Date.now() - 60 * 1000) });
+    assert.equal(await claimCommand(answered, 'stats'), false);
+    assert.equal(await claimCommand(recent, 'trend'), false);
+  });
+});
+
+describe('replies', () => {
+  const latest = { date: '2026-10-18', memberCount: 42, totalChannels: 310, totalCapacity: '12.50000000', channelSizes: { mean: 0.04, median: 0.02 } };
+  const monthAgo = { date: '2026-09-18', memberCount: 40, totalChannels: 320, totalCapacity: '11.00000000', channelSizes: { mean: 0.035, median: 0.02 } };
+  const trend = analyzeTrends(toNumericStats(latest), toNumericStats(monthAgo));
+  const members = Array.from({ length: 7 }, (_, i) => ({ pubkey: `02${i}`.padEnd(66, '0'), alias: i === 1 ? null : `Node ${i}`, channels: 10 - i, capacity: (7 - i) * 100000000 }));
+  const display = { unit: 'sats', currencies: ['USD'], prices: { USD: 100000 } };
+
+  const trendReply = formatTrendReply(trend, 30, 'Nodestrich ♾️');
+  const membersReply = formatMembersReply(latest, members, 'Nodestrich ♾️');
+  const capacityReply = formatCapacityReply(latest, trend, display, 'Nodestrich ♾️');
+  const helpReply = formatHelpReply();
+
+  it('shows the trend period and changes', () => {
+    assert.ok(trendReply.includes('30-day trend'));
+    assert.ok(trendReply.includes('👥 Members: 42 (+2, +5.0% 📈)'));
+    assert.ok(trendReply.includes('🔗 Channels: 310 (-10, -3.1% 📊)'));
+    assert.ok(trendReply.includes('🪙 Capacity: 12.50 BTC (+1.50, +13.6% 🚀)'));
+  });
+
+  it('explains a trend without history', () => {
+    const reply = formatTrendReply(analyzeTrends(toNumericStats(latest), null), 30, 'Nodestrich ♾️');
+    assert.ok(reply.includes('not enough stored data for a 30-day comparison'));
+  });
+
+  it('lists the largest member nodes', () => {
+    assert.ok(membersReply.includes('has 42 members'));
+    assert.ok(membersReply.includes('1. Node 0 - 7.00 BTC, 10 channels'));
+    assert.ok(membersReply.includes('2. 021000000000… - 6.00 BTC'));
+    assert.ok(!membersReply.includes('Node 5'));
+  });
+
+  it('uses the display unit and fiat for capacity', () => {
+    assert.ok(capacityReply.includes('1,250,000,000 sats (≈ $1,250,000)'));
+    assert.ok(capacityReply.includes('+150,000,000 sats (+13.6%)'));
+    assert.ok(capacityReply.includes('Avg Channel: 0.040 BTC'));
+  });
+
+  it('lists every command in the help', () => {
+    Object.keys(COMMANDS).forEach(command => assert.ok(helpReply.includes(`• ${command} - `), command));
+  });
+
+  it('fits in a note', () => {
+    [trendReply, membersReply, capacityReply, helpReply].forEach(reply => assert.ok(reply.length < 1000));
+  });
+});
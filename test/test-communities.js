@@ -0,0 +1,100 @@
+/**
+ * Tests for the community registry
+ * Run with: node test/test-communities.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+const { withEnv } = require('./helpers/env');
+
+// communities and historical_stats rows, answered for the statements lib/communities.js runs
+const tables = { communities: [], stats: [] };
+const { calls } = installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT * FROM communities ORDER BY name')) {
+    return [...tables.communities].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  if (sql.startsWith('UPDATE IGNORE historical_stats SET community_id = ?')) {
+    const [communityId, ...unassigned] = params;
+    let affectedRows = 0;
+    for (const row of tables.stats) {
+      if (!unassigned.includes(row.community_id)) continue;
+      // The unique (community_id, date) key makes IGNORE skip days the community already has
+      if (tables.stats.some(other => other.community_id === communityId && other.date === row.date)) continue;
+      row.community_id = communityId;
+      affectedRows++;
+    }
+    return { affectedRows };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { claimUnassignedStats, getCommunitiesForPlatform } = require('../lib/communities');
+
+/**
+ * Count UPDATE statements run against historical_stats
+ */
+function claimCount() {
+  return calls.filter(call => call.sql.startsWith('UPDATE IGNORE historical_stats')).length;
+}
+
+describe('claimUnassignedStats', () => {
+  // Runs in order: the claim only happens once per process
+  it('does nothing without COMMUNITY_ID', async () => {
+    tables.stats = [{ date: '2026-01-01', community_id: '' }];
+    assert.equal(await withEnv({ COMMUNITY_ID: undefined }, claimUnassignedStats), 0);
+    assert.equal(claimCount(), 0);
+  });
+
+  it('assigns rows stored before the registry, including the old placeholder', async () => {
+    tables.stats = [
+      { date: '2026-01-01', community_id: '' },
+      { date: '2026-01-02', community_id: '<COMMUNITY_ID>' },
+      { date: '2026-01-03', community_id: 'community-a' },
+      { date: '2026-01-03', community_id: '' }
+    ];
+
+    assert.equal(await withEnv({ COMMUNITY_ID: 'community-a' }, claimUnassignedStats), 2);
+    assert.deepEqual(tables.stats.map(row => row.community_id), ['community-a', 'community-a', 'community-a', '']);
+  });
+
+  it('only runs once', async () => {
+    const before = claimCount();
+    await withEnv({ COMMUNITY_ID: 'community-a' }, claimUnassignedStats);
+    assert.equal(claimCount(), before);
+  });
+});
+
+describe('getCommunitiesForPlatform', () => {
+  beforeEach(() => {
+    tables.communities = [];
+  });
+
+  it('falls back to the COMMUNITY_ID community when the registry is empty', async () => {
+    const communities = await withEnv({ COMMUNITY_ID: 'community-a', TELEGRAM_CHAT_ID: '-100123' }, () =>
+      getCommunitiesForPlatform('telegram')
+    );
+    assert.equal(communities.length, 1);
+    assert.equal(communities[0].communityId, 'community-a');
+    assert.deepEqual(communities[0].telegramChats, ['-100123']);
+  });
+
+  it('returns nothing without a registry or COMMUNITY_ID', async () => {
+    assert.deepEqual(await withEnv({ COMMUNITY_ID: undefined }, () => getCommunitiesForPlatform('nostr')), []);
+  });
+
+  it('returns every enabled community that posts to the platform', async () => {
+    tables.communities = [
+      { community_id: 'b', name: 'Bravo', platforms: '{"nostr":true,"telegram":false}', relays: null, telegram_chats: null, enabled: 1 },
+      { community_id: 'a', name: 'Alpha', platforms: null, relays: '["wss://relay.example.com"]', telegram_chats: '["-100"]', enabled: 1 },
+      { community_id: 'c', name: 'Charlie', platforms: null, relays: null, telegram_chats: null, enabled: 0 }
+    ];
+
+    const nostr = await getCommunitiesForPlatform('nostr');
+    assert.deepEqual(nostr.map(community => community.communityId), ['a', 'b']);
+    assert.deepEqual(nostr[0].relays, ['wss://relay.example.com']);
+
+    const telegram = await getCommunitiesForPlatform('telegram');
+    assert.deepEqual(telegram.map(community => community.communityId), ['a']);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for low-fee alerts
+ * Run with: node test/test-fee-alerts.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFeeAlertSettings, checkFeeAlert, formatLowFeeMessage, formatLowFeeMessageForTelegram } = require('../lib/feeAlerts');
+const { withEnv } = require('./helpers/env');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const settings = { threshold: 5, cooldownHours: 24 };
+const lowFees = { fastest: 3, halfHour: 2, hour: 1, economy: 1, minimum: 1 };
+const highFees = { fastest: 25, halfHour: 18, hour: 12, economy: 4, minimum: 1 };
+
+describe('checkFeeAlert', () => {
+  it('alerts when the next-block fee drops below the threshold', () => {
+    assert.equal(checkFeeAlert(lowFees, null, settings, now).send, true);
+  });
+
+  it('does not alert at or above the threshold', () => {
+    assert.equal(checkFeeAlert(highFees, null, settings, now).send, false);
+    assert.equal(checkFeeAlert({ ...lowFees, fastest: 5 }, null, settings, now).send, false);
+  });
+
+  it('waits for the cooldown after the last alert', () => {
+    const recentAlert = { feeRate: 4, threshold: 5, sentAt: new Date('2026-10-18T02:00:00Z') };
+    const result = checkFeeAlert(lowFees, recentAlert, settings, now);
+    assert.equal(result.send, false);
+    assert.equal(result.cooldownUntil.toISOString(), '2026-10-19T02:00:00.000Z');
+  });
+
+  it('alerts again once the cooldown has passed', () => {
+    const oldAlert = { feeRate: 4, threshold: 5, sentAt: new Date('2026-10-16T12:00:00Z') };
+    assert.equal(checkFeeAlert(lowFees, oldAlert, settings, now).send, true);
+  });
+
+  it('does not alert without fee data', () => {
+    assert.equal(checkFeeAlert(null, null, settings, now).send, false);
+  });
+});
+
+describe('getFeeAlertSettings', () => {
+  it('defaults to 5 sat/vB and a 24 hour cooldown', () => {
+    const defaults = withEnv({ LOW_FEE_THRESHOLD: undefined, LOW_FEE_COOLDOWN_HOURS: undefined }, getFeeAlertSettings);
+    assert.equal(defaults.threshold, 5);
+    assert.equal(defaults.cooldownHours, 24);
+  });
+
+  it('reads fractional thresholds and the cooldown from the environment', () => {
+    const custom = withEnv({ LOW_FEE_THRESHOLD: '2.5', LOW_FEE_COOLDOWN_HOURS: '6' }, getFeeAlertSettings);
+    assert.equal(custom.threshold, 2.5);
+    assert.equal(custom.cooldownHours, 6);
+  });
+});
+
+describe('low-fee messages', () => {
+  it('show the next-block fee', () => {
+    assert.ok(formatLowFeeMessage(lowFees).includes('💸 Next block: 3 sat/vB'));
+    assert.ok(formatLowFeeMessageForTelegram(lowFees).includes('💸 Next block: <b>3 sat/vB</b>'));
+  });
+});
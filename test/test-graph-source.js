@@ -0,0 +1,72 @@
+/**
+ * Tests for the local LND graph data source
+ * Run with: node test/test-graph-source.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeGraphStats, parseMemberList } = require('../lib/graphFileSource');
+const { formatStatsMessage } = require('../lib/nostr');
+
+// Minimal `lncli describegraph` output: Alice and Bob are members, Carol is not
+const graph = {
+  nodes: [
+    { pub_key: '02alice', alias: 'Alice' },
+    { pub_key: '02bob', alias: 'Bob' },
+    { pub_key: '02carol', alias: 'Carol' }
+  ],
+  edges: [
+    { channel_id: '1', node1_pub: '02alice', node2_pub: '02bob', capacity: '5000000' },
+    { channel_id: '2', node1_pub: '02alice', node2_pub: '02carol', capacity: '3000000' },
+    { channel_id: '3', node1_pub: '02bob', node2_pub: '02carol', capacity: '2000000' },
+    { channel_id: '4', node1_pub: '02carol', node2_pub: '02dave', capacity: '9000000' }
+  ]
+};
+
+describe('parseMemberList', () => {
+  it('reads one pubkey per line and skips comments and blank lines', () => {
+    assert.deepEqual(parseMemberList('# Community members\n02alice\n\n02bob # joined last week\n'), ['02alice', '02bob']);
+  });
+
+  it('reads a JSON array', () => {
+    assert.equal(parseMemberList('["02alice", "02bob", "02alice"]').length, 3);
+  });
+});
+
+describe('computeGraphStats', () => {
+  const stats = computeGraphStats(graph, ['02alice', '02bob'], 'test-community');
+
+  it('counts members', () => {
+    assert.equal(stats.memberCount, 2);
+  });
+
+  it('counts a channel between two members once', () => {
+    assert.equal(stats.totalChannels, 3);
+    assert.equal(stats.totalCapacity, 0.1);
+  });
+
+  it('gives each member its own channels and alias', () => {
+    const alice = stats.members.find(member => member.pubkey === '02alice');
+    assert.deepEqual(
+      { alias: alice.alias, channels: alice.channels, capacity: alice.capacity },
+      { alias: 'Alice', channels: 2, capacity: 8000000 }
+    );
+  });
+
+  it('computes channel sizes from the same channels as the totals', () => {
+    assert.equal(stats.avgChannelSize, 0.03333333);
+    assert.equal(stats.avgChannelSize, Math.round(stats.totalCapacity / stats.totalChannels * 1e8) / 1e8);
+    assert.equal(stats.channelSizes.median, 0.03);
+    assert.equal(stats.channelSizes.largestNodeAverage, 0.04);
+    assert.equal(stats.channelSizes.sampleNodes, 2);
+  });
+
+  it('leaves join requests unknown so open requests are not resolved', () => {
+    assert.equal(stats.pendingRequestList, null);
+    assert.ok(!formatStatsMessage(stats).includes('pending'));
+  });
+
+  it('is credited in posts', () => {
+    assert.ok(formatStatsMessage(stats).includes('Data from LND graph'));
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the bot's Nostr profile and NIP-65 relay list
+ * Run with: node test/test-identity.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PROFILE_KIND,
+  RELAY_LIST_KIND,
+  getIndexerRelays,
+  normalizeProfile,
+  buildProfileTemplate,
+  buildRelayListTemplate,
+  getRelaysFromEvent,
+  sameRelays
+} = require('../lib/identity');
+const { listRelays } = require('../lib/relayHealth');
+const { withEnv } = require('./helpers/env');
+
+const relays = ['wss://relay.damus.io', 'wss://nos.lol'];
+
+describe('getIndexerRelays', () => {
+  it('defaults to purplepag.es', () => {
+    assert.deepEqual(withEnv({ NOSTR_INDEXER_RELAYS: undefined }, getIndexerRelays), ['wss://purplepag.es']);
+  });
+
+  it('can be disabled or read from NOSTR_INDEXER_RELAYS', () => {
+    assert.deepEqual(withEnv({ NOSTR_INDEXER_RELAYS: 'none' }, getIndexerRelays), []);
+    assert.deepEqual(
+      withEnv({ NOSTR_INDEXER_RELAYS: 'wss://purplepag.es, wss://user.kindpag.es' }, getIndexerRelays),
+      ['wss://purplepag.es', 'wss://user.kindpag.es']
+    );
+  });
+});
+
+describe('normalizeProfile', () => {
+  it('accepts a complete profile and trims values', () => {
+    const { profile, errors } = normalizeProfile({
+      name: ' StrichBot ',
+      about: 'Daily stats for the Nodestrich community',
+      picture: 'https://example.com/strichbot.png',
+      nip05: 'bot@strichbot.example',
+      lud16: 'tips@getalby.com',
+      banner: 'https://example.com/ignored.png'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(profile.name, 'StrichBot');
+    assert.equal(profile.lud16, 'tips@getalby.com');
+    assert.ok(!('banner' in profile));
+  });
+
+  it('leaves out empty fields', () => {
+    const { profile, errors } = normalizeProfile({ name: 'StrichBot', about: '', picture: '   ' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(Object.keys(profile), ['name']);
+  });
+
+  it('rejects long names, http pictures and malformed addresses', () => {
+    const { errors } = normalizeProfile({
+      name: 'x'.repeat(65),
+      picture: 'http://example.com/a.png',
+      nip05: 'not-an-address',
+      lud16: 'tips@'
+    });
+
+    assert.ok(errors.includes('name must be at most 64 characters'));
+    assert.ok(errors.includes('picture must be an https:// URL'));
+    assert.ok(errors.some(error => error.startsWith('nip05')));
+    assert.ok(errors.some(error => error.startsWith('lud16')));
+  });
+});
+
+describe('buildProfileTemplate', () => {
+  const profile = { name: 'StrichBot', about: 'Daily stats', nip05: 'bot@strichbot.example' };
+  const template = buildProfileTemplate(profile);
+  const metadata = JSON.parse(template.content);
+
+  it('builds a kind-0 event', () => {
+    assert.equal(template.kind, PROFILE_KIND);
+    assert.equal(PROFILE_KIND, 0);
+  });
+
+  it('carries every field and uses the name as display_name', () => {
+    assert.equal(metadata.about, 'Daily stats');
+    assert.equal(metadata.nip05, 'bot@strichbot.example');
+    assert.equal(metadata.display_name, 'StrichBot');
+  });
+
+  it('keeps fields of the published profile the admin panel does not edit', () => {
+    const previous = { name: 'Old', banner: 'https://example.com/banner.png', website: 'https://strichbot.example' };
+    const merged = JSON.parse(buildProfileTemplate(profile, previous).content);
+    assert.equal(merged.banner, 'https://example.com/banner.png');
+    assert.equal(merged.website, 'https://strichbot.example');
+    assert.equal(merged.name, 'StrichBot');
+  });
+
+  it('drops edited fields that were cleared in the admin panel', () => {
+    const previous = { name: 'Old', display_name: 'Old', picture: 'https://example.com/old.png', lud16: 'old@strichbot.example' };
+    const merged = JSON.parse(buildProfileTemplate({ about: 'Daily stats' }, previous).content);
+    assert.deepEqual(merged, { about: 'Daily stats' });
+  });
+});
+
+describe('relay list', () => {
+  const template = buildRelayListTemplate(relays);
+
+  it('is a kind-10002 event with an r tag per relay', () => {
+    assert.equal(template.kind, RELAY_LIST_KIND);
+    assert.equal(RELAY_LIST_KIND, 10002);
+    assert.equal(template.content, '');
+    assert.deepEqual(template.tags, [['r', 'wss://relay.damus.io'], ['r', 'wss://nos.lol']]);
+  });
+
+  it('is read back from its r tags', () => {
+    assert.deepEqual(getRelaysFromEvent({ tags: [...template.tags, ['p', 'abc']] }), relays);
+  });
+
+  it('matches regardless of order and trailing slash', () => {
+    assert.ok(sameRelays(relays, ['wss://nos.lol/', 'wss://relay.damus.io']));
+    assert.ok(!sameRelays(relays, ['wss://relay.damus.io']));
+  });
+
+  it('keeps demoted relays, adds admin relays and leaves out removed ones', () => {
+    const rows = [
+      { url: 'wss://nos.lol', status: 'demoted', added_by: 'env' },
+      { url: 'wss://nostr.wine', status: 'removed', added_by: 'env' },
+      { url: 'wss://relay.primal.net', status: 'active', added_by: 'admin' }
+    ];
+    const list = listRelays(['wss://relay.damus.io', 'wss://nos.lol', 'wss://nostr.wine'], rows);
+
+    assert.ok(list.includes('wss://nos.lol'));
+    assert.ok(list.includes('wss://relay.primal.net'));
+    assert.ok(!list.includes('wss://nostr.wine'));
+  });
+});
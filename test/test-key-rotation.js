@@ -0,0 +1,73 @@
+/**
+ * Tests for Amboss API key rotation
+ * Run with: node test/test-key-rotation.js
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRotateDays, formatKeyRotationNotice } = require('../lib/keyMonitor');
+const { withEnv } = require('./helpers/env');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const standby = {
+  keyName: 'AMBOSS_API_KEY_2',
+  status: 'standby',
+  expiryDate: '2026-12-01T00:00:00Z',
+  configured: true
+};
+
+describe('isKeyUsable', () => {
+  let isKeyUsable;
+  let KEY_NAME_PATTERN;
+
+  before(async () => {
+    ({ isKeyUsable, KEY_NAME_PATTERN } = await import('../lib/apiKeyConfig.js'));
+  });
+
+  it('accepts a configured standby key', () => {
+    assert.equal(isKeyUsable(standby, now), true);
+    assert.equal(isKeyUsable({ ...standby, expiryDate: null }, now), true);
+  });
+
+  it('rejects expired keys', () => {
+    assert.equal(isKeyUsable({ ...standby, expiryDate: '2026-10-01T00:00:00Z' }, now), false);
+  });
+
+  it('rejects failed and retired keys', () => {
+    assert.equal(isKeyUsable({ ...standby, status: 'failed' }, now), false);
+    assert.equal(isKeyUsable({ ...standby, status: 'retired' }, now), false);
+  });
+
+  it('rejects keys missing from the environment', () => {
+    assert.equal(isKeyUsable({ ...standby, configured: false }, now), false);
+  });
+
+  it('only allows AMBOSS_API_KEY variables as key names', () => {
+    assert.ok(KEY_NAME_PATTERN.test('AMBOSS_API_KEY'));
+    assert.ok(KEY_NAME_PATTERN.test('AMBOSS_API_KEY_BACKUP'));
+    assert.ok(!KEY_NAME_PATTERN.test('TELEGRAM_BOT_TOKEN'));
+  });
+});
+
+describe('getRotateDays', () => {
+  it('defaults to 3 days', () => {
+    assert.equal(withEnv({ AMBOSS_KEY_ROTATE_DAYS: undefined }, getRotateDays), 3);
+  });
+
+  it('reads AMBOSS_KEY_ROTATE_DAYS', () => {
+    assert.equal(withEnv({ AMBOSS_KEY_ROTATE_DAYS: '5' }, getRotateDays), 5);
+  });
+});
+
+describe('formatKeyRotationNotice', () => {
+  const notice = formatKeyRotationNotice('AMBOSS_API_KEY', standby, 'rejected by Amboss (HTTP 401)');
+
+  it('names the new active key and its expiry', () => {
+    assert.ok(notice.includes('<b>Now active:</b> <code>AMBOSS_API_KEY_2</code>'));
+    assert.ok(notice.includes('Expiry: 2026-12-01'));
+  });
+
+  it('names the replaced key', () => {
+    assert.ok(notice.includes('<code>AMBOSS_API_KEY</code> was taken out of service'));
+  });
+});
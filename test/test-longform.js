@@ -0,0 +1,181 @@
+/**
+ * Tests for the long-form NIP-23 reports
+ * Run with: node test/test-longform.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { nip19, generateSecretKey } = require('nostr-tools');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// Stored stats and published events, answered for the statements publishReport runs
+const stored = { days: [], events: [] };
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT * FROM historical_stats WHERE community_id = ? AND date BETWEEN')) return stored.days;
+  if (sql.startsWith('SELECT * FROM historical_stats WHERE community_id = ? AND date = ?')) return [];
+  if (sql.startsWith('SELECT * FROM member_snapshots')) return [];
+  if (sql.startsWith('SELECT event_json FROM nostr_events WHERE kind = ?')) {
+    const [kind, pattern] = params;
+    return stored.events
+      .filter(event => event.kind === kind && (!pattern || JSON.stringify(event).includes(pattern.slice(1, -1))))
+      .map(event => ({ event_json: JSON.stringify(event) }));
+  }
+  if (sql.startsWith('INSERT IGNORE INTO nostr_events')) {
+    stored.events.push(JSON.parse(params[2]));
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { createLocalSigner } = require('../lib/signer');
+const {
+  ARTICLE_KIND,
+  getIsoWeek,
+  getReportPeriod,
+  getReportIdentifier,
+  buildReportArticle,
+  buildArticleTemplate,
+  formatReportTeaser,
+  publishReport
+} = require('../lib/longform');
+
+const weekly = getReportPeriod('weekly', new Date(2026, 9, 18)); // Sunday
+const identifier = getReportIdentifier(weekly, 'community-1');
+
+// Capacity comes from MySQL as DECIMAL strings
+const days = [
+  { date: '2026-10-12', memberCount: 40, totalChannels: 300, totalCapacity: '12.00000000' },
+  { date: '2026-10-13', memberCount: 41, totalChannels: 305, totalCapacity: '12.25000000' },
+  { date: '2026-10-18', memberCount: 42, totalChannels: 310, totalCapacity: '12.50000000' }
+];
+const previous = { memberCount: 40, totalChannels: 296, totalCapacity: '11.90000000' };
+const memberDiff = {
+  available: true,
+  joined: [{ pubkey: '02'.padEnd(66, 'a'), alias: 'New|Node', channels: 4, capacity: 50000000 }],
+  left: [],
+  changed: [
+    { pubkey: '03a', alias: 'Grower', channels: { previous: 10, current: 12, change: 2 }, capacity: { previous: 100000000, current: 130000000, change: 30000000 } },
+    { pubkey: '03b', alias: 'Shrinker', channels: { previous: 8, current: 6, change: -2 }, capacity: { previous: 200000000, current: 140000000, change: -60000000 } }
+  ]
+};
+const article = buildReportArticle({ period: weekly, communityName: 'Nodestrich ♾️', days, previous, memberDiff }, new Date('2026-10-18T20:15:00Z'));
+
+describe('report periods', () => {
+  it('uses ISO weeks, including across New Year', () => {
+    assert.equal(getIsoWeek(new Date(2026, 9, 18)).week, 42);
+    assert.deepEqual(getIsoWeek(new Date(2027, 0, 1)), { year: 2026, week: 53 });
+  });
+
+  it('runs weekly periods Monday to Sunday and compares with the Sunday before', () => {
+    assert.equal(weekly.start.getDate(), 12);
+    assert.equal(weekly.end.getDate(), 18);
+    assert.equal(weekly.label, '2026-W42');
+    assert.equal(weekly.compareDate.getDate(), 11);
+  });
+
+  it('gives the same period for any day of the week', () => {
+    const midWeek = getReportPeriod('weekly', new Date(2026, 9, 14));
+    assert.equal(midWeek.label, weekly.label);
+    assert.equal(midWeek.start.getTime(), weekly.start.getTime());
+  });
+
+  it('uses calendar months and compares with the last day of the month before', () => {
+    const monthly = getReportPeriod('monthly', new Date(2026, 8, 30));
+    assert.equal(monthly.label, '2026-09');
+    assert.equal(monthly.start.getDate(), 1);
+    assert.equal(monthly.end.getDate(), 30);
+    assert.equal(monthly.compareDate.getMonth(), 7);
+    assert.equal(monthly.compareDate.getDate(), 31);
+  });
+
+  it('rejects unknown report types', () => {
+    assert.throws(() => getReportPeriod('daily'));
+  });
+
+  it('keeps the d tag stable per period and community', () => {
+    assert.equal(identifier, 'strichbot-weekly-2026-W42-community-1');
+    assert.equal(getReportIdentifier(getReportPeriod('weekly', new Date(2026, 9, 14)), 'community-1'), identifier);
+  });
+});
+
+describe('buildReportArticle', () => {
+  const lines = article.markdown.split('\n');
+
+  it('names the community and period in the title', () => {
+    assert.equal(article.title, 'Nodestrich ♾️ Weekly Report 2026-W42');
+  });
+
+  it('computes deltas from DECIMAL strings', () => {
+    assert.ok(lines.some(line => line.startsWith('| 🪙 Capacity | 12.50 BTC | 11.90 BTC | +0.60 BTC | +5.0%')));
+    assert.ok(lines.some(line => line.startsWith('| 👥 Members | 42 | 40 | +2 | +5.0%')));
+  });
+
+  it('has a daily row per day, the first compared with the previous period', () => {
+    assert.equal(lines.filter(line => /^\| 2026-10-1\d \|/.test(line)).length, 3);
+    assert.ok(lines.includes('| 2026-10-12 | 40 | 300 | 12.00 | +0.10 |'));
+  });
+
+  it('lists new members with Markdown escaped', () => {
+    assert.ok(article.markdown.includes('- **New\\|Node**: 4 channels'));
+  });
+
+  it('sorts notable movers by the size of the move', () => {
+    assert.ok(article.markdown.indexOf('Shrinker') < article.markdown.indexOf('Grower'));
+    assert.ok(article.markdown.includes('| Shrinker | 8 → 6 | -0.600 BTC |'));
+  });
+
+  it('explains missing history', () => {
+    const noHistory = buildReportArticle({ period: weekly, communityName: 'Nodestrich ♾️', days: days.slice(0, 1), previous: null, memberDiff: { available: false } });
+    assert.ok(noHistory.markdown.includes('_Not enough data for a comparison: No previous data._'));
+    assert.ok(noHistory.markdown.includes('_Member snapshots are not available'));
+  });
+});
+
+describe('buildArticleTemplate', () => {
+  const template = buildArticleTemplate(article, identifier, 1760818500);
+  const tag = (name) => template.tags.find(t => t[0] === name)?.[1];
+
+  it('builds a kind-30023 event with d, title, summary and published_at', () => {
+    assert.equal(template.kind, 30023);
+    assert.equal(tag('d'), identifier);
+    assert.equal(tag('title'), article.title);
+    assert.equal(tag('summary'), article.summary);
+    assert.equal(tag('published_at'), '1760818500');
+  });
+
+  it('uses the Markdown report as content', () => {
+    assert.ok(template.content.startsWith('# Nodestrich ♾️ Weekly Report 2026-W42'));
+  });
+});
+
+describe('formatReportTeaser', () => {
+  const naddr = nip19.naddrEncode({ identifier, pubkey: 'f'.repeat(64), kind: ARTICLE_KIND, relays: ['wss://nos.lol'] });
+  const teaser = formatReportTeaser(article, naddr);
+
+  it('links the article with nostr:naddr', () => {
+    const decoded = nip19.decode(naddr);
+    assert.equal(decoded.data.identifier, identifier);
+    assert.equal(decoded.data.kind, 30023);
+    assert.ok(teaser.includes(`nostr:${naddr}`));
+  });
+
+  it('stays short and shows the headline numbers', () => {
+    assert.ok(teaser.includes('👥 Members: 42 (+5.0%)'));
+    assert.ok(teaser.length < 500);
+  });
+});
+
+describe('publishReport', () => {
+  const signer = createLocalSigner(nip19.nsecEncode(generateSecretKey()));
+  const community = { communityId: 'community-1', name: 'Nodestrich' };
+
+  it('skips the teaser when no relay accepted the article', async () => {
+    stored.days = days;
+    stored.events = [];
+
+    const result = await publishReport('weekly', { signer, community, relays: [], date: new Date(2026, 9, 18) });
+    assert.equal(result.published, false);
+    assert.equal(result.reason, 'No relay accepted the article');
+    assert.deepEqual(stored.events.map(event => event.kind), [ARTICLE_KIND]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for member join/leave detection and announcements
+ * Run with: node test/test-member-changes.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// member_snapshots and member_announcements rows, answered for the statements lib/dataStore.js runs
+const tables = { snapshots: [], announcements: [] };
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT MAX(date) AS date FROM member_snapshots')) {
+    const [communityId, before] = params;
+    const dates = tables.snapshots.filter(row => row.community_id === communityId && row.date < before).map(row => row.date).sort();
+    return [{ date: dates.length > 0 ? new Date(`${dates[dates.length - 1]}T00:00:00`) : null }];
+  }
+  if (sql.startsWith('SELECT * FROM member_snapshots WHERE community_id = ? AND date = ?')) {
+    return tables.snapshots.filter(row => row.community_id === params[0] && row.date === params[1]);
+  }
+  if (sql.startsWith('SELECT pubkey, change_type FROM member_announcements')) {
+    const [communityId, sinceDate, channel] = params;
+    return tables.announcements.filter(row => row.community_id === communityId && row.since_date === sinceDate && row.channel === channel);
+  }
+  if (sql.startsWith('INSERT IGNORE INTO member_announcements')) {
+    for (let i = 0; i < params.length; i += 5) {
+      const [communityId, sinceDate, pubkey, changeType, channel] = params.slice(i, i + 5);
+      tables.announcements.push({ community_id: communityId, since_date: sinceDate, pubkey, change_type: changeType, channel });
+    }
+    return { affectedRows: params.length / 5 };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { compareMemberLists } = require('../lib/dataStore');
+const {
+  ANNOUNCEMENT_CHANNELS,
+  detectMemberChanges,
+  markChangesAnnounced,
+  formatWelcomeMessage,
+  formatWelcomeMessageForTelegram,
+  formatDepartureAlert
+} = require('../lib/memberChanges');
+
+const previous = [
+  { pubkey: '02aaaaaaaaaaaaaaaaaaaa', alias: 'Alice', channels: 10, capacity: 50000000 },
+  { pubkey: '02bbbbbbbbbbbbbbbbbbbb', alias: 'Bob', channels: 4, capacity: 12000000 }
+];
+
+const current = [
+  { pubkey: '02aaaaaaaaaaaaaaaaaaaa', alias: 'Alice', channels: 12, capacity: 65000000 },
+  { pubkey: '02cccccccccccccccccccc', alias: '<Carol>', channels: 3, capacity: 9000000 }
+];
+
+describe('compareMemberLists', () => {
+  const { joined, left, changed } = compareMemberLists(previous, current);
+
+  it('finds members that joined', () => {
+    assert.deepEqual(joined.map(member => member.alias), ['<Carol>']);
+  });
+
+  it('finds members that left', () => {
+    assert.deepEqual(left.map(member => member.alias), ['Bob']);
+  });
+
+  it('reports channel and capacity changes of remaining members', () => {
+    assert.equal(changed.length, 1);
+    assert.deepEqual(changed[0].channels, { previous: 10, current: 12, change: 2 });
+    assert.equal(changed[0].capacity.change, 15000000);
+  });
+
+  it('leaves out members that did not change', () => {
+    assert.equal(compareMemberLists(previous, previous).changed.length, 0);
+  });
+});
+
+describe('welcome and departure messages', () => {
+  const { joined, left } = compareMemberLists(previous, current);
+
+  it('lists a single new node on Nostr', () => {
+    const message = formatWelcomeMessage(joined);
+    assert.ok(message.includes('A new node just joined the community:'));
+    assert.ok(message.includes('⚡ <Carol> - 0.090 BTC, 3 channels'));
+  });
+
+  it('counts several new nodes', () => {
+    assert.ok(formatWelcomeMessage(current, 'Plebnet').includes('👋 Welcome to Plebnet!\n\n2 new nodes just joined'));
+  });
+
+  it('escapes node aliases on Telegram', () => {
+    assert.ok(formatWelcomeMessageForTelegram(joined).includes('<b>&lt;Carol&gt;</b>'));
+  });
+
+  it('names the snapshot departures were detected against', () => {
+    const alert = formatDepartureAlert(left, 'Nodestrich ♾️', '2025-10-01');
+    assert.ok(alert.includes('1 node left the community since 2025-10-01:'));
+    assert.ok(alert.includes('• Bob (<code>02bbbbbbbbbbbbbb…</code>) - 0.120 BTC, 4 channels'));
+  });
+});
+
+describe('detectMemberChanges', () => {
+  const communityId = 'community-1';
+  const today = new Date('2025-10-02T12:00:00');
+
+  beforeEach(() => {
+    tables.snapshots = previous.map(member => ({ ...member, date: '2025-10-01', community_id: communityId }));
+    tables.announcements = [];
+  });
+
+  it('records a baseline when there is no previous snapshot', async () => {
+    const changes = await detectMemberChanges(current, 'community-2', ANNOUNCEMENT_CHANNELS.NOSTR, today);
+    assert.equal(changes.baseline, true);
+    assert.deepEqual([changes.joined, changes.left], [[], []]);
+  });
+
+  it('finds joins and departures since the previous snapshot', async () => {
+    const changes = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, today);
+    assert.equal(changes.previousDate, '2025-10-01');
+    assert.deepEqual(changes.joined.map(member => member.alias), ['<Carol>']);
+    assert.deepEqual(changes.left.map(member => member.alias), ['Bob']);
+  });
+
+  it('reports nothing on a second run the same day once the changes were announced', async () => {
+    const first = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, today);
+    await markChangesAnnounced(first, 'joined', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+    await markChangesAnnounced(first, 'left', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+
+    const second = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, new Date('2025-10-02T18:00:00'));
+    assert.equal(second.baseline, false);
+    assert.deepEqual([second.joined, second.left], [[], []]);
+  });
+
+  it('keeps changes that were not announced yet', async () => {
+    const first = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, today);
+    await markChangesAnnounced(first, 'joined', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+
+    const second = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, today);
+    assert.deepEqual(second.joined, []);
+    assert.deepEqual(second.left.map(member => member.alias), ['Bob']);
+  });
+
+  it('tracks each channel separately', async () => {
+    const telegram = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM, today);
+    await markChangesAnnounced(telegram, 'joined', communityId, ANNOUNCEMENT_CHANNELS.TELEGRAM);
+
+    const nostr = await detectMemberChanges(current, communityId, ANNOUNCEMENT_CHANNELS.NOSTR, today);
+    assert.deepEqual(nostr.joined.map(member => member.alias), ['<Carol>']);
+  });
+});
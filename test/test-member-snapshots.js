@@ -0,0 +1,153 @@
+/**
+ * Tests for per-member snapshots, member history and diffs
+ * Run with: node test/test-member-snapshots.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// member_snapshots rows, answered for the statements lib/dataStore.js runs
+const snapshots = [];
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('INSERT INTO member_snapshots')) {
+    for (let i = 0; i < params.length; i += 6) {
+      const [date, communityId, pubkey, alias, channels, capacity] = params.slice(i, i + 6);
+      const existing = snapshots.find(row => row.date === date && row.community_id === communityId && row.pubkey === pubkey);
+      if (existing) {
+        Object.assign(existing, { alias, channels, capacity });
+      } else {
+        snapshots.push({ date, community_id: communityId, pubkey, alias, channels, capacity });
+      }
+    }
+    return { affectedRows: params.length / 6 };
+  }
+  if (sql.startsWith('SELECT * FROM member_snapshots WHERE community_id = ? AND date = ?')) {
+    const [communityId, date] = params;
+    return snapshots
+      .filter(row => row.community_id === communityId && row.date === date)
+      .sort((a, b) => b.capacity - a.capacity);
+  }
+  if (sql.startsWith('SELECT * FROM member_snapshots WHERE community_id = ? AND pubkey = ?')) {
+    const [communityId, pubkey, startDate] = params;
+    return snapshots
+      .filter(row => row.community_id === communityId && row.pubkey === pubkey && row.date >= startDate)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const {
+  storeMemberSnapshots,
+  loadMemberSnapshots,
+  loadMemberHistory,
+  diffMemberSnapshots,
+  compareMemberLists
+} = require('../lib/dataStore');
+
+/**
+ * Build a date the given number of days before today
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date;
+}
+
+/**
+ * Format a date like dataStore does (local YYYY-MM-DD)
+ */
+function formatDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+const alice = { pubkey: '02alice', alias: 'Alice', channels: 10, capacity: 50000000 };
+const bob = { pubkey: '02bob', alias: 'Bob', channels: 4, capacity: 8000000 };
+const carol = { pubkey: '02carol', alias: 'Carol', channels: 2, capacity: 1000000 };
+
+describe('compareMemberLists', () => {
+  it('finds joined and departed members', () => {
+    const { joined, left } = compareMemberLists([alice, bob], [alice, carol]);
+    assert.deepEqual(joined.map(member => member.pubkey), ['02carol']);
+    assert.deepEqual(left.map(member => member.pubkey), ['02bob']);
+  });
+
+  it('reports channel and capacity changes for members in both lists', () => {
+    const { changed } = compareMemberLists([alice], [{ ...alice, channels: 12, capacity: 60000000 }]);
+    assert.equal(changed.length, 1);
+    assert.equal(changed[0].pubkey, '02alice');
+    assert.deepEqual(changed[0].channels, { previous: 10, current: 12, change: 2 });
+    assert.equal(changed[0].capacity.change, 10000000);
+  });
+
+  it('leaves out members that did not change', () => {
+    assert.deepEqual(compareMemberLists([alice], [alice]).changed, []);
+  });
+});
+
+describe('member snapshots', () => {
+  beforeEach(() => {
+    snapshots.length = 0;
+  });
+
+  it('stores one row per member and reads them back largest first', async () => {
+    const today = new Date();
+    assert.equal(await storeMemberSnapshots([carol, alice, bob], 'community-a', today), 3);
+
+    const members = await loadMemberSnapshots(today, 'community-a');
+    assert.deepEqual(members.map(member => member.pubkey), ['02alice', '02bob', '02carol']);
+    assert.equal(members[0].channels, 10);
+  });
+
+  it('updates a member stored twice on the same day', async () => {
+    const today = new Date();
+    await storeMemberSnapshots([alice], 'community-a', today);
+    await storeMemberSnapshots([{ ...alice, channels: 11 }], 'community-a', today);
+
+    const members = await loadMemberSnapshots(today, 'community-a');
+    assert.equal(members.length, 1);
+    assert.equal(members[0].channels, 11);
+  });
+
+  it('keeps communities apart', async () => {
+    const today = new Date();
+    await storeMemberSnapshots([alice], 'community-a', today);
+    await storeMemberSnapshots([bob], 'community-b', today);
+
+    assert.deepEqual((await loadMemberSnapshots(today, 'community-b')).map(member => member.pubkey), ['02bob']);
+  });
+
+  it('loads the history of one member in date order', async () => {
+    await storeMemberSnapshots([{ ...alice, channels: 12 }], 'community-a', daysAgo(1));
+    await storeMemberSnapshots([alice, bob], 'community-a', daysAgo(2));
+    await storeMemberSnapshots([{ ...alice, channels: 99 }], 'community-b', daysAgo(1));
+
+    const history = await loadMemberHistory('02alice', 'community-a');
+    assert.deepEqual(history.map(entry => [entry.date, entry.channels]), [
+      [formatDay(daysAgo(2)), 10],
+      [formatDay(daysAgo(1)), 12]
+    ]);
+  });
+
+  it('leaves out history older than the requested days', async () => {
+    await storeMemberSnapshots([alice], 'community-a', daysAgo(10));
+    await storeMemberSnapshots([alice], 'community-a', daysAgo(1));
+
+    assert.equal((await loadMemberHistory('02alice', 'community-a', 5)).length, 1);
+  });
+
+  it('diffs two stored days', async () => {
+    await storeMemberSnapshots([alice, bob], 'community-a', daysAgo(2));
+    await storeMemberSnapshots([alice, carol], 'community-a', daysAgo(1));
+
+    const diff = await diffMemberSnapshots(daysAgo(2), daysAgo(1), 'community-a');
+    assert.equal(diff.available, true);
+    assert.deepEqual(diff.joined.map(member => member.pubkey), ['02carol']);
+    assert.deepEqual(diff.left.map(member => member.pubkey), ['02bob']);
+  });
+
+  it('marks a diff unavailable when a day is missing', async () => {
+    await storeMemberSnapshots([alice], 'community-a', daysAgo(1));
+    assert.equal((await diffMemberSnapshots(daysAgo(2), daysAgo(1), 'community-a')).available, false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for block-height milestones
+ * Run with: node test/test-milestones.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCountdownBlocks,
+  getDueAnnouncement,
+  getHalvingMilestone,
+  formatBlockEta,
+  formatCountdownMessage,
+  formatCountdownMessageForTelegram,
+  formatMilestoneReachedMessage
+} = require('../lib/milestones');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const milestone = {
+  id: 1,
+  height: 1000000,
+  name: 'Block 1,000,000',
+  description: 'One million blocks <3',
+  countdownBlocks: parseCountdownBlocks('1008,144,6'),
+  lastCountdown: null,
+  reachedAt: null
+};
+
+describe('parseCountdownBlocks', () => {
+  it('sorts countdown points largest first and drops invalid ones', () => {
+    assert.deepEqual(parseCountdownBlocks('6, 1008,144,x'), [1008, 144, 6]);
+  });
+});
+
+describe('getDueAnnouncement', () => {
+  it('has nothing due far from the target', () => {
+    assert.equal(getDueAnnouncement(milestone, 990000), null);
+  });
+
+  it('posts the first countdown point once crossed', () => {
+    const due = getDueAnnouncement(milestone, 999000);
+    assert.equal(due.type, 'countdown');
+    assert.equal(due.blocks, 1008);
+  });
+
+  it('does not repeat a posted countdown point', () => {
+    assert.equal(getDueAnnouncement({ ...milestone, lastCountdown: 1008 }, 999500), null);
+  });
+
+  it('moves on to the next countdown point', () => {
+    assert.equal(getDueAnnouncement({ ...milestone, lastCountdown: 1008 }, 999900).blocks, 144);
+  });
+
+  it('only posts the closest point after missed runs', () => {
+    assert.equal(getDueAnnouncement(milestone, 999998).blocks, 6);
+  });
+
+  it('celebrates once the height is mined, and only once', () => {
+    assert.equal(getDueAnnouncement({ ...milestone, lastCountdown: 6 }, 1000003).type, 'reached');
+    assert.equal(getDueAnnouncement({ ...milestone, reachedAt: now }, 1000003), null);
+  });
+});
+
+describe('getHalvingMilestone', () => {
+  it('describes the next halving and its subsidy', () => {
+    const halving = getHalvingMilestone(918000);
+    assert.equal(halving.height, 1050000);
+    assert.equal(halving.name, 'Bitcoin Halving #5');
+    assert.ok(halving.description.includes('1.5625 BTC'));
+  });
+});
+
+describe('milestone messages', () => {
+  it('estimates time in days, hours or minutes', () => {
+    assert.equal(formatBlockEta(1008), '~7 days');
+    assert.equal(formatBlockEta(144), '~24 hours');
+    assert.equal(formatBlockEta(6), '~60 minutes');
+  });
+
+  it('shows blocks left and the expected time in countdowns', () => {
+    const countdown = formatCountdownMessage(milestone, 999856, now);
+    assert.ok(countdown.includes('🧱 144 blocks to go until block 1,000,000'));
+    assert.ok(countdown.includes('2026-10-19 12:00 UTC'));
+  });
+
+  it('escapes the description on Telegram', () => {
+    assert.ok(formatCountdownMessageForTelegram(milestone, 999856, now).includes('One million blocks &lt;3'));
+  });
+
+  it('names the block in the celebration', () => {
+    assert.ok(formatMilestoneReachedMessage(milestone).includes('🧱 Block 1,000,000 has been mined.'));
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Tests for Bitcoin network context in daily posts
+ * Run with: node test/test-network-context.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// source_health writes as [name, outcome, error]
+const healthRecords = [];
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('INSERT INTO source_health (name, last_success_at')) {
+    healthRecords.push([params[0], 'success']);
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('INSERT INTO source_health (name, last_failure_at')) {
+    healthRecords.push([params[0], 'failure', params[1]]);
+    return { affectedRows: 1 };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const {
+  HEALTH_SOURCES,
+  fetchBlockData,
+  getHalvingInfo,
+  getNetworkSections,
+  getMempoolApiUrl,
+  getMempoolTimeoutMs,
+  getMempoolSourceLabel,
+  formatFeeRates,
+  formatDifficultyAdjustment,
+  formatMempoolSize
+} = require('../lib/mempool');
+const { toSatPerVbyte, isRpcConfigured } = require('../lib/bitcoinRpc');
+const { formatStatsMessage } = require('../lib/nostr');
+const { formatStatsMessageForTelegram } = require('../lib/telegram');
+const { withEnv } = require('./helpers/env');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const blockData = {
+  height: 918000,
+  timestamp: now.toISOString(),
+  fees: { fastest: 12, halfHour: 8, hour: 5, economy: 3, minimum: 1 },
+  difficulty: { changePercent: 2.314, remainingBlocks: 580, estimatedAt: '2026-10-22T12:00:00Z' },
+  halving: getHalvingInfo(918000),
+  mempool: { count: 45123, vsize: 12345678 },
+  source: 'Mempool.space'
+};
+
+const stats = {
+  memberCount: 299,
+  totalChannels: 6187,
+  totalCapacity: 616.94,
+  pendingRequests: 0,
+  timestamp: now.toISOString(),
+  source: 'Amboss'
+};
+
+describe('getHalvingInfo', () => {
+  it('counts the blocks left until the next halving', () => {
+    assert.equal(blockData.halving.nextHeight, 1050000);
+    assert.equal(blockData.halving.blocksLeft, 132000);
+  });
+
+  it('points to the next halving when exactly at an epoch boundary', () => {
+    assert.equal(getHalvingInfo(840000).blocksLeft, 210000);
+  });
+});
+
+describe('network context formatting', () => {
+  it('formats fee rates', () => {
+    assert.equal(formatFeeRates(blockData.fees), '12 / 8 / 5 sat/vB (fast / 30 min / 1 hr)');
+  });
+
+  it('formats difficulty adjustments with an ETA in days or hours', () => {
+    assert.equal(formatDifficultyAdjustment(blockData.difficulty, now), '+2.31% in ~4 days');
+    assert.equal(formatDifficultyAdjustment({ changePercent: -1.5, estimatedAt: '2026-10-18T17:00:00Z' }, now), '-1.50% in ~5 hours');
+  });
+
+  it('formats the mempool size', () => {
+    assert.equal(formatMempoolSize(blockData.mempool), '45,123 txs (12.3 vMB)');
+  });
+});
+
+describe('network section in posts', () => {
+  it('is added to Nostr and Telegram posts', () => {
+    const nostrMessage = formatStatsMessage(stats, blockData);
+    assert.ok(nostrMessage.includes('⛓️ Bitcoin Network:'));
+    assert.ok(nostrMessage.includes('🌗 Halving: 132,000 blocks to go'));
+    assert.ok(formatStatsMessageForTelegram(stats, blockData).includes('💸 Fees: <b>12 / 8 / 5 sat/vB (fast / 30 min / 1 hr)</b>'));
+  });
+
+  it('skips sections without data', () => {
+    const message = formatStatsMessage(stats, { ...blockData, fees: null, difficulty: null, mempool: null });
+    assert.ok(message.includes('🌗 Halving'));
+    assert.ok(!message.includes('💸 Fees'));
+    assert.ok(!message.includes('📦 Mempool'));
+  });
+
+  it('leaves out only the block height when it is unknown', () => {
+    const message = formatStatsMessage(stats, { ...blockData, height: null, halving: null });
+    assert.ok(!message.includes('Block Height'));
+    assert.ok(message.includes('💸 Fees'));
+    assert.ok(!formatStatsMessageForTelegram(stats, { ...blockData, height: null }).includes('Block Height'));
+  });
+
+  it('is left out when there is no context at all', () => {
+    assert.ok(!formatStatsMessage(stats, { height: 918000, timestamp: now.toISOString() }).includes('Bitcoin Network'));
+  });
+
+  it('only shows the sections chosen in NETWORK_CONTEXT', () => {
+    assert.deepEqual(withEnv({ NETWORK_CONTEXT: 'fees, halving, bogus' }, getNetworkSections), ['fees', 'halving']);
+    assert.deepEqual(withEnv({ NETWORK_CONTEXT: 'none' }, getNetworkSections), []);
+  });
+});
+
+describe('data source configuration', () => {
+  it('defaults to mempool.space', () => {
+    withEnv({ MEMPOOL_API_URL: undefined }, () => {
+      assert.equal(getMempoolApiUrl(), 'https://mempool.space/api');
+      assert.equal(getMempoolSourceLabel(), 'Mempool.space');
+    });
+  });
+
+  it('uses a self-hosted API without the trailing slash and credits its host', () => {
+    withEnv({ MEMPOOL_API_URL: 'https://mempool.example.org/api/' }, () => {
+      assert.equal(getMempoolApiUrl(), 'https://mempool.example.org/api');
+      assert.equal(getMempoolSourceLabel(), 'mempool.example.org');
+    });
+  });
+
+  it('only falls back to RPC when BITCOIN_RPC_URL is set', () => {
+    assert.equal(withEnv({ BITCOIN_RPC_URL: undefined }, isRpcConfigured), false);
+    assert.equal(withEnv({ BITCOIN_RPC_URL: 'http://127.0.0.1:8332' }, isRpcConfigured), true);
+  });
+
+  it('converts estimatesmartfee rates to at least 1 sat/vB', () => {
+    assert.equal(toSatPerVbyte(0.00012), 12);
+    assert.equal(toSatPerVbyte(0.000001), 1);
+  });
+});
+
+describe('block data fallback', () => {
+  const originalFetch = global.fetch;
+  const rpcUrl = 'http://127.0.0.1:8332';
+  const env = {
+    MEMPOOL_API_URL: 'https://mempool.example.org/api',
+    MEMPOOL_TIMEOUT_MS: '200',
+    BITCOIN_RPC_URL: rpcUrl,
+    NETWORK_CONTEXT: 'fees,difficulty'
+  };
+
+  /**
+   * Answer bitcoind RPC calls; the mempool API is handled by `mempool`
+   */
+  function fakeFetch(mempool) {
+    return async (url, options) => {
+      if (url === rpcUrl) {
+        const { method } = JSON.parse(options.body);
+        const result = method === 'getblockcount' ? 918000 : { feerate: 0.00012 };
+        return { ok: true, status: 200, json: async () => ({ result, error: null }) };
+      }
+      return mempool(url, options);
+    };
+  }
+
+  beforeEach(() => {
+    healthRecords.length = 0;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('reads the request timeout from MEMPOOL_TIMEOUT_MS', () => {
+    assert.equal(withEnv({ MEMPOOL_TIMEOUT_MS: undefined }, getMempoolTimeoutMs), 5000);
+    assert.equal(withEnv({ MEMPOOL_TIMEOUT_MS: '200' }, getMempoolTimeoutMs), 200);
+  });
+
+  it('gives up on a stalled mempool API and uses bitcoind', async () => {
+    // The mempool API never answers, so only the timeout ends each request
+    global.fetch = fakeFetch((url, { signal }) => new Promise((resolve, reject) => {
+      const pending = setTimeout(() => reject(new Error('request was never aborted')), 5000);
+      signal.addEventListener('abort', () => {
+        clearTimeout(pending);
+        reject(signal.reason);
+      });
+    }));
+
+    const startedAt = Date.now();
+    const data = await withEnv(env, fetchBlockData);
+
+    assert.ok(Date.now() - startedAt < 2000);
+    assert.equal(data.height, 918000);
+    assert.equal(data.source, 'Bitcoin Core');
+    assert.deepEqual(data.fees, { fastest: 12, halfHour: 12, hour: 12, economy: 12, minimum: 12 });
+    assert.equal(data.difficulty, null);
+  });
+
+  it('records failed fee and difficulty requests against the HTTP source', async () => {
+    global.fetch = fakeFetch(async () => ({ ok: false, status: 503, statusText: 'Service Unavailable' }));
+
+    await withEnv(env, fetchBlockData);
+
+    const httpFailures = healthRecords.filter(([name, outcome]) => name === HEALTH_SOURCES.HTTP && outcome === 'failure');
+    assert.equal(httpFailures.length, 3);
+    assert.ok(healthRecords.some(([name, outcome]) => name === HEALTH_SOURCES.RPC && outcome === 'success'));
+  });
+
+  it('does not count endpoints a plain Esplora instance lacks as failures', async () => {
+    global.fetch = fakeFetch(async url => url.endsWith('/blocks/tip/height')
+      ? { ok: true, status: 200, text: async () => '918000' }
+      : { ok: false, status: 404, statusText: 'Not Found' });
+
+    await withEnv(env, fetchBlockData);
+
+    assert.deepEqual(healthRecords.filter(([name]) => name === HEALTH_SOURCES.HTTP), [[HEALTH_SOURCES.HTTP, 'success']]);
+  });
+
+  it('keeps the context it fetched when the block height is unavailable', async () => {
+    global.fetch = fakeFetch(async url => url.endsWith('/v1/fees/recommended')
+      ? { ok: true, status: 200, json: async () => ({ fastestFee: 12, halfHourFee: 8, hourFee: 5, economyFee: 3, minimumFee: 1 }) }
+      : { ok: false, status: 503, statusText: 'Service Unavailable' });
+
+    const data = await withEnv({ ...env, BITCOIN_RPC_URL: undefined, NETWORK_CONTEXT: 'fees,halving' }, fetchBlockData);
+
+    assert.equal(data.height, null);
+    assert.equal(data.halving, null);
+    assert.equal(data.fees.fastest, 12);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for Lightning Network share calculations
+ * Run with: node test/test-network-share.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeNetworkShare, getNetworkShareTrend, formatShare, formatShareChange } = require('../lib/networkShare');
+
+const network = { nodeCount: 12000, channelCount: 50000, totalCapacity: 5000 };
+const stats = { totalChannels: 1000, totalCapacity: 100 };
+
+// Week-old row as returned by getStatsFromDaysAgo (DECIMAL columns come back as strings)
+const weekAgoStats = {
+  totalChannels: 980,
+  totalCapacity: '95',
+  networkStats: { nodeCount: 11900, channelCount: 49000, totalCapacity: 5000 }
+};
+
+/**
+ * Compare percentages without floating point noise
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be ${expected}`);
+}
+
+describe('computeNetworkShare', () => {
+  it('computes capacity and channel share in percent', () => {
+    const share = computeNetworkShare(stats, network);
+    assertClose(share.capacityShare, 2);
+    assertClose(share.channelShare, 2);
+  });
+
+  it('returns null without usable network totals', () => {
+    assert.equal(computeNetworkShare(stats, null), null);
+    assert.equal(computeNetworkShare(stats, { ...network, totalCapacity: 0 }), null);
+  });
+});
+
+describe('getNetworkShareTrend', () => {
+  it('reports the change in percentage points since last week', () => {
+    const trend = getNetworkShareTrend(stats, network, weekAgoStats);
+    assertClose(trend.capacityChange, 0.1);
+    assertClose(trend.channelChange, 0);
+  });
+
+  it('returns null without current network totals', () => {
+    assert.equal(getNetworkShareTrend(stats, null, weekAgoStats), null);
+  });
+
+  it('has no change when last week has no stats or network totals', () => {
+    const firstWeek = getNetworkShareTrend(stats, network, { ...weekAgoStats, networkStats: null });
+    assert.equal(firstWeek.capacityChange, null);
+    assert.equal(firstWeek.channelChange, null);
+    assert.equal(getNetworkShareTrend(stats, network).capacityChange, null);
+  });
+});
+
+describe('share formatting', () => {
+  it('shows shares with two decimals', () => {
+    assert.equal(formatShare(2.1349), '2.13%');
+  });
+
+  it('signs changes', () => {
+    assert.equal(formatShareChange(0.0312), '+0.031');
+    assert.equal(formatShareChange(-0.0124), '-0.012');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the pending request digest and applicant cards
+ * Run with: node test/test-pending-requests.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// request_tracking and community_requests rows, answered for the statements lib/pendingRequests.js runs
+const tables = { tracking: [], requests: [], unavailable: false };
+installFakeDatabase((sql, params) => {
+  if (sql.startsWith('INSERT IGNORE INTO request_tracking')) {
+    const [communityId, startedAt] = params;
+    if (tables.tracking.some(row => row.community_id === communityId)) return { affectedRows: 0 };
+    tables.tracking.push({ community_id: communityId, started_at: startedAt });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('SELECT * FROM community_requests')) {
+    if (tables.unavailable) throw new Error('connect ECONNREFUSED 127.0.0.1:3306');
+    return tables.requests.filter(row => row.community_id === params[0] && !row.resolved_at);
+  }
+  if (sql.startsWith('INSERT INTO community_requests')) {
+    const [communityId, pubId, pubkey, approvals, requiredApprovals, firstSeen, lastSeen] = params;
+    const existing = tables.requests.find(row => row.community_id === communityId && row.pub_id === pubId);
+    if (existing) {
+      Object.assign(existing, { approvals, required_approvals: requiredApprovals, last_seen: lastSeen, resolved_at: null });
+    } else {
+      tables.requests.push({ community_id: communityId, pub_id: pubId, pubkey, approvals, required_approvals: requiredApprovals, first_seen: firstSeen, last_seen: lastSeen, resolved_at: null });
+    }
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('UPDATE community_requests SET resolved_at = ?')) {
+    const [resolvedAt, communityId, ...pubIds] = params;
+    tables.requests
+      .filter(row => row.community_id === communityId && pubIds.includes(row.pub_id))
+      .forEach(row => { row.resolved_at = resolvedAt; });
+    return { affectedRows: pubIds.length };
+  }
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const { formatOpenDuration, isStuck, formatRequestDigest, trackPendingRequests } = require('../lib/pendingRequests');
+const { formatNodeAge, formatApplicantCard } = require('../lib/applicants');
+
+const now = new Date('2025-10-15T17:00:00Z');
+const requests = [
+  { pubId: 'req1', pubkey: '02aaaaaaaaaaaaaaaaaaaaaaaa', approvals: 0, requiredApprovals: 3, firstSeen: new Date('2025-10-03T17:00:00Z') },
+  { pubId: 'req2', pubkey: '03bbbbbbbbbbbbbbbbbbbbbbbb', approvals: 2, requiredApprovals: 3, firstSeen: new Date('2025-10-12T17:00:00Z') },
+  { pubId: 'req3', pubkey: '02cccccccccccccccccccccccc', approvals: 1, requiredApprovals: 3, firstSeen: new Date('2025-10-15T12:00:00Z') }
+];
+
+describe('request age', () => {
+  it('formats open durations in days or hours', () => {
+    assert.equal(formatOpenDuration(requests[1].firstSeen, now), '3 days');
+    assert.equal(formatOpenDuration(requests[2].firstSeen, now), '5 hours');
+  });
+
+  it('flags requests open longer than the threshold as stuck', () => {
+    assert.equal(isStuck(requests[0], 7, now), true);
+    assert.equal(isStuck(requests[1], 7, now), false);
+  });
+});
+
+describe('formatRequestDigest', () => {
+  const digest = formatRequestDigest(requests, 'Nodestrich ♾️', 7, now);
+
+  it('shows approval progress and age', () => {
+    assert.ok(digest.includes('2/3 approvals, open 3 days'));
+  });
+
+  it('counts stuck requests', () => {
+    assert.ok(digest.includes('⚠️ 1 open for more than 7 days'));
+  });
+});
+
+describe('applicant cards', () => {
+  const node = { alias: '<Dave>', channels: 8, capacity: 40000000, firstSeen: new Date('2023-04-15T00:00:00Z') };
+
+  it('formats node age in years or days', () => {
+    assert.equal(formatNodeAge(node.firstSeen, now), '2.5 years');
+    assert.equal(formatNodeAge(requests[1].firstSeen, now), '3 days');
+  });
+
+  it('escapes the alias and shows capacity', () => {
+    const card = formatApplicantCard(requests[1], node, 'Nodestrich ♾️', now);
+    assert.ok(card.includes('&lt;Dave&gt;'));
+    assert.ok(card.includes('0.400 BTC'));
+  });
+
+  it('says when no public node information was found', () => {
+    assert.ok(formatApplicantCard(requests[0], null, 'Nodestrich ♾️', now).includes('No public node information found'));
+  });
+});
+
+describe('trackPendingRequests', () => {
+  const fromAmboss = ({ pubId, pubkey, approvals, requiredApprovals }) => ({ pubId, pubkey, approvals, requiredApprovals });
+
+  it('only records a baseline on the first run for a community', async () => {
+    const result = await trackPendingRequests(requests.slice(0, 2).map(fromAmboss), 'community-1', now);
+    assert.equal(result.baseline, true);
+    assert.deepEqual(result.newRequests, []);
+    assert.equal(result.open.length, 2);
+  });
+
+  it('reports requests that appeared and disappeared since the last run', async () => {
+    const result = await trackPendingRequests(requests.slice(1).map(fromAmboss), 'community-1', now);
+    assert.equal(result.baseline, false);
+    assert.deepEqual(result.newRequests.map(request => request.pubId), ['req3']);
+    assert.deepEqual(result.resolved.map(request => request.pubId), ['req1']);
+    assert.deepEqual(result.open.map(request => request.pubId), ['req2', 'req3']);
+  });
+
+  it('fails instead of treating every request as new when the database is unavailable', async () => {
+    tables.unavailable = true;
+    try {
+      await assert.rejects(trackPendingRequests(requests.map(fromAmboss), 'community-1', now), /ECONNREFUSED/);
+    } finally {
+      tables.unavailable = false;
+    }
+    // Nothing was written, so the request resolved on the last run stays resolved
+    assert.equal(tables.requests.find(request => request.pub_id === 'req1').resolved_at, now);
+  });
+
+  it('keeps the baseline after a run without open requests', async () => {
+    assert.equal((await trackPendingRequests([], 'community-2', now)).baseline, true);
+
+    const result = await trackPendingRequests([fromAmboss(requests[0])], 'community-2', now);
+    assert.equal(result.baseline, false);
+    assert.deepEqual(result.newRequests.map(request => request.pubId), ['req1']);
+  });
+});
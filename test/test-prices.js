@@ -0,0 +1,133 @@
+/**
+ * Tests for fiat valuation of community capacity
+ * Run with: node test/test-prices.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getPriceApiUrl,
+  getPriceTimeoutMs,
+  fetchBtcPrices,
+  normalizeDisplaySettings,
+  formatBtcAmount,
+  formatFiatSuffix
+} = require('../lib/prices');
+const { formatStatsMessage } = require('../lib/nostr');
+const { formatStatsMessageForTelegram } = require('../lib/telegram');
+const { withEnv } = require('./helpers/env');
+
+const stats = {
+  memberCount: 299,
+  totalChannels: 6187,
+  totalCapacity: 616.94,
+  pendingRequests: 0,
+  timestamp: '2026-10-18T12:00:00Z',
+  source: 'Amboss'
+};
+const prices = { USD: 100000, EUR: 92000 };
+
+describe('getPriceApiUrl', () => {
+  it('defaults to mempool.space', () => {
+    const url = withEnv({ PRICE_API_URL: undefined, MEMPOOL_API_URL: undefined }, getPriceApiUrl);
+    assert.equal(url, 'https://mempool.space/api/v1/prices');
+  });
+
+  it('reads PRICE_API_URL', () => {
+    assert.equal(withEnv({ PRICE_API_URL: 'https://prices.example.com/btc' }, getPriceApiUrl), 'https://prices.example.com/btc');
+  });
+
+  it('can be disabled', () => {
+    assert.equal(withEnv({ PRICE_API_URL: 'none' }, getPriceApiUrl), null);
+  });
+});
+
+describe('fetchBtcPrices', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('waits 5 seconds by default and reads PRICE_TIMEOUT_MS', () => {
+    assert.equal(withEnv({ PRICE_TIMEOUT_MS: undefined }, getPriceTimeoutMs), 5000);
+    assert.equal(withEnv({ PRICE_TIMEOUT_MS: '1500' }, getPriceTimeoutMs), 1500);
+  });
+
+  it('keeps supported currencies with a price', async () => {
+    global.fetch = async () => ({ ok: true, json: async () => ({ USD: 100000, EUR: 0, GBP: 80000 }) });
+    assert.deepEqual(await withEnv({ PRICE_API_URL: undefined }, fetchBtcPrices), { USD: 100000 });
+  });
+
+  it('gives up on an endpoint that does not answer in time', async () => {
+    global.fetch = async (url, { signal }) => new Promise((resolve, reject) => {
+      // AbortSignal.timeout does not keep the process alive on its own
+      const pending = setTimeout(() => reject(new Error('request was never aborted')), 5000);
+      signal.addEventListener('abort', () => {
+        clearTimeout(pending);
+        reject(signal.reason);
+      });
+    });
+
+    const startedAt = Date.now();
+    assert.equal(await withEnv({ PRICE_API_URL: undefined, PRICE_TIMEOUT_MS: '100' }, fetchBtcPrices), null);
+    assert.ok(Date.now() - startedAt < 2000);
+  });
+});
+
+describe('normalizeDisplaySettings', () => {
+  it('falls back to BTC for unknown units', () => {
+    assert.equal(normalizeDisplaySettings({ unit: 'bits' }).unit, 'btc');
+  });
+
+  it('drops unsupported currencies', () => {
+    assert.deepEqual(normalizeDisplaySettings({ unit: 'sats', currencies: ['EUR', 'XYZ'] }).currencies, ['EUR']);
+  });
+});
+
+describe('formatBtcAmount', () => {
+  it('keeps two decimals for BTC, including stored DECIMAL strings', () => {
+    assert.equal(formatBtcAmount(616.944), '616.94 BTC');
+    assert.equal(formatBtcAmount('616.94000000'), '616.94 BTC');
+  });
+
+  it('shows sats as whole numbers', () => {
+    assert.equal(formatBtcAmount(1.5, 'sats'), '150,000,000 sats');
+  });
+
+  it('signs changes', () => {
+    assert.equal(formatBtcAmount(0.5, 'btc', true), '+0.50 BTC');
+    assert.equal(formatBtcAmount(-0.25, 'btc', true), '-0.25 BTC');
+  });
+});
+
+describe('formatFiatSuffix', () => {
+  it('follows the currency order', () => {
+    assert.equal(formatFiatSuffix(1, { currencies: ['USD', 'EUR'], prices }), ' (≈ $100,000 / €92,000)');
+  });
+
+  it('is empty without prices', () => {
+    assert.equal(formatFiatSuffix(1, { currencies: ['USD'], prices: null }), '');
+  });
+});
+
+describe('capacity line in posts', () => {
+  it('is unchanged by default', () => {
+    assert.ok(formatStatsMessage(stats, null).includes('🪙 Capacity: 616.94 BTC\n'));
+  });
+
+  it('shows fiat values on Nostr', () => {
+    const message = formatStatsMessage(stats, null, { unit: 'btc', currencies: ['USD', 'EUR'], prices });
+    assert.ok(message.includes('🪙 Capacity: 616.94 BTC (≈ $61,694,000 / €56,758,480)'));
+  });
+
+  it('shows sats and fiat on Telegram', () => {
+    const message = formatStatsMessageForTelegram(stats, null, { unit: 'sats', currencies: ['EUR'], prices });
+    assert.ok(message.includes('🪙 Capacity: <b>61,694,000,000 sats</b> (≈ €56,758,480)'));
+  });
+
+  it('shows BTC only when prices are missing', () => {
+    const message = formatStatsMessage(stats, null, { unit: 'btc', currencies: ['USD'], prices: null });
+    assert.ok(message.includes('🪙 Capacity: 616.94 BTC\n'));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for Nostr relay timeouts and publish confirmation
+ * Run with: node test/test-publish-confirmation.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+
+// Relay health writes are only counted, so any statement is accepted
+const { calls } = installFakeDatabase(() => []);
+
+const {
+  PUBLISH_STATUSES,
+  getPublishSettings,
+  withTimeout,
+  verifyPublishedEvent,
+  summarizePublishStatus,
+  broadcastEvent
+} = require('../lib/nostr');
+const { withEnv } = require('./helpers/env');
+
+const defaults = withEnv({ NOSTR_CONNECT_TIMEOUT_MS: undefined, NOSTR_VERIFY_RELAYS: undefined }, getPublishSettings);
+
+describe('getPublishSettings', () => {
+  it('uses 5 second timeouts and re-queries two relays by default', () => {
+    assert.equal(defaults.connectTimeoutMs, 5000);
+    assert.equal(defaults.publishTimeoutMs, 5000);
+    assert.equal(defaults.verifyRelays, 2);
+  });
+
+  it('reads the timeouts and allows verification to be disabled', () => {
+    const custom = withEnv({ NOSTR_CONNECT_TIMEOUT_MS: '2500', NOSTR_VERIFY_RELAYS: '0' }, getPublishSettings);
+    assert.equal(custom.connectTimeoutMs, 2500);
+    assert.equal(custom.verifyRelays, 0);
+  });
+});
+
+describe('withTimeout', () => {
+  it('rejects a hung promise after the timeout', async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), 20, 'Connection timed out after 20ms'), {
+      message: 'Connection timed out after 20ms'
+    });
+  });
+
+  it('passes a settled promise through', async () => {
+    assert.equal(await withTimeout(Promise.resolve('ok'), 20, 'too slow'), 'ok');
+  });
+});
+
+describe('verifyPublishedEvent', () => {
+  // Nothing is re-queried with verifyRelays = 0, so no relay is contacted
+  const publishResults = [
+    { relay: 'wss://relay.damus.io', success: true, latencyMs: 120 },
+    { relay: 'wss://nos.lol', success: false, latencyMs: 5000, error: 'Publish timed out after 5000ms' }
+  ];
+
+  it('keeps relays accepted without verification as accepted and marks failures', async () => {
+    const results = await verifyPublishedEvent(publishResults, 'abc123', { ...defaults, verifyRelays: 0 });
+    assert.deepEqual(results.map(result => result.status), [PUBLISH_STATUSES.ACCEPTED, PUBLISH_STATUSES.FAILED]);
+    assert.equal(results[0].latencyMs, 120);
+    assert.equal(results[1].error, 'Publish timed out after 5000ms');
+  });
+});
+
+describe('broadcastEvent relay health', () => {
+  // Nothing listens on port 1, so the relay fails without leaving the machine
+  const relays = ['ws://127.0.0.1:1'];
+  const event = { id: 'abc123', kind: 1, tags: [], content: '' };
+
+  it('records the outcome for the bot\'s relays', async () => {
+    calls.length = 0;
+    const { results } = await broadcastEvent(event, relays);
+    assert.equal(results[0].success, false);
+    assert.ok(calls.some(call => call.sql.startsWith('INSERT INTO relay_publish_results')));
+  });
+
+  it('leaves relays the bot does not own out of relay health', async () => {
+    calls.length = 0;
+    const { results } = await broadcastEvent(event, relays, { recordHealth: false });
+    assert.equal(results[0].success, false);
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('summarizePublishStatus', () => {
+  it('groups relays by status', () => {
+    const summary = summarizePublishStatus([
+      { relay: 'wss://relay.damus.io', status: PUBLISH_STATUSES.CONFIRMED },
+      { relay: 'wss://nostr.wine', status: PUBLISH_STATUSES.NOT_FOUND },
+      { relay: 'wss://relay.primal.net', status: PUBLISH_STATUSES.ACCEPTED },
+      { relay: 'wss://nos.lol', status: PUBLISH_STATUSES.FAILED }
+    ]);
+
+    assert.deepEqual(summary.confirmed, ['wss://relay.damus.io']);
+    assert.deepEqual(summary.acceptedNotFound, ['wss://nostr.wine']);
+    assert.deepEqual(summary.accepted, ['wss://relay.primal.net']);
+    assert.deepEqual(summary.failed, ['wss://nos.lol']);
+  });
+});
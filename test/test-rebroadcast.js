@@ -0,0 +1,40 @@
+/**
+ * Tests for the rebroadcast queue backoff
+ * Run with: node test/test-rebroadcast.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getRebroadcastSettings, getRetryDelayMinutes, QUEUE_STATUSES } = require('../lib/rebroadcast');
+const { withEnv } = require('./helpers/env');
+
+const defaults = withEnv({ REBROADCAST_MAX_ATTEMPTS: undefined, REBROADCAST_BASE_DELAY_MINUTES: undefined }, getRebroadcastSettings);
+
+describe('getRebroadcastSettings', () => {
+  it('gives up after 8 attempts and starts at 15 minutes by default', () => {
+    assert.equal(defaults.maxAttempts, 8);
+    assert.equal(defaults.baseDelayMinutes, 15);
+  });
+
+  it('reads the environment and ignores invalid values', () => {
+    const custom = withEnv({ REBROADCAST_MAX_ATTEMPTS: '3', REBROADCAST_BASE_DELAY_MINUTES: 'soon' }, getRebroadcastSettings);
+    assert.equal(custom.maxAttempts, 3);
+    assert.equal(custom.baseDelayMinutes, 15);
+  });
+});
+
+describe('getRetryDelayMinutes', () => {
+  it('doubles the delay after each failed attempt', () => {
+    assert.deepEqual([0, 1, 2, 3].map(attempts => getRetryDelayMinutes(attempts, defaults)), [15, 30, 60, 120]);
+  });
+
+  it('caps the delay at one day', () => {
+    assert.equal(getRetryDelayMinutes(10, defaults), 24 * 60);
+  });
+});
+
+describe('QUEUE_STATUSES', () => {
+  it('are pending, delivered and abandoned', () => {
+    assert.deepEqual(Object.values(QUEUE_STATUSES), ['pending', 'delivered', 'abandoned']);
+  });
+});
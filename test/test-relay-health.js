@@ -0,0 +1,137 @@
+/**
+ * Tests for Nostr relay health and relay selection
+ * Run with: node test/test-relay-health.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fake-database');
+const { withEnv } = require('./helpers/env');
+
+// relays rows, answered for the statements recordPublishResults and refreshRelayInfo run
+const relayRows = [];
+const { calls } = installFakeDatabase((sql, params) => {
+  if (sql.startsWith('SELECT url, status, nip11_fetched_at FROM relays')) return relayRows;
+  if (sql.startsWith('UPDATE relays SET nip11_name')) {
+    Object.assign(relayRows.find(row => row.url === params[5]), { nip11_name: params[0], nip11_fetched_at: params[4] });
+    return { affectedRows: 1 };
+  }
+  if (sql.startsWith('INSERT INTO relay_publish_results') || sql.startsWith('INSERT INTO relays')) return { affectedRows: 1 };
+  throw new Error(`Unexpected statement: ${sql}`);
+});
+
+const {
+  getRelayHealthSettings,
+  isValidRelayUrl,
+  toNip11Url,
+  pickRelays,
+  recordPublishResults,
+  refreshRelayInfo
+} = require('../lib/relayHealth');
+
+const now = new Date('2026-10-18T12:00:00Z');
+const configured = ['wss://relay.damus.io', 'wss://nos.lol', 'wss://nostr.wine'];
+const defaults = withEnv({ RELAY_DEMOTE_FAILURES: undefined }, getRelayHealthSettings);
+
+describe('getRelayHealthSettings', () => {
+  it('demotes after 5 failures, retries after 24 hours and rates over 7 days by default', () => {
+    assert.equal(defaults.demoteAfterFailures, 5);
+    assert.equal(defaults.retryHours, 24);
+    assert.equal(defaults.windowDays, 7);
+  });
+
+  it('reads RELAY_DEMOTE_FAILURES', () => {
+    assert.equal(withEnv({ RELAY_DEMOTE_FAILURES: '3' }, getRelayHealthSettings).demoteAfterFailures, 3);
+  });
+});
+
+describe('relay URLs', () => {
+  it('accepts ws:// and wss:// URLs', () => {
+    assert.ok(isValidRelayUrl('wss://relay.damus.io'));
+    assert.ok(isValidRelayUrl('ws://localhost:7777/nostr'));
+  });
+
+  it('rejects other schemes, lists and missing values', () => {
+    assert.ok(!isValidRelayUrl('https://relay.damus.io'));
+    assert.ok(!isValidRelayUrl('wss://a.io,wss://b.io'));
+    assert.ok(!isValidRelayUrl(null));
+  });
+
+  it('fetches NIP-11 documents over http(s)', () => {
+    assert.equal(toNip11Url('wss://relay.damus.io'), 'https://relay.damus.io');
+    assert.equal(toNip11Url('ws://localhost:7777'), 'http://localhost:7777');
+  });
+});
+
+describe('pickRelays', () => {
+  const rows = [
+    { url: 'wss://nos.lol', status: 'demoted', added_by: 'env', demoted_at: '2026-10-18T06:00:00Z' },
+    { url: 'wss://nostr.wine', status: 'removed', added_by: 'env', demoted_at: null },
+    { url: 'wss://relay.primal.net', status: 'active', added_by: 'admin', demoted_at: null },
+    { url: 'wss://relay.removed.example', status: 'removed', added_by: 'admin', demoted_at: null }
+  ];
+  const selected = pickRelays(configured, rows, defaults, now);
+
+  it('uses configured relays without a record and admin-added relays', () => {
+    assert.ok(selected.includes('wss://relay.damus.io'));
+    assert.ok(selected.includes('wss://relay.primal.net'));
+  });
+
+  it('leaves out removed relays', () => {
+    assert.ok(!selected.includes('wss://nostr.wine'));
+    assert.ok(!selected.includes('wss://relay.removed.example'));
+  });
+
+  it('leaves out recently demoted relays until the retry window has passed', () => {
+    assert.ok(!selected.includes('wss://nos.lol'));
+    assert.ok(pickRelays(configured, rows, defaults, new Date('2026-10-19T07:00:00Z')).includes('wss://nos.lol'));
+  });
+
+  it('picks nothing when every relay is removed', () => {
+    assert.deepEqual(pickRelays(['wss://nostr.wine'], rows.slice(1, 2), defaults, now), []);
+  });
+});
+
+describe('relay info', () => {
+  const originalFetch = global.fetch;
+  let fetched;
+
+  beforeEach(() => {
+    relayRows.length = 0;
+    calls.length = 0;
+    fetched = [];
+    global.fetch = async (url) => {
+      fetched.push(url);
+      return { ok: true, json: async () => ({ name: 'Damus', supported_nips: [1, 11] }) };
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('does not fetch NIP-11 documents while recording a publish', async () => {
+    await recordPublishResults('event1', [{ relay: 'wss://relay.damus.io', success: true, latencyMs: 120 }], now);
+    assert.deepEqual(fetched, []);
+    assert.ok(!calls.some(call => call.sql.includes('nip11')));
+  });
+
+  it('refreshes relays without info or with info older than a day', async () => {
+    relayRows.push(
+      { url: 'wss://relay.damus.io', status: 'active', nip11_fetched_at: null },
+      { url: 'wss://nos.lol', status: 'demoted', nip11_fetched_at: new Date('2026-10-17T06:00:00Z') },
+      { url: 'wss://nostr.wine', status: 'active', nip11_fetched_at: new Date('2026-10-18T06:00:00Z') }
+    );
+
+    assert.equal(await refreshRelayInfo(now), 2);
+    assert.deepEqual(fetched, ['https://relay.damus.io', 'https://nos.lol']);
+    assert.equal(relayRows[0].nip11_name, 'Damus');
+    assert.equal(relayRows[0].nip11_fetched_at, now);
+  });
+
+  it('leaves removed relays alone', async () => {
+    relayRows.push({ url: 'wss://relay.damus.io', status: 'removed', nip11_fetched_at: null });
+    assert.equal(await refreshRelayInfo(now), 0);
+    assert.deepEqual(fetched, []);
+  });
+});
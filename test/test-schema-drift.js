@@ -0,0 +1,92 @@
+/**
+ * Tests for Amboss schema drift detection
+ * Run with: node test/test-schema-drift.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findSchemaDrift, formatSchemaDriftAlert } = require('../lib/schemaDrift');
+
+/**
+ * Build an introspected field with a type wrapped like [Type!]!
+ */
+function field(name, typeName, args = []) {
+  return {
+    name,
+    args: args.map(arg => ({ name: arg })),
+    type: { name: null, ofType: { name: null, ofType: { name: typeName, ofType: null } } }
+  };
+}
+
+/**
+ * Build a minimal introspection result covering every field StrichBot queries
+ */
+function buildSchema() {
+  return {
+    queryType: { name: 'Query' },
+    types: [
+      { name: 'Query', fields: [
+        field('getCommunity', 'Community', ['id']),
+        field('getAllCommunityRequests', 'CommunityRequest', ['id']),
+        field('getNode', 'Node', ['pubkey'])
+      ] },
+      { name: 'Community', fields: [
+        field('member_count', 'Int'),
+        field('community_stats', 'CommunityStats'),
+        field('members', 'CommunityMember')
+      ] },
+      { name: 'CommunityStats', fields: [field('total_channels', 'Int'), field('total_capacity', 'String')] },
+      { name: 'CommunityMember', fields: [field('pubkey', 'String'), field('graph_info', 'GraphInfo')] },
+      { name: 'Node', fields: [field('graph_info', 'GraphInfo')] },
+      { name: 'GraphInfo', fields: [field('node', 'NodeInfo'), field('channels', 'ChannelInfo')] },
+      { name: 'NodeInfo', fields: [field('alias', 'String')] },
+      { name: 'ChannelInfo', fields: [field('num_channels', 'Int'), field('total_capacity', 'String')] },
+      { name: 'CommunityRequest', fields: [
+        field('pubId', 'String'),
+        field('pubkey', 'String'),
+        field('approvals', 'Int'),
+        field('requiredApprovals', 'Int')
+      ] }
+    ]
+  };
+}
+
+describe('findSchemaDrift', () => {
+  it('finds no drift in the current schema', () => {
+    assert.deepEqual(findSchemaDrift(buildSchema()), []);
+  });
+
+  it('reports a renamed field for every query using it', () => {
+    const changed = buildSchema();
+    changed.types.find(type => type.name === 'ChannelInfo').fields[0].name = 'channel_count';
+    const drift = findSchemaDrift(changed);
+    assert.equal(drift.filter(entry => entry.path.endsWith('num_channels')).length, 2);
+  });
+
+  it('reports a removed argument', () => {
+    const changed = buildSchema();
+    changed.types.find(type => type.name === 'Query').fields[1].args = [];
+    assert.ok(findSchemaDrift(changed).some(entry => entry.path === 'getAllCommunityRequests(id)'));
+  });
+
+  it('reports a removed query once, not each of its fields', () => {
+    const removed = buildSchema();
+    removed.types.find(type => type.name === 'Query').fields.pop();
+    assert.deepEqual(findSchemaDrift(removed).map(entry => entry.path), ['getNode']);
+  });
+});
+
+describe('formatSchemaDriftAlert', () => {
+  it('lists each drifted path with its problem, escaped', () => {
+    const alert = formatSchemaDriftAlert([
+      { path: 'getCommunity.members.graph_info', problem: 'field <removed>' },
+      { path: 'getNode', problem: 'query removed' }
+    ]);
+    assert.ok(alert.includes('2 fields StrichBot relies on no longer match'));
+    assert.ok(alert.includes('• <code>getCommunity.members.graph_info</code> - field &lt;removed&gt;'));
+  });
+
+  it('uses the singular for one field', () => {
+    assert.ok(formatSchemaDriftAlert([{ path: 'getNode', problem: 'query removed' }]).includes('A field StrichBot relies on'));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for the Nostr signer backends
+ * The bunker backend runs against a local stand-in instead of a real NIP-46 bunker on relays
+ * Run with: node test/test-signer.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecretKey, getPublicKey, finalizeEvent, verifyEvent, nip19 } = require('nostr-tools');
+const {
+  SIGNER_TYPES,
+  getSignerSettings,
+  parseBunkerUri,
+  createLocalSigner,
+  createBunkerSigner,
+  describeSigner
+} = require('../lib/signer');
+const { withEnv } = require('./helpers/env');
+
+/**
+ * Local stand-in for a NIP-46 bunker
+ * Accepts clients that present the URI secret and signs with its own key, like a real bunker would
+ * @param {Uint8Array} secretKey - Key the bunker signs with
+ * @param {Object} options - { secret, tamper, fail } - tamper corrupts signed events, fail rejects sign requests
+ * @returns {Object} { connect, requests, userPubkey }
+ */
+function createBunkerStandIn(secretKey, { secret, tamper = false, fail = false } = {}) {
+  const requests = [];
+
+  const connect = async (clientSecretKey, pointer) => {
+    requests.push({ method: 'connect', client: getPublicKey(clientSecretKey) });
+    if (pointer.secret !== secret) {
+      throw new Error('Bunker rejected the connection');
+    }
+
+    return {
+      getPublicKey: async () => {
+        requests.push({ method: 'get_public_key' });
+        return getPublicKey(secretKey);
+      },
+      signEvent: async (template) => {
+        requests.push({ method: 'sign_event' });
+        if (fail) {
+          throw new Error('Bunker relay disconnected');
+        }
+        // Round-trip through JSON like a reply from the relay, dropping nostr-tools' cached verification
+        const event = JSON.parse(JSON.stringify(finalizeEvent(template, secretKey)));
+        return tamper ? { ...event, content: `${event.content}!` } : event;
+      },
+      close: async () => {
+        requests.push({ method: 'close' });
+      }
+    };
+  };
+
+  return { connect, requests, userPubkey: getPublicKey(secretKey) };
+}
+
+const botKey = generateSecretKey();
+const botNsec = nip19.nsecEncode(botKey);
+const clientNsec = nip19.nsecEncode(generateSecretKey());
+const bunkerPubkey = getPublicKey(generateSecretKey());
+const bunkerUri = `bunker://${bunkerPubkey}?relay=wss://relay.nsec.app&relay=wss://nos.lol&secret=s3cret`;
+const template = { kind: 1, created_at: Math.floor(Date.now() / 1000), tags: [], content: 'StrichBot signer test' };
+
+describe('getSignerSettings', () => {
+  it('uses the local signer for NOSTR_NSEC', () => {
+    const settings = withEnv({ NOSTR_NSEC: botNsec, NOSTR_BUNKER_URI: undefined }, getSignerSettings);
+    assert.equal(settings.type, SIGNER_TYPES.LOCAL);
+  });
+
+  it('prefers NOSTR_BUNKER_URI over NOSTR_NSEC, with a 10 second timeout', () => {
+    const settings = withEnv({ NOSTR_NSEC: botNsec, NOSTR_BUNKER_URI: bunkerUri }, getSignerSettings);
+    assert.equal(settings.type, SIGNER_TYPES.BUNKER);
+    assert.equal(settings.timeoutMs, 10000);
+  });
+
+  it('has no signer without a key or bunker', () => {
+    assert.equal(withEnv({ NOSTR_NSEC: undefined, NOSTR_BUNKER_URI: undefined }, getSignerSettings).type, null);
+  });
+});
+
+describe('describeSigner', () => {
+  it('reports a missing bunker client key', () => {
+    const description = withEnv({ NOSTR_BUNKER_URI: bunkerUri, NOSTR_BUNKER_CLIENT_NSEC: undefined }, describeSigner);
+    assert.equal(description.valid, false);
+    assert.ok(description.details.includes('NOSTR_BUNKER_CLIENT_NSEC'));
+  });
+
+  it('accepts a complete bunker configuration', () => {
+    const description = withEnv({ NOSTR_BUNKER_URI: bunkerUri, NOSTR_BUNKER_CLIENT_NSEC: clientNsec }, describeSigner);
+    assert.equal(description.valid, true);
+    assert.ok(description.details.includes('2 relays'));
+  });
+});
+
+describe('parseBunkerUri', () => {
+  it('reads the bunker key, relays and secret', () => {
+    const pointer = parseBunkerUri(bunkerUri);
+    assert.equal(pointer.pubkey, bunkerPubkey);
+    assert.equal(pointer.relays.length, 2);
+    assert.equal(pointer.secret, 's3cret');
+  });
+
+  it('rejects URIs without a relay and other schemes', () => {
+    assert.equal(parseBunkerUri(`bunker://${bunkerPubkey}`), null);
+    assert.equal(parseBunkerUri('nostrconnect://abc'), null);
+    assert.equal(parseBunkerUri(undefined), null);
+  });
+});
+
+describe('createLocalSigner', () => {
+  it('signs with NOSTR_NSEC', async () => {
+    const event = await createLocalSigner(botNsec).signEvent({ ...template });
+    assert.ok(verifyEvent(event));
+    assert.equal(event.pubkey, getPublicKey(botKey));
+  });
+});
+
+describe('createBunkerSigner', () => {
+  it('signs through the bunker as the bunker identity', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret' });
+    const signer = await createBunkerSigner(bunkerUri, clientNsec, { connect: bunker.connect });
+    const pubkey = await signer.getPublicKey();
+    const event = await signer.signEvent({ ...template, pubkey });
+    await signer.close();
+
+    assert.equal(pubkey, bunker.userPubkey);
+    assert.ok(verifyEvent(event));
+    assert.equal(event.pubkey, bunker.userPubkey);
+    assert.deepEqual(bunker.requests.map(request => request.method), ['connect', 'get_public_key', 'sign_event', 'close']);
+  });
+
+  it('connects with the client key, not the bot key', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret' });
+    await createBunkerSigner(bunkerUri, clientNsec, { connect: bunker.connect });
+    assert.notEqual(bunker.requests[0].client, bunker.userPubkey);
+  });
+
+  it('fails to connect with the wrong secret', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret' });
+    await assert.rejects(createBunkerSigner(bunkerUri.replace('s3cret', 'wrong'), clientNsec, { connect: bunker.connect }), {
+      message: 'Bunker rejected the connection'
+    });
+  });
+
+  it('rejects tampered signatures', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret', tamper: true });
+    const signer = await createBunkerSigner(bunkerUri, clientNsec, { connect: bunker.connect });
+    await assert.rejects(signer.signEvent({ ...template }), { message: 'Bunker returned an invalid signature' });
+  });
+
+  it('closes the connection and reports a failed call', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret', fail: true });
+    const failures = [];
+    const signer = await createBunkerSigner(bunkerUri, clientNsec, {
+      connect: bunker.connect,
+      onFailure: error => failures.push(error.message)
+    });
+
+    await assert.rejects(signer.signEvent({ ...template }), { message: 'Bunker relay disconnected' });
+    assert.deepEqual(bunker.requests.map(request => request.method), ['connect', 'sign_event', 'close']);
+    assert.deepEqual(failures, ['Bunker relay disconnected']);
+  });
+
+  it('rejects an invalid URI or client key', async () => {
+    const bunker = createBunkerStandIn(botKey, { secret: 's3cret' });
+    await assert.rejects(createBunkerSigner('bunker://not-a-key', clientNsec, { connect: bunker.connect }), /bunker:\/\/ URI/);
+    await assert.rejects(createBunkerSigner(bunkerUri, 'npub1abc', { connect: bunker.connect }), {
+      message: 'NOSTR_BUNKER_CLIENT_NSEC must be in nsec1 format'
+    });
+  });
+});